@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+
+import { CONFIG } from '../config.js';
+
+// Model calibration: does a 65% modelUp win 65% of the time?
+//
+// The live loop snapshots the model at fixed offsets into each window (e.g. 10/5/2 minutes left).
+// Once the window resolves the outcome is appended too. Both go to one append-only JSONL file:
+//   { type: 'sample', slug, offsetMin, timeLeftMin, at, modelUp, taUp, fairValueUp, marketUp, modelSource, strategy }
+//   { type: 'outcome', slug, winner: 'UP' | 'DOWN', at }
+// computeCalibration() joins them and reports Brier score, log loss and binned reliability.
+
+// Probabilities that can be scored: active strategy, indicator vote, fair value, market-implied.
+export const CALIBRATION_MODELS = ['modelUp', 'taUp', 'fairValueUp', 'marketUp'];
+
+const LOG_LOSS_EPS = 1e-6;
+
+function num(x) {
+  return (typeof x === 'number' && Number.isFinite(x)) ? x : null;
+}
+
+function appendRow(filePath, row) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(row) + '\n', 'utf8');
+  } catch (e) {
+    console.warn(`Could not write calibration file ${filePath}: ${e.message}`);
+  }
+}
+
+export function readCalibrationRows({ filePath = CONFIG.calibration.file } = {}) {
+  if (!fs.existsSync(filePath)) return [];
+  const rows = [];
+  for (const ln of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!ln.trim()) continue;
+    try { rows.push(JSON.parse(ln)); } catch {}
+  }
+  return rows;
+}
+
+// Samples with their window outcome attached (`winner` null while unresolved).
+export function joinCalibrationRows(rows) {
+  const winners = new Map();
+  for (const r of rows) if (r?.type === 'outcome' && r.slug) winners.set(r.slug, r.winner);
+  return rows
+    .filter((r) => r?.type === 'sample' && r.slug)
+    .map((r) => ({ ...r, winner: winners.get(r.slug) ?? null }));
+}
+
+function scoreSamples(samples, model) {
+  let brier = 0;
+  let logLoss = 0;
+  let wins = 0;
+  for (const s of samples) {
+    const p = s[model];
+    const y = s.winner === 'UP' ? 1 : 0;
+    const q = Math.min(1 - LOG_LOSS_EPS, Math.max(LOG_LOSS_EPS, p));
+    brier += (p - y) ** 2;
+    logLoss += -(y * Math.log(q) + (1 - y) * Math.log(1 - q));
+    wins += y;
+  }
+  const n = samples.length;
+  return {
+    n,
+    brier: n ? brier / n : null,
+    logLoss: n ? logLoss / n : null,
+    baseRate: n ? wins / n : null
+  };
+}
+
+export function computeCalibration(rows, { model = 'modelUp', bins = CONFIG.calibration.bins } = {}) {
+  const joined = joinCalibrationRows(rows);
+  const labeled = joined.filter((s) => (s.winner === 'UP' || s.winner === 'DOWN') && num(s[model]) !== null);
+  const overall = scoreSamples(labeled, model);
+
+  const offsets = Array.from(new Set(labeled.map((s) => s.offsetMin))).sort((a, b) => b - a);
+  const byOffset = offsets.map((offsetMin) => ({ offsetMin, ...scoreSamples(labeled.filter((s) => s.offsetMin === offsetMin), model) }));
+
+  // Reliability: mean predicted probability vs observed UP rate per equal-width bin.
+  const reliability = Array.from({ length: bins }, (_, i) => ({ bin: i, lo: i / bins, hi: (i + 1) / bins, n: 0, meanPred: null, observedRate: null }));
+  const sums = reliability.map(() => ({ p: 0, y: 0 }));
+  for (const s of labeled) {
+    const i = Math.min(bins - 1, Math.max(0, Math.floor(s[model] * bins)));
+    reliability[i].n += 1;
+    sums[i].p += s[model];
+    sums[i].y += s.winner === 'UP' ? 1 : 0;
+  }
+  for (let i = 0; i < bins; i += 1) {
+    if (!reliability[i].n) continue;
+    reliability[i].meanPred = sums[i].p / reliability[i].n;
+    reliability[i].observedRate = sums[i].y / reliability[i].n;
+  }
+
+  return {
+    model,
+    samples: joined.length,
+    labeled: labeled.length,
+    pending: joined.filter((s) => s.winner === null).length,
+    windows: new Set(labeled.map((s) => s.slug)).size,
+    brier: overall.brier,
+    logLoss: overall.logLoss,
+    baseRate: overall.baseRate,
+    // Brier of always predicting the base rate; the model should beat this.
+    brierBaseline: overall.baseRate === null ? null : overall.baseRate * (1 - overall.baseRate),
+    byOffset,
+    reliability
+  };
+}
+
+export function createCalibrationRecorder({
+  filePath = CONFIG.calibration.file,
+  offsetsMinutes = CONFIG.calibration.offsetsMinutes,
+  toleranceMinutes = CONFIG.calibration.toleranceMinutes,
+  resolveSlug,
+  now = () => Date.now()
+} = {}) {
+  const recorded = new Set(); // `${slug}|${offset}`
+  const pending = new Map(); // slug -> window end ms (0 when unknown)
+
+  for (const s of joinCalibrationRows(readCalibrationRows({ filePath }))) {
+    recorded.add(`${s.slug}|${s.offsetMin}`);
+    if (s.winner === null) pending.set(s.slug, s.windowEndMs ?? 0);
+  }
+
+  return {
+    // Call every tick. Records a sample the first time the window crosses each offset (within tolerance,
+    // so joining late doesn't file a 1-minute-left snapshot under the 10-minute offset).
+    observe({ slug, timeLeftMin, windowEndMs = null, modelUp, taUp = null, fairValueUp = null, marketUp = null, modelSource = null, strategy = null }) {
+      if (!slug || num(timeLeftMin) === null || num(modelUp) === null) return;
+      for (const offsetMin of offsetsMinutes) {
+        const key = `${slug}|${offsetMin}`;
+        if (recorded.has(key) || timeLeftMin > offsetMin || offsetMin - timeLeftMin > toleranceMinutes) continue;
+        recorded.add(key);
+        pending.set(slug, windowEndMs ?? 0);
+        appendRow(filePath, {
+          type: 'sample',
+          slug,
+          offsetMin,
+          timeLeftMin,
+          windowEndMs,
+          at: new Date(now()).toISOString(),
+          modelUp,
+          taUp: num(taUp),
+          fairValueUp: num(fairValueUp),
+          marketUp: num(marketUp),
+          modelSource,
+          strategy
+        });
+      }
+    },
+
+    // Label windows that have ended. resolveSlug(slug) -> { resolved, winner } | null (throttled per slug).
+    async labelPending() {
+      if (typeof resolveSlug !== 'function') return;
+      const t = now();
+      for (const [slug, endMs] of pending) {
+        if (endMs && t < endMs) continue;
+        let outcome = null;
+        try {
+          outcome = await resolveSlug(slug);
+        } catch {
+          continue;
+        }
+        if (!outcome?.resolved) continue;
+        pending.delete(slug);
+        appendRow(filePath, { type: 'outcome', slug, winner: outcome.winner, at: new Date(t).toISOString() });
+      }
+    },
+
+    pendingCount() {
+      return pending.size;
+    }
+  };
+}
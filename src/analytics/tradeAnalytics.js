@@ -0,0 +1,374 @@
+// Trade performance analytics over ledger trades. Served by /api/analytics and reused by the backtester.
+
+function bucketEntryPrice(trade) {
+  const px = trade?.entryPrice;
+  if (typeof px !== 'number' || !Number.isFinite(px)) return 'unknown';
+  const cents = px * 100;
+  if (cents < 0.5) return '<0.5¢';
+  if (cents < 1) return '0.5–1¢';
+  if (cents < 2) return '1–2¢';
+  if (cents < 5) return '2–5¢';
+  if (cents < 10) return '5–10¢';
+  return '10¢+';
+}
+
+export function groupSummary(trades, keyFn) {
+  const map = new Map();
+  for (const t of trades) {
+    const key = String(keyFn(t) ?? 'unknown');
+    const cur = map.get(key) || { key, count: 0, pnl: 0 };
+    cur.count += 1;
+    cur.pnl += (typeof t.pnl === 'number' && Number.isFinite(t.pnl)) ? t.pnl : 0;
+    map.set(key, cur);
+  }
+  return Array.from(map.values()).sort((a, b) => Math.abs(b.pnl) - Math.abs(a.pnl));
+}
+
+function bucketTimeLeftMin(trade) {
+  const t = trade?.timeLeftMinAtEntry;
+  if (typeof t !== 'number' || !Number.isFinite(t)) return 'unknown';
+  if (t < 2) return '<2m';
+  if (t < 5) return '2–5m';
+  if (t < 10) return '5–10m';
+  return '10m+';
+}
+
+function bucketProb(trade) {
+  const p = trade?.modelProbAtEntry;
+  if (typeof p !== 'number' || !Number.isFinite(p)) return 'unknown';
+  if (p < 0.55) return '<0.55';
+  if (p < 0.60) return '0.55–0.60';
+  if (p < 0.65) return '0.60–0.65';
+  if (p < 0.70) return '0.65–0.70';
+  return '0.70+';
+}
+
+function bucketLiquidity(trade) {
+  const l = trade?.liquidityAtEntry;
+  if (typeof l !== 'number' || !Number.isFinite(l)) return 'unknown';
+  if (l < 1000) return '<1k';
+  if (l < 5000) return '1k–5k';
+  if (l < 10000) return '5k–10k';
+  if (l < 25000) return '10k–25k';
+  if (l < 50000) return '25k–50k';
+  if (l < 100000) return '50k–100k';
+  return '100k+';
+}
+
+function bucketSpread(trade) {
+  const s = trade?.spreadAtEntry;
+  if (typeof s !== 'number' || !Number.isFinite(s)) return 'unknown';
+  // spread is in $ (0..1). Express in cents.
+  const c = s * 100;
+  if (c < 0.5) return '<0.5¢';
+  if (c < 1) return '0.5–1¢';
+  if (c < 2) return '1–2¢';
+  if (c < 5) return '2–5¢';
+  return '5¢+';
+}
+
+function bucketMarketVolume(trade) {
+  const v = trade?.volumeNumAtEntry;
+  if (typeof v !== 'number' || !Number.isFinite(v)) return 'unknown';
+  if (v < 25000) return '<25k';
+  if (v < 50000) return '25k–50k';
+  if (v < 100000) return '50k–100k';
+  if (v < 200000) return '100k–200k';
+  return '200k+';
+}
+
+function finite(x) {
+  return typeof x === 'number' && Number.isFinite(x);
+}
+
+// PnL with both legs marked at the quote mid instead of the executable ask/bid, i.e. before paying the
+// spread. Settlements pay the same $1/$0 either way. Null for trades without recorded quotes.
+export function midPricePnl(trade) {
+  const entryMid = trade?.entryQuote?.mid;
+  const exitMid = trade?.exitFillModel === 'settlement' ? trade.exitPrice : trade?.exitQuote?.mid;
+  const shares = finite(trade?.shares) ? trade.shares : null;
+  if (!finite(entryMid) || !finite(exitMid) || shares === null) return null;
+
+  const partials = Array.isArray(trade.exitFills) ? trade.exitFills : [];
+  const partialShares = partials.reduce((acc, f) => acc + (Number(f.shares) || 0), 0);
+  const partialValue = partials.reduce((acc, f) => acc + (Number(f.shares) || 0) * (finite(f.mid) ? f.mid : exitMid), 0);
+  const value = partialValue + (shares - partialShares) * exitMid;
+  return value - shares * entryMid;
+}
+
+// What the position as entered would have made held to settlement: shares sold on partial exits count too,
+// since holding means never selling them. Null until the trade's market has resolved.
+export function holdToExpiryPnl(trade) {
+  if (!trade?.resolvedOutcome || !finite(trade.contractSize)) return null;
+  const shares = finite(trade.shares) ? trade.shares : (trade.entryPrice > 0 ? trade.contractSize / trade.entryPrice : null);
+  if (shares === null) return null;
+  return shares * (trade.resolvedOutcome === trade.side ? 1 : 0) - trade.contractSize;
+}
+
+// Bankroll growth from the trades as sized vs the same trades staked at a flat fraction of equity.
+// Each trade's net return on its stake, (pnl - fees) / contractSize, is replayed in exit order.
+function compareSizing(closed, { startingBalance, flatStakePct }) {
+  const ordered = closed
+    .filter((t) => finite(t.pnl) && t.contractSize > 0)
+    .sort((a, b) => (Date.parse(a.exitTime ?? '') || 0) - (Date.parse(b.exitTime ?? '') || 0));
+  let realized = startingBalance;
+  let flat = startingBalance;
+  for (const t of ordered) {
+    const net = t.pnl - (finite(t.fees) ? t.fees : 0);
+    realized += net;
+    flat += flat * flatStakePct * (net / t.contractSize);
+  }
+  return {
+    trades: ordered.length,
+    startingBalance,
+    flatStakePct,
+    realizedFinal: realized,
+    realizedGrowth: startingBalance > 0 ? realized / startingBalance - 1 : null,
+    flatFinal: flat,
+    flatGrowth: startingBalance > 0 ? flat / startingBalance - 1 : null
+  };
+}
+
+// Passive (limit) vs aggressive (market) entries from the ledger's order events and the trades they opened.
+// fillRate: filled / orders that ended (filled, cancelled, expired, rejected); a replaced order lives on as
+// its replacement. adverseSelection: how far the held token's mid fell from entry to the markout, $/share
+// (positive = the price moved against us right after the fill). Trades without entryOrderType were market entries.
+export function compareEntryOrders(orders, trades) {
+  const groups = { passive: 'limit', aggressive: 'market' };
+  const out = {};
+  for (const [name, type] of Object.entries(groups)) {
+    const events = (Array.isArray(orders) ? orders : []).filter((e) => e?.type === type);
+    const count = (event) => new Set(events.filter((e) => e.event === event).map((e) => e.orderId)).size;
+    const filled = count('filled');
+    const ended = filled + count('cancelled') + count('expired') + count('rejected');
+    const entered = trades.filter((t) => (t.entryOrderType || 'market') === type);
+    const marked = entered.filter((t) => finite(t.markoutMid) && finite(t.entryQuote?.mid));
+    const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+    out[name] = {
+      placed: count('placed'),
+      replaced: count('replaced'),
+      cancelled: count('cancelled'),
+      expired: count('expired'),
+      rejected: count('rejected'),
+      filled,
+      fillRate: ended ? filled / ended : null,
+      trades: entered.length,
+      markedTrades: marked.length,
+      adverseSelection: avg(marked.map((t) => t.entryQuote.mid - t.markoutMid)),
+      // Markout vs what we actually paid: positive = the fill was cheap relative to where the mid went.
+      avgMarkout: avg(marked.map((t) => t.markoutMid - t.entryPrice)),
+      pnl: entered.filter((t) => t.status === 'CLOSED').reduce((acc, t) => acc + (finite(t.pnl) ? t.pnl : 0), 0)
+    };
+  }
+  return out;
+}
+
+function quantile(xs, q) {
+  if (!xs.length) return null;
+  const sorted = [...xs].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+export const EXCURSION_LEVELS = [0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.4, 0.5];
+
+// MFE/MAE of closed trades (fractions of contractSize, before fees, see excursion.js).
+// winners.redFirst: winners whose worst point came before their best one while under water, i.e. they were
+// losers first; losers.greenFirst the other way round. levels: what a plain stop / take-profit at each level
+// would have hit, and the PnL change if those trades had exited exactly at the level instead. A trade that
+// reached both levels is counted on both sides, so each column is only a rough, one-sided estimate.
+export function computeExcursions(closed, { stopLossPct = null, takeProfitPct = null, levels = EXCURSION_LEVELS } = {}) {
+  const tracked = closed.filter((t) => finite(t.mfePct) && finite(t.maePct) && finite(t.pnl) && t.contractSize > 0);
+  const time = (iso) => Date.parse(iso ?? '');
+  const winners = tracked.filter((t) => t.pnl > 0);
+  const losers = tracked.filter((t) => t.pnl < 0);
+  const redFirst = winners.filter((t) => t.maePct < 0 && time(t.maeAt) < time(t.mfeAt));
+  const greenFirst = losers.filter((t) => t.mfePct > 0 && time(t.mfeAt) < time(t.maeAt));
+  const maes = winners.map((t) => -t.maePct);
+  const mfes = losers.map((t) => t.mfePct);
+
+  const grid = [...new Set([...levels, stopLossPct, takeProfitPct].filter((l) => finite(l) && l > 0).map((l) => Math.abs(l)))].sort((a, b) => a - b);
+  const rows = grid.map((level) => {
+    const stopped = tracked.filter((t) => t.maePct <= -level);
+    const banked = tracked.filter((t) => t.mfePct >= level);
+    const delta = (ts, pct) => ts.reduce((acc, t) => acc + (pct * t.contractSize - t.pnl), 0);
+    return {
+      level,
+      configuredStop: level === stopLossPct,
+      configuredTakeProfit: level === takeProfitPct,
+      stopHits: stopped.length,
+      stopWinnersHit: stopped.filter((t) => t.pnl > 0).length,
+      stopPnlDelta: delta(stopped, -level),
+      takeProfitHits: banked.length,
+      takeProfitLosersHit: banked.filter((t) => t.pnl < 0).length,
+      takeProfitPnlDelta: delta(banked, level)
+    };
+  });
+
+  return {
+    trades: tracked.length,
+    winners: {
+      trades: winners.length,
+      wentRed: winners.filter((t) => t.maePct < 0).length,
+      redFirst: redFirst.length,
+      redFirstRate: winners.length ? redFirst.length / winners.length : null,
+      maeP50: quantile(maes, 0.5),
+      maeP90: quantile(maes, 0.9)
+    },
+    losers: {
+      trades: losers.length,
+      wentGreen: losers.filter((t) => t.mfePct > 0).length,
+      greenFirst: greenFirst.length,
+      greenFirstRate: losers.length ? greenFirst.length / losers.length : null,
+      mfeP50: quantile(mfes, 0.5),
+      mfeP90: quantile(mfes, 0.9)
+    },
+    stopLossPct,
+    takeProfitPct,
+    levels: rows
+  };
+}
+
+// `startingBalance` / `flatStakePct` only feed the sizing comparison; `orders` (ledger order events) the
+// passive vs aggressive entry comparison; `stopLossPct` / `takeProfitPct` mark the configured levels in the
+// excursion analysis.
+export function computeAnalytics(allTrades, { startingBalance = 1000, flatStakePct = 0.1, orders = [], stopLossPct = null, takeProfitPct = null } = {}) {
+  const trades = Array.isArray(allTrades) ? allTrades : [];
+  const closed = trades.filter((t) => t && t.status === 'CLOSED');
+
+  const wins = closed.filter((t) => (typeof t.pnl === 'number' && t.pnl > 0));
+  const losses = closed.filter((t) => (typeof t.pnl === 'number' && t.pnl < 0));
+
+  const sum = (arr) => arr.reduce((acc, t) => acc + (typeof t.pnl === 'number' ? t.pnl : 0), 0);
+  const totalPnL = sum(closed);
+  // Trade pnl is before fees (see src/engines/fees.js); the ledger summary and netPnL subtract them.
+  const totalFees = closed.reduce((acc, t) => acc + (finite(t.fees) ? t.fees : 0), 0);
+  const winPnL = sum(wins);
+  const lossPnL = sum(losses); // negative
+
+  const avgWin = wins.length ? (winPnL / wins.length) : null;
+  const avgLoss = losses.length ? (lossPnL / losses.length) : null;
+  const winRate = closed.length ? (wins.length / closed.length) : null;
+  const profitFactor = (lossPnL !== 0) ? (winPnL / Math.abs(lossPnL)) : null;
+  const expectancy = closed.length ? (totalPnL / closed.length) : null;
+
+  // Fill quality (depth-aware paper fills). Slippage is $/share vs top of book; positive = worse.
+  const avgOf = (arr, key) => {
+    const xs = arr.map((t) => t[key]).filter((x) => typeof x === 'number' && Number.isFinite(x));
+    return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+  };
+  const bookFilled = closed.filter((t) => t.fillModel === 'book');
+
+  // Hold-to-expiry vs exit-early: realized PnL against what the same trades would have paid at settlement.
+  const resolvedTrades = closed.filter((t) => holdToExpiryPnl(t) !== null);
+  const realizedOnResolved = sum(resolvedTrades);
+  const holdToExpiryPnL = resolvedTrades.reduce((acc, t) => acc + holdToExpiryPnl(t), 0);
+
+  // Mid vs executable: the same trades valued at quote mids and at the prices actually hit.
+  const quoted = closed.map((t) => ({ t, mid: midPricePnl(t) })).filter((x) => x.mid !== null);
+  const pnlAtMid = quoted.reduce((acc, x) => acc + x.mid, 0);
+  const pnlExecutable = sum(quoted.map((x) => x.t));
+
+  return {
+    overview: {
+      closedTrades: closed.length,
+      wins: wins.length,
+      losses: losses.length,
+      totalPnL,
+      totalFees,
+      netPnL: totalPnL - totalFees,
+      winRate,
+      avgWin,
+      avgLoss,
+      profitFactor,
+      expectancy,
+      avgEntrySlippage: avgOf(bookFilled, 'slippage'),
+      avgExitSlippage: avgOf(closed.filter((t) => t.exitFillModel === 'book'), 'exitSlippage'),
+      avgLevelsConsumed: avgOf(bookFilled, 'levelsConsumed'),
+      partialEntryFills: bookFilled.filter((t) => t.fillStatus === 'PARTIAL').length,
+      pendingResolution: trades.filter((t) => t && t.status === 'PENDING_RESOLUTION').length
+    },
+    holdVsExit: {
+      trades: resolvedTrades.length,
+      realizedPnL: realizedOnResolved,
+      holdToExpiryPnL,
+      difference: holdToExpiryPnL - realizedOnResolved
+    },
+    midVsExecutable: {
+      trades: quoted.length,
+      pnlAtMid,
+      pnlExecutable,
+      spreadCost: pnlAtMid - pnlExecutable
+    },
+    sizing: compareSizing(closed, { startingBalance, flatStakePct }),
+    entryOrders: compareEntryOrders(orders, trades),
+    excursions: computeExcursions(closed, { stopLossPct, takeProfitPct }),
+    byEntryOrderType: groupSummary(closed, (t) => t.entryOrderType || 'market'),
+    bySizingMode: groupSummary(closed, (t) => t.sizingMode || 'flat'),
+    byExitMode: groupSummary(closed, (t) => t.exitModeAtEntry || 'unknown'),
+    byStrategy: groupSummary(closed, (t) => (t.strategyName ? `${t.strategyName}@${t.strategyVersion ?? '?'}` : 'unknown')),
+    byExitReason: groupSummary(closed, (t) => t.exitReason || 'unknown'),
+    byEntryPhase: groupSummary(closed, (t) => t.entryPhase || 'unknown'),
+    byEntryPriceBucket: groupSummary(closed, (t) => bucketEntryPrice(t)),
+    byEntryTimeLeftBucket: groupSummary(closed, (t) => bucketTimeLeftMin(t)),
+    byEntryProbBucket: groupSummary(closed, (t) => bucketProb(t)),
+    byEntryLiquidityBucket: groupSummary(closed, (t) => bucketLiquidity(t)),
+    byEntryMarketVolumeBucket: groupSummary(closed, (t) => bucketMarketVolume(t)),
+    byEntrySpreadBucket: groupSummary(closed, (t) => bucketSpread(t)),
+    bySide: groupSummary(closed, (t) => t.side || 'unknown'),
+    byRecActionAtEntry: groupSummary(closed, (t) => t.recActionAtEntry || 'unknown'),
+    bySideInferred: groupSummary(closed, (t) => {
+      if (t.sideInferred === true) return 'inferred';
+      if (t.sideInferred === false) return 'explicit';
+      return 'unknown';
+    })
+  };
+}
+
+// Paper accounts side by side, best net PnL first. `accounts`: [{ name, trades, startingBalance, overrides }].
+// Net figures subtract fees; maxDrawdown is the largest peak-to-trough fall of equity over closed trades in
+// exit order, in $ and as a fraction of the peak.
+export function computeLeaderboard(accounts) {
+  const rows = (Array.isArray(accounts) ? accounts : []).map(({ name, trades, startingBalance = 1000, overrides = {} }) => {
+    const all = Array.isArray(trades) ? trades : [];
+    const closed = all
+      .filter((t) => t && t.status === 'CLOSED')
+      .sort((a, b) => (Date.parse(a.exitTime ?? '') || 0) - (Date.parse(b.exitTime ?? '') || 0));
+    const net = closed.map((t) => (finite(t.pnl) ? t.pnl : 0) - (finite(t.fees) ? t.fees : 0));
+    const wins = net.filter((x) => x > 0);
+    const losses = net.filter((x) => x <= 0);
+    const netPnL = net.reduce((a, b) => a + b, 0);
+    const lossSum = losses.reduce((a, b) => a + b, 0);
+
+    let equity = startingBalance;
+    let peak = startingBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    for (const x of net) {
+      equity += x;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      if (peak > 0) maxDrawdownPct = Math.max(maxDrawdownPct, (peak - equity) / peak);
+    }
+
+    return {
+      name,
+      closedTrades: closed.length,
+      openTrades: all.filter((t) => t && (t.status === 'OPEN' || t.status === 'PENDING_RESOLUTION')).length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: closed.length ? wins.length / closed.length : null,
+      netPnL,
+      totalFees: closed.reduce((acc, t) => acc + (finite(t.fees) ? t.fees : 0), 0),
+      profitFactor: lossSum !== 0 ? wins.reduce((a, b) => a + b, 0) / Math.abs(lossSum) : null,
+      expectancy: closed.length ? netPnL / closed.length : null,
+      startingBalance,
+      balance: startingBalance + netPnL,
+      returnPct: startingBalance > 0 ? netPnL / startingBalance : null,
+      maxDrawdown,
+      maxDrawdownPct,
+      overrides
+    };
+  });
+  rows.sort((a, b) => b.netPnL - a.netPnL || a.name.localeCompare(b.name));
+  return rows.map((r, i) => ({ rank: i + 1, ...r }));
+}
@@ -0,0 +1,102 @@
+import fs from "node:fs";
+import path from "node:path";
+import { loadCandles, loadPolyQuotes, toMs } from "./fixtures.js";
+import { runBacktest, BACKTESTS_DIR } from "./runner.js";
+
+// npm run backtest -- --candles data/btc_1m.csv --poly data/poly.jsonl [options]
+//
+//   --ledger <file>      ledger output (default: ./paper_trading/backtests/backtest-<timestamp>.json)
+//   --overwrite          allow --ledger to replace an existing file outside paper_trading/backtests
+//   --step <seconds>     simulated clock step (default: 60)
+//   --from / --to <t>    limit the replay window (epoch ms/s or ISO)
+//   --strategy <name>    decision strategy from src/strategies (default: CONFIG.strategy)
+//   --set key=value      override a CONFIG.paperTrading value for this run (repeatable)
+
+function usage() {
+  console.log("Usage: npm run backtest -- --candles <csv|jsonl> --poly <csv|jsonl> [--ledger file [--overwrite]] [--step seconds] [--from t] [--to t] [--strategy name] [--set key=value ...]");
+}
+
+function parseValue(raw) {
+  if (raw === "true") return true;
+  if (raw === "false") return false;
+  const n = Number(raw);
+  return raw !== "" && Number.isFinite(n) ? n : raw;
+}
+
+function parseArgs(argv) {
+  const args = { set: {} };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === "--candles") args.candles = next();
+    else if (a === "--poly") args.poly = next();
+    else if (a === "--ledger") args.ledger = next();
+    else if (a === "--overwrite") args.overwrite = true;
+    else if (a === "--step") args.step = Number(next());
+    else if (a === "--from") args.from = toMs(next());
+    else if (a === "--to") args.to = toMs(next());
+    else if (a === "--strategy") args.strategy = next();
+    else if (a === "--set") {
+      const [k, ...rest] = String(next() ?? "").split("=");
+      if (k) args.set[k] = parseValue(rest.join("="));
+    } else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+function fmtUsd(x) {
+  return (typeof x === "number" && Number.isFinite(x)) ? `$${x.toFixed(2)}` : "-";
+}
+
+function fmtPct(x) {
+  return (typeof x === "number" && Number.isFinite(x)) ? `${(x * 100).toFixed(1)}%` : "-";
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.candles || !args.poly) {
+    usage();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const candles = loadCandles(args.candles);
+  const polyQuotes = loadPolyQuotes(args.poly);
+  const ledgerFile = args.ledger || path.join(BACKTESTS_DIR, `backtest-${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
+
+  console.log(`Backtest: ${candles.length} candles, ${polyQuotes.length} Polymarket quotes -> ${ledgerFile}`);
+  const result = await runBacktest({
+    candles,
+    polyQuotes,
+    ledgerFile,
+    stepSeconds: Number.isFinite(args.step) && args.step > 0 ? args.step : 60,
+    fromMs: args.from ?? null,
+    toMs: args.to ?? null,
+    strategy: args.strategy ?? null,
+    overwrite: Boolean(args.overwrite),
+    paperTrading: args.set
+  });
+
+  const o = result.analytics.overview;
+  console.log("\n--- Backtest summary ---");
+  console.log(`Strategy:      ${result.strategy.name}@${result.strategy.version}`);
+  console.log(`Window:        ${new Date(result.fromMs).toISOString()} -> ${new Date(result.toMs).toISOString()} (${result.ticks} ticks)`);
+  console.log(`Closed trades: ${o.closedTrades} (W ${o.wins} / L ${o.losses}), still open: ${result.openTrades}`);
+  console.log(`Total PnL:     ${fmtUsd(o.totalPnL)}   Win rate: ${fmtPct(o.winRate)}   Expectancy: ${fmtUsd(o.expectancy)}`);
+  console.log(`Avg win/loss:  ${fmtUsd(o.avgWin)} / ${fmtUsd(o.avgLoss)}   Profit factor: ${o.profitFactor === null ? "-" : o.profitFactor.toFixed(2)}`);
+  console.log("By exit reason:");
+  for (const row of result.analytics.byExitReason) console.log(`  ${row.key.padEnd(24)} ${String(row.count).padStart(4)}  ${fmtUsd(row.pnl)}`);
+  const ex = result.analytics.excursions;
+  if (ex.trades) {
+    console.log(`Excursions:    winners red first ${ex.winners.redFirst}/${ex.winners.trades} (median MAE ${fmtPct(ex.winners.maeP50 === null ? null : -ex.winners.maeP50)}), losers green first ${ex.losers.greenFirst}/${ex.losers.trades} (median MFE ${fmtPct(ex.losers.mfeP50)})`);
+  }
+
+  const summaryFile = ledgerFile.replace(/\.json$/i, "") + ".summary.json";
+  fs.writeFileSync(summaryFile, JSON.stringify(result, null, 2), "utf8");
+  console.log(`\nLedger: ${ledgerFile}\nSummary: ${summaryFile}`);
+}
+
+main().catch((err) => {
+  console.error(`Backtest failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Offline backtest inputs. Both loaders accept CSV (header row) or JSONL (one object per line).
+//
+// Candles (1m BTC):       openTime,open,high,low,close[,volume]
+// Polymarket quotes:      ts,up,down[,slug][,upBid,upAsk,downBid,downAsk][,liquidity]
+//                         (JSONL rows may also carry books: { up, down } in the CLOB /book shape)
+//
+// Timestamps may be epoch ms, epoch seconds or ISO strings. Prices are dollars (0..1).
+
+function toNumber(x) {
+  if (x === null || x === undefined || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function toMs(x) {
+  if (x === null || x === undefined || x === "") return null;
+  const n = Number(x);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const parsed = Date.parse(String(x));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+export function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  if (!lines.length) return [];
+  const header = lines[0].split(",").map((h) => h.trim());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",");
+    const row = {};
+    header.forEach((h, i) => { row[h] = cells[i]?.trim() ?? ""; });
+    return row;
+  });
+}
+
+export function parseJsonl(text) {
+  const rows = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      // skip malformed lines
+    }
+  }
+  return rows;
+}
+
+export function loadRows(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".csv") return parseCsv(text);
+  if (ext === ".json") {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [];
+  }
+  return parseJsonl(text);
+}
+
+export function normalizeCandles(rows) {
+  const byOpen = new Map();
+  for (const r of rows) {
+    const openTime = toMs(r.openTime ?? r.open_time ?? r.time ?? r.timestamp ?? r.ts);
+    const open = toNumber(r.open);
+    const high = toNumber(r.high);
+    const low = toNumber(r.low);
+    const close = toNumber(r.close);
+    if (openTime === null || open === null || high === null || low === null || close === null) continue;
+    byOpen.set(openTime, {
+      openTime,
+      open,
+      high,
+      low,
+      close,
+      volume: toNumber(r.volume) ?? 0,
+      closeTime: openTime + 60_000
+    });
+  }
+  return Array.from(byOpen.values()).sort((a, b) => a.openTime - b.openTime);
+}
+
+export function normalizePolyQuotes(rows) {
+  return rows
+    .map((r) => ({
+      ts: toMs(r.ts ?? r.timestamp ?? r.time),
+      slug: r.slug ? String(r.slug) : null,
+      up: toNumber(r.up ?? r.upPrice ?? r.priceUp),
+      down: toNumber(r.down ?? r.downPrice ?? r.priceDown),
+      upBid: toNumber(r.upBid),
+      upAsk: toNumber(r.upAsk),
+      downBid: toNumber(r.downBid),
+      downAsk: toNumber(r.downAsk),
+      liquidity: toNumber(r.liquidity ?? r.liquidityNum),
+      books: r.books && typeof r.books === "object" ? r.books : null
+    }))
+    .filter((q) => q.ts !== null && (q.up !== null || q.down !== null))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+export function loadCandles(filePath) {
+  return normalizeCandles(loadRows(filePath));
+}
+
+export function loadPolyQuotes(filePath) {
+  return normalizePolyQuotes(loadRows(filePath));
+}
@@ -0,0 +1,169 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { evaluateSignals, createIndicatorEngine } from "../engines/pipeline.js";
+import { getCandleWindowTiming } from "../utils.js";
+import { createLedger } from "../paper_trading/ledger.js";
+import { journalPathFor } from "../paper_trading/ledgerJournal.js";
+import { RiskManager } from "../paper_trading/riskManager.js";
+import { Trader } from "../paper_trading/trader.js";
+import { createResolutionTracker } from "../paper_trading/resolution.js";
+import { computeAnalytics } from "../analytics/tradeAnalytics.js";
+import { getStrategy } from "../strategies/index.js";
+
+// Replays historical 1m candles + Polymarket quotes through the live signal chain
+// (evaluateSignals -> Trader.processSignals -> Trader.checkResolutions) on a simulated clock.
+//
+// No lookahead: at simulated time t only candles with closeTime <= t are visible, the BTC price is
+// the last closed candle's close, and the quote is the latest row with ts <= t in the current window.
+// Markets resolve from the candles themselves (UP if the window's last close >= its first open)
+// once the window's final candle has closed.
+
+const CANDLE_BUFFER = 240; // same history the live loop keeps
+
+// Backtest ledgers live here; a run may reuse (reset) a file in this directory.
+export const BACKTESTS_DIR = "./paper_trading/backtests";
+
+function isInside(dir, file) {
+  const rel = path.relative(path.resolve(dir), path.resolve(file));
+  return rel !== "" && !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+export function marketSlugForWindow(startMs, windowMinutes = CONFIG.candleWindowMinutes) {
+  return `btc-updown-${windowMinutes}m-${Math.floor(startMs / 1000)}`;
+}
+
+function bookSummary(bid, ask) {
+  const spread = (bid !== null && ask !== null) ? ask - bid : null;
+  return { bestBid: bid, bestAsk: ask, spread, bidLiquidity: null, askLiquidity: null };
+}
+
+export async function runBacktest({
+  candles,
+  polyQuotes,
+  ledgerFile,
+  stepSeconds = 60,
+  fromMs = null,
+  toMs = null,
+  maxQuoteAgeMs = 120_000,
+  strategy = null,
+  overwrite = false,
+  paperTrading = {},
+  onTick = null
+}) {
+  if (!Array.isArray(candles) || !candles.length) throw new Error("runBacktest: no candles");
+  if (!ledgerFile) throw new Error("runBacktest: ledgerFile is required");
+  // The run starts from an empty ledger, so never wipe an existing ledger elsewhere (e.g. the live
+  // trades.json) unless asked to.
+  if (!overwrite && !isInside(BACKTESTS_DIR, ledgerFile) && (fs.existsSync(ledgerFile) || fs.existsSync(journalPathFor(ledgerFile)))) {
+    throw new Error(`runBacktest: ${ledgerFile} already exists outside ${BACKTESTS_DIR}; pass overwrite (--overwrite) to replace it`);
+  }
+
+  const activeStrategy = (strategy && typeof strategy === "object") ? strategy : getStrategy(strategy ?? undefined);
+  const windowMs = CONFIG.candleWindowMinutes * 60_000;
+  const stepMs = Math.max(1, stepSeconds) * 1000;
+  const quotes = Array.isArray(polyQuotes) ? polyQuotes : [];
+  const candleByOpen = new Map(candles.map((c) => [c.openTime, c]));
+  const windowStarts = new Map(); // slug -> window start ms
+
+  // Settlement from candles, only once the window's last candle is visible to the simulated clock.
+  let nowMs = fromMs ?? candles[0].closeTime;
+  const fetchMarket = async (slug) => {
+    const startMs = windowStarts.get(slug);
+    const unresolved = { slug, outcomes: ["Up", "Down"], outcomePrices: ["0.5", "0.5"], closed: false };
+    if (startMs === undefined) return unresolved;
+    const first = candleByOpen.get(startMs);
+    const last = candleByOpen.get(startMs + windowMs - 60_000);
+    if (!first || !last || last.closeTime > nowMs) return unresolved;
+    const upWon = last.close >= first.open;
+    return { slug, outcomes: ["Up", "Down"], outcomePrices: upWon ? ["1", "0"] : ["0", "1"], closed: true, umaResolutionStatus: "resolved" };
+  };
+
+  // This run's settings. The Trader reads them instead of CONFIG.paperTrading, which is never modified.
+  const settings = { ...CONFIG.paperTrading, enabled: true, ...paperTrading };
+
+  // initialize() takes the writer lock (a ledger the bot is using fails here), then the store is emptied.
+  const ledgerStore = createLedger({ filePath: ledgerFile });
+  await ledgerStore.initialize();
+  await ledgerStore.reset();
+
+  const trader = new Trader({
+    now: () => nowMs,
+    ledger: ledgerStore,
+    paperTrading: settings,
+    executionMode: "paper",
+    resolutionTracker: createResolutionTracker({ fetchMarket, pollMs: 0, now: () => nowMs }),
+    // Halt state stays in memory so a backtest never trips (or clears) the live halt.
+    riskManager: new RiskManager({ now: () => nowMs, stateFile: null, paperTrading: settings })
+  });
+  await trader.initialize();
+
+  const endMs = toMs ?? candles[candles.length - 1].closeTime;
+  let candleIdx = 0; // candles[0..candleIdx) are closed
+  let quoteIdx = 0;  // quotes[0..quoteIdx) have ts <= now
+  let ticks = 0;
+  const indicatorEngine = createIndicatorEngine();
+
+  for (; nowMs <= endMs; nowMs += stepMs) {
+    while (candleIdx < candles.length && candles[candleIdx].closeTime <= nowMs) candleIdx += 1;
+    while (quoteIdx < quotes.length && quotes[quoteIdx].ts <= nowMs) quoteIdx += 1;
+
+    const klines1m = candles.slice(Math.max(0, candleIdx - CANDLE_BUFFER), candleIdx);
+    const currentPrice = klines1m.length ? klines1m[klines1m.length - 1].close : null;
+    const timing = getCandleWindowTiming(CONFIG.candleWindowMinutes, nowMs);
+
+    const quote = quoteIdx > 0 ? quotes[quoteIdx - 1] : null;
+    const quoteLive = quote && quote.ts >= timing.startMs && nowMs - quote.ts <= maxQuoteAgeMs;
+    const slug = (quoteLive && quote.slug) ? quote.slug : marketSlugForWindow(timing.startMs);
+    windowStarts.set(slug, timing.startMs);
+
+    const market = {
+      slug,
+      question: `Bitcoin Up or Down (backtest window ${new Date(timing.startMs).toISOString()})`,
+      endDate: new Date(timing.endMs).toISOString(),
+      liquidityNum: quoteLive ? quote.liquidity : null,
+      outcomes: ["Up", "Down"]
+    };
+    const polySnapshot = {
+      ok: true,
+      market,
+      tokens: { upTokenId: null, downTokenId: null },
+      prices: { up: quoteLive ? quote.up : null, down: quoteLive ? quote.down : null },
+      orderbook: {
+        up: bookSummary(quoteLive ? quote.upBid : null, quoteLive ? quote.upAsk : null),
+        down: bookSummary(quoteLive ? quote.downBid : null, quoteLive ? quote.downAsk : null)
+      },
+      books: { up: quoteLive ? (quote.books?.up ?? null) : null, down: quoteLive ? (quote.books?.down ?? null) : null },
+      bookSource: "backtest"
+    };
+
+    // The window's opening price is known from its first instant, so it is not lookahead.
+    const priceToBeat = candleByOpen.get(timing.startMs)?.open ?? null;
+    const evaluated = evaluateSignals({ klines1m, currentPrice, timeLeftMin: timing.remainingMinutes, polySnapshot, priceToBeat, indicatorEngine, strategy: activeStrategy });
+    await trader.processSignals(evaluated.signalsForTrader, klines1m);
+    await trader.checkResolutions();
+    ticks += 1;
+
+    if (typeof onTick === "function") onTick({ nowMs, klines1m, polySnapshot, ...evaluated });
+  }
+
+  // Compact the journal into the ledger file and release its lock.
+  await ledgerStore.close();
+  const ledger = ledgerStore.get();
+  return {
+    ledgerFile,
+    strategy: { name: activeStrategy.name, version: activeStrategy.version },
+    ticks,
+    fromMs: fromMs ?? candles[0].closeTime,
+    toMs: endMs,
+    summary: ledger.summary,
+    openTrades: ledger.trades.filter((t) => t.status === "OPEN" || t.status === "PENDING_RESOLUTION").length,
+    analytics: computeAnalytics(ledger.trades, {
+      startingBalance: settings.startingBalance,
+      flatStakePct: settings.stakePct,
+      orders: ledger.orders,
+      stopLossPct: settings.stopLossPct,
+      takeProfitPct: settings.takeProfitPct
+    })
+  };
+}
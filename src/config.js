@@ -1,3 +1,12 @@
+// Numeric settings where 0 means something (a risk limit turned off, no minimum fill): unlike
+// `Number(env) || default`, an explicit 0 is kept. Unset, empty or non-numeric values fall back to the default.
+function numberFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : fallback;
+}
+
 export const CONFIG = {
   // Symbol for display/labels
   symbol: "BTCUSD",
@@ -8,7 +17,10 @@ export const CONFIG = {
   // Kraken configuration
   kraken: {
     baseUrl: process.env.KRAKEN_REST_BASE_URL || "https://api.kraken.com",
-    wsUrl: process.env.KRAKEN_WS_URL || "wss://ws.kraken.com",
+    // WS API v2 (trade + 1m ohlc channels). Set KRAKEN_WS_ENABLED=false to build candles from Chainlink ticks only.
+    wsUrl: process.env.KRAKEN_WS_URL || "wss://ws.kraken.com/v2",
+    wsEnabled: (process.env.KRAKEN_WS_ENABLED || "true").toLowerCase() === "true",
+    wsSymbol: process.env.KRAKEN_WS_SYMBOL || "BTC/USD",
     pair: process.env.KRAKEN_PAIR || "XXBTZUSD"
   },
 
@@ -28,6 +40,50 @@ export const CONFIG = {
   macdSlow: 26,
   macdSignal: 9,
 
+  // Higher timeframes aggregated from the 1m buffer (src/indicators/timeframes.js). The live buffer keeps
+  // 240 1m candles, so the 1h bundle sees ~4 candles: enough for a VWAP slope, not for RSI/MACD.
+  timeframes: {
+    minutes: (process.env.HTF_TIMEFRAMES || "5,15,60").split(",").map((s) => Number(s.trim())).filter((n) => Number.isFinite(n) && n > 1),
+    // Timeframe whose VWAP slope is "the trend" for scoring, regime and the entry agreement filter.
+    trend: process.env.HTF_TREND_TIMEFRAME || "1h",
+    // Extra scoreDirection points for the side the trend timeframe agrees with (0 = off).
+    scoreWeight: Number(process.env.HTF_SCORE_WEIGHT) || 0,
+    // Downgrade 1m TREND_UP/TREND_DOWN regimes to RANGE when the trend timeframe points the other way.
+    regimeAgreement: (process.env.HTF_REGIME_AGREEMENT || "false").toLowerCase() === "true"
+  },
+
+  // Decision strategy (src/strategies): engine inputs + market snapshot -> modelUp/modelDown/rec.
+  // - indicator-vote: scoreDirection votes shrunk toward 0.5 as the window runs out
+  // - fair-value: lognormal P(close >= price to beat) from realized 1m volatility (src/engines/fairValue.js),
+  //   falling back to indicator-vote while the price to beat or enough candles are missing
+  // PROBABILITY_MODEL=fair_value is still accepted as an alias for STRATEGY=fair-value.
+  strategy: process.env.STRATEGY || ((process.env.PROBABILITY_MODEL || "").toLowerCase() === "fair_value" ? "fair-value" : "indicator-vote"),
+  fairValue: {
+    volLookbackMinutes: Number(process.env.FAIR_VALUE_VOL_LOOKBACK_MINUTES) || 60,
+    // Volatility floor (basis points per minute) so flat Chainlink-only candles don't imply certainty.
+    minVolBpsPerMin: Number(process.env.FAIR_VALUE_MIN_VOL_BPS) || 1,
+    // Momentum drift: weight on the mean 1m log return over driftLookbackMinutes (0 = driftless).
+    driftWeight: Number(process.env.FAIR_VALUE_DRIFT_WEIGHT) || 0,
+    driftLookbackMinutes: Number(process.env.FAIR_VALUE_DRIFT_LOOKBACK_MINUTES) || 15
+  },
+
+  // Trading fees (src/engines/fees.js), charged on every paper fill and netted out of the edge.
+  // Schedule types: "curve" (rate * (p * (1 - p)) ^ exponent of notional), "flat" (rate of notional), "none".
+  // Defaults follow the 15m crypto markets: curve taker fee (1.56% at 50¢), no maker fee.
+  fees: {
+    enabled: (process.env.FEES_ENABLED || "true").toLowerCase() === "true",
+    taker: {
+      type: (process.env.FEE_TAKER_TYPE || "curve").toLowerCase(),
+      rate: Number(process.env.FEE_TAKER_RATE) || 0.25,
+      exponent: Number(process.env.FEE_TAKER_EXPONENT) || 2
+    },
+    maker: {
+      type: (process.env.FEE_MAKER_TYPE || "none").toLowerCase(),
+      rate: Number(process.env.FEE_MAKER_RATE) || 0,
+      exponent: Number(process.env.FEE_MAKER_EXPONENT) || 2
+    }
+  },
+
   // Polymarket market settings
   polymarket: {
     marketSlug: process.env.POLYMARKET_SLUG || "",
@@ -35,6 +91,10 @@ export const CONFIG = {
     seriesSlug: process.env.POLYMARKET_SERIES_SLUG || "btc-up-or-down-15m",
     autoSelectLatest: (process.env.POLYMARKET_AUTO_SELECT_LATEST || "true").toLowerCase() === "true",
     liveDataWsUrl: process.env.POLYMARKET_LIVE_WS_URL || "wss://ws-live-data.polymarket.com",
+    // CLOB market channel (order book snapshots + deltas). Set POLYMARKET_CLOB_WS_URL="" to poll REST /book only.
+    clobWsUrl: process.env.POLYMARKET_CLOB_WS_URL ?? "wss://ws-subscriptions-clob.polymarket.com/ws/market",
+    // Fall back to REST when the book socket has been silent for longer than this.
+    clobWsStaleMs: Number(process.env.POLYMARKET_CLOB_WS_STALE_MS) || 15_000,
     upOutcomeLabel: process.env.POLYMARKET_UP_LABEL || "Up",
     downOutcomeLabel: process.env.POLYMARKET_DOWN_LABEL || "Down"
   },
@@ -45,7 +105,9 @@ export const CONFIG = {
     polygonRpcUrl: process.env.POLYGON_RPC_URL || "https://polygon-rpc.com",
     polygonWssUrls: (process.env.POLYGON_WSS_URLS || "").split(",").map((s) => s.trim()).filter(Boolean),
     polygonWssUrl: process.env.POLYGON_WSS_URL || "",
-    btcUsdAggregator: process.env.CHAINLINK_BTC_USD_AGGREGATOR || "0xc907E116054Ad103354f2D350FD2514433D57F6f"
+    btcUsdAggregator: process.env.CHAINLINK_BTC_USD_AGGREGATOR || "0xc907E116054Ad103354f2D350FD2514433D57F6f",
+    // Captured window opening prices ("price to beat"), keyed by market slug.
+    priceToBeatFile: process.env.PRICE_TO_BEAT_FILE || "./paper_trading/price_to_beat.json"
   },
 
   // Paper trading settings
@@ -60,7 +122,39 @@ export const CONFIG = {
 
     // Back-compat (legacy fixed size). If stakePct is set, we use dynamic sizing.
     contractSize: Number(process.env.PAPER_CONTRACT_SIZE) || 100,
-    
+
+    // Sizing mode:
+    // - flat: stakePct of balance (above)
+    // - kelly: fractional Kelly from the model probability q and the executable entry price p (fees included):
+    //   f* = (q - p) / (1 - p), staked as min(kellyMaxFraction, kellyMultiplier * f*) of balance; no trade when f* <= 0.
+    // minTradeUsd / maxTradeUsd clamp both modes.
+    sizingMode: (process.env.SIZING_MODE || "flat").toLowerCase(),
+    kellyMultiplier: Number(process.env.KELLY_MULTIPLIER) || 0.25,
+    kellyMaxFraction: Number(process.env.KELLY_MAX_FRACTION) || 0.2,
+
+    // Fill simulation: walk the order book ladder instead of filling the whole size at the quoted price.
+    depthAwareFills: (process.env.DEPTH_AWARE_FILLS || "true").toLowerCase() === "true",
+    // Skip entries when the book can only absorb less than this fraction of the requested size (0: take any fill).
+    minFillRatio: numberFromEnv("MIN_FILL_RATIO", 0.5),
+
+    // Entry order type (src/paper_trading/limitOrders.js):
+    // - market: cross the spread and take the ask (taker fee).
+    // - limit: rest a bid limitOffset above the best bid (never at or above the ask, on the limitTick grid). It fills
+    //   at its own price once the book's ask or a trade print moves through it (maker fee), is cancelled/replaced
+    //   when the signal goes away or the side/price changes, and expires after limitTtlSeconds or under
+    //   limitCancelMinutesLeft minutes to the window end.
+    entryOrderType: (process.env.ENTRY_ORDER_TYPE || "market").toLowerCase(),
+    limitOffset: Number(process.env.LIMIT_OFFSET) || 0.01,
+    limitTick: Number(process.env.LIMIT_TICK) || 0.01,
+    limitTtlSeconds: Number(process.env.LIMIT_TTL_SECONDS) || 30,
+    limitCancelMinutesLeft: Number(process.env.LIMIT_CANCEL_MINUTES_LEFT) || 1,
+    // Adverse selection: the held token's mid this long after the entry fill is stamped on the trade (markoutMid).
+    markoutSeconds: Number(process.env.MARKOUT_SECONDS) || 60,
+    // MFE/MAE tracking (src/paper_trading/excursion.js): one price path row per excursionSampleSeconds,
+    // thinned to at most excursionMaxPathPoints rows per trade.
+    excursionSampleSeconds: Number(process.env.EXCURSION_SAMPLE_SECONDS) || 5,
+    excursionMaxPathPoints: Number(process.env.EXCURSION_MAX_PATH_POINTS) || 120,
+
     // Thresholds (higher = more hesitation)
     minProbEarly: Number(process.env.MIN_PROB_EARLY) || 0.58,
     minProbMid: Number(process.env.MIN_PROB_MID) || 0.62,
@@ -79,21 +173,54 @@ export const CONFIG = {
     inferredProbBoost: Number(process.env.INFERRED_PROB_BOOST) || 0.03,
     inferredEdgeBoost: Number(process.env.INFERRED_EDGE_BOOST) || 0.03,
     
-    // Exit settings
-    // Stop loss is enabled for Polymarket paper trades.
+    // Exit settings (defaults for the exit rules below)
     // Example: 0.25 => cut the trade if it loses 25% of contractSize.
     stopLossPct: Number(process.env.STOP_LOSS_PCT) || 0.20,
-    // Take profit remains unused for now.
-    takeProfitPct: Number(process.env.TAKE_PROFIT_PCT) || 0.08, // unused
+    // Example: 0.08 => bank the trade once it is up 8% of contractSize (take_profit rule).
+    takeProfitPct: Number(process.env.TAKE_PROFIT_PCT) || 0.08,
+
+    // Exit rules (src/paper_trading/exitRules.js), checked in order every tick; the first one that fires
+    // closes the trade and becomes its exitReason. Rule types: take_profit, trailing_stop, stop_loss, time,
+    // prob_flip, price_to_beat. EXIT_PROFILE picks a profile; EXIT_RULES (JSON array of { type, ...params })
+    // replaces it. Market rollover and hold-to-expiry settlement are handled outside the rules.
+    exitProfile: (process.env.EXIT_PROFILE || "default").toLowerCase(),
+    exitProfiles: {
+      // Conditional stop loss + End of Candle.
+      default: [{ type: "stop_loss" }, { type: "time" }],
+      // Bank quick wins and trail the rest; plain stop.
+      scalp: [
+        { type: "take_profit" },
+        { type: "trailing_stop", activatePct: 0.05, trailPct: 0.15 },
+        { type: "stop_loss", requireFlip: false },
+        { type: "time" }
+      ],
+      // Ride the model; leave when it flips for good or BTC is well through the price to beat late on.
+      conviction: [
+        { type: "prob_flip", hysteresis: 0.02, confirmTicks: 3 },
+        { type: "price_to_beat", againstBps: 10, maxMinutesLeft: 5 },
+        { type: "stop_loss" },
+        { type: "time" }
+      ]
+    },
+    exitRules: process.env.EXIT_RULES ? JSON.parse(process.env.EXIT_RULES) : null,
 
-    // Dynamic exit: close when opposite side becomes more likely.
-    // Example: if you're in UP and modelDown >= modelUp + exitFlipMargin AND modelDown >= exitFlipMinProb → exit.
+    // Expiry behaviour:
+    // - early: close at the quoted price near the end of the window ("End of Candle") / on rollover.
+    // - hold: keep the position through expiry and settle shares at $1/$0 once Gamma reports the outcome.
+    exitMode: (process.env.EXIT_MODE || "early").toLowerCase(),
+    // How often to poll Gamma per unresolved market slug.
+    resolutionPollSeconds: Number(process.env.RESOLUTION_POLL_SECONDS) || 30,
+    // Early-exit trades closed within this window also get the resolved outcome stamped (for analytics).
+    resolutionLookbackHours: Number(process.env.RESOLUTION_LOOKBACK_HOURS) || 24,
+
+    // Model flip (stop_loss requireFlip and the prob_flip rule): the opposite side became more likely.
+    // Example: if you're in UP and modelDown >= modelUp + exitFlipMargin AND modelDown >= exitFlipMinProb → flipped.
     exitFlipMinProb: Number(process.env.EXIT_FLIP_MIN_PROB) || 0.62,
     exitFlipMargin: Number(process.env.EXIT_FLIP_MARGIN) || 0.06,
     // Avoid noisy early flips: require trade to be open at least this long before flip-exit is allowed.
     exitFlipMinHoldSeconds: Number(process.env.EXIT_FLIP_MIN_HOLD_SECONDS) || 60,
 
-    // When a probability flip happens, optionally close and immediately open the other side.
+    // When the prob_flip rule fires, optionally close and immediately open the other side.
     // Default OFF (analytics showed flips were a major drag on PnL). Set FLIP_ON_PROB_FLIP=true to re-enable.
     flipOnProbabilityFlip: (process.env.FLIP_ON_PROB_FLIP || "false").toLowerCase() === "true",
     flipCooldownSeconds: Number(process.env.FLIP_COOLDOWN_SECONDS) || 180,
@@ -107,7 +234,10 @@ export const CONFIG = {
     // Max allowed Polymarket orderbook spread (dollars). 0.01 = 1¢
     maxSpread: Number(process.env.MAX_SPREAD) || 0.01,
 
-    // Trading schedule filter (America/Los_Angeles)
+    // Time zone for the schedule filter and the risk manager's trading day.
+    timeZone: process.env.TRADING_TIME_ZONE || "America/Los_Angeles",
+
+    // Trading schedule filter (timeZone above)
     // Weekday-only entries; exits always allowed.
     weekdaysOnly: (process.env.WEEKDAYS_ONLY || "true").toLowerCase() === "true",
     // Block new entries after this hour on Friday (0-23). Set empty/negative to disable.
@@ -147,10 +277,112 @@ export const CONFIG = {
     // - loose: allow entry if thresholds hit, even when Rec=NO_TRADE/HOLD
     recGating: (process.env.REC_GATING || "loose").toLowerCase(),
 
+    // Block entries while the BTC reference feeds disagree beyond PRICE_DIVERGENCE_BPS.
+    blockOnPriceDivergence: (process.env.BLOCK_ON_PRICE_DIVERGENCE || "true").toLowerCase() === "true",
+
+    // Only enter UP when the higher-timeframe trend (CONFIG.timeframes.trend VWAP slope) is up, DOWN when down.
+    requireHtfAgreement: (process.env.REQUIRE_HTF_AGREEMENT || "false").toLowerCase() === "true",
+
     // Forced entries OFF by default
     forcedEntriesEnabled: (process.env.FORCED_ENTRIES || "false").toLowerCase() === "true"
   },
 
+  // Risk limits checked before every paper entry (src/paper_trading/riskManager.js). 0 disables a limit.
+  risk: {
+    // Realized loss (net of fees) per trading day in paperTrading.timeZone.
+    maxDailyLossUsd: numberFromEnv("RISK_MAX_DAILY_LOSS_USD", 150),
+    // Pause entries for lossCooldownMinutes after this many losses in a row.
+    maxConsecutiveLosses: numberFromEnv("RISK_MAX_CONSECUTIVE_LOSSES", 5),
+    lossCooldownMinutes: numberFromEnv("RISK_LOSS_COOLDOWN_MINUTES", 60),
+    // Peak-to-trough equity drawdown that halts trading until a manual reset (POST /api/risk/reset).
+    maxDrawdownPct: numberFromEnv("RISK_MAX_DRAWDOWN_PCT", 0.25),
+    maxTradesPerHour: numberFromEnv("RISK_MAX_TRADES_PER_HOUR", 6),
+    // Persisted halt state (survives restarts).
+    stateFile: process.env.RISK_STATE_FILE || "./paper_trading/risk_state.json"
+  },
+
+  // Ledger persistence (src/paper_trading/ledger.js): changes go to an append-only journal, and every
+  // snapshotEvery events the journal is compacted into an atomically replaced trades.json.
+  ledger: {
+    snapshotEvery: Number(process.env.LEDGER_SNAPSHOT_EVERY) || 50
+  },
+
+  // Mark-to-market equity curve (src/paper_trading/equity.js): realized + unrealized equity every tick,
+  // stored as one point per sampleSeconds and capped at maxPoints.
+  equity: {
+    sampleSeconds: Number(process.env.EQUITY_SAMPLE_SECONDS) || 60,
+    maxPoints: Number(process.env.EQUITY_MAX_POINTS) || 20_000,
+    file: process.env.EQUITY_FILE || "./paper_trading/equity.jsonl"
+  },
+
+  // Extra paper accounts traded side by side with the default one on the same signals
+  // (src/paper_trading/accounts.js). PAPER_ACCOUNTS is a JSON array of
+  // { name, paperTrading: { ...overrides }, risk: { ...overrides } }; each account keeps its ledger, risk
+  // state and equity curve under dir/<name>/. The "default" account is the regular paper_trading/trades.json.
+  accounts: {
+    list: process.env.PAPER_ACCOUNTS ? JSON.parse(process.env.PAPER_ACCOUNTS) : [],
+    dir: process.env.PAPER_ACCOUNTS_DIR || "./paper_trading/accounts"
+  },
+
+  // Order execution (src/execution): the default trader's entries and exits go through the adapter `mode`
+  // picks. "paper" simulates fills against the book; "live" signs and sends real CLOB orders and needs BOTH
+  // LIVE_TRADING=true and LIVE_TRADING_CONFIRM set to the phrase in src/execution/liveGuard.js. Loopback URLs
+  // (the mock CLOB, `npm run mock-clob`) skip the opt-in. Extra paper accounts and backtests always use paper.
+  execution: {
+    mode: (process.env.EXECUTION_MODE || "paper").toLowerCase(),
+    liveTrading: (process.env.LIVE_TRADING || "false").toLowerCase() === "true",
+    liveTradingConfirm: process.env.LIVE_TRADING_CONFIRM || "",
+    // Where live orders go; defaults to clobBaseUrl (market data keeps using clobBaseUrl either way).
+    clobBaseUrl: process.env.EXECUTION_CLOB_BASE_URL || "",
+    privateKey: process.env.POLYMARKET_PRIVATE_KEY || "",
+    // Proxy wallet holding the funds (maker); empty = the private key's own address.
+    funderAddress: process.env.POLYMARKET_FUNDER_ADDRESS || "",
+    // 0 = EOA, 1 = Polymarket proxy (email/magic), 2 = browser wallet proxy (Gnosis Safe)
+    signatureType: Number(process.env.POLYMARKET_SIGNATURE_TYPE) || 0,
+    chainId: Number(process.env.POLYMARKET_CHAIN_ID) || 137,
+    exchangeAddress: process.env.POLYMARKET_EXCHANGE_ADDRESS || "0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E",
+    feeRateBps: Number(process.env.POLYMARKET_FEE_RATE_BPS) || 0,
+    // Existing L2 API credentials; when empty they are created (or derived) with the private key.
+    apiKey: process.env.POLYMARKET_API_KEY || "",
+    apiSecret: process.env.POLYMARKET_API_SECRET || "",
+    apiPassphrase: process.env.POLYMARKET_API_PASSPHRASE || "",
+    mockPort: Number(process.env.MOCK_CLOB_PORT) || 8787
+  },
+
+  // BTC reference price consensus across feeds (see src/data/priceAggregator.js).
+  priceConsensus: {
+    sources: (process.env.PRICE_SOURCES || "chainlink_ws,chainlink_rest,polymarket_ws,kraken_ws,kraken_rest").split(",").map((s) => s.trim()).filter(Boolean),
+    // "median" or "trimmed_mean"
+    method: (process.env.PRICE_CONSENSUS_METHOD || "median").toLowerCase(),
+    trimPct: Number(process.env.PRICE_TRIM_PCT) || 0.2,
+    // A feed whose last tick is older than this is ignored (and reported stale).
+    staleMs: Number(process.env.PRICE_STALE_MS) || 60_000,
+    // A fresh feed further than this from consensus (basis points) is flagged divergent.
+    divergenceBps: Number(process.env.PRICE_DIVERGENCE_BPS) || 25,
+    minSources: Number(process.env.PRICE_MIN_SOURCES) || 1
+  },
+
+  // Session journal: every raw feed event (WS ticks, Gamma markets, order books, Kraken REST seeds)
+  // written as gzip JSONL under paper_trading/sessions/ for post-mortems and replay fixtures.
+  recording: {
+    enabled: (process.env.RECORD_SESSIONS || "true").toLowerCase() === "true",
+    dir: process.env.RECORD_SESSIONS_DIR || "./paper_trading/sessions",
+    // Start a new part file after this many minutes or uncompressed bytes, whichever comes first.
+    rotateMinutes: Number(process.env.RECORD_ROTATE_MINUTES) || 60,
+    maxFileBytes: (Number(process.env.RECORD_MAX_FILE_MB) || 64) * 1024 * 1024
+  },
+
+  // Model calibration (src/analytics/calibration.js): snapshot the model at these minutes-left offsets
+  // into every window, label with the resolved outcome, serve Brier/log loss/reliability at /api/calibration.
+  calibration: {
+    enabled: (process.env.CALIBRATION_ENABLED || "true").toLowerCase() === "true",
+    file: process.env.CALIBRATION_FILE || "./paper_trading/calibration.jsonl",
+    offsetsMinutes: (process.env.CALIBRATION_OFFSETS || "10,5,2").split(",").map((s) => Number(s.trim())).filter((n) => Number.isFinite(n) && n > 0),
+    // Skip an offset when the loop first sees the window more than this many minutes past it.
+    toleranceMinutes: Number(process.env.CALIBRATION_TOLERANCE_MINUTES) || 1,
+    bins: Number(process.env.CALIBRATION_BINS) || 10
+  },
+
   // UI server settings
   uiPort: Number(process.env.UI_PORT) || 3000
 };
@@ -3,6 +3,7 @@ import { CONFIG } from "../config.js";
 
 const AGGREGATOR_ABI = [
   "function latestRoundData() view returns (uint80 roundId,int256 answer,uint256 startedAt,uint256 updatedAt,uint80 answeredInRound)",
+  "function getRoundData(uint80 _roundId) view returns (uint80 roundId,int256 answer,uint256 startedAt,uint256 updatedAt,uint80 answeredInRound)",
   "function decimals() view returns (uint8)"
 ];
 
@@ -11,7 +12,7 @@ const iface = new ethers.Interface(AGGREGATOR_ABI);
 let preferredRpcUrl = null;
 
 let cachedDecimals = null;
-let cachedResult = { price: null, updatedAt: null, source: "chainlink" };
+let cachedResult = { price: null, updatedAt: null, roundId: null, source: "chainlink" };
 let cachedFetchedAtMs = 0;
 const MIN_FETCH_INTERVAL_MS = 2_000;
 const RPC_TIMEOUT_MS = 1_500;
@@ -80,6 +81,18 @@ async function fetchLatestRoundData(rpcUrl, aggregator) {
   const result = await ethCall(rpcUrl, aggregator, data);
   const decoded = iface.decodeFunctionResult("latestRoundData", result);
   return {
+    roundId: decoded[0],
+    answer: decoded[1],
+    updatedAt: decoded[3]
+  };
+}
+
+async function fetchRoundData(rpcUrl, aggregator, roundId) {
+  const data = iface.encodeFunctionData("getRoundData", [roundId]);
+  const result = await ethCall(rpcUrl, aggregator, data);
+  const decoded = iface.decodeFunctionResult("getRoundData", result);
+  return {
+    roundId: decoded[0],
     answer: decoded[1],
     updatedAt: decoded[3]
   };
@@ -115,6 +128,7 @@ export async function fetchChainlinkBtcUsd() {
       cachedResult = {
         price,
         updatedAt: Number(round.updatedAt) * 1000,
+        roundId: round.roundId.toString(),
         source: "chainlink"
       };
       cachedFetchedAtMs = now;
@@ -128,3 +142,41 @@ export async function fetchChainlinkBtcUsd() {
 
   return cachedResult;
 }
+
+// Proxy round ids are (phaseId << 64) | aggregatorRoundId; rounds are only sequential within a phase.
+const PHASE_OFFSET = 64n;
+const AGGREGATOR_ROUND_MASK = (1n << PHASE_OFFSET) - 1n;
+
+// Find the round that was the latest answer at `targetMs`: the last round with updatedAt <= targetMs,
+// plus the round right after it (the first update past targetMs), by walking getRoundData back from
+// the latest round. Used to recover a window's opening price after starting late.
+export async function fetchChainlinkRoundAt(targetMs, { maxRounds = 240 } = {}) {
+  const aggregator = CONFIG.chainlink.btcUsdAggregator;
+  const rpcs = getOrderedRpcs();
+  if (!aggregator || rpcs.length === 0) return null;
+
+  for (const rpc of rpcs) {
+    try {
+      const decimals = cachedDecimals ?? await fetchDecimals(rpc, aggregator);
+      cachedDecimals = decimals;
+      const scale = 10 ** Number(decimals);
+      const toRound = (r) => ({ roundId: r.roundId.toString(), price: Number(r.answer) / scale, updatedAt: Number(r.updatedAt) * 1000 });
+
+      let round = await fetchLatestRoundData(rpc, aggregator);
+      let next = null;
+      for (let steps = 0; Number(round.updatedAt) * 1000 > targetMs; steps += 1) {
+        if (steps >= maxRounds || (round.roundId & AGGREGATOR_ROUND_MASK) <= 1n) return null;
+        next = round;
+        round = await fetchRoundData(rpc, aggregator, round.roundId - 1n);
+      }
+
+      preferredRpcUrl = rpc;
+      return { ...toRound(round), next: next ? toRound(next) : null, source: "chainlink_history" };
+    } catch {
+      cachedDecimals = null;
+      continue;
+    }
+  }
+
+  return null;
+}
@@ -46,6 +46,7 @@ export function startChainlinkPriceStream({
 
   let lastPrice = null;
   let lastUpdatedAt = null;
+  let lastRoundId = null;
 
   let nextId = 1;
   let subId = null;
@@ -123,12 +124,15 @@ export function startChainlinkPriceStream({
         const price = toNumber(answer) / 10 ** Number(decimals);
         const updatedAtHex = typeof log.data === "string" ? log.data : null;
         const updatedAt = updatedAtHex ? toNumber(ethers.toBigInt(updatedAtHex)) : null;
+        // AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt)
+        const roundId = topics[2] ? ethers.toBigInt(topics[2]).toString() : null;
 
         lastPrice = Number.isFinite(price) ? price : lastPrice;
         lastUpdatedAt = updatedAt ? updatedAt * 1000 : lastUpdatedAt;
+        lastRoundId = roundId ?? lastRoundId;
 
         if (typeof onUpdate === "function") {
-          onUpdate({ price: lastPrice, updatedAt: lastUpdatedAt, source: "chainlink_ws" });
+          onUpdate({ price: lastPrice, updatedAt: lastUpdatedAt, roundId: lastRoundId, source: "chainlink_ws" });
         }
       } catch {
         return;
@@ -143,7 +147,7 @@ export function startChainlinkPriceStream({
 
   return {
     getLast() {
-      return { price: lastPrice, updatedAt: lastUpdatedAt, source: "chainlink_ws" };
+      return { price: lastPrice, updatedAt: lastUpdatedAt, roundId: lastRoundId, source: "chainlink_ws" };
     },
     close() {
       closed = true;
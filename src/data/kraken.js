@@ -226,88 +226,135 @@ export async function fetchLastPrice() {
   }
 }
 
-// WebSocket Trade Stream for Kraken
-const KRAKEN_WS_URL = CONFIG.kraken.wsUrl || "wss://ws.kraken.com";
-
-// Build the subscription message for Kraken WebSocket
-function buildWsSubscriptionMessage(pair) {
-  return JSON.stringify({
-    "event": "subscribe",
-    "subscription": { "name": "trade" },
-    "pair": [pair]
-  });
+// WebSocket trade + 1m OHLC stream for Kraken (WS API v2).
+// v2 messages are objects: { channel: "trade" | "ohlc" | "heartbeat" | "status", type: "snapshot" | "update", data: [...] }
+// and symbols use the "BTC/USD" form (REST uses pair codes like XXBTZUSD).
+
+const CANDLE_BUFFER = 240;
+
+function parseKrakenTime(x) {
+  const ms = Date.parse(String(x ?? ""));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function createKrakenStreamState() {
+  return { lastPrice: null, lastTs: null, candles: new Map() };
+}
+
+// Apply one parsed v2 message. Returns { trades, candles } describing what changed.
+// OHLC rows carry the running candle (cumulative volume), so each update replaces the bucket.
+export function applyKrakenV2Message(state, msg, { symbol = CONFIG.kraken.wsSymbol } = {}) {
+  const changed = { trades: [], candles: [] };
+  if (!msg || typeof msg !== "object" || !Array.isArray(msg.data)) return changed;
+
+  if (msg.channel === "trade") {
+    for (const t of msg.data) {
+      if (t?.symbol && t.symbol !== symbol) continue;
+      const price = toNumber(t?.price);
+      const qty = toNumber(t?.qty);
+      const ts = parseKrakenTime(t?.timestamp);
+      if (price === null || ts === null) continue;
+      if (state.lastTs === null || ts >= state.lastTs) {
+        state.lastPrice = price;
+        state.lastTs = ts;
+      }
+      changed.trades.push({ price, qty, ts, side: t?.side ?? null });
+    }
+    return changed;
+  }
+
+  if (msg.channel === "ohlc") {
+    for (const k of msg.data) {
+      if (k?.symbol && k.symbol !== symbol) continue;
+      const interval = toNumber(k?.interval) ?? 1;
+      if (interval !== 1) continue;
+      const openTime = parseKrakenTime(k?.interval_begin);
+      const candle = {
+        openTime,
+        open: toNumber(k?.open),
+        high: toNumber(k?.high),
+        low: toNumber(k?.low),
+        close: toNumber(k?.close),
+        volume: toNumber(k?.volume) ?? 0,
+        closeTime: openTime === null ? null : openTime + 60_000
+      };
+      if (openTime === null || candle.open === null || candle.high === null || candle.low === null || candle.close === null) continue;
+      state.candles.set(openTime, candle);
+      changed.candles.push(candle);
+    }
+    if (state.candles.size > CANDLE_BUFFER) {
+      const keys = Array.from(state.candles.keys()).sort((a, b) => a - b);
+      for (const k of keys.slice(0, keys.length - CANDLE_BUFFER)) state.candles.delete(k);
+    }
+  }
+
+  return changed;
 }
 
-export function startKrakenTradeStream({ pair = CONFIG.kraken.pair, onUpdate } = {}) {
+export function startKrakenTradeStream({
+  wsUrl = CONFIG.kraken.wsUrl,
+  symbol = CONFIG.kraken.wsSymbol,
+  onUpdate,
+  onCandle,
+  onMessage
+} = {}) {
   let ws = null;
   let closed = false;
   let reconnectMs = 500;
-  let lastPrice = null;
-  let lastTs = null;
-  const MAX_RECONNECT_INTERVAL = 10000;
+  let lastMessageAtMs = 0;
+  let pingTimer = null;
+  const state = createKrakenStreamState();
+
+  const subscribeMessages = [
+    { method: "subscribe", params: { channel: "trade", symbol: [symbol], snapshot: false } },
+    { method: "subscribe", params: { channel: "ohlc", symbol: [symbol], interval: 1, snapshot: true } }
+  ];
 
   const connect = () => {
     if (closed) return;
 
-    const url = KRAKEN_WS_URL;
-    const subscribeMessage = buildWsSubscriptionMessage(pair);
+    const url = wsUrl;
     const agent = wsAgentForUrl(url);
 
     ws = new WebSocket(url, { agent });
 
     ws.on("open", () => {
-      console.log(`Kraken WebSocket connected to ${url}. Sending subscription for ${pair}...`);
+      console.log(`Kraken WebSocket connected to ${url}. Subscribing to trade + ohlc for ${symbol}...`);
       reconnectMs = 500;
       try {
-        ws.send(subscribeMessage);
+        for (const m of subscribeMessages) ws.send(JSON.stringify(m));
       } catch (e) {
         console.error("Failed to send Kraken subscription message:", e);
         scheduleReconnect();
+        return;
       }
+
+      clearInterval(pingTimer);
+      pingTimer = setInterval(() => {
+        try { ws?.send(JSON.stringify({ method: "ping" })); } catch { /* ignore */ }
+      }, 20_000);
     });
 
     ws.on("message", (buf) => {
       try {
         const msg = JSON.parse(buf.toString());
+        lastMessageAtMs = Date.now();
 
-        // Kraken v2 style events are objects; Kraken trade feed (commonly) comes as arrays:
-        // [channelId, [[price, volume, time, side, orderType, misc], ...], "trade", "XBT/USD"]
-        if (Array.isArray(msg)) {
-          const channelName = msg[2];
-          const msgPair = msg[3];
-          if (channelName === "trade" && (msgPair === pair || String(msgPair).includes(pair))) {
-            const trades = msg[1];
-            if (Array.isArray(trades) && trades.length) {
-              const t = trades[trades.length - 1];
-              const price = toNumber(t?.[0]);
-              const timestampSeconds = toNumber(t?.[2]);
-              if (price !== null && timestampSeconds !== null) {
-                lastPrice = price;
-                lastTs = timestampSeconds * 1000;
-                if (typeof onUpdate === "function") onUpdate({ price: lastPrice, ts: lastTs });
-              }
-            }
-          }
+        if (msg.method === "subscribe") {
+          if (msg.success) console.log(`Kraken WebSocket subscribed: ${msg.result?.channel ?? "?"} ${symbol}.`);
+          else console.error("Kraken WebSocket subscribe failed:", msg.error);
           return;
         }
+        if (msg.method === "pong" || msg.channel === "heartbeat" || msg.channel === "status") return;
 
-        if (msg.event === "subscribed" && (msg.channel === "trade" || msg.subscription?.name === "trade")) {
-          console.log(`Kraken WebSocket subscription confirmed for ${pair}.`);
-          return;
+        if (typeof onMessage === "function") onMessage(msg);
+        const changed = applyKrakenV2Message(state, msg, { symbol });
+        if (changed.trades.length && typeof onUpdate === "function") {
+          onUpdate({ price: state.lastPrice, ts: state.lastTs, trades: changed.trades });
         }
-
-        if (msg.event === "unsubscribed") {
-          console.log("Kraken WebSocket unsubscribed:", msg);
-          return;
+        if (typeof onCandle === "function") {
+          for (const c of changed.candles) onCandle(c);
         }
-
-        if (msg.event === "error") {
-          console.error("Kraken WebSocket Error:", msg.errorMessage, "Code:", msg.error);
-          scheduleReconnect();
-          return;
-        }
-
-        // ignore info/heartbeat
       } catch (e) {
         // Don't reconnect on occasional parse/format weirdness; just log.
         console.error("Error processing Kraken WebSocket message:", e);
@@ -316,6 +363,8 @@ export function startKrakenTradeStream({ pair = CONFIG.kraken.pair, onUpdate } =
 
     const scheduleReconnect = (opts = {}) => {
       if (closed) return;
+      clearInterval(pingTimer);
+      pingTimer = null;
       try { ws?.terminate(); } catch { /* ignore */ }
       ws = null;
 
@@ -349,7 +398,15 @@ export function startKrakenTradeStream({ pair = CONFIG.kraken.pair, onUpdate } =
   connect();
 
   return {
-    getLast() { return { price: lastPrice, ts: lastTs }; },
-    close() { closed = true; try { ws?.close(); } catch { /* ignore */ } ws = null; }
+    getLast() { return { price: state.lastPrice, ts: state.lastTs }; },
+    // 1m candles with traded volume, oldest first.
+    getCandles() { return Array.from(state.candles.values()).sort((a, b) => a.openTime - b.openTime); },
+    getLastMessageAtMs() { return lastMessageAtMs; },
+    close() {
+      closed = true;
+      clearInterval(pingTimer);
+      try { ws?.close(); } catch { /* ignore */ }
+      ws = null;
+    }
   };
 }
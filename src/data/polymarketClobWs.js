@@ -0,0 +1,283 @@
+import WebSocket from "ws";
+import { CONFIG } from "../config.js";
+import { wsAgentForUrl } from "../net/proxy.js";
+import { summarizeOrderBook } from "./polymarket.js";
+
+const PING_INTERVAL_MS = 10_000;
+// Recent trade prints kept per asset (passive paper orders fill on prints through their price).
+const MAX_TRADE_PRINTS = 50;
+
+function safeJsonParse(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+function toFiniteNumber(x) {
+  const n = typeof x === "string" ? Number(x) : typeof x === "number" ? x : NaN;
+  return Number.isFinite(n) ? n : null;
+}
+
+// Local L2 book for one asset. Levels are keyed by the normalized price ("0.50" and "0.5" are the same level)
+// so deltas replace the level they refer to however the CLOB spelled the price.
+function emptyBook() {
+  return { bids: new Map(), asks: new Map(), trades: [], hasSnapshot: false, updatedAt: null, hash: null };
+}
+
+function setLevel(levels, price, size) {
+  const p = toFiniteNumber(price);
+  const s = toFiniteNumber(size);
+  if (p === null || s === null) return;
+  const key = String(p);
+  if (s <= 0) levels.delete(key);
+  else levels.set(key, s);
+}
+
+function replaceLevels(levels, rows) {
+  levels.clear();
+  for (const row of Array.isArray(rows) ? rows : []) setLevel(levels, row?.price, row?.size);
+}
+
+function messageTimeMs(msg) {
+  const ts = toFiniteNumber(msg?.timestamp);
+  return ts === null ? Date.now() : ts;
+}
+
+// Apply one market-channel event to `books` (Map assetId -> local book).
+// Handles full "book" snapshots, both the legacy (`changes`) and current
+// (`price_changes`) delta formats, and `last_trade_price` prints. Returns the asset ids whose book changed.
+export function applyClobMarketMessage(books, msg) {
+  if (!msg || typeof msg !== "object") return [];
+  const touched = [];
+
+  const bookFor = (assetId) => {
+    const id = String(assetId);
+    if (!books.has(id)) books.set(id, emptyBook());
+    return books.get(id);
+  };
+
+  if (msg.event_type === "book" && msg.asset_id) {
+    const book = bookFor(msg.asset_id);
+    replaceLevels(book.bids, msg.bids ?? msg.buys);
+    replaceLevels(book.asks, msg.asks ?? msg.sells);
+    book.hasSnapshot = true;
+    book.updatedAt = messageTimeMs(msg);
+    book.hash = msg.hash ?? null;
+    touched.push(String(msg.asset_id));
+    return touched;
+  }
+
+  if (msg.event_type === "last_trade_price" && msg.asset_id) {
+    const price = toFiniteNumber(msg.price);
+    if (price === null) return touched;
+    const book = bookFor(msg.asset_id);
+    book.trades.push({ price, size: toFiniteNumber(msg.size), side: msg.side ?? null, timeMs: messageTimeMs(msg) });
+    if (book.trades.length > MAX_TRADE_PRINTS) book.trades.splice(0, book.trades.length - MAX_TRADE_PRINTS);
+    touched.push(String(msg.asset_id));
+    return touched;
+  }
+
+  if (msg.event_type === "price_change") {
+    const changes = Array.isArray(msg.price_changes)
+      ? msg.price_changes
+      : (Array.isArray(msg.changes) ? msg.changes.map((c) => ({ ...c, asset_id: msg.asset_id })) : []);
+
+    for (const c of changes) {
+      if (!c?.asset_id) continue;
+      const id = String(c.asset_id);
+      // Deltas are meaningless until we have a snapshot to apply them to.
+      if (!books.get(id)?.hasSnapshot) continue;
+      const book = books.get(id);
+      const side = String(c.side ?? "").toUpperCase();
+      if (side === "BUY") setLevel(book.bids, c.price, c.size);
+      else if (side === "SELL") setLevel(book.asks, c.price, c.size);
+      else continue;
+      book.updatedAt = messageTimeMs(msg);
+      book.hash = c.hash ?? msg.hash ?? book.hash;
+      if (!touched.includes(id)) touched.push(id);
+    }
+  }
+
+  return touched;
+}
+
+// Convert a local book to the REST /book shape. Levels are ordered the way the
+// REST endpoint returns them (bids ascending, asks descending) so
+// summarizeOrderBook gives the same numbers for either source. `trades` (recent prints, oldest first)
+// is WS-only.
+export function toRestBook(book, assetId = null) {
+  if (!book) return null;
+  const rows = (levels) => Array.from(levels.entries()).map(([price, size]) => ({ price, size: String(size) }));
+  const bids = rows(book.bids).sort((a, b) => Number(a.price) - Number(b.price));
+  const asks = rows(book.asks).sort((a, b) => Number(b.price) - Number(a.price));
+  return {
+    asset_id: assetId,
+    bids,
+    asks,
+    trades: book.trades.slice(),
+    timestamp: book.updatedAt === null ? null : String(book.updatedAt),
+    hash: book.hash
+  };
+}
+
+export function startPolymarketClobBookStream({
+  wsUrl = CONFIG.polymarket.clobWsUrl,
+  staleMs = CONFIG.polymarket.clobWsStaleMs,
+  onUpdate,
+  // Receives every parsed market-channel event before it is applied (used by the session journal).
+  onMessage
+} = {}) {
+  if (!wsUrl) {
+    return {
+      setMarket() {},
+      getBook() {
+        return null;
+      },
+      getSummary() {
+        return null;
+      },
+      isFresh() {
+        return false;
+      },
+      close() {}
+    };
+  }
+
+  let ws = null;
+  let closed = false;
+  let reconnectMs = 500;
+  let reconnectTimer = null;
+  let pingTimer = null;
+
+  let marketSlug = null;
+  let assetIds = [];
+  let lastMessageAtMs = 0;
+  const books = new Map();
+
+  const stopTimers = () => {
+    if (pingTimer) clearInterval(pingTimer);
+    pingTimer = null;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  };
+
+  const dropSocket = () => {
+    const old = ws;
+    ws = null;
+    stopTimers();
+    try {
+      old?.terminate();
+    } catch {
+      // ignore
+    }
+  };
+
+  const connect = () => {
+    if (closed || assetIds.length === 0) return;
+
+    const sock = new WebSocket(wsUrl, {
+      handshakeTimeout: 10_000,
+      agent: wsAgentForUrl(wsUrl)
+    });
+    ws = sock;
+
+    const scheduleReconnect = () => {
+      // Ignore events from sockets we already replaced (e.g. after a market rollover).
+      if (closed || ws !== sock) return;
+      dropSocket();
+      const wait = reconnectMs;
+      reconnectMs = Math.min(10_000, Math.floor(reconnectMs * 1.5));
+      reconnectTimer = setTimeout(connect, wait);
+    };
+
+    sock.on("open", () => {
+      if (ws !== sock) return;
+      reconnectMs = 500;
+      lastMessageAtMs = Date.now();
+      try {
+        sock.send(JSON.stringify({ assets_ids: assetIds, type: "market" }));
+      } catch {
+        scheduleReconnect();
+        return;
+      }
+      // The CLOB drops idle sockets; a PING every 10s keeps it open and the PONG doubles as a liveness signal.
+      pingTimer = setInterval(() => {
+        try {
+          sock.send("PING");
+        } catch {
+          // ignore
+        }
+      }, PING_INTERVAL_MS);
+    });
+
+    sock.on("message", (buf) => {
+      if (ws !== sock) return;
+      const text = typeof buf === "string" ? buf : buf?.toString?.() ?? "";
+      if (!text || !text.trim()) return;
+      lastMessageAtMs = Date.now();
+      if (text.trim() === "PONG") return;
+
+      const data = safeJsonParse(text);
+      const events = Array.isArray(data) ? data : [data];
+      for (const msg of events) {
+        if (msg && typeof onMessage === "function") onMessage({ marketSlug, msg });
+        const touched = applyClobMarketMessage(books, msg);
+        if (typeof onUpdate === "function") {
+          for (const assetId of touched) onUpdate({ marketSlug, assetId, summary: summaryFor(assetId), source: "clob_ws" });
+        }
+      }
+    });
+
+    sock.on("close", scheduleReconnect);
+    sock.on("error", scheduleReconnect);
+  };
+
+  const summaryFor = (assetId) => {
+    const book = books.get(String(assetId));
+    return book?.hasSnapshot ? summarizeOrderBook(toRestBook(book, String(assetId))) : null;
+  };
+
+  const isFresh = (assetId) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    if (Date.now() - lastMessageAtMs > staleMs) return false;
+    return Boolean(books.get(String(assetId))?.hasSnapshot);
+  };
+
+  return {
+    // Point the stream at the current market. A new slug (or new token ids) drops the
+    // old books and resubscribes on a fresh socket.
+    setMarket({ slug, tokenIds }) {
+      const ids = (Array.isArray(tokenIds) ? tokenIds : []).filter(Boolean).map(String);
+      const sameIds = ids.length === assetIds.length && ids.every((id) => assetIds.includes(id));
+      if (slug === marketSlug && sameIds) return;
+
+      marketSlug = slug ?? null;
+      assetIds = ids;
+      books.clear();
+      dropSocket();
+      reconnectMs = 500;
+      connect();
+    },
+    // REST-shaped book, or null when the socket is stale / has no snapshot yet.
+    getBook(assetId) {
+      if (!isFresh(assetId)) return null;
+      return toRestBook(books.get(String(assetId)), String(assetId));
+    },
+    getSummary(assetId) {
+      return isFresh(assetId) ? summaryFor(assetId) : null;
+    },
+    isFresh,
+    close() {
+      closed = true;
+      try {
+        ws?.close();
+      } catch {
+        // ignore
+      }
+      ws = null;
+      stopTimers();
+    }
+  };
+}
@@ -0,0 +1,82 @@
+import { CONFIG } from "../config.js";
+
+// Multi-source BTC reference price. Every feed reports its latest tick; the aggregator keeps
+// price/timestamp/age per source, builds a consensus (median or trimmed mean) over the fresh ones
+// and flags feeds that are stale or deviate from consensus by more than `divergenceBps`.
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Drop `trimPct` of the observations from each end (at least one each side once there are 3+).
+function trimmedMean(xs, trimPct) {
+  const s = [...xs].sort((a, b) => a - b);
+  let k = Math.floor(s.length * trimPct);
+  if (k === 0 && s.length >= 3) k = 1;
+  const kept = s.slice(k, s.length - k);
+  return kept.reduce((a, b) => a + b, 0) / kept.length;
+}
+
+export function consensusPrice(prices, { method = "median", trimPct = 0.2 } = {}) {
+  const xs = prices.filter((p) => typeof p === "number" && Number.isFinite(p) && p > 0);
+  if (!xs.length) return null;
+  return method === "trimmed_mean" ? trimmedMean(xs, trimPct) : median(xs);
+}
+
+export function createPriceAggregator({
+  sources = CONFIG.priceConsensus.sources,
+  method = CONFIG.priceConsensus.method,
+  trimPct = CONFIG.priceConsensus.trimPct,
+  staleMs = CONFIG.priceConsensus.staleMs,
+  divergenceBps = CONFIG.priceConsensus.divergenceBps,
+  minSources = CONFIG.priceConsensus.minSources,
+  now = () => Date.now()
+} = {}) {
+  const feeds = new Map();
+  for (const name of sources) feeds.set(name, { source: name, price: null, ts: null, receivedAt: null });
+
+  return {
+    // `ts` is the feed's own timestamp for the price (falls back to receipt time).
+    update(source, { price, ts = null } = {}) {
+      if (!feeds.has(source)) return;
+      if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) return;
+      const receivedAt = now();
+      feeds.set(source, { source, price, ts: (typeof ts === "number" && Number.isFinite(ts)) ? ts : receivedAt, receivedAt });
+    },
+
+    snapshot() {
+      const t = now();
+      const rows = Array.from(feeds.values()).map((f) => {
+        const ageMs = f.ts === null ? null : Math.max(0, t - f.ts);
+        return { source: f.source, price: f.price, ts: f.ts, ageMs, stale: ageMs === null || ageMs > staleMs };
+      });
+
+      const fresh = rows.filter((r) => !r.stale);
+      const price = fresh.length >= minSources ? consensusPrice(fresh.map((r) => r.price), { method, trimPct }) : null;
+
+      for (const r of rows) {
+        r.deviationBps = (price !== null && r.price !== null) ? ((r.price - price) / price) * 10_000 : null;
+        r.divergent = !r.stale && r.deviationBps !== null && Math.abs(r.deviationBps) > divergenceBps;
+      }
+
+      const divergentSources = rows.filter((r) => r.divergent).map((r) => r.source);
+      const freshPrices = fresh.map((r) => r.price);
+      const spreadBps = (price !== null && freshPrices.length >= 2)
+        ? ((Math.max(...freshPrices) - Math.min(...freshPrices)) / price) * 10_000
+        : null;
+
+      return {
+        price,
+        method,
+        freshSources: fresh.length,
+        divergent: divergentSources.length > 0,
+        divergentSources,
+        spreadBps,
+        divergenceBps,
+        sources: rows
+      };
+    }
+  };
+}
@@ -0,0 +1,132 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { fetchChainlinkRoundAt } from "./chainlink.js";
+
+// "Price to beat": the Chainlink BTC/USD answer in force when a window opens. Polymarket resolves
+// UP/DOWN against it, so we capture the round whose updatedAt straddles the window start:
+//   round.updatedAt <= startMs < nextRound.updatedAt
+// Live, that is simply the last round observed before the first round past the start. When we join
+// after the window opened, the round is recovered from getRoundData history. Values persist per slug.
+
+export function windowStartMsForMarket(market, windowMinutes = CONFIG.candleWindowMinutes) {
+  const start = Date.parse(market?.eventStartTime ?? "");
+  if (Number.isFinite(start)) return start;
+  const end = Date.parse(market?.endDate ?? "");
+  return Number.isFinite(end) ? end - windowMinutes * 60_000 : null;
+}
+
+function loadEntries(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (data && typeof data === "object" && !Array.isArray(data)) return data;
+    }
+  } catch (e) {
+    console.warn(`Could not read price-to-beat file ${filePath}: ${e.message}`);
+  }
+  return {};
+}
+
+export function createPriceToBeatTracker({
+  filePath = CONFIG.chainlink.priceToBeatFile,
+  fetchRoundAt = fetchChainlinkRoundAt,
+  historyRetryMs = 30_000,
+  maxEntries = 500,
+  now = () => Date.now()
+} = {}) {
+  const entries = loadEntries(filePath);
+  let lastTick = null;
+  let current = null; // { slug, startMs }
+  let lastHistoryAttemptMs = 0;
+  let historyInFlight = null;
+
+  const save = () => {
+    const slugs = Object.keys(entries);
+    if (slugs.length > maxEntries) {
+      slugs.sort((a, b) => (entries[a].startMs ?? 0) - (entries[b].startMs ?? 0));
+      for (const slug of slugs.slice(0, slugs.length - maxEntries)) delete entries[slug];
+    }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), "utf8");
+    } catch (e) {
+      console.warn(`Could not persist price-to-beat file ${filePath}: ${e.message}`);
+    }
+  };
+
+  const record = (slug, startMs, round, source, final, nextUpdatedAt = null) => {
+    entries[slug] = {
+      slug,
+      startMs,
+      price: round.price,
+      roundId: round.roundId ?? null,
+      updatedAt: round.updatedAt,
+      nextUpdatedAt,
+      source,
+      final,
+      capturedAt: new Date(now()).toISOString()
+    };
+    save();
+    return entries[slug];
+  };
+
+  const lookupHistory = (slug, startMs) => {
+    if (historyInFlight || now() - lastHistoryAttemptMs < historyRetryMs) return;
+    lastHistoryAttemptMs = now();
+    historyInFlight = (async () => {
+      try {
+        const round = await fetchRoundAt(startMs);
+        if (round && !entries[slug]?.final) {
+          record(slug, startMs, round, "chainlink_history", Boolean(round.next), round.next?.updatedAt ?? null);
+        }
+      } catch (e) {
+        console.warn(`Price-to-beat history lookup failed for ${slug}: ${e.message}`);
+      } finally {
+        historyInFlight = null;
+      }
+    })();
+  };
+
+  return {
+    // Feed every Chainlink round seen (WS or REST). Finalizes the current window on the first round past its start.
+    observe(tick) {
+      const price = Number(tick?.price);
+      const updatedAt = Number(tick?.updatedAt);
+      if (!Number.isFinite(price) || price <= 0 || !Number.isFinite(updatedAt)) return;
+      if (lastTick && updatedAt < lastTick.updatedAt) return;
+
+      if (current && !entries[current.slug]?.final && lastTick && lastTick.updatedAt <= current.startMs && updatedAt > current.startMs) {
+        record(current.slug, current.startMs, lastTick, "chainlink_live", true, updatedAt);
+      }
+      lastTick = { price, updatedAt, roundId: tick.roundId ?? null };
+    },
+
+    // Set the active window. Returns its entry (possibly provisional) or null; never blocks on RPC.
+    update({ slug, startMs }) {
+      if (!slug || !Number.isFinite(startMs)) return null;
+      current = { slug, startMs };
+      const existing = entries[slug];
+      if (existing?.final || now() < startMs) return existing ?? null;
+
+      if (lastTick && lastTick.updatedAt <= startMs) {
+        // No round since the open yet: the latest round is the one in force.
+        if (existing?.updatedAt !== lastTick.updatedAt) return record(slug, startMs, lastTick, "chainlink_live", false);
+        return existing;
+      }
+
+      // We only saw rounds from after the open (or none at all): recover it from history.
+      lookupHistory(slug, startMs);
+      return entries[slug] ?? null;
+    },
+
+    get(slug) {
+      return entries[slug] ?? null;
+    },
+
+    // Resolves once any in-flight history lookup has finished.
+    async whenIdle() {
+      await historyInFlight;
+    }
+  };
+}
@@ -0,0 +1,173 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import { CONFIG } from "../config.js";
+import { ensureDir } from "../utils.js";
+
+// Raw feed journal: every inbound event is written as one JSON line
+//   { seq, mono, ts, source, data }
+// to gzip-compressed files named <sessionId>-<part>.jsonl.gz. `mono` is a monotonic
+// clock (ms since the session started), `ts` the wall clock. Files rotate by size and age.
+
+const FILE_RE = /^(.+)-(\d{4})\.jsonl\.gz$/;
+
+function sessionIdFor(date = new Date()) {
+  return `session-${date.toISOString().replace(/[:.]/g, "-")}-${process.pid}`;
+}
+
+function partFileName(sessionId, part) {
+  return `${sessionId}-${String(part).padStart(4, "0")}.jsonl.gz`;
+}
+
+export function createSessionRecorder({
+  enabled = CONFIG.recording.enabled,
+  dir = CONFIG.recording.dir,
+  rotateMinutes = CONFIG.recording.rotateMinutes,
+  maxFileBytes = CONFIG.recording.maxFileBytes,
+  flushMs = 2_000
+} = {}) {
+  if (!enabled) {
+    return {
+      sessionId: null,
+      record() {},
+      async close() {}
+    };
+  }
+
+  const sessionId = sessionIdFor();
+  const startNs = process.hrtime.bigint();
+  const rotateMs = rotateMinutes * 60_000;
+
+  let seq = 0;
+  let part = 0;
+  let gzip = null;
+  let out = null;
+  let fileBytes = 0;
+  let fileOpenedAtMs = 0;
+  let closed = false;
+  let failed = false;
+  const pending = [];
+
+  const openPart = () => {
+    ensureDir(dir);
+    part += 1;
+    fileBytes = 0;
+    fileOpenedAtMs = Date.now();
+    gzip = zlib.createGzip();
+    out = fs.createWriteStream(path.join(dir, partFileName(sessionId, part)));
+    const onError = (err) => {
+      // Recording must never take the bot down; stop journaling instead.
+      if (!failed) console.error(`Session journal disabled after write error: ${err.message}`);
+      failed = true;
+    };
+    gzip.on("error", onError);
+    out.on("error", onError);
+    gzip.pipe(out);
+  };
+
+  const endPart = () => {
+    const g = gzip;
+    const o = out;
+    gzip = null;
+    out = null;
+    if (!g) return Promise.resolve();
+    pending.push(new Promise((resolve) => {
+      o.on("close", resolve);
+      o.on("error", resolve);
+    }));
+    g.end();
+    return Promise.all(pending);
+  };
+
+  // Sync-flush periodically so a crash loses at most a couple of seconds of events.
+  const flushTimer = setInterval(() => {
+    try {
+      gzip?.flush(zlib.constants.Z_SYNC_FLUSH);
+    } catch {
+      // ignore
+    }
+  }, flushMs);
+  flushTimer.unref?.();
+
+  return {
+    sessionId,
+    record(source, data) {
+      if (closed || failed) return;
+      try {
+        if (!gzip) openPart();
+        else if (fileBytes >= maxFileBytes || Date.now() - fileOpenedAtMs >= rotateMs) {
+          endPart();
+          openPart();
+        }
+
+        seq += 1;
+        const line = JSON.stringify({
+          seq,
+          mono: Number(process.hrtime.bigint() - startNs) / 1e6,
+          ts: Date.now(),
+          source,
+          data: data ?? null
+        }) + "\n";
+        fileBytes += Buffer.byteLength(line);
+        gzip.write(line);
+      } catch (err) {
+        failed = true;
+        console.error(`Session journal disabled after record error: ${err.message}`);
+      }
+    },
+    async close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(flushTimer);
+      await endPart();
+    }
+  };
+}
+
+// Journal files under `dir` (optionally one session), in replay order.
+export function listSessionFiles(dir = CONFIG.recording.dir, { sessionId = null } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map((name) => ({ name, m: name.match(FILE_RE) }))
+    .filter(({ m }) => m && (!sessionId || m[1] === sessionId))
+    .sort((a, b) => (a.m[1] === b.m[1] ? Number(a.m[2]) - Number(b.m[2]) : a.m[1].localeCompare(b.m[1])))
+    .map(({ name }) => path.join(dir, name));
+}
+
+// Yield journal events in recorded order. `target` is a journal file, a directory of sessions,
+// or { dir, sessionId }. A truncated tail (crash mid-write) ends that file quietly.
+export async function* readSessionEvents(target = CONFIG.recording.dir, { sources = null } = {}) {
+  let files;
+  if (typeof target === "string" && fs.existsSync(target) && fs.statSync(target).isFile()) files = [target];
+  else if (typeof target === "string") files = listSessionFiles(target);
+  else files = listSessionFiles(target?.dir ?? CONFIG.recording.dir, { sessionId: target?.sessionId ?? null });
+
+  const wanted = Array.isArray(sources) ? new Set(sources) : null;
+
+  for (const file of files) {
+    const gunzip = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    const input = fs.createReadStream(file);
+    input.on("error", (err) => gunzip.destroy(err));
+    const lines = readline.createInterface({ input: input.pipe(gunzip), crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          continue; // partial last line
+        }
+        if (wanted && !wanted.has(event.source)) continue;
+        yield event;
+      }
+    } catch (err) {
+      console.warn(`Session journal ${path.basename(file)} ended early: ${err.message}`);
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+}
@@ -1,8 +1,12 @@
+import { CONFIG } from "../config.js";
 import { clamp } from "../utils.js";
+import { feePerShare } from "./fees.js";
 
-export function computeEdge({ modelUp, modelDown, marketYes, marketNo }) {
+// edgeUp/edgeDown are model minus market probability; feeUp/feeDown are the taker fee per share at the
+// quoted prices, and netEdgeUp/netEdgeDown what is left after paying it.
+export function computeEdge({ modelUp, modelDown, marketYes, marketNo, fees = CONFIG.fees }) {
   if (marketYes === null || marketNo === null) {
-    return { marketUp: null, marketDown: null, edgeUp: null, edgeDown: null };
+    return { marketUp: null, marketDown: null, edgeUp: null, edgeDown: null, feeUp: null, feeDown: null, netEdgeUp: null, netEdgeDown: null };
   }
 
   const sum = marketYes + marketNo;
@@ -11,16 +15,23 @@ export function computeEdge({ modelUp, modelDown, marketYes, marketNo }) {
 
   const edgeUp = marketUp === null ? null : modelUp - marketUp;
   const edgeDown = marketDown === null ? null : modelDown - marketDown;
+  const feeUp = feePerShare(marketYes, { fees });
+  const feeDown = feePerShare(marketNo, { fees });
 
   return {
     marketUp: marketUp === null ? null : clamp(marketUp, 0, 1),
     marketDown: marketDown === null ? null : clamp(marketDown, 0, 1),
     edgeUp,
-    edgeDown
+    edgeDown,
+    feeUp,
+    feeDown,
+    netEdgeUp: edgeUp === null ? null : edgeUp - feeUp,
+    netEdgeDown: edgeDown === null ? null : edgeDown - feeDown
   };
 }
 
-export function decide({ remainingMinutes, edgeUp, edgeDown, modelUp = null, modelDown = null }) {
+// Thresholds apply to the edge net of fees (feeUp/feeDown from computeEdge), so an edge the fee eats is no trade.
+export function decide({ remainingMinutes, edgeUp, edgeDown, feeUp = 0, feeDown = 0, modelUp = null, modelDown = null }) {
   const phase = remainingMinutes > 10 ? "EARLY" : remainingMinutes > 5 ? "MID" : "LATE";
 
   const threshold = phase === "EARLY" ? 0.05 : phase === "MID" ? 0.1 : 0.2;
@@ -31,12 +42,16 @@ export function decide({ remainingMinutes, edgeUp, edgeDown, modelUp = null, mod
     return { action: "NO_TRADE", side: null, phase, reason: "missing_market_data" };
   }
 
-  const bestSide = edgeUp > edgeDown ? "UP" : "DOWN";
-  const bestEdge = bestSide === "UP" ? edgeUp : edgeDown;
+  const netUp = edgeUp - (feeUp ?? 0);
+  const netDown = edgeDown - (feeDown ?? 0);
+  const bestSide = netUp > netDown ? "UP" : "DOWN";
+  const bestEdge = bestSide === "UP" ? netUp : netDown;
+  const grossEdge = bestSide === "UP" ? edgeUp : edgeDown;
   const bestModel = bestSide === "UP" ? modelUp : modelDown;
 
   if (bestEdge < threshold) {
-    return { action: "NO_TRADE", side: null, phase, reason: `edge_below_${threshold}` };
+    const reason = grossEdge >= threshold ? `edge_after_fees_below_${threshold}` : `edge_below_${threshold}`;
+    return { action: "NO_TRADE", side: null, phase, reason };
   }
 
   if (bestModel !== null && bestModel < minProb) {
@@ -44,5 +59,5 @@ export function decide({ remainingMinutes, edgeUp, edgeDown, modelUp = null, mod
   }
 
   const strength = bestEdge >= 0.2 ? "STRONG" : bestEdge >= 0.1 ? "GOOD" : "OPTIONAL";
-  return { action: "ENTER", side: bestSide, phase, strength, edge: bestEdge };
+  return { action: "ENTER", side: bestSide, phase, strength, edge: bestEdge, grossEdge, fee: grossEdge - bestEdge };
 }
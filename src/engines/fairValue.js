@@ -0,0 +1,69 @@
+import { clamp } from "../utils.js";
+
+// Fair value of the UP contract: P(BTC at window close >= price to beat), treating log price as
+// Brownian motion with per-minute volatility estimated from realized 1m close-to-close returns:
+//   ln(S_T / S) ~ N(m * T, sigma^2 * T),  m = driftWeight * meanLogReturn - sigma^2 / 2
+//   P(UP) = N((ln(S / K) + m * T) / (sigma * sqrt(T)))
+// With driftWeight = 0 this is the driftless (martingale) lognormal model.
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7).
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function logReturns(klines1m, lookback) {
+  const closes = (klines1m ?? []).slice(-(lookback + 1)).map((c) => c.close).filter((x) => typeof x === "number" && x > 0);
+  const out = [];
+  for (let i = 1; i < closes.length; i += 1) out.push(Math.log(closes[i] / closes[i - 1]));
+  return out;
+}
+
+// Per-minute realized volatility (sample stdev of 1m log returns). Null with fewer than `minReturns`.
+export function realizedVolatility(klines1m, { lookback = 60, minReturns = 10 } = {}) {
+  const r = logReturns(klines1m, lookback);
+  if (r.length < minReturns) return null;
+  const mean = r.reduce((a, b) => a + b, 0) / r.length;
+  const variance = r.reduce((acc, x) => acc + (x - mean) ** 2, 0) / (r.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Mean 1m log return over the lookback (momentum drift); null when there are no returns.
+export function momentumDrift(klines1m, { lookback = 15 } = {}) {
+  const r = logReturns(klines1m, lookback);
+  return r.length ? r.reduce((a, b) => a + b, 0) / r.length : null;
+}
+
+export function fairValueProbability({ price, strike, remainingMinutes, sigmaPerMin, driftPerMin = 0 }) {
+  if (!(price > 0) || !(strike > 0) || typeof remainingMinutes !== "number" || !Number.isFinite(remainingMinutes)) return null;
+  if (remainingMinutes <= 0 || !(sigmaPerMin > 0)) return price >= strike ? 1 : 0;
+  const m = driftPerMin - (sigmaPerMin * sigmaPerMin) / 2;
+  const z = (Math.log(price / strike) + m * remainingMinutes) / (sigmaPerMin * Math.sqrt(remainingMinutes));
+  return clamp(normalCdf(z), 0, 1);
+}
+
+// Full estimate from the live inputs. Returns null when price/strike/volatility are unavailable.
+export function computeFairValue({ klines1m, price, priceToBeat, remainingMinutes, volLookbackMinutes = 60, minVolBpsPerMin = 1, driftWeight = 0, driftLookbackMinutes = 15 }) {
+  if (!(price > 0) || !(priceToBeat > 0)) return null;
+  const realized = realizedVolatility(klines1m, { lookback: volLookbackMinutes });
+  if (realized === null) return null;
+
+  const sigmaPerMin = Math.max(realized, minVolBpsPerMin / 10_000);
+  const drift = driftWeight > 0 ? momentumDrift(klines1m, { lookback: driftLookbackMinutes }) : null;
+  const driftPerMin = drift === null ? 0 : driftWeight * drift;
+  const probUp = fairValueProbability({ price, strike: priceToBeat, remainingMinutes, sigmaPerMin, driftPerMin });
+  if (probUp === null) return null;
+
+  return {
+    probUp,
+    probDown: 1 - probUp,
+    sigmaPerMin,
+    realizedSigmaPerMin: realized,
+    driftPerMin,
+    // Expected 1-sigma move to the close, in price units.
+    sigmaToClose: price * sigmaPerMin * Math.sqrt(Math.max(0, remainingMinutes)),
+    distanceToBeat: price - priceToBeat
+  };
+}
@@ -0,0 +1,37 @@
+import { CONFIG } from "../config.js";
+
+// Polymarket trading fees. A schedule maps a contract price to a fee rate (fraction of notional):
+//   { type: "curve", rate, exponent }  rate * (p * (1 - p)) ^ exponent
+//   { type: "flat", rate }             rate
+//   { type: "none" }                   0
+// The fee in USDC is shares * price * feeRate, rounded to 4 decimals like the CLOB does (so dust fills
+// near 0¢/100¢ are free). Settlement redemptions carry no fee.
+
+const FEE_DECIMALS = 4;
+
+function scheduleFor(liquidity, fees) {
+  if (!fees?.enabled) return null;
+  return liquidity === "maker" ? fees.maker : fees.taker;
+}
+
+export function feeRate(schedule, price) {
+  if (!schedule || !(price > 0) || !(price < 1)) return 0;
+  const rate = Number(schedule.rate) || 0;
+  if (schedule.type === "flat") return rate;
+  if (schedule.type === "curve") return rate * (price * (1 - price)) ** (Number(schedule.exponent) || 0);
+  return 0;
+}
+
+// Fee in $ per share bought or sold at `price` (same units as the edge: $1 payout per share).
+export function feePerShare(price, { liquidity = "taker", fees = CONFIG.fees } = {}) {
+  return price * feeRate(scheduleFor(liquidity, fees), price);
+}
+
+// Fee for one fill, or for a book walk given its per-level legs [{ price, shares }].
+export function computeFee({ shares = 0, price = null, legs = null, liquidity = "taker", fees = CONFIG.fees } = {}) {
+  const schedule = scheduleFor(liquidity, fees);
+  if (!schedule) return 0;
+  const parts = Array.isArray(legs) && legs.length ? legs : [{ price, shares }];
+  const fee = parts.reduce((acc, l) => acc + (l.shares > 0 ? l.shares * l.price * feeRate(schedule, l.price) : 0), 0);
+  return Number(fee.toFixed(FEE_DECIMALS));
+}
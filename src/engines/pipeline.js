@@ -0,0 +1,195 @@
+import { CONFIG } from "../config.js";
+import { computeVwapSeries } from "../indicators/vwap.js";
+import { computeRsi, slopeLast } from "../indicators/rsi.js";
+import { computeMacd } from "../indicators/macd.js";
+import { computeHeikenAshi, countConsecutive } from "../indicators/heikenAshi.js";
+import { IndicatorEngine } from "../indicators/incremental.js";
+import { computeHigherTimeframes } from "../indicators/timeframes.js";
+import { detectRegime } from "./regime.js";
+import { scoreDirection, applyTimeAwareness } from "./probability.js";
+import { computeEdge } from "./edge.js";
+import { computeFairValue } from "./fairValue.js";
+import { getStrategy } from "../strategies/index.js";
+
+// One tick of the signal chain: 1m candles + BTC price + Polymarket snapshot -> indicators, model
+// probabilities, edge, recommendation and the signals object Trader.processSignals consumes.
+// Shared by the live loop (index.js) and the backtester so both run exactly the same math.
+// modelUp/modelDown/rec come from the configured strategy (src/strategies); the indicator-vote score and
+// fair value are always computed as diagnostics for the console/UI.
+
+export function countVwapCrosses(closes, vwapSeries, lookback) {
+  if (closes.length < lookback || vwapSeries.length < lookback) return null;
+  let crosses = 0;
+  for (let i = closes.length - lookback + 1; i < closes.length; i += 1) {
+    const prev = closes[i - 1] - vwapSeries[i - 1];
+    const cur = closes[i] - vwapSeries[i];
+    if (prev === 0) continue;
+    if ((prev > 0 && cur < 0) || (prev < 0 && cur > 0)) crosses += 1;
+  }
+  return crosses;
+}
+
+// Batch path: recomputes every series from scratch (O(n^2) in candles). Kept as the reference the
+// incremental engine is tested against.
+function computeCoreIndicators(klines1m, closes) {
+  const rsiSeries = closes.map((_, i) => computeRsi(closes.slice(0, i + 1), CONFIG.rsiPeriod)).filter(v => v !== null);
+  const haCC = countConsecutive(computeHeikenAshi(klines1m));
+  return {
+    vwapSeries: computeVwapSeries(klines1m),
+    rsiNow: computeRsi(closes, CONFIG.rsiPeriod),
+    rsiTail: rsiSeries.slice(-3),
+    macd: computeMacd(closes, CONFIG.macdFast, CONFIG.macdSlow, CONFIG.macdSignal),
+    heikenColor: haCC.color,
+    heikenCount: haCC.count
+  };
+}
+
+export function createIndicatorEngine() {
+  return new IndicatorEngine({ rsiPeriod: CONFIG.rsiPeriod, macdFast: CONFIG.macdFast, macdSlow: CONFIG.macdSlow, macdSignal: CONFIG.macdSignal });
+}
+
+// Streaming path: O(1) per tick once the engine has seen the candles. vwapSeries is the engine's own
+// array (read-only, valid until the next sync).
+function readEngineIndicators(engine, klines1m) {
+  engine.sync(klines1m);
+  return {
+    vwapSeries: engine.vwap.values,
+    rsiNow: engine.rsi.value,
+    rsiTail: engine.rsi.values.slice(-3).filter(v => v !== null),
+    macd: engine.macd.value,
+    heikenColor: engine.heikenAshi.value?.color ?? null,
+    heikenCount: engine.heikenAshi.value?.count ?? 0
+  };
+}
+
+export function computeIndicators(klines1m, currentPrice, engine = null) {
+  const indicatorsData = {};
+  if (!klines1m || klines1m.length < CONFIG.candleWindowMinutes) return indicatorsData;
+
+  const closes = klines1m.map(c => c.close);
+  const core = engine ? readEngineIndicators(engine, klines1m) : computeCoreIndicators(klines1m, closes);
+  indicatorsData.vwapSeries = core.vwapSeries;
+  indicatorsData.vwapNow = indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - 1];
+  indicatorsData.vwapSlope = indicatorsData.vwapSeries.length >= CONFIG.vwapSlopeLookbackMinutes ? (indicatorsData.vwapNow - indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - CONFIG.vwapSlopeLookbackMinutes]) / CONFIG.vwapSlopeLookbackMinutes : null;
+  indicatorsData.vwapDist = indicatorsData.vwapNow !== null && indicatorsData.vwapNow !== 0 ? (currentPrice - indicatorsData.vwapNow) / indicatorsData.vwapNow : null;
+  indicatorsData.rsiNow = core.rsiNow;
+  indicatorsData.rsiSlope = slopeLast(core.rsiTail, 3);
+  indicatorsData.macd = core.macd;
+  indicatorsData.heikenColor = core.heikenColor;
+  indicatorsData.heikenCount = core.heikenCount;
+  indicatorsData.failedVwapReclaim = indicatorsData.vwapNow !== null && indicatorsData.vwapSeries.length >= 3 ? closes[closes.length - 1] < indicatorsData.vwapNow && indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - 2] > indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - 2] : false;
+  indicatorsData.vwapCrossCount = countVwapCrosses(closes, indicatorsData.vwapSeries, 20);
+
+  // Chop metric: recent close range over last 20 minutes.
+  const lookback = 20;
+  const lastN = closes.slice(-lookback);
+  const lastClose = lastN.length ? lastN[lastN.length - 1] : null;
+  if (lastN.length && lastClose) {
+    const hi = Math.max(...lastN);
+    const lo = Math.min(...lastN);
+    indicatorsData.rangePct20 = (hi - lo) / lastClose;
+  } else {
+    indicatorsData.rangePct20 = null;
+  }
+
+  // Volume (Kraken OHLC): volumeRecent = sum of the last 20 candles, volumeAvg = average per-20m block.
+  // Left null when any recent candle lacks real volume (Chainlink-only buckets) so the filters stay off.
+  const recentCandles = klines1m.slice(-lookback);
+  const hasVolume = recentCandles.length === lookback && recentCandles.every((c) => typeof c.volume === "number" && Number.isFinite(c.volume) && c.volume > 0);
+  if (hasVolume) {
+    const volumes = klines1m.map((c) => (typeof c.volume === "number" && Number.isFinite(c.volume) ? c.volume : 0));
+    indicatorsData.volumeRecent = recentCandles.reduce((acc, c) => acc + c.volume, 0);
+    indicatorsData.volumeAvg = volumes.reduce((a, b) => a + b, 0) / (volumes.length / lookback);
+  } else {
+    indicatorsData.volumeRecent = null;
+    indicatorsData.volumeAvg = null;
+  }
+
+  return indicatorsData;
+}
+
+export function evaluateSignals({ klines1m, currentPrice, timeLeftMin, polySnapshot, priceConsensus = null, priceToBeat = null, indicatorEngine = null, strategy = null }) {
+  const indicatorsData = computeIndicators(klines1m, currentPrice, indicatorEngine);
+  const htf = computeHigherTimeframes(klines1m, { timeframes: CONFIG.timeframes.minutes, currentPrice, rsiPeriod: CONFIG.rsiPeriod, macdFast: CONFIG.macdFast, macdSlow: CONFIG.macdSlow, macdSignal: CONFIG.macdSignal });
+  const htfTrend = htf[CONFIG.timeframes.trend]?.trend ?? null;
+
+  // Normalize indicator names for the engines.
+  const engineInputs = {
+    price: currentPrice,
+    vwap: indicatorsData.vwapNow ?? null,
+    vwapSlope: indicatorsData.vwapSlope ?? null,
+    rsi: indicatorsData.rsiNow ?? null,
+    rsiSlope: indicatorsData.rsiSlope ?? null,
+    macd: indicatorsData.macd ?? null,
+    heikenColor: indicatorsData.heikenColor ?? null,
+    heikenCount: indicatorsData.heikenCount ?? 0,
+    failedVwapReclaim: indicatorsData.failedVwapReclaim ?? false,
+    htf,
+    htfTrend,
+    htfWeight: CONFIG.timeframes.scoreWeight
+  };
+
+  const regimeInfo = detectRegime({ ...engineInputs, vwapDist: indicatorsData.vwapDist ?? null, vwapCrossCount: indicatorsData.vwapCrossCount ?? null, volumeRecent: indicatorsData.volumeRecent ?? null, volumeAvg: indicatorsData.volumeAvg ?? null, htfTrend: CONFIG.timeframes.regimeAgreement ? htfTrend : null });
+  const scored = scoreDirection(engineInputs);
+  const timeAware = applyTimeAwareness(scored.rawUp, timeLeftMin, CONFIG.candleWindowMinutes);
+  const fairValue = computeFairValue({ klines1m, price: currentPrice, priceToBeat, remainingMinutes: timeLeftMin, ...CONFIG.fairValue });
+  // CLOB quotes are already dollars (0..1); they were previously divided by 100 here, which made every
+  // paper price 100x too small and broke anything mixing them with order book levels.
+  const marketUp = polySnapshot?.ok ? polySnapshot.prices?.up : null;   // dollars (buy)
+  const marketDown = polySnapshot?.ok ? polySnapshot.prices?.down : null; // dollars (buy)
+  const polyPrices = {
+    UP: (marketUp === null || marketUp === undefined) ? null : Number(marketUp),
+    DOWN: (marketDown === null || marketDown === undefined) ? null : Number(marketDown)
+  };
+
+  const activeStrategy = strategy ?? getStrategy();
+  const decision = activeStrategy.evaluate({
+    engineInputs,
+    indicators: indicatorsData,
+    htf,
+    regime: regimeInfo,
+    klines1m,
+    polySnapshot,
+    marketUp: marketUp ?? null,
+    marketDown: marketDown ?? null,
+    timeLeftMin,
+    windowMinutes: CONFIG.candleWindowMinutes,
+    currentPrice,
+    priceToBeat,
+    fairValue
+  });
+  const { modelUp, modelDown, rec } = decision;
+  const modelSource = decision.modelSource ?? activeStrategy.name;
+  const edge = decision.edge ?? computeEdge({ modelUp, modelDown, marketYes: marketUp ?? null, marketNo: marketDown ?? null });
+  const strategyInfo = { name: activeStrategy.name, version: activeStrategy.version };
+  const predictNarrative = (modelUp !== null && modelDown !== null) ? (modelUp > modelDown ? "LONG" : "SHORT") : "NEUTRAL";
+  // Live distance to the window's opening price (positive = UP currently winning).
+  const hasPriceToBeat = typeof priceToBeat === "number" && Number.isFinite(priceToBeat) && priceToBeat > 0;
+  const distanceToBeat = (hasPriceToBeat && typeof currentPrice === "number") ? currentPrice - priceToBeat : null;
+
+  const signalsForTrader = {
+    rec,
+    kline: klines1m.length ? klines1m[klines1m.length - 1] : null, // BTC candle (for indicators only)
+    market: polySnapshot?.ok ? polySnapshot.market : null,
+    polyMarketSnapshot: polySnapshot,
+    polyPrices, // dollars (0..1)
+    polyPricesCents: { UP: polyPrices.UP === null ? null : polyPrices.UP * 100, DOWN: polyPrices.DOWN === null ? null : polyPrices.DOWN * 100 },
+    timeLeftMin,
+    modelUp,
+    modelDown,
+    modelSource,
+    strategy: strategyInfo,
+    fairValue,
+    predictNarrative,
+    indicators: indicatorsData,
+    htf,
+    htfTrend,
+    regime: regimeInfo,
+    priceConsensus,
+    priceToBeat: hasPriceToBeat ? priceToBeat : null,
+    distanceToBeat,
+    distanceToBeatPct: distanceToBeat === null ? null : distanceToBeat / priceToBeat
+  };
+
+  return { indicatorsData, engineInputs, regimeInfo, scored, timeAware, fairValue, modelUp, modelDown, modelSource, strategy: strategyInfo, marketUp, marketDown, polyPrices, edge, rec, predictNarrative, signalsForTrader };
+}
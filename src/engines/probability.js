@@ -10,7 +10,9 @@ export function scoreDirection(inputs) {
     macd,
     heikenColor,
     heikenCount,
-    failedVwapReclaim
+    failedVwapReclaim,
+    htfTrend = null,
+    htfWeight = 0
   } = inputs;
 
   let up = 1;
@@ -51,6 +53,12 @@ export function scoreDirection(inputs) {
 
   if (failedVwapReclaim === true) down += 3;
 
+  // Higher-timeframe trend (e.g. 1h VWAP slope), off unless a weight is configured.
+  if (htfWeight > 0) {
+    if (htfTrend === "UP") up += htfWeight;
+    if (htfTrend === "DOWN") down += htfWeight;
+  }
+
   const rawUp = up / (up + down);
   return { upScore: up, downScore: down, rawUp };
 }
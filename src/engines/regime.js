@@ -1,4 +1,5 @@
-export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRecent, volumeAvg }) {
+// htfTrend ("UP" | "DOWN" | "FLAT" | null): when given, a 1m trend against it is treated as a range.
+export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRecent, volumeAvg, htfTrend = null }) {
   if (price === null || vwap === null || vwapSlope === null) return { regime: "CHOP", reason: "missing_inputs" };
 
   const above = price > vwap;
@@ -9,10 +10,12 @@ export function detectRegime({ price, vwap, vwapSlope, vwapCrossCount, volumeRec
   }
 
   if (above && vwapSlope > 0) {
+    if (htfTrend === "DOWN") return { regime: "RANGE", reason: "trend_up_against_htf" };
     return { regime: "TREND_UP", reason: "price_above_vwap_slope_up" };
   }
 
   if (!above && vwapSlope < 0) {
+    if (htfTrend === "UP") return { regime: "RANGE", reason: "trend_down_against_htf" };
     return { regime: "TREND_DOWN", reason: "price_below_vwap_slope_down" };
   }
 
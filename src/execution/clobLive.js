@@ -0,0 +1,233 @@
+import { ethers } from "ethers";
+import { CONFIG } from "../config.js";
+import {
+  CLOB_AUTH_TYPES,
+  ORDER_TYPES,
+  clobAuthDomain,
+  clobAuthValue,
+  orderDomain,
+  orderAmounts,
+  orderPriceSize,
+  orderStruct,
+  l2Signature
+} from "./clobSigning.js";
+import { assertLiveTradingAllowed } from "./liveGuard.js";
+
+// Live execution against the Polymarket CLOB REST API (or the mock CLOB). Real orders, real funds: the
+// factory refuses a non-loopback baseUrl unless the LIVE_TRADING opt-in (./liveGuard.js) is complete.
+
+// CLOB order status -> adapter status.
+const STATUS = { LIVE: "live", MATCHED: "matched", CANCELED: "canceled", DELAYED: "live", UNMATCHED: "live" };
+
+// Lowest CLOB price tick: the worst price a market SELL accepts.
+const MIN_PRICE = 0.001;
+
+function normalizeOrder(o) {
+  const size = Number(o.original_size);
+  const sizeMatched = Number(o.size_matched) || 0;
+  return {
+    orderId: o.id,
+    tokenId: o.asset_id ?? null,
+    side: String(o.side ?? "").toUpperCase(),
+    price: Number(o.price),
+    size: Number.isFinite(size) ? size : null,
+    sizeMatched,
+    status: STATUS[String(o.status ?? "").toUpperCase()] ?? String(o.status ?? "").toLowerCase(),
+    orderType: o.order_type ?? null,
+    raw: o
+  };
+}
+
+export function createLiveClobAdapter({
+  baseUrl = CONFIG.execution.clobBaseUrl || CONFIG.clobBaseUrl,
+  privateKey = CONFIG.execution.privateKey,
+  funderAddress = CONFIG.execution.funderAddress,
+  signatureType = CONFIG.execution.signatureType,
+  chainId = CONFIG.execution.chainId,
+  exchangeAddress = CONFIG.execution.exchangeAddress,
+  feeRateBps = CONFIG.execution.feeRateBps,
+  creds = null,
+  liveTrading = CONFIG.execution.liveTrading,
+  confirm = CONFIG.execution.liveTradingConfirm,
+  fetchImpl = fetch,
+  now = () => Date.now()
+} = {}) {
+  assertLiveTradingAllowed({ baseUrl, liveTrading, confirm });
+  if (!privateKey) throw new Error("Live CLOB adapter needs POLYMARKET_PRIVATE_KEY");
+  const wallet = new ethers.Wallet(privateKey);
+  const maker = funderAddress || wallet.address;
+  let apiCreds = creds?.apiKey ? creds : null;
+
+  const nowSec = () => Math.floor(now() / 1000);
+
+  async function l1Headers(nonce = 0) {
+    const timestamp = nowSec();
+    const signature = await wallet.signTypedData(clobAuthDomain(chainId), CLOB_AUTH_TYPES, clobAuthValue({ address: wallet.address, timestamp, nonce }));
+    return { POLY_ADDRESS: wallet.address, POLY_SIGNATURE: signature, POLY_TIMESTAMP: String(timestamp), POLY_NONCE: String(nonce) };
+  }
+
+  function l2Headers(method, path, body) {
+    const timestamp = nowSec();
+    return {
+      POLY_ADDRESS: wallet.address,
+      POLY_SIGNATURE: l2Signature({ secret: apiCreds.secret, timestamp, method, path, body }),
+      POLY_TIMESTAMP: String(timestamp),
+      POLY_API_KEY: apiCreds.apiKey,
+      POLY_PASSPHRASE: apiCreds.passphrase
+    };
+  }
+
+  async function request(method, path, { body = null, query = null, headers = {} } = {}) {
+    const url = new URL(path, baseUrl);
+    for (const [k, v] of Object.entries(query ?? {})) if (v !== null && v !== undefined) url.searchParams.set(k, String(v));
+    const res = await fetchImpl(url, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === null ? undefined : body
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+    if (!res.ok) {
+      throw new Error(`CLOB ${method} ${path} error: ${res.status} ${typeof data === "string" ? data : JSON.stringify(data)}`);
+    }
+    return data;
+  }
+
+  async function authed(method, path, { payload = null, query = null } = {}) {
+    await adapter.ensureCredentials();
+    const body = payload === null ? null : JSON.stringify(payload);
+    return request(method, path, { body, query, headers: l2Headers(method, path, body) });
+  }
+
+  const adapter = {
+    name: "live",
+    address: wallet.address,
+    maker,
+
+    // Existing creds, else create an API key, else derive the one that already exists for this wallet.
+    async ensureCredentials(nonce = 0) {
+      if (apiCreds) return apiCreds;
+      let data;
+      try {
+        data = await request("POST", "/auth/api-key", { headers: await l1Headers(nonce) });
+      } catch {
+        data = await request("GET", "/auth/derive-api-key", { headers: await l1Headers(nonce) });
+      }
+      if (!data?.apiKey || !data?.secret || !data?.passphrase) throw new Error("CLOB did not return API credentials");
+      apiCreds = { apiKey: data.apiKey, secret: data.secret, passphrase: data.passphrase };
+      return apiCreds;
+    },
+
+    // Signed order in the POST /order JSON shape. `expiration` (unix seconds) is only used by GTD orders.
+    async signOrder({ tokenId, side, price, size, expiration = 0, nonce = 0 }) {
+      const { makerAmount, takerAmount } = orderAmounts({ side, price, size });
+      const order = {
+        salt: Math.round(Math.random() * now()),
+        maker,
+        signer: wallet.address,
+        taker: ethers.ZeroAddress,
+        tokenId: String(tokenId),
+        makerAmount: makerAmount.toString(),
+        takerAmount: takerAmount.toString(),
+        expiration: String(expiration),
+        nonce: String(nonce),
+        feeRateBps: String(feeRateBps),
+        side,
+        signatureType
+      };
+      const signature = await wallet.signTypedData(orderDomain({ chainId, exchangeAddress }), ORDER_TYPES, orderStruct(order));
+      return { ...order, signature };
+    },
+
+    // orderType: GTC (rest), GTD (rest until expiration), FOK (all or nothing), FAK (fill what crosses, kill the rest).
+    async placeOrder({ tokenId, side, price, size, orderType = "GTC", expiration = 0 }) {
+      await adapter.ensureCredentials();
+      const order = await adapter.signOrder({ tokenId, side, price, size, expiration: orderType === "GTD" ? expiration : 0 });
+      const { size: signedSize, price: signedPrice } = orderPriceSize(order);
+      const res = await authed("POST", "/order", { payload: { order, owner: apiCreds.apiKey, orderType } });
+      if (!res?.success) {
+        return { orderId: res?.orderID || null, tokenId: String(tokenId), side, price: signedPrice, size: signedSize, sizeMatched: 0, status: "rejected", orderType, error: res?.errorMsg || "rejected", raw: res };
+      }
+      return {
+        orderId: res.orderID,
+        tokenId: String(tokenId),
+        side,
+        price: signedPrice,
+        size: signedSize,
+        sizeMatched: String(res.status).toLowerCase() === "matched" ? signedSize : 0,
+        status: STATUS[String(res.status).toUpperCase()] ?? String(res.status).toLowerCase(),
+        orderType,
+        raw: res
+      };
+    },
+
+    // Taker order (FAK): BUY spends `amount` dollars, SELL sells `amount` shares, at `price` or better (null:
+    // the lowest tick for a SELL). The CLOB has no minimum-fill order, so any `minAmount` makes it FOK (all or
+    // nothing). The fill is read from the exchange's matched amounts when it reports them, else from the
+    // matched size at the order's price.
+    async marketOrder({ tokenId, side, amount, price = null, minAmount = 0 }) {
+      const worst = price ?? MIN_PRICE;
+      const orderType = minAmount > 0 ? "FOK" : "FAK";
+      const placed = await adapter.placeOrder({ tokenId, side, price: worst, size: side === "BUY" ? amount / worst : amount, orderType });
+      const making = Number(placed.raw?.makingAmount);
+      const taking = Number(placed.raw?.takingAmount);
+      const reported = placed.sizeMatched > 0 && making > 0 && taking > 0;
+      const filledShares = reported ? (side === "BUY" ? taking : making) : placed.sizeMatched;
+      const filledUsd = reported ? (side === "BUY" ? making : taking) : filledShares * placed.price;
+      const requested = side === "BUY" ? placed.size : amount;
+      let status = "REJECTED";
+      if (filledShares > 0) status = filledShares >= requested - 0.01 ? "FILLED" : "PARTIAL";
+      const fill = {
+        fillModel: "live",
+        orderId: placed.orderId,
+        status,
+        filledShares,
+        filledUsd,
+        avgFillPrice: filledShares > 0 ? filledUsd / filledShares : null,
+        topOfBook: null,
+        slippage: null,
+        levelsConsumed: null,
+        legs: filledShares > 0 ? [{ price: filledUsd / filledShares, shares: filledShares }] : [],
+        reason: status === "REJECTED" ? (placed.error ?? "not_matched") : null
+      };
+      return { ...placed, fill };
+    },
+
+    // -> { canceled: [orderId], notCanceled: { orderId: reason } }
+    async cancelOrder(orderId) {
+      const res = await authed("DELETE", "/order", { payload: { orderID: orderId } });
+      return { canceled: res?.canceled ?? [], notCanceled: res?.not_canceled ?? {} };
+    },
+
+    async cancelAll() {
+      const res = await authed("DELETE", "/cancel-all");
+      return { canceled: res?.canceled ?? [], notCanceled: res?.not_canceled ?? {} };
+    },
+
+    async getOrder(orderId) {
+      const res = await authed("GET", `/data/order/${orderId}`);
+      return res ? normalizeOrder(res) : null;
+    },
+
+    // Open orders, optionally for one market (condition id) or token. Follows the pagination cursor.
+    async getOpenOrders({ market = null, tokenId = null } = {}) {
+      const out = [];
+      let cursor = null;
+      for (let page = 0; page < 50; page += 1) {
+        const res = await authed("GET", "/data/orders", { query: { market, asset_id: tokenId, next_cursor: cursor } });
+        const rows = Array.isArray(res) ? res : (res?.data ?? []);
+        out.push(...rows.map(normalizeOrder));
+        cursor = Array.isArray(res) ? null : res?.next_cursor;
+        // "LTE=" is the CLOB's end-of-list cursor.
+        if (!cursor || cursor === "LTE=") break;
+      }
+      return out;
+    }
+  };
+  return adapter;
+}
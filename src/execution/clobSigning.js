@@ -0,0 +1,94 @@
+import crypto from "node:crypto";
+import { ethers } from "ethers";
+
+// Polymarket CLOB authentication and order signing, shared by the live adapter and the mock CLOB.
+// - L1 (wallet): an EIP-712 "ClobAuth" signature; used to create / derive API credentials.
+// - L2 (API key): HMAC-SHA256 of `timestamp + method + path + body` with the base64 API secret.
+// - Orders: EIP-712 structs for the CTF Exchange contract. Amounts are 6-decimal integers (USDC and shares).
+
+export const CLOB_AUTH_MESSAGE = "This message attests that I control the given wallet";
+
+export const CLOB_AUTH_TYPES = {
+  ClobAuth: [
+    { name: "address", type: "address" },
+    { name: "timestamp", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "message", type: "string" }
+  ]
+};
+
+export const ORDER_TYPES = {
+  Order: [
+    { name: "salt", type: "uint256" },
+    { name: "maker", type: "address" },
+    { name: "signer", type: "address" },
+    { name: "taker", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "makerAmount", type: "uint256" },
+    { name: "takerAmount", type: "uint256" },
+    { name: "expiration", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "feeRateBps", type: "uint256" },
+    { name: "side", type: "uint8" },
+    { name: "signatureType", type: "uint8" }
+  ]
+};
+
+export const ORDER_SIDES = { BUY: 0, SELL: 1 };
+
+export function clobAuthDomain(chainId) {
+  return { name: "ClobAuthDomain", version: "1", chainId };
+}
+
+export function orderDomain({ chainId, exchangeAddress }) {
+  return { name: "Polymarket CTF Exchange", version: "1", chainId, verifyingContract: exchangeAddress };
+}
+
+export function clobAuthValue({ address, timestamp, nonce = 0 }) {
+  return { address, timestamp: String(timestamp), nonce, message: CLOB_AUTH_MESSAGE };
+}
+
+// HMAC for the L2 headers, url-safe base64 like the official clients.
+export function l2Signature({ secret, timestamp, method, path, body = "" }) {
+  const message = `${timestamp}${method.toUpperCase()}${path}${body ?? ""}`;
+  return crypto.createHmac("sha256", Buffer.from(secret, "base64")).update(message).digest("base64").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// Shares are rounded down to 2 decimals and the USDC side to 4, which keeps 1¢-tick orders exact.
+// BUY: give USDC (maker) for shares (taker); SELL the other way round.
+export function orderAmounts({ side, price, size }) {
+  const shares = Math.floor(size * 100 + 1e-9) / 100;
+  const usdc = Math.round(shares * price * 10_000) / 10_000;
+  const sharesUnits = ethers.parseUnits(shares.toFixed(6), 6);
+  const usdcUnits = ethers.parseUnits(usdc.toFixed(6), 6);
+  return side === "BUY"
+    ? { makerAmount: usdcUnits, takerAmount: sharesUnits, shares }
+    : { makerAmount: sharesUnits, takerAmount: usdcUnits, shares };
+}
+
+// Price and size back out of a signed order (what the exchange sees).
+export function orderPriceSize(order) {
+  const maker = Number(ethers.formatUnits(BigInt(order.makerAmount), 6));
+  const taker = Number(ethers.formatUnits(BigInt(order.takerAmount), 6));
+  const buy = order.side === "BUY" || Number(order.side) === ORDER_SIDES.BUY;
+  const size = buy ? taker : maker;
+  return { side: buy ? "BUY" : "SELL", size, price: size > 0 ? Number(((buy ? maker : taker) / size).toFixed(6)) : null };
+}
+
+// The EIP-712 struct of an order in its JSON (POST /order) form.
+export function orderStruct(order) {
+  return {
+    salt: BigInt(order.salt),
+    maker: order.maker,
+    signer: order.signer,
+    taker: order.taker,
+    tokenId: BigInt(order.tokenId),
+    makerAmount: BigInt(order.makerAmount),
+    takerAmount: BigInt(order.takerAmount),
+    expiration: BigInt(order.expiration),
+    nonce: BigInt(order.nonce),
+    feeRateBps: BigInt(order.feeRateBps),
+    side: typeof order.side === "string" ? ORDER_SIDES[order.side] : Number(order.side),
+    signatureType: Number(order.signatureType)
+  };
+}
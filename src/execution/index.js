@@ -0,0 +1,30 @@
+import { CONFIG } from "../config.js";
+import { createPaperExecutionAdapter } from "./paper.js";
+import { createLiveClobAdapter } from "./clobLive.js";
+
+export { LIVE_TRADING_CONFIRM_PHRASE, isLoopbackUrl, assertLiveTradingAllowed } from "./liveGuard.js";
+
+// Execution adapters. Both implementations expose the same interface (all async):
+//   placeOrder({ tokenId, side: "BUY" | "SELL", price, size, orderType: "GTC" | "GTD" | "FOK" | "FAK", expiration })
+//     -> { orderId, tokenId, side, price, size, sizeMatched, status: "live" | "matched" | "canceled" | "rejected", orderType, error? }
+//   marketOrder({ tokenId, side, amount, price, minAmount }) -> order & { fill }
+//     Taker order, fill-and-kill. BUY spends `amount` dollars, SELL sells `amount` shares, no worse than `price`;
+//     nothing fills when less than `minAmount` would.
+//     `fill` is in the src/paper_trading/fills.js shape ({ status: "FILLED" | "PARTIAL" | "REJECTED", filledShares,
+//     filledUsd, avgFillPrice, legs, slippage, levelsConsumed, reason }) plus `fillModel` and `orderId`.
+//   cancelOrder(orderId) / cancelAll() -> { canceled: [orderId], notCanceled: { orderId: reason } }
+//   getOrder(orderId) -> order | null
+//   getOpenOrders({ market, tokenId }) -> [order]
+//   ensureCredentials()
+// `size` is in shares and `price` in dollars per share.
+
+// mode: EXECUTION_MODE ("paper" by default) or "live". Paper options: { getBook, getQuote, paperTrading, now };
+// live options: see createLiveClobAdapter(). The Trader builds its adapter here.
+export function createExecutionAdapter({ mode = CONFIG.execution.mode, ...opts } = {}) {
+  if (mode === "paper") return createPaperExecutionAdapter(opts);
+  if (mode === "live") {
+    // createLiveClobAdapter() enforces the LIVE_TRADING opt-in itself.
+    return createLiveClobAdapter(opts);
+  }
+  throw new Error(`Unknown execution mode "${mode}" (available: paper, live)`);
+}
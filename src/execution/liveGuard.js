@@ -0,0 +1,35 @@
+import net from "node:net";
+import { CONFIG } from "../config.js";
+
+// The LIVE_TRADING double opt-in, checked by createLiveClobAdapter() before anything is signed or sent.
+
+// LIVE_TRADING_CONFIRM has to be exactly this for a live adapter to talk to a non-local CLOB.
+export const LIVE_TRADING_CONFIRM_PHRASE = "I understand this trades real funds";
+
+// Only real loopback addresses count: localhost, 127.0.0.0/8 and ::1. A hostname that merely starts with
+// "127." (127.0.0.1.nip.io) resolves wherever its owner wants.
+export function isLoopbackUrl(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  if (host.startsWith("[") && host.endsWith("]")) host = host.slice(1, -1);
+  if (host === "localhost") return true;
+  if (net.isIP(host) === 4) return host.split(".")[0] === "127";
+  if (net.isIP(host) === 6) return host === "::1";
+  return false;
+}
+
+// Double opt-in for real money: LIVE_TRADING=true *and* the confirmation phrase. A loopback base URL
+// (the mock CLOB) needs neither. Throws with the missing step otherwise.
+export function assertLiveTradingAllowed({ baseUrl, liveTrading = CONFIG.execution.liveTrading, confirm = CONFIG.execution.liveTradingConfirm } = {}) {
+  if (isLoopbackUrl(baseUrl)) return;
+  if (!liveTrading) {
+    throw new Error(`Live trading is disabled: set LIVE_TRADING=true to send orders to ${baseUrl}`);
+  }
+  if (confirm !== LIVE_TRADING_CONFIRM_PHRASE) {
+    throw new Error(`Live trading not confirmed: set LIVE_TRADING_CONFIRM="${LIVE_TRADING_CONFIRM_PHRASE}" to send orders to ${baseUrl}`);
+  }
+}
@@ -0,0 +1,208 @@
+import express from "express";
+import { ethers } from "ethers";
+import { CONFIG } from "../config.js";
+import {
+  CLOB_AUTH_TYPES,
+  ORDER_TYPES,
+  clobAuthDomain,
+  clobAuthValue,
+  orderDomain,
+  orderPriceSize,
+  orderStruct,
+  l2Signature
+} from "./clobSigning.js";
+
+// Local stand-in for the Polymarket CLOB order endpoints, for exercising the live adapter without funds.
+// It checks L1/L2 auth and order signatures the way the real API does and keeps orders in memory:
+//   POST /auth/api-key, GET /auth/derive-api-key      (L1 headers)
+//   POST /order, DELETE /order, DELETE /cancel-all     (L2 headers)
+//   GET /data/order/:id, GET /data/orders              (L2 headers)
+// Matching is deliberately simple: an order whose price crosses the top of the book set with setBook()
+// is MATCHED in full, anything else rests as LIVE (FOK/FAK orders that don't cross are killed).
+
+const END_CURSOR = "LTE=";
+
+function credsFor(address, nonce) {
+  const seed = ethers.id(`mock-clob:${address.toLowerCase()}:${nonce}`);
+  return {
+    apiKey: `${seed.slice(2, 10)}-${seed.slice(10, 14)}-${seed.slice(14, 18)}-${seed.slice(18, 22)}-${seed.slice(22, 34)}`,
+    secret: Buffer.from(seed.slice(34, 66), "hex").toString("base64"),
+    passphrase: seed.slice(2, 34)
+  };
+}
+
+export function startMockClob({ port = 0, host = "127.0.0.1", chainId = CONFIG.execution.chainId, exchangeAddress = CONFIG.execution.exchangeAddress } = {}) {
+  const keys = new Map(); // apiKey -> { address, secret, passphrase }
+  const orders = new Map(); // orderId -> CLOB order record
+  const books = new Map(); // tokenId -> { bids, asks }
+
+  const app = express();
+  // Raw body: L2 signatures cover the exact bytes sent.
+  app.use(express.text({ type: "*/*" }));
+
+  const parseBody = (req) => {
+    try {
+      return req.body ? JSON.parse(req.body) : {};
+    } catch {
+      return null;
+    }
+  };
+
+  const l1Address = (req) => {
+    const address = req.get("POLY_ADDRESS");
+    const signature = req.get("POLY_SIGNATURE");
+    const timestamp = req.get("POLY_TIMESTAMP");
+    const nonce = Number(req.get("POLY_NONCE") ?? 0);
+    if (!address || !signature || !timestamp) return null;
+    try {
+      const signer = ethers.verifyTypedData(clobAuthDomain(chainId), CLOB_AUTH_TYPES, clobAuthValue({ address, timestamp, nonce }), signature);
+      return signer.toLowerCase() === address.toLowerCase() ? { address, nonce } : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Resolves the API key owner, or sends 401.
+  const l2Owner = (req, res) => {
+    const key = keys.get(req.get("POLY_API_KEY") ?? "");
+    const expected = key && l2Signature({ secret: key.secret, timestamp: req.get("POLY_TIMESTAMP"), method: req.method, path: req.path, body: req.body || "" });
+    if (!key || req.get("POLY_PASSPHRASE") !== key.passphrase || req.get("POLY_SIGNATURE") !== expected || req.get("POLY_ADDRESS")?.toLowerCase() !== key.address.toLowerCase()) {
+      res.status(401).json({ error: "Unauthorized/Invalid api key" });
+      return null;
+    }
+    return { apiKey: req.get("POLY_API_KEY"), ...key };
+  };
+
+  const issueKey = (address, nonce) => {
+    const creds = credsFor(address, nonce);
+    keys.set(creds.apiKey, { address, secret: creds.secret, passphrase: creds.passphrase });
+    return creds;
+  };
+
+  app.post("/auth/api-key", (req, res) => {
+    const auth = l1Address(req);
+    if (!auth) return res.status(401).json({ error: "Invalid L1 Request headers" });
+    const creds = credsFor(auth.address, auth.nonce);
+    if (keys.has(creds.apiKey)) return res.status(400).json({ error: "Could not create api key" });
+    res.json(issueKey(auth.address, auth.nonce));
+  });
+
+  app.get("/auth/derive-api-key", (req, res) => {
+    const auth = l1Address(req);
+    if (!auth) return res.status(401).json({ error: "Invalid L1 Request headers" });
+    res.json(issueKey(auth.address, auth.nonce));
+  });
+
+  app.post("/order", (req, res) => {
+    const owner = l2Owner(req, res);
+    if (!owner) return;
+    const body = parseBody(req);
+    const order = body?.order;
+    if (!order?.signature) return res.status(400).json({ error: "Invalid order payload" });
+    if (body.owner !== owner.apiKey) return res.status(400).json({ error: "the order owner has to be the owner of the API KEY" });
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(orderDomain({ chainId, exchangeAddress }), ORDER_TYPES, orderStruct(order), order.signature);
+    } catch {
+      signer = null;
+    }
+    if (!signer || signer.toLowerCase() !== String(order.signer).toLowerCase() || signer.toLowerCase() !== owner.address.toLowerCase()) {
+      return res.status(400).json({ error: "invalid signature" });
+    }
+
+    const { side, price, size } = orderPriceSize(order);
+    const orderType = String(body.orderType || "GTC").toUpperCase();
+    const book = books.get(String(order.tokenId));
+    const top = side === "BUY"
+      ? Math.min(...(book?.asks ?? []).map((l) => Number(l.price)))
+      : Math.max(...(book?.bids ?? []).map((l) => Number(l.price)));
+    const crosses = Number.isFinite(top) && (side === "BUY" ? top <= price : top >= price);
+    if (!crosses && (orderType === "FOK" || orderType === "FAK")) {
+      return res.json({ success: false, errorMsg: "order couldn't be fully filled. FOK orders are fully filled or killed.", orderID: "", status: "", transactionsHashes: [] });
+    }
+
+    const id = ethers.id(order.signature);
+    orders.set(id, {
+      id,
+      status: crosses ? "MATCHED" : "LIVE",
+      owner: owner.apiKey,
+      maker_address: order.maker,
+      market: book?.market ?? null,
+      asset_id: String(order.tokenId),
+      side,
+      original_size: String(size),
+      size_matched: crosses ? String(size) : "0",
+      price: String(price),
+      order_type: orderType,
+      expiration: String(order.expiration),
+      created_at: Math.floor(Date.now() / 1000),
+      associate_trades: []
+    });
+    res.json({ success: true, errorMsg: "", orderID: id, status: crosses ? "matched" : "live", transactionsHashes: [] });
+  });
+
+  const cancel = (owner, ids) => {
+    const out = { canceled: [], not_canceled: {} };
+    for (const id of ids) {
+      const o = orders.get(id);
+      if (!o || o.owner !== owner.apiKey) out.not_canceled[id] = "order not found";
+      else if (o.status !== "LIVE") out.not_canceled[id] = `order is ${o.status.toLowerCase()}`;
+      else {
+        o.status = "CANCELED";
+        out.canceled.push(id);
+      }
+    }
+    return out;
+  };
+
+  app.delete("/order", (req, res) => {
+    const owner = l2Owner(req, res);
+    if (!owner) return;
+    const body = parseBody(req);
+    if (!body?.orderID) return res.status(400).json({ error: "Invalid order id" });
+    res.json(cancel(owner, [body.orderID]));
+  });
+
+  app.delete("/cancel-all", (req, res) => {
+    const owner = l2Owner(req, res);
+    if (!owner) return;
+    const live = Array.from(orders.values()).filter((o) => o.owner === owner.apiKey && o.status === "LIVE").map((o) => o.id);
+    res.json(cancel(owner, live));
+  });
+
+  app.get("/data/order/:id", (req, res) => {
+    const owner = l2Owner(req, res);
+    if (!owner) return;
+    const o = orders.get(req.params.id);
+    if (!o || o.owner !== owner.apiKey) return res.json(null);
+    res.json(o);
+  });
+
+  app.get("/data/orders", (req, res) => {
+    const owner = l2Owner(req, res);
+    if (!owner) return;
+    const { market, asset_id: assetId } = req.query;
+    const data = Array.from(orders.values()).filter((o) => o.owner === owner.apiKey && o.status === "LIVE" &&
+      (!market || o.market === market) && (!assetId || o.asset_id === assetId));
+    res.json({ data, next_cursor: END_CURSOR, limit: data.length, count: data.length });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://${host}:${boundPort}`,
+        orders,
+        // Top of book used for matching: { bids: [{ price, size }], asks: [...], market? } in the REST /book shape.
+        setBook(tokenId, book) {
+          books.set(String(tokenId), book);
+        },
+        close() {
+          return new Promise((done) => server.close(() => done()));
+        }
+      });
+    });
+    server.on("error", reject);
+  });
+}
@@ -0,0 +1,17 @@
+import { CONFIG } from "../config.js";
+import { startMockClob } from "./mockClob.js";
+
+// npm run mock-clob
+// Serves the mock CLOB order endpoints on 127.0.0.1:MOCK_CLOB_PORT until interrupted. Point the live adapter
+// at it with EXECUTION_MODE=live EXECUTION_CLOB_BASE_URL=http://127.0.0.1:<port> (no LIVE_TRADING opt-in needed).
+
+const mock = await startMockClob({ port: CONFIG.execution.mockPort });
+console.log(`Mock CLOB listening on ${mock.url}`);
+console.log(`Use: EXECUTION_MODE=live EXECUTION_CLOB_BASE_URL=${mock.url} POLYMARKET_PRIVATE_KEY=<any test key>`);
+
+const stop = async () => {
+  await mock.close();
+  process.exit(0);
+};
+process.on("SIGINT", stop);
+process.on("SIGTERM", stop);
@@ -0,0 +1,173 @@
+import { CONFIG } from "../config.js";
+import { simulateBuy, simulateSell, bookLadder } from "../paper_trading/fills.js";
+import { checkLimitFill } from "../paper_trading/limitOrders.js";
+
+// Paper execution: the same interface as the live CLOB adapter, and the one place paper orders are filled.
+// Taker orders walk the book with the depth-aware simulator in src/paper_trading/fills.js, or take the quoted
+// touch in full when depth-aware fills are off or there is no book. Resting GTC/GTD orders fill, in full at
+// their own price, by the passive-order rules of src/paper_trading/limitOrders.js (the opposite side of the
+// book reaches them, or a later trade print goes through them). Nothing leaves the process.
+//   getBook(tokenId)  -> REST-shaped book (with `trades` prints when the WS feed has them), or null
+//   getQuote(tokenId) -> { bid, ask, price }: top of book, with `price` (the snapshot's CLOB price) standing in
+//                        for a missing side on taker fills. Defaults to the top of getBook().
+// `paperTrading` supplies depthAwareFills, read on every order.
+
+function topOfBook(book) {
+  return { bid: bookLadder(book, "SELL")[0]?.price ?? null, ask: bookLadder(book, "BUY")[0]?.price ?? null, price: null };
+}
+
+// The whole order at the touch: BUY spends `amount` dollars at the ask, SELL sells `amount` shares at the bid.
+function touchFill(side, amount, quote) {
+  const price = side === "BUY" ? (quote?.ask ?? quote?.price ?? null) : (quote?.bid ?? quote?.price ?? null);
+  const shares = price > 0 ? (side === "BUY" ? amount / price : amount) : 0;
+  if (!(shares > 0)) {
+    return { fillModel: "touch", status: "REJECTED", filledShares: 0, filledUsd: 0, avgFillPrice: null, topOfBook: price, slippage: null, levelsConsumed: null, legs: [], reason: "no_price" };
+  }
+  return {
+    fillModel: "touch",
+    status: "FILLED",
+    filledShares: shares,
+    filledUsd: side === "BUY" ? amount : shares * price,
+    avgFillPrice: price,
+    topOfBook: price,
+    slippage: 0,
+    levelsConsumed: null,
+    legs: [{ price, shares }],
+    reason: null
+  };
+}
+
+export function createPaperExecutionAdapter({
+  getBook = () => null,
+  getQuote = (tokenId) => topOfBook(getBook(tokenId)),
+  paperTrading = CONFIG.paperTrading,
+  now = () => Date.now()
+} = {}) {
+  const orders = new Map();
+  let seq = 0;
+
+  const view = (o) => ({ ...o, raw: null });
+
+  const record = (fields) => {
+    const order = { orderId: `paper-${now()}-${++seq}`, sizeMatched: 0, expiration: 0, avgFillPrice: null, via: null, checkedAtMs: now(), ...fields };
+    orders.set(order.orderId, order);
+    return order;
+  };
+
+  // Resting orders are matched against the book and the prints since they were last looked at.
+  const refresh = (o) => {
+    if (o.status !== "live") return o;
+    if (o.expiration && Math.floor(now() / 1000) >= o.expiration) {
+      o.status = "canceled";
+      return o;
+    }
+    const hit = checkLimitFill(o, { quote: getQuote(o.tokenId), book: getBook(o.tokenId) });
+    if (hit) {
+      o.sizeMatched = o.size;
+      o.avgFillPrice = o.price;
+      o.via = hit.via;
+      o.status = "matched";
+    } else {
+      o.checkedAtMs = now();
+    }
+    return o;
+  };
+
+  return {
+    name: "paper",
+
+    async ensureCredentials() {
+      return null;
+    },
+
+    async placeOrder({ tokenId, side, price, size, orderType = "GTC", expiration = 0 }) {
+      const book = getBook(tokenId);
+      const fill = side === "BUY"
+        ? simulateBuy(book, { notionalUsd: size * price, limitPrice: price, maxShares: size })
+        : simulateSell(book, { shares: size, limitPrice: price });
+      const complete = fill.status === "FILLED";
+      if (orderType === "FOK" && !complete) {
+        return { orderId: null, tokenId: String(tokenId), side, price, size, sizeMatched: 0, status: "rejected", orderType, error: "order couldn't be fully filled (FOK)", raw: null };
+      }
+
+      let status = "live";
+      if (complete) status = "matched";
+      else if (orderType === "FAK") status = fill.filledShares > 0 ? "matched" : "canceled";
+      const order = record({
+        tokenId: String(tokenId),
+        side,
+        price,
+        size,
+        sizeMatched: fill.filledShares > 0 ? fill.filledShares : 0,
+        avgFillPrice: fill.filledShares > 0 ? fill.avgFillPrice : null,
+        via: fill.filledShares > 0 ? "book" : null,
+        status,
+        orderType,
+        expiration: orderType === "GTD" ? expiration : 0
+      });
+      return view(order);
+    },
+
+    // Taker order that fills what it can right away and kills the rest (FAK). BUY spends `amount` dollars,
+    // SELL sells `amount` shares; `price` is the worst price accepted (null: any). When less than `minAmount`
+    // would fill, nothing does (reason "min_fill"; `fillableAmount` says how much could have).
+    async marketOrder({ tokenId, side, amount, price = null, minAmount = 0 }) {
+      const book = getBook(tokenId);
+      let fill;
+      if (paperTrading.depthAwareFills && book) {
+        fill = side === "BUY"
+          ? simulateBuy(book, { notionalUsd: amount, limitPrice: price })
+          : simulateSell(book, { shares: amount, limitPrice: price });
+        fill = { fillModel: "book", ...fill };
+      } else {
+        fill = touchFill(side, amount, getQuote(tokenId));
+      }
+      const fillableAmount = side === "BUY" ? fill.filledUsd : fill.filledShares;
+      if (fill.status !== "REJECTED" && fillableAmount < minAmount) {
+        fill = { ...fill, status: "REJECTED", filledShares: 0, filledUsd: 0, avgFillPrice: null, slippage: null, legs: [], reason: "min_fill", fillableAmount };
+      }
+      const order = record({
+        tokenId: String(tokenId),
+        side,
+        price: fill.avgFillPrice,
+        size: fill.filledShares,
+        sizeMatched: fill.filledShares,
+        avgFillPrice: fill.avgFillPrice,
+        via: fill.filledShares > 0 ? fill.fillModel : null,
+        status: fill.filledShares > 0 ? "matched" : "canceled",
+        orderType: "FAK"
+      });
+      return { ...view(order), fill: { ...fill, orderId: order.orderId } };
+    },
+
+    // A cancel lands before the book is looked at again, so an order only fills if a query saw it cross.
+    async cancelOrder(orderId) {
+      const o = orders.get(orderId);
+      if (!o || o.status !== "live") return { canceled: [], notCanceled: { [orderId]: o ? `order ${o.status}` : "order not found" } };
+      o.status = "canceled";
+      return { canceled: [orderId], notCanceled: {} };
+    },
+
+    async cancelAll() {
+      const canceled = [];
+      for (const o of orders.values()) {
+        if (o.status !== "live") continue;
+        o.status = "canceled";
+        canceled.push(o.orderId);
+      }
+      return { canceled, notCanceled: {} };
+    },
+
+    async getOrder(orderId) {
+      const o = orders.get(orderId);
+      return o ? view(refresh(o)) : null;
+    },
+
+    async getOpenOrders({ tokenId = null } = {}) {
+      return Array.from(orders.values())
+        .map(refresh)
+        .filter((o) => o.status === "live" && (tokenId === null || o.tokenId === String(tokenId)))
+        .map(view);
+    }
+  };
+}
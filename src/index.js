@@ -21,6 +21,10 @@ if (CONFIG.priceFeed === "kraken") {
 import { fetchChainlinkBtcUsd } from "./data/chainlink.js";
 import { startChainlinkPriceStream } from "./data/chainlinkWs.js";
 import { startPolymarketChainlinkPriceStream } from "./data/polymarketLiveWs.js";
+import { startPolymarketClobBookStream } from "./data/polymarketClobWs.js";
+import { createSessionRecorder } from "./data/sessionJournal.js";
+import { createPriceAggregator } from "./data/priceAggregator.js";
+import { createPriceToBeatTracker, windowStartMsForMarket } from "./data/priceToBeat.js";
 import {
   fetchMarketBySlug,
   fetchLiveEventsBySeriesId,
@@ -31,16 +35,11 @@ import {
   summarizeOrderBook
 } from "./data/polymarket.js";
 
-// Indicators
-import { computeSessionVwap, computeVwapSeries } from "./indicators/vwap.js";
-import { computeRsi, sma, slopeLast } from "./indicators/rsi.js";
-import { computeMacd } from "./indicators/macd.js";
-import { computeHeikenAshi, countConsecutive } from "./indicators/heikenAshi.js";
-
-// Engines
-import { detectRegime } from "./engines/regime.js";
-import { scoreDirection, applyTimeAwareness } from "./engines/probability.js";
-import { computeEdge, decide } from "./engines/edge.js";
+// Indicators + engines
+import { evaluateSignals, createIndicatorEngine } from "./engines/pipeline.js";
+import { getStrategy } from "./strategies/index.js";
+import { createCalibrationRecorder } from "./analytics/calibration.js";
+import { createResolutionTracker } from "./paper_trading/resolution.js";
 
 // Utilities and Setup
 import { appendCsvRow, formatNumber, formatPct, getCandleWindowTiming, sleep } from "./utils.js";
@@ -50,7 +49,8 @@ import readline from "node:readline";
 import { applyGlobalProxyFromEnv } from "./net/proxy.js";
 
 // Paper trading modules
-import { Trader, initializeTrader, getTraderInstance, getOpenTrade } from "./paper_trading/trader.js";
+import { Trader, getTraderInstance, getOpenTrade } from "./paper_trading/trader.js";
+import { initializeAccounts } from "./paper_trading/accounts.js";
 import { initializeLedger } from "./paper_trading/ledger.js";
 // UI Server
 import { startUIServer } from "./ui/server.js";
@@ -104,21 +104,80 @@ function extractNumericFromMarket(market) { const directKeys = ["priceToBeat", "
 function priceToBeatFromPolymarketMarket(market) { const n = extractNumericFromMarket(market); if (n !== null) return n; return parsePriceToBeat(market); }
 const marketCache = { market: null, fetchedAtMs: 0 };
 async function resolveCurrentBtc15mMarket() { if (CONFIG.polymarket.marketSlug) { return await fetchMarketBySlug(CONFIG.polymarket.marketSlug); } if (!CONFIG.polymarket.autoSelectLatest) return null; const now = Date.now(); if (marketCache.market && now - marketCache.fetchedAtMs < CONFIG.pollIntervalMs) { return marketCache.market; } const events = await fetchLiveEventsBySeriesId({ seriesId: CONFIG.polymarket.seriesId, limit: 50 }); const markets = flattenEventMarkets(events); const picked = pickLatestLiveMarket(markets); marketCache.market = picked; marketCache.fetchedAtMs = now; return picked; }
-async function fetchPolymarketSnapshot() { const market = await resolveCurrentBtc15mMarket(); if (!market) return { ok: false, reason: "market_not_found" }; const outcomes = Array.isArray(market.outcomes) ? market.outcomes : JSON.parse(market.outcomes || "[]"); const outcomePrices = Array.isArray(market.outcomePrices) ? market.outcomePrices : JSON.parse(market.outcomePrices || "[]"); const clobTokenIds = Array.isArray(market.clobTokenIds) ? market.clobTokenIds : JSON.parse(market.clobTokenIds || "[]"); let upTokenId = null; let downTokenId = null; for (let i = 0; i < outcomes.length; i += 1) { const label = String(outcomes[i]); const tokenId = clobTokenIds[i] ? String(clobTokenIds[i]) : null; if (!tokenId) continue; if (label.toLowerCase() === CONFIG.polymarket.upOutcomeLabel.toLowerCase()) upTokenId = tokenId; if (label.toLowerCase() === CONFIG.polymarket.downOutcomeLabel.toLowerCase()) downTokenId = tokenId; } const upIndex = outcomes.findIndex((x) => String(x).toLowerCase() === CONFIG.polymarket.upOutcomeLabel.toLowerCase()); const downIndex = outcomes.findIndex((x) => String(x).toLowerCase() === CONFIG.polymarket.downOutcomeLabel.toLowerCase()); const gammaYes = upIndex >= 0 ? Number(outcomePrices[upIndex]) : null; const gammaNo = downIndex >= 0 ? Number(outcomePrices[downIndex]) : null; if (!upTokenId || !downTokenId) { return { ok: false, reason: "missing_token_ids", market, outcomes, clobTokenIds, outcomePrices }; } let upBuy = null; let downBuy = null; let upBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null }; let downBookSummary = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null }; try { const [yesBuy, noBuy, upBook, downBook] = await Promise.all([ fetchClobPrice({ tokenId: upTokenId, side: "buy" }), fetchClobPrice({ tokenId: downTokenId, side: "buy" }), fetchOrderBook({ tokenId: upTokenId }), fetchOrderBook({ tokenId: downTokenId }) ]); upBuy = yesBuy; downBuy = noBuy; upBookSummary = summarizeOrderBook(upBook); downBookSummary = summarizeOrderBook(downBook); } catch { upBuy = null; downBuy = null; upBookSummary = { bestBid: Number(market.bestBid) || null, bestAsk: Number(market.bestAsk) || null, spread: Number(market.spread) || null, bidLiquidity: null, askLiquidity: null }; downBookSummary = { bestBid: null, bestAsk: null, spread: Number(market.spread) || null, bidLiquidity: null, askLiquidity: null }; } return { ok: true, market, tokens: { upTokenId, downTokenId }, prices: { up: upBuy ?? gammaYes, down: downBuy ?? gammaNo }, orderbook: { up: upBookSummary, down: downBookSummary } }; }
-function countVwapCrosses(closes, vwapSeries, lookback) { if (closes.length < lookback || vwapSeries.length < lookback) return null; let crosses = 0; for (let i = closes.length - lookback + 1; i < closes.length; i += 1) { const prev = closes[i - 1] - vwapSeries[i - 1]; const cur = closes[i] - vwapSeries[i]; if (prev === 0) continue; if ((prev > 0 && cur < 0) || (prev < 0 && cur > 0)) crosses += 1; } return crosses; }
+const EMPTY_BOOK_SUMMARY = { bestBid: null, bestAsk: null, spread: null, bidLiquidity: null, askLiquidity: null };
+let lastJournaledMarket = null;
+async function fetchPolymarketSnapshot({ clobStream = null, recorder = null } = {}) {
+  const market = await resolveCurrentBtc15mMarket();
+  if (!market) return { ok: false, reason: "market_not_found" };
+  // Journal each Gamma fetch once (the market cache hands back the same object between fetches).
+  if (recorder && market !== lastJournaledMarket) { recorder.record("gamma_market", market); lastJournaledMarket = market; }
+  const outcomes = Array.isArray(market.outcomes) ? market.outcomes : JSON.parse(market.outcomes || "[]");
+  const outcomePrices = Array.isArray(market.outcomePrices) ? market.outcomePrices : JSON.parse(market.outcomePrices || "[]");
+  const clobTokenIds = Array.isArray(market.clobTokenIds) ? market.clobTokenIds : JSON.parse(market.clobTokenIds || "[]");
+  let upTokenId = null; let downTokenId = null;
+  for (let i = 0; i < outcomes.length; i += 1) { const label = String(outcomes[i]); const tokenId = clobTokenIds[i] ? String(clobTokenIds[i]) : null; if (!tokenId) continue; if (label.toLowerCase() === CONFIG.polymarket.upOutcomeLabel.toLowerCase()) upTokenId = tokenId; if (label.toLowerCase() === CONFIG.polymarket.downOutcomeLabel.toLowerCase()) downTokenId = tokenId; }
+  const upIndex = outcomes.findIndex((x) => String(x).toLowerCase() === CONFIG.polymarket.upOutcomeLabel.toLowerCase());
+  const downIndex = outcomes.findIndex((x) => String(x).toLowerCase() === CONFIG.polymarket.downOutcomeLabel.toLowerCase());
+  const gammaYes = upIndex >= 0 ? Number(outcomePrices[upIndex]) : null;
+  const gammaNo = downIndex >= 0 ? Number(outcomePrices[downIndex]) : null;
+  if (!upTokenId || !downTokenId) { return { ok: false, reason: "missing_token_ids", market, outcomes, clobTokenIds, outcomePrices }; }
+
+  // Preferred: live books from the CLOB market channel. The stream resubscribes itself when the slug rolls over.
+  clobStream?.setMarket({ slug: market.slug ?? null, tokenIds: [upTokenId, downTokenId] });
+  const wsUpBook = clobStream?.getBook(upTokenId) ?? null;
+  const wsDownBook = clobStream?.getBook(downTokenId) ?? null;
+  if (wsUpBook && wsDownBook) {
+    const wsUpSummary = summarizeOrderBook(wsUpBook);
+    const wsDownSummary = summarizeOrderBook(wsDownBook);
+    // The REST "buy" quote is the price a buyer pays, i.e. the best ask of the token.
+    return { ok: true, market, tokens: { upTokenId, downTokenId }, prices: { up: wsUpSummary.bestAsk ?? gammaYes, down: wsDownSummary.bestAsk ?? gammaNo }, orderbook: { up: wsUpSummary, down: wsDownSummary }, books: { up: wsUpBook, down: wsDownBook }, bookSource: "clob_ws" };
+  }
+
+  // Fallback: REST polling when the socket is stale or hasn't delivered a snapshot yet.
+  let upBuy = null; let downBuy = null;
+  let upBookSummary = { ...EMPTY_BOOK_SUMMARY }; let downBookSummary = { ...EMPTY_BOOK_SUMMARY };
+  let books = { up: null, down: null };
+  let bookSource = "clob_rest";
+  try { const [yesBuy, noBuy, upBook, downBook] = await Promise.all([ fetchClobPrice({ tokenId: upTokenId, side: "buy" }), fetchClobPrice({ tokenId: downTokenId, side: "buy" }), fetchOrderBook({ tokenId: upTokenId }), fetchOrderBook({ tokenId: downTokenId }) ]); upBuy = yesBuy; downBuy = noBuy; upBookSummary = summarizeOrderBook(upBook); downBookSummary = summarizeOrderBook(downBook); books = { up: upBook, down: downBook }; recorder?.record("clob_rest", { slug: market.slug ?? null, upTokenId, downTokenId, upBuy, downBuy, books }); }
+  catch { upBuy = null; downBuy = null; bookSource = "gamma"; upBookSummary = { bestBid: Number(market.bestBid) || null, bestAsk: Number(market.bestAsk) || null, spread: Number(market.spread) || null, bidLiquidity: null, askLiquidity: null }; downBookSummary = { bestBid: null, bestAsk: null, spread: Number(market.spread) || null, bidLiquidity: null, askLiquidity: null }; }
+  return { ok: true, market, tokens: { upTokenId, downTokenId }, prices: { up: upBuy ?? gammaYes, down: downBuy ?? gammaNo }, orderbook: { up: upBookSummary, down: downBookSummary }, books, bookSource };
+}
 
 async function startApp() {
   // --- Initialization ---
   await initializeLedger(); // Ensure ledger file structure is correct
-  await initializeTrader(); // Initialize trader and load ledger
+  // Paper accounts (default + PAPER_ACCOUNTS), each with its own ledger and trader
+  const accounts = await initializeAccounts();
+  // Save the last equity point, compact the ledgers and release their locks on Ctrl+C / kill; the journals
+  // cover a hard crash.
+  const shutdown = async () => {
+    for (const account of accounts) {
+      account.equity.flush();
+      await account.ledger.close();
+    }
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
   applyGlobalProxyFromEnv(); // Apply proxy settings from environment
 
-  // Start data streams
-  // We no longer rely on Kraken WS (often rate-limited). Use Chainlink for BTC reference price.
-  const krakenStream = null;
+  // Raw feed journal (paper_trading/sessions/*.jsonl.gz); a no-op when RECORD_SESSIONS=false.
+  const recorder = createSessionRecorder();
+  if (recorder.sessionId) console.log(`Recording session: ${recorder.sessionId}`);
 
+  // Start data streams
+  // Chainlink is the BTC reference price; Kraken WS (trade + 1m ohlc) supplies traded volume.
   // Build lightweight 1m candles from Chainlink ticks for indicators (no exchange dependency).
   const chainlinkCandles1m = [];
+  // Indicators follow the candle buffer incrementally instead of recomputing every series per tick.
+  const indicatorEngine = createIndicatorEngine();
+  // Resolved once so a typo in STRATEGY fails at startup rather than inside the loop.
+  const strategy = getStrategy(CONFIG.strategy);
+  // Model snapshots at fixed minutes-left offsets, labeled once each window resolves (/api/calibration).
+  const calibrationResolver = createResolutionTracker();
+  const calibration = CONFIG.calibration.enabled
+    ? createCalibrationRecorder({ resolveSlug: (slug) => calibrationResolver.resolveSlug(slug) })
+    : null;
   const pushChainlinkTick = ({ price, updatedAt }) => {
     if (typeof price !== "number" || !Number.isFinite(price)) return;
     const ts = typeof updatedAt === "number" && Number.isFinite(updatedAt) ? updatedAt : Date.now();
@@ -145,11 +204,42 @@ async function startApp() {
     }
   };
 
-  const chainlinkStream = startChainlinkPriceStream({ onUpdate: pushChainlinkTick });
+  // Kraken OHLC rows carry the running 1m candle with real traded volume. Chainlink stays the price
+  // reference: Kraken only fills in volume, or opens a bucket Chainlink hasn't ticked into yet.
+  const applyKrakenCandle = (k) => {
+    const existing = chainlinkCandles1m.findLast((c) => c.openTime === k.openTime);
+    if (existing) {
+      existing.volume = k.volume;
+      return;
+    }
+    const last = chainlinkCandles1m[chainlinkCandles1m.length - 1];
+    if (!last || k.openTime > last.openTime) {
+      chainlinkCandles1m.push({ ...k });
+      if (chainlinkCandles1m.length > 240) chainlinkCandles1m.splice(0, chainlinkCandles1m.length - 240);
+    }
+  };
+  const krakenStream = (CONFIG.kraken.wsEnabled && tradeStreamProvider)
+    ? tradeStreamProvider({ onCandle: applyKrakenCandle, onMessage: (msg) => recorder.record("kraken_ws", msg) })
+    : null;
+
+  // BTC reference price consensus across Chainlink / Polymarket live / Kraken feeds.
+  const priceAggregator = createPriceAggregator();
+  // Chainlink opening price per window (persisted to paper_trading/price_to_beat.json).
+  const priceToBeatTracker = createPriceToBeatTracker();
+
+  const chainlinkStream = startChainlinkPriceStream({
+    onUpdate: (tick) => {
+      recorder.record("chainlink_ws", tick);
+      priceToBeatTracker.observe(tick);
+      pushChainlinkTick(tick);
+    }
+  });
 
   // Prime candles with an initial REST fetch so indicators can start without WS.
   try {
     const restTick = await fetchChainlinkBtcUsd();
+    recorder.record("chainlink_rest", restTick);
+    priceToBeatTracker.observe(restTick);
     if (restTick?.price) pushChainlinkTick({ price: restTick.price, updatedAt: restTick.updatedAt ?? Date.now() });
   } catch { /* ignore */ }
 
@@ -159,6 +249,7 @@ async function startApp() {
   let seededFromRest = false;
   try {
     const seed = await klineProvider.fetchKlines({ interval: "1m", limit: 240 });
+    recorder.record("kraken_rest", { kind: "klines", interval: "1m", candles: seed });
     if (Array.isArray(seed) && seed.length >= 30) {
       chainlinkCandles1m.splice(0, chainlinkCandles1m.length, ...seed.map((c) => ({
         openTime: c.openTime,
@@ -175,25 +266,26 @@ async function startApp() {
   } catch (e) {
     console.warn(`REST candle seed failed (continuing with tick-built candles): ${e.message}`);
   }
-  const polyStream = startPolymarketChainlinkPriceStream({});
+  const polyStream = startPolymarketChainlinkPriceStream({ onUpdate: (tick) => recorder.record("polymarket_ws", tick) });
+  // Order books for the current UP/DOWN tokens; subscribed lazily once the market is known.
+  const clobStream = startPolymarketClobBookStream({ onMessage: (event) => recorder.record("clob_ws", event) });
 
   // Start UI server
   try { startUIServer(); } catch (err) { console.error('Failed to start UI server:', err); }
 
   console.log(`--- Bot Started ---`);
   console.log(`Paper Trading: ${CONFIG.paperTrading.enabled ? 'ON' : 'OFF'}`);
-  console.log(`BTC feed: Chainlink WS (candles built from ticks).`);
+  console.log(`Strategy: ${strategy.name}@${strategy.version}`);
+  console.log(`Exit rules: ${CONFIG.paperTrading.exitRules ? "EXIT_RULES" : CONFIG.paperTrading.exitProfile} (${(getTraderInstance()?.exitRules ?? []).map((r) => r.type).join(", ")})`);
+  if (accounts.length > 1) console.log(`Paper accounts: ${accounts.map((a) => a.name).join(", ")}`);
+  console.log(`BTC feed: Chainlink WS (candles built from ticks)${krakenStream ? ", volume from Kraken WS" : ""}.`);
   console.log(`UI Server running on http://localhost:${CONFIG.uiPort}. Use 'ngrok http ${CONFIG.uiPort}' for remote access.`);
 
   let prevCurrentPrice = null;
   let priceToBeatState = { slug: null, value: null, setAtMs: null };
   const csvHeader = ["timestamp", "time_left", "regime", "signal", "model_up", "model_down", "mkt_up", "mkt_down", "edge_up", "edge_down", "rec"];
 
-  let trader = null;
-  if (CONFIG.paperTrading.enabled) {
-    trader = getTraderInstance(); // Assuming getTraderInstance() retrieves the singleton
-    if (!trader) console.warn("Trader instance not available, paper trading will be disabled.");
-  }
+  if (CONFIG.paperTrading.enabled && !accounts.length) console.warn("No paper accounts available, paper trading will be disabled.");
 
   while (true) {
     try {
@@ -201,6 +293,7 @@ async function startApp() {
     if (!seededFromRest && chainlinkCandles1m.length < 30) {
       try {
         const seed = await klineProvider.fetchKlines({ interval: "1m", limit: 240 });
+        recorder.record("kraken_rest", { kind: "klines", interval: "1m", candles: seed });
         if (Array.isArray(seed) && seed.length >= 30) {
           chainlinkCandles1m.splice(0, chainlinkCandles1m.length, ...seed.map((c) => ({
             openTime: c.openTime,
@@ -208,7 +301,7 @@ async function startApp() {
             high: c.high,
             low: c.low,
             close: c.close,
-            volume: 0,
+            volume: (typeof c.volume === "number" && Number.isFinite(c.volume)) ? c.volume : 0,
             closeTime: c.closeTime
           })));
           seededFromRest = true;
@@ -224,16 +317,26 @@ async function startApp() {
     let marketDataFetchSource = "N/A";
 
     // Fetch Live BTC Price Data ---
-    // Primary: Chainlink WS (if configured)
+    // Every feed reports into the aggregator; the fallback chain below only decides which REST feeds to poll.
     const chainlinkTick = chainlinkStream.getLast?.() ?? null;
+    const polyTick = polyStream.getLast?.() ?? null;
+    const krakenTick = krakenStream?.getLast?.() ?? null;
+    if (chainlinkTick?.price) priceAggregator.update("chainlink_ws", { price: chainlinkTick.price, ts: chainlinkTick.updatedAt });
+    if (polyTick?.price) priceAggregator.update("polymarket_ws", { price: polyTick.price, ts: polyTick.updatedAt });
+    if (krakenTick?.price) priceAggregator.update("kraken_ws", { price: krakenTick.price, ts: krakenTick.ts });
+
+    // Primary: Chainlink WS (if configured)
     if (chainlinkTick?.price) currentPrice = chainlinkTick.price;
 
     // Fallback: Chainlink REST (reliable) + feed candle builder
     if (currentPrice === null) {
       try {
         const restTick = await fetchChainlinkBtcUsd();
+        recorder.record("chainlink_rest", restTick);
+        priceToBeatTracker.observe(restTick);
         if (restTick?.price) {
           currentPrice = restTick.price;
+          priceAggregator.update("chainlink_rest", { price: restTick.price, ts: restTick.updatedAt ?? null });
           pushChainlinkTick({ price: restTick.price, updatedAt: restTick.updatedAt ?? Date.now() });
           marketDataFetchSource = "Chainlink REST";
         }
@@ -243,24 +346,36 @@ async function startApp() {
     }
 
     // Secondary: Polymarket live BTC feed (if it has a price)
-    const polyTick = polyStream.getLast?.() ?? null;
     if (currentPrice === null && polyTick?.price) currentPrice = polyTick.price;
 
     // Last resort: Kraken REST (throttled/cached) if configured
     if (currentPrice === null) {
-      try { currentPrice = await klineProvider.fetchLastPrice(); marketDataFetchSource = "Kraken REST"; }
+      try { currentPrice = await klineProvider.fetchLastPrice(); recorder.record("kraken_rest", { kind: "last_price", price: currentPrice }); priceAggregator.update("kraken_rest", { price: currentPrice }); marketDataFetchSource = "Kraken REST"; }
       catch (restErr) { console.error(`REST price fetch failed: ${restErr.message}`); }
     }
 
+    // Consensus across the fresh feeds replaces the first-non-null pick when available.
+    const priceConsensus = priceAggregator.snapshot();
+    if (priceConsensus.price !== null) {
+      currentPrice = priceConsensus.price;
+      marketDataFetchSource = `Consensus (${priceConsensus.freshSources} feeds)`;
+    }
+
     // --- 1m Candle Data for indicators ---
-    // Built from Chainlink ticks (volume=0; VWAP will be null which is fine).
+    // Built from Chainlink ticks; volume comes from Kraken OHLC (0 when Kraken is unavailable -> unweighted VWAP).
     const klines1m = chainlinkCandles1m;
 
     if (!klines1m || klines1m.length < CONFIG.candleWindowMinutes) {
       console.warn(`Not enough Chainlink 1m candles yet (${klines1m?.length || 0}). Indicators might be unreliable.`);
     }
 
-    const polySnapshot = await fetchPolymarketSnapshot();
+    const polySnapshot = await fetchPolymarketSnapshot({ clobStream, recorder });
+
+    // Price to beat: the captured Chainlink opening round, else whatever the market metadata says.
+    const ptbEntry = polySnapshot.ok ? priceToBeatTracker.update({ slug: polySnapshot.market?.slug ?? null, startMs: windowStartMsForMarket(polySnapshot.market) }) : null;
+    const scrapedPriceToBeat = polySnapshot.ok ? priceToBeatFromPolymarketMarket(polySnapshot.market) : null;
+    const priceToBeat = ptbEntry?.price ?? scrapedPriceToBeat;
+    const priceToBeatSource = ptbEntry ? `${ptbEntry.source}${ptbEntry.final ? "" : " (provisional)"}` : (scrapedPriceToBeat !== null ? "market_metadata" : null);
 
     // --- Liquidity sampling (Polymarket) ---
     try {
@@ -276,97 +391,59 @@ async function startApp() {
       // never crash main loop
     }
 
-    // --- Indicator Calculations ---
-    let indicatorsData = {};
-    if (klines1m && klines1m.length >= CONFIG.candleWindowMinutes) {
-      const closes = klines1m.map(c => c.close);
-      indicatorsData.vwapSeries = computeVwapSeries(klines1m);
-      indicatorsData.vwapNow = indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - 1];
-      indicatorsData.vwapSlope = indicatorsData.vwapSeries.length >= CONFIG.vwapSlopeLookbackMinutes ? (indicatorsData.vwapNow - indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - CONFIG.vwapSlopeLookbackMinutes]) / CONFIG.vwapSlopeLookbackMinutes : null;
-      indicatorsData.vwapDist = indicatorsData.vwapNow !== null && indicatorsData.vwapNow !== 0 ? (currentPrice - indicatorsData.vwapNow) / indicatorsData.vwapNow : null;
-      indicatorsData.rsiNow = computeRsi(closes, CONFIG.rsiPeriod);
-      const rsiSeries = closes.map((_, i) => computeRsi(closes.slice(0, i + 1), CONFIG.rsiPeriod)).filter(v => v !== null);
-      indicatorsData.rsiSlope = slopeLast(rsiSeries, 3);
-      indicatorsData.macd = computeMacd(closes, CONFIG.macdFast, CONFIG.macdSlow, CONFIG.macdSignal);
-      const haSeries = computeHeikenAshi(klines1m);
-      const haCC = countConsecutive(haSeries);
-      indicatorsData.heikenColor = haCC.color;
-      indicatorsData.heikenCount = haCC.count;
-      indicatorsData.failedVwapReclaim = indicatorsData.vwapNow !== null && indicatorsData.vwapSeries.length >= 3 ? closes[closes.length - 1] < indicatorsData.vwapNow && indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - 2] > indicatorsData.vwapSeries[indicatorsData.vwapSeries.length - 2] : false;
-      indicatorsData.vwapCrossCount = countVwapCrosses(closes, indicatorsData.vwapSeries, 20);
-
-      // Chop metric: recent close range over last 20 minutes.
-      const lookback = 20;
-      const lastN = closes.slice(-lookback);
-      const lastClose = lastN.length ? lastN[lastN.length - 1] : null;
-      if (lastN.length && lastClose) {
-        const hi = Math.max(...lastN);
-        const lo = Math.min(...lastN);
-        indicatorsData.rangePct20 = (hi - lo) / lastClose;
-      } else {
-        indicatorsData.rangePct20 = null;
-      }
-
-      // Volume is not available from Chainlink ticks; leave null so volume filter doesn't trigger.
-      indicatorsData.volumeRecent = null;
-      indicatorsData.volumeAvg = null;
-    }
-    
-    // Normalize indicator names for the engines.
-    const engineInputs = {
-      price: currentPrice,
-      vwap: indicatorsData.vwapNow ?? null,
-      vwapSlope: indicatorsData.vwapSlope ?? null,
-      rsi: indicatorsData.rsiNow ?? null,
-      rsiSlope: indicatorsData.rsiSlope ?? null,
-      macd: indicatorsData.macd ?? null,
-      heikenColor: indicatorsData.heikenColor ?? null,
-      heikenCount: indicatorsData.heikenCount ?? 0,
-      failedVwapReclaim: indicatorsData.failedVwapReclaim ?? false
-    };
-
-    const regimeInfo = detectRegime({ ...engineInputs, vwapDist: indicatorsData.vwapDist ?? null, vwapCrossCount: indicatorsData.vwapCrossCount ?? null });
-    const scored = scoreDirection(engineInputs);
-    const timeAware = applyTimeAwareness(scored.rawUp, timeLeftMin, CONFIG.candleWindowMinutes);
-    const marketUp = polySnapshot.ok ? polySnapshot.prices?.up : null;   // cents (buy)
-    const marketDown = polySnapshot.ok ? polySnapshot.prices?.down : null; // cents (buy)
-    const polyPrices = {
-      UP: (marketUp === null || marketUp === undefined) ? null : Number(marketUp) / 100,
-      DOWN: (marketDown === null || marketDown === undefined) ? null : Number(marketDown) / 100
-    };
-    const edge = computeEdge({ modelUp: timeAware.adjustedUp, modelDown: timeAware.adjustedDown, marketYes: marketUp, marketNo: marketDown });
-    const rec = decide({ remainingMinutes: timeLeftMin, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, modelUp: timeAware.adjustedUp, modelDown: timeAware.adjustedDown });
-    const predictNarrative = (timeAware.adjustedUp !== null && timeAware.adjustedDown !== null) ? (timeAware.adjustedUp > timeAware.adjustedDown ? "LONG" : "SHORT") : "NEUTRAL";
-
-    const signalsForTrader = {
-      rec,
-      kline: klines1m.length ? klines1m[klines1m.length - 1] : null, // BTC candle (for indicators only)
-      market: polySnapshot.ok ? polySnapshot.market : null,
-      polyMarketSnapshot: polySnapshot,
-      polyPrices, // dollars (0..1)
-      polyPricesCents: { UP: marketUp, DOWN: marketDown },
-      timeLeftMin,
-      modelUp: timeAware.adjustedUp,
-      modelDown: timeAware.adjustedDown,
-      predictNarrative,
-      indicators: indicatorsData
-    };
+    // --- Indicators + engines (same chain the backtester drives) ---
+    const { indicatorsData, regimeInfo, timeAware, fairValue, modelUp, modelDown, modelSource, marketUp, marketDown, polyPrices, edge, rec, predictNarrative, signalsForTrader } = evaluateSignals({ klines1m, currentPrice, timeLeftMin, polySnapshot, priceConsensus, priceToBeat, indicatorEngine, strategy });
 
     // Expose a tiny runtime snapshot for the UI (simple text display)
     globalThis.__uiStatus = {
       marketSlug: polySnapshot.ok ? (polySnapshot.market?.slug ?? null) : null,
       timeLeftMin,
       btcPrice: currentPrice,
-      modelUp: timeAware.adjustedUp,
-      modelDown: timeAware.adjustedDown,
+      modelUp,
+      modelDown,
+      modelSource,
+      strategy: signalsForTrader.strategy,
+      htf: Object.fromEntries(Object.entries(signalsForTrader.htf).map(([tf, b]) => [tf, { trend: b.trend, vwapSlope: b.vwapSlope, rsi: b.rsi, candles: b.candles }])),
+      regime: regimeInfo.regime,
+      fairValueUp: fairValue?.probUp ?? null,
       narrative: predictNarrative,
       polyUp: polyPrices.UP,
       polyDown: polyPrices.DOWN,
       candleCount: klines1m?.length ?? 0,
+      bookSource: polySnapshot.ok ? (polySnapshot.bookSource ?? null) : null,
+      priceFeeds: priceConsensus,
+      priceToBeat,
+      priceToBeatSource,
+      distanceToBeat: signalsForTrader.distanceToBeat,
       lastUpdate: new Date().toISOString()
     };
 
-    if (CONFIG.paperTrading.enabled && trader) await trader.processSignals(signalsForTrader, klines1m);
+    // Every paper account trades the same signals, one after another, each with its own settings.
+    if (CONFIG.paperTrading.enabled) {
+      for (const account of accounts) {
+        await account.run(async (trader) => {
+          await trader.processSignals(signalsForTrader, klines1m);
+          await trader.checkResolutions();
+          account.equity.record(trader.getEquitySnapshot(signalsForTrader));
+        });
+      }
+    }
+
+    if (calibration && polySnapshot.ok) {
+      const endMs = Date.parse(polySnapshot.market?.endDate ?? "");
+      calibration.observe({
+        slug: polySnapshot.market?.slug ?? null,
+        timeLeftMin,
+        windowEndMs: Number.isFinite(endMs) ? endMs : null,
+        modelUp,
+        taUp: timeAware.adjustedUp,
+        fairValueUp: fairValue?.probUp ?? null,
+        marketUp: edge.marketUp,
+        modelSource,
+        strategy: `${signalsForTrader.strategy.name}@${signalsForTrader.strategy.version}`
+      });
+    }
+    if (calibration) await calibration.labelPending();
 
     // --- Console UI Rendering ---
     const vwapSlopeLabel = indicatorsData.vwapSlope === null || indicatorsData.vwapSlope === undefined ? "-" : indicatorsData.vwapSlope > 0 ? "UP" : indicatorsData.vwapSlope < 0 ? "DOWN" : "FLAT";
@@ -386,9 +463,12 @@ async function startApp() {
     
     const pLong = timeAware?.adjustedUp ?? null; const pShort = timeAware?.adjustedDown ?? null;
     const predictValue = `${ANSI.green}LONG${ANSI.reset} ${formatProbPct(pLong)} / ${ANSI.red}SHORT${ANSI.reset} ${formatProbPct(pShort)}`;
-    const marketUpStr = `${marketUp ?? "-"}${marketUp === null || marketUp === undefined ? "" : "¢"}`;
-    const marketDownStr = `${marketDown ?? "-"}${marketDown === null || marketDown === undefined ? "" : "¢"}`;
-    const polyHeaderValue = `${ANSI.green}↑ UP${ANSI.reset} ${marketUpStr}  |  ${ANSI.red}↓ DOWN${ANSI.reset}`;
+    const fairValueText = fairValue
+      ? `${ANSI.green}UP${ANSI.reset} ${formatProbPct(fairValue.probUp)} / ${ANSI.red}DOWN${ANSI.reset} ${formatProbPct(fairValue.probDown)} ${ANSI.gray}(σ→close $${formatNumber(fairValue.sigmaToClose, 0)}${modelSource === "fair_value" ? ", active" : ""})${ANSI.reset}`
+      : `${ANSI.gray}-${ANSI.reset}`;
+    const marketUpStr = polyPrices.UP === null ? "-" : `${formatNumber(polyPrices.UP * 100, 1)}¢`;
+    const marketDownStr = polyPrices.DOWN === null ? "-" : `${formatNumber(polyPrices.DOWN * 100, 1)}¢`;
+    const polyHeaderValue = `${ANSI.green}↑ UP${ANSI.reset} ${marketUpStr}  |  ${ANSI.red}↓ DOWN${ANSI.reset} ${marketDownStr}`;
     const heikenLine = formatNarrativeValue("Heiken Ashi", `${indicatorsData.heikenColor ?? "-"} x${indicatorsData.heikenCount}`, haNarrative);
     const rsiArrow = indicatorsData.rsiSlope !== null && indicatorsData.rsiSlope < 0 ? "↓" : indicatorsData.rsiSlope !== null && indicatorsData.rsiSlope > 0 ? "↑" : "-";
     const rsiValue = `${formatNumber(indicatorsData.rsiNow, 1)} ${rsiArrow}`;
@@ -414,17 +494,16 @@ async function startApp() {
     const polyTimeLeftColor = settlementLeftMin !== null ? (settlementLeftMin >= 10 ? ANSI.green : settlementLeftMin >= 5 ? ANSI.yellow : ANSI.red) : ANSI.reset;
     const polyTimeLeftDisplay = settlementLeftMin !== null ? fmtTimeLeft(settlementLeftMin) : "-";
 
-    const priceToBeat = polySnapshot.ok ? priceToBeatFromPolymarketMarket(polySnapshot.market) : null;
     const ptbDelta = (currentPrice !== null && priceToBeat !== null) ? currentPrice - priceToBeat : null;
     const ptbDeltaColor = ptbDelta === null ? ANSI.gray : ptbDelta > 0 ? ANSI.green : ptbDelta < 0 ? ANSI.red : ANSI.gray;
     const ptbDeltaText = ptbDelta === null ? `${ANSI.gray}-${ANSI.reset}` : `${ptbDeltaColor}${ptbDelta > 0 ? "+" : ""}${Math.abs(ptbDelta).toFixed(2)}${ANSI.reset}`;
     const currentPriceLine = kv("CURRENT PRICE", `${colorPriceLine({ label: "", price: currentPrice, prevPrice: prevCurrentPrice, decimals: 2, prefix: "$" })} (${ptbDeltaText})`);
     
-    appendCsvRow("./logs/signals.csv", csvHeader, [new Date().toISOString(), timing.elapsedMinutes.toFixed(3), signal, timeAware.adjustedUp, timeAware.adjustedDown, marketUp, marketDown, edge.edgeUp, edge.edgeDown, rec.action === "ENTER" ? `${rec.side}:${rec.phase}` : "NO_TRADE"]);
+    appendCsvRow("./logs/signals.csv", csvHeader, [new Date().toISOString(), timing.elapsedMinutes.toFixed(3), regimeInfo.regime, signal, modelUp, modelDown, marketUp, marketDown, edge.edgeUp, edge.edgeDown, rec.action === "ENTER" ? `${rec.side}:${rec.phase}` : "NO_TRADE"]);
 
     renderScreen([
       displayMarketSlug, kv("Time left", fmtTimeLeft(timeLeftMin)), "", sepLine(), "",
-      kv("TA Predict", predictValue), kv("Heiken Ashi", (heikenLine.split(': ')[1] ?? heikenLine)?.replace(ANSI.reset,'') ?? "-"), kv("RSI", (rsiLine.split(': ')[1] ?? rsiLine)?.replace(ANSI.reset,'') ?? "-"),
+      kv("TA Predict", predictValue), kv("Fair value", fairValueText), kv("Heiken Ashi", (heikenLine.split(': ')[1] ?? heikenLine)?.replace(ANSI.reset,'') ?? "-"), kv("RSI", (rsiLine.split(': ')[1] ?? rsiLine)?.replace(ANSI.reset,'') ?? "-"),
       kv("MACD", (macdLine.split(': ')[1] ?? macdLine)?.replace(ANSI.reset,'') ?? "-"), kv("Delta 1/3", (deltaLine.split(': ')[1] ?? deltaLine)?.replace(ANSI.reset,'') ?? "-"), kv("VWAP", (vwapLine.split(': ')[1] ?? vwapLine)?.replace(ANSI.reset,'') ?? "-"),
       "", sepLine(), "",
       kv("POLYMARKET", polyHeaderValue),
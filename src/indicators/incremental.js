@@ -0,0 +1,231 @@
+import { computeRsi } from "./rsi.js";
+
+// Streaming versions of vwap.js / rsi.js / macd.js / heikenAshi.js. Each indicator keeps one small state
+// per candle, so appending a candle is O(1) and the forming candle is replaced with pop() + push().
+// The arithmetic mirrors the batch functions step for step (same operations, same order), so the
+// values are bit-for-bit identical to recomputing over the whole candle array, until its head is trimmed
+// (see IndicatorEngine).
+
+class IncrementalIndicator {
+  constructor() {
+    this.states = [];
+    this.values = []; // values[i] = indicator value after candles[0..i]
+  }
+
+  get length() {
+    return this.states.length;
+  }
+
+  get value() {
+    return this.values.length ? this.values[this.values.length - 1] : null;
+  }
+
+  push(candle) {
+    const prev = this.states.length ? this.states[this.states.length - 1] : null;
+    const state = this.step(prev, candle);
+    this.states.push(state);
+    this.values.push(state.value);
+  }
+
+  pop() {
+    this.states.pop();
+    this.values.pop();
+  }
+
+  // Forget the first k candles. The states after them keep what they learned from them.
+  shift(k) {
+    this.states.splice(0, k);
+    this.values.splice(0, k);
+  }
+
+  reset() {
+    this.states = [];
+    this.values = [];
+  }
+}
+
+// Session VWAP over the candles currently held (unweighted typical price when there is no volume).
+// States hold running sums from the first candle ever pushed; shift() keeps the sums of the dropped
+// candles as `base` and VWAP is taken over the difference (x - 0 is exact, so nothing changes before that).
+const NO_SUMS = { pv: 0, v: 0, tpSum: 0, n: 0 };
+
+export class VwapIndicator extends IncrementalIndicator {
+  constructor() {
+    super();
+    this.base = NO_SUMS;
+  }
+
+  step(prev, c) {
+    const tp = (c.high + c.low + c.close) / 3;
+    const vol = typeof c.volume === "number" && Number.isFinite(c.volume) ? c.volume : 0;
+    const pv = (prev?.pv ?? 0) + tp * vol;
+    const v = (prev?.v ?? 0) + vol;
+    const tpSum = (prev?.tpSum ?? 0) + tp;
+    const n = (prev?.n ?? 0) + 1;
+    return { pv, v, tpSum, n, value: this.windowValue({ pv, v, tpSum, n }) };
+  }
+
+  windowValue(s) {
+    const b = this.base;
+    const v = s.v - b.v;
+    return v === 0 ? (s.tpSum - b.tpSum) / (s.n - b.n) : (s.pv - b.pv) / v;
+  }
+
+  // The cached values are re-divided over the new window: one division per candle, no replay.
+  shift(k) {
+    this.base = this.states[k - 1];
+    super.shift(k);
+    for (let i = 0; i < this.states.length; i += 1) this.values[i] = this.windowValue(this.states[i]);
+  }
+
+  reset() {
+    super.reset();
+    this.base = NO_SUMS;
+  }
+}
+
+// Simple-average RSI over the last `period` closes. Only the last period + 1 closes matter, so each
+// step recomputes that fixed-size window with computeRsi itself.
+export class RsiIndicator extends IncrementalIndicator {
+  constructor(period) {
+    super();
+    this.period = period;
+  }
+
+  step(prev, c) {
+    const tail = this.states.slice(-this.period).map((s) => s.close);
+    tail.push(c.close);
+    return { close: c.close, value: computeRsi(tail, this.period) };
+  }
+}
+
+// MACD with EMAs seeded from the first close (and the signal EMA from the first MACD value), as in macd.js.
+export class MacdIndicator extends IncrementalIndicator {
+  constructor(fast, slow, signal) {
+    super();
+    this.fast = fast;
+    this.slow = slow;
+    this.signal = signal;
+    this.kFast = 2 / (fast + 1);
+    this.kSlow = 2 / (slow + 1);
+    this.kSignal = 2 / (signal + 1);
+  }
+
+  step(prev, c) {
+    const n = (prev?.n ?? 0) + 1;
+    const fastEma = prev ? c.close * this.kFast + prev.fastEma * (1 - this.kFast) : c.close;
+    const slowEma = prev ? c.close * this.kSlow + prev.slowEma * (1 - this.kSlow) : c.close;
+
+    let macd = null;
+    let signalEma = prev?.signalEma ?? null;
+    let macdCount = prev?.macdCount ?? 0;
+    if (n >= this.fast && n >= this.slow) {
+      macd = fastEma - slowEma;
+      signalEma = macdCount === 0 ? macd : macd * this.kSignal + signalEma * (1 - this.kSignal);
+      macdCount += 1;
+    }
+
+    let value = null;
+    if (n >= this.slow + this.signal && macd !== null && macdCount >= this.signal) {
+      const hist = macd - signalEma;
+      const prevHist = macdCount >= this.signal + 1 ? prev.macd - prev.signalEma : null;
+      value = { macd, signal: signalEma, hist, histDelta: prevHist === null ? null : hist - prevHist };
+    }
+
+    return { n, fastEma, slowEma, macd, signalEma, macdCount, value };
+  }
+}
+
+// Heiken Ashi candles plus the running same-color streak (countConsecutive).
+export class HeikenAshiIndicator extends IncrementalIndicator {
+  step(prev, c) {
+    const haClose = (c.open + c.high + c.low + c.close) / 4;
+    const haOpen = prev ? (prev.open + prev.close) / 2 : (c.open + c.close) / 2;
+    const isGreen = haClose >= haOpen;
+    const color = isGreen ? "green" : "red";
+    const count = prev && prev.value.color === color ? prev.value.count + 1 : 1;
+    return {
+      open: haOpen,
+      high: Math.max(c.high, haOpen, haClose),
+      low: Math.min(c.low, haOpen, haClose),
+      close: haClose,
+      isGreen,
+      body: Math.abs(haClose - haOpen),
+      value: { color, count }
+    };
+  }
+}
+
+// How many trailing candles sync() re-checks for in-place edits (forming candle, late Kraken volume).
+// Older candles are treated as immutable.
+const REWIND_DEPTH = 3;
+
+function sameCandle(a, b) {
+  return a.openTime === b.openTime && a.open === b.open && a.high === b.high && a.low === b.low && a.close === b.close && a.volume === b.volume;
+}
+
+// Keeps the four indicators in step with a candle array that is appended to and edited at the tail.
+// sync() only replays candles that changed. When the head moved because the caller trimmed its buffer
+// (the live loop keeps the last 240 candles), the same candles are dropped here too (shift), so a rolling
+// buffer costs one replayed candle per tick; only a reseeded array (head not found) rebuilds.
+// After a trim, RSI and VWAP still cover exactly the held candles. The MACD EMAs and Heiken Ashi carry on
+// from the dropped candles instead of reseeding at the new head, so they can differ from the batch
+// functions over the trimmed array by the seed's weight, which decays geometrically.
+export class IndicatorEngine {
+  constructor({ rsiPeriod, macdFast, macdSlow, macdSignal }) {
+    this.vwap = new VwapIndicator();
+    this.rsi = new RsiIndicator(rsiPeriod);
+    this.macd = new MacdIndicator(macdFast, macdSlow, macdSignal);
+    this.heikenAshi = new HeikenAshiIndicator();
+    this.indicators = [this.vwap, this.rsi, this.macd, this.heikenAshi];
+    this.seen = []; // shallow copies of the candles the indicators currently reflect
+  }
+
+  get length() {
+    return this.seen.length;
+  }
+
+  reset() {
+    for (const ind of this.indicators) ind.reset();
+    this.seen = [];
+  }
+
+  // Drop the first k candles from every indicator.
+  shift(k) {
+    for (const ind of this.indicators) ind.shift(k);
+    this.seen.splice(0, k);
+  }
+
+  sync(candles) {
+    const list = Array.isArray(candles) ? candles : [];
+    const head = list.length ? this.seen.findIndex((c) => c.openTime === list[0].openTime) : -1;
+    if (head > 0) this.shift(head);
+
+    let from = 0;
+    if (this.seen.length && list.length >= this.seen.length && list.length && list[0].openTime === this.seen[0].openTime) {
+      from = this.seen.length;
+      for (let i = Math.max(0, this.seen.length - REWIND_DEPTH); i < this.seen.length; i += 1) {
+        if (!sameCandle(this.seen[i], list[i])) {
+          from = i;
+          break;
+        }
+      }
+    }
+
+    if (from === 0) {
+      this.reset();
+    } else {
+      while (this.seen.length > from) {
+        for (const ind of this.indicators) ind.pop();
+        this.seen.pop();
+      }
+    }
+
+    for (let i = from; i < list.length; i += 1) {
+      const c = list[i];
+      for (const ind of this.indicators) ind.push(c);
+      this.seen.push({ openTime: c.openTime, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume });
+    }
+    return this;
+  }
+}
@@ -0,0 +1,64 @@
+import { computeVwapSeries } from "./vwap.js";
+import { computeRsi } from "./rsi.js";
+import { computeMacd } from "./macd.js";
+import { computeHeikenAshi, countConsecutive } from "./heikenAshi.js";
+
+// Higher-timeframe view built from the 1m series: 5m / 15m / 1h candles aligned to UTC boundaries
+// (same flooring as getCandleWindowTiming), plus a small indicator bundle per timeframe.
+
+export function timeframeLabel(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+// Buckets 1m candles into `tfMinutes` candles. The last bucket is `partial` while its final 1m candle
+// hasn't closed yet (or minutes are missing), mirroring how the 1m series carries the forming candle.
+export function aggregateCandles(klines1m, tfMinutes) {
+  const tfMs = tfMinutes * 60_000;
+  const out = [];
+  for (const c of klines1m ?? []) {
+    const openTime = Math.floor(c.openTime / tfMs) * tfMs;
+    const last = out[out.length - 1];
+    const vol = typeof c.volume === "number" && Number.isFinite(c.volume) ? c.volume : 0;
+    if (!last || last.openTime !== openTime) {
+      out.push({ openTime, open: c.open, high: c.high, low: c.low, close: c.close, volume: vol, closeTime: openTime + tfMs, minutes: 1, lastCloseTime: c.closeTime });
+    } else {
+      last.high = Math.max(last.high, c.high);
+      last.low = Math.min(last.low, c.low);
+      last.close = c.close;
+      last.volume += vol;
+      last.minutes += 1;
+      last.lastCloseTime = c.closeTime;
+    }
+  }
+  return out.map(({ minutes, lastCloseTime, ...candle }) => ({ ...candle, partial: minutes < tfMinutes || lastCloseTime < candle.closeTime }));
+}
+
+// Indicator bundle for one timeframe. Series are short (a few dozen candles), so the batch functions are fine.
+export function computeTimeframeIndicators(candles, { currentPrice = null, slopeLookback = 3, rsiPeriod = 14, macdFast = 12, macdSlow = 26, macdSignal = 9 } = {}) {
+  const bundle = { candles: candles.length, vwap: null, vwapSlope: null, vwapDist: null, rsi: null, macd: null, heikenColor: null, heikenCount: 0, trend: null };
+  if (!candles.length) return bundle;
+
+  const closes = candles.map((c) => c.close);
+  const vwapSeries = computeVwapSeries(candles);
+  bundle.vwap = vwapSeries[vwapSeries.length - 1];
+  const lb = Math.min(slopeLookback, vwapSeries.length - 1);
+  bundle.vwapSlope = lb > 0 ? (bundle.vwap - vwapSeries[vwapSeries.length - 1 - lb]) / lb : null;
+  const price = currentPrice ?? closes[closes.length - 1];
+  bundle.vwapDist = bundle.vwap ? (price - bundle.vwap) / bundle.vwap : null;
+  bundle.rsi = computeRsi(closes, rsiPeriod);
+  bundle.macd = computeMacd(closes, macdFast, macdSlow, macdSignal);
+  const haCC = countConsecutive(computeHeikenAshi(candles));
+  bundle.heikenColor = haCC.color;
+  bundle.heikenCount = haCC.count;
+  bundle.trend = bundle.vwapSlope === null ? null : bundle.vwapSlope > 0 ? "UP" : bundle.vwapSlope < 0 ? "DOWN" : "FLAT";
+  return bundle;
+}
+
+// { "5m": bundle, "15m": bundle, "1h": bundle } for the configured timeframes.
+export function computeHigherTimeframes(klines1m, { timeframes = [5, 15, 60], currentPrice = null, ...opts } = {}) {
+  const out = {};
+  for (const tf of timeframes) {
+    out[timeframeLabel(tf)] = computeTimeframeIndicators(aggregateCandles(klines1m, tf), { currentPrice, ...opts });
+  }
+  return out;
+}
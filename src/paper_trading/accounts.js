@@ -0,0 +1,114 @@
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { createLedger, getDefaultLedger } from "./ledger.js";
+import { RiskManager } from "./riskManager.js";
+import { createEquityTracker } from "./equity.js";
+import { Trader, getTraderInstance, setTraderInstance } from "./trader.js";
+
+// Named paper accounts traded side by side in one process. Every account has its own paperTrading/risk
+// overrides, ledger file, risk state and Trader, and all of them see the same signalsForTrader each tick.
+// "default" is the regular paper trader (paper_trading/trades.json, no overrides); CONFIG.accounts.list
+// adds the others.
+//
+// An account's settings are its own object (CONFIG.paperTrading merged with its overrides), handed to its
+// Trader and RiskManager; CONFIG.paperTrading itself is never swapped, so an account that is mid-tick (e.g.
+// awaiting a resolution fetch) can't leak its settings to the UI or another account.
+
+export const DEFAULT_ACCOUNT = "default";
+
+const NAME_RE = /^[A-Za-z0-9_-]{1,40}$/;
+
+// CONFIG.accounts.list -> [{ name, paperTrading, risk, ledgerFile, riskStateFile, equityFile }], "default" first.
+// Throws on a bad or duplicate name.
+export function resolveAccountSpecs(list = CONFIG.accounts.list, { dir = CONFIG.accounts.dir } = {}) {
+  if (!Array.isArray(list)) throw new Error("PAPER_ACCOUNTS must be a JSON array of { name, paperTrading, risk }");
+  const specs = [{ name: DEFAULT_ACCOUNT, paperTrading: {}, risk: {}, ledgerFile: null, riskStateFile: CONFIG.risk.stateFile, equityFile: CONFIG.equity.file }];
+  for (const entry of list) {
+    const name = String(entry?.name ?? "");
+    if (!NAME_RE.test(name)) throw new Error(`Invalid paper account name "${name}" (letters, digits, "-" and "_" only)`);
+    if (specs.some((s) => s.name === name)) throw new Error(`Duplicate paper account "${name}"`);
+    specs.push({
+      name,
+      paperTrading: { ...(entry.paperTrading ?? {}) },
+      risk: { ...(entry.risk ?? {}) },
+      ledgerFile: path.join(dir, name, "trades.json"),
+      riskStateFile: path.join(dir, name, "risk_state.json"),
+      equityFile: path.join(dir, name, "equity.jsonl")
+    });
+  }
+  return specs;
+}
+
+// One account: { name, overrides, ledger, trader, equity, config(), run(fn) }. `ledgerFile: null` uses the default ledger.
+export function createAccount(spec, { now = () => Date.now() } = {}) {
+  const overrides = spec.paperTrading ?? {};
+  // No overrides (the default account): read CONFIG.paperTrading itself.
+  const settings = Object.keys(overrides).length ? { ...CONFIG.paperTrading, ...overrides } : CONFIG.paperTrading;
+  const ledger = spec.ledgerFile ? createLedger({ filePath: spec.ledgerFile }) : getDefaultLedger();
+  const account = {
+    name: spec.name,
+    overrides,
+    riskOverrides: spec.risk ?? {},
+    ledger,
+    trader: null,
+    equity: createEquityTracker({ filePath: spec.equityFile }),
+
+    // Effective paperTrading config of this account.
+    config() {
+      return settings;
+    },
+
+    // fn(trader): this account's work for a tick.
+    run(fn) {
+      return fn(account.trader);
+    },
+
+    async initialize() {
+      await ledger.initialize();
+      account.trader = new Trader({
+        now,
+        ledger,
+        paperTrading: settings,
+        // Only the default account may send orders to the CLOB (EXECUTION_MODE); the others always paper trade.
+        executionMode: spec.name === DEFAULT_ACCOUNT ? CONFIG.execution.mode : "paper",
+        riskManager: new RiskManager({ now, limits: { ...CONFIG.risk, ...account.riskOverrides }, stateFile: spec.riskStateFile, paperTrading: settings })
+      });
+      await account.trader.initialize();
+      return account;
+    }
+  };
+  return account;
+}
+
+let accounts = [];
+
+// Builds and initializes every configured account. The default account's Trader doubles as the
+// trader singleton (getTraderInstance()).
+export async function initializeAccounts({ specs = resolveAccountSpecs(), now = () => Date.now() } = {}) {
+  const built = [];
+  for (const spec of specs) built.push(await createAccount(spec, { now }).initialize());
+  accounts = built;
+  const main = accounts.find((a) => a.name === DEFAULT_ACCOUNT);
+  if (main) setTraderInstance(main.trader);
+  return accounts;
+}
+
+export function getAccounts() {
+  return accounts;
+}
+
+// Account by name. Before initializeAccounts() (e.g. the UI server on its own) "default" still resolves
+// to the default ledger and whatever trader singleton exists.
+export function getAccount(name = DEFAULT_ACCOUNT) {
+  const found = accounts.find((a) => a.name === name);
+  if (found || name !== DEFAULT_ACCOUNT) return found ?? null;
+  return {
+    name: DEFAULT_ACCOUNT,
+    overrides: {},
+    riskOverrides: {},
+    ledger: getTraderInstance()?.ledger ?? getDefaultLedger(),
+    trader: getTraderInstance(),
+    equity: null,
+    config: () => CONFIG.paperTrading
+  };
+}
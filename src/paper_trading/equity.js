@@ -0,0 +1,197 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { writeFileAtomic } from "./ledgerJournal.js";
+
+// Mark-to-market equity curve. The Trader reports realized + unrealized equity every tick
+// (Trader.getEquitySnapshot); the tracker folds the ticks into one point per sampleSeconds
+// ({ t, equity, low, high, realized, unrealized }: the last tick of the bucket plus its lowest and highest
+// equity, so a dip inside a bucket still counts towards the drawdown) and appends finished points to a
+// JSONL file. The file is trimmed back to maxPoints once it holds twice that many.
+
+// Merges consecutive points down to at most maxPoints (last equity, lowest low, highest high per group).
+export function downsampleSeries(points, maxPoints) {
+  const all = Array.isArray(points) ? points : [];
+  if (!(maxPoints > 0) || all.length <= maxPoints) return all;
+  const size = Math.ceil(all.length / maxPoints);
+  const out = [];
+  for (let i = 0; i < all.length; i += size) {
+    const group = all.slice(i, i + size);
+    const last = group[group.length - 1];
+    out.push({
+      ...last,
+      low: Math.min(...group.map((p) => p.low ?? p.equity)),
+      high: Math.max(...group.map((p) => p.high ?? p.equity))
+    });
+  }
+  return out;
+}
+
+// Each point with its running peak and the drawdown below it ($ and fraction of the peak).
+export function drawdownSeries(points) {
+  let peak = -Infinity;
+  return (Array.isArray(points) ? points : []).map((p) => {
+    peak = Math.max(peak, p.high ?? p.equity, p.equity);
+    const drawdown = peak - p.equity;
+    return { ...p, peak, drawdown, drawdownPct: peak > 0 ? drawdown / peak : null };
+  });
+}
+
+// Max drawdown (deepest low below the previous peak), the longest time from a peak until equity got back to
+// it (or until the last point while still under water), and the share of the time spent below a peak.
+export function computeDrawdownStats(points) {
+  const all = Array.isArray(points) ? points.filter((p) => Number.isFinite(p?.equity) && Number.isFinite(p?.t)) : [];
+  const empty = {
+    points: all.length,
+    startEquity: all[0]?.equity ?? null,
+    endEquity: all[all.length - 1]?.equity ?? null,
+    peakEquity: null,
+    maxDrawdown: 0,
+    maxDrawdownPct: 0,
+    maxDrawdownAt: null,
+    maxDrawdownDurationMs: 0,
+    currentDrawdown: 0,
+    currentDrawdownPct: 0,
+    currentDrawdownDurationMs: 0,
+    timeUnderWaterMs: 0,
+    timeUnderWaterPct: 0
+  };
+  if (!all.length) return empty;
+
+  const stats = { ...empty };
+  let peak = all[0].high ?? all[0].equity;
+  let peakT = all[0].t;
+  let underwaterSince = null;
+
+  for (let i = 0; i < all.length; i += 1) {
+    const p = all[i];
+    const high = Math.max(p.high ?? p.equity, p.equity);
+    const low = Math.min(p.low ?? p.equity, p.equity);
+    // The low against the peak before this point, the close against the peak including it.
+    const depth = Math.max(peak - low, Math.max(peak, high) - p.equity);
+    if (depth > stats.maxDrawdown) {
+      stats.maxDrawdown = depth;
+      stats.maxDrawdownPct = Math.max(peak, high) > 0 ? depth / Math.max(peak, high) : 0;
+      stats.maxDrawdownAt = p.t;
+    }
+
+    if (high >= peak) {
+      // Back at (or above) the peak: a drawdown in progress ends here.
+      if (underwaterSince !== null) stats.maxDrawdownDurationMs = Math.max(stats.maxDrawdownDurationMs, p.t - underwaterSince);
+      peak = high;
+      peakT = p.t;
+      underwaterSince = p.equity < peak ? p.t : null;
+    } else if (underwaterSince === null) {
+      underwaterSince = peakT;
+    }
+
+    // Time under water: the interval up to the next point counts when this point closed below its peak.
+    const next = all[i + 1];
+    if (next && p.equity < peak) stats.timeUnderWaterMs += next.t - p.t;
+  }
+
+  const last = all[all.length - 1];
+  stats.peakEquity = peak;
+  stats.currentDrawdown = Math.max(0, peak - last.equity);
+  stats.currentDrawdownPct = peak > 0 ? stats.currentDrawdown / peak : 0;
+  stats.currentDrawdownDurationMs = underwaterSince !== null ? last.t - underwaterSince : 0;
+  stats.maxDrawdownDurationMs = Math.max(stats.maxDrawdownDurationMs, stats.currentDrawdownDurationMs);
+  const span = last.t - all[0].t;
+  stats.timeUnderWaterPct = span > 0 ? stats.timeUnderWaterMs / span : 0;
+  return stats;
+}
+
+function readPoints(filePath, maxPoints) {
+  if (!filePath || !fs.existsSync(filePath)) return { points: [], lines: 0 };
+  const lines = fs.readFileSync(filePath, "utf8").split("\n").filter((l) => l.trim());
+  const points = [];
+  for (const line of lines) {
+    try {
+      points.push(JSON.parse(line));
+    } catch {
+      // torn last line after a crash
+    }
+  }
+  return { points: points.slice(-maxPoints), lines: lines.length };
+}
+
+// `filePath: null` keeps the series in memory only.
+export function createEquityTracker({
+  filePath = CONFIG.equity.file,
+  sampleSeconds = CONFIG.equity.sampleSeconds,
+  maxPoints = CONFIG.equity.maxPoints
+} = {}) {
+  const sampleMs = Math.max(1, sampleSeconds) * 1000;
+  const loaded = readPoints(filePath, maxPoints);
+  let points = loaded.points;
+  let fileLines = loaded.lines;
+  let bucket = null; // point being built for the current sample window
+  let last = null;
+
+  const persist = (point) => {
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (fileLines + 1 >= maxPoints * 2) {
+        writeFileAtomic(filePath, points.map((p) => JSON.stringify(p)).join("\n") + "\n");
+        fileLines = points.length;
+      } else {
+        fs.appendFileSync(filePath, `${JSON.stringify(point)}\n`, "utf8");
+        fileLines += 1;
+      }
+    } catch (error) {
+      console.error(`Error saving equity point to ${filePath}:`, error);
+    }
+  };
+
+  const flush = () => {
+    if (!bucket) return;
+    const { window, ...point } = bucket;
+    points.push(point);
+    if (points.length > maxPoints) points = points.slice(-maxPoints);
+    persist(point);
+    bucket = null;
+  };
+
+  return {
+    filePath,
+    sampleSeconds,
+
+    // snapshot: { at, equity, realized, unrealized, ... } from Trader.getEquitySnapshot()
+    record(snapshot) {
+      const t = snapshot?.at;
+      const equity = snapshot?.equity;
+      if (!Number.isFinite(t) || !Number.isFinite(equity)) return;
+      last = snapshot;
+      const window = Math.floor(t / sampleMs);
+      if (bucket && bucket.window !== window) flush();
+      if (!bucket) {
+        bucket = { window, t, equity, low: equity, high: equity, realized: snapshot.realized, unrealized: snapshot.unrealized };
+        return;
+      }
+      bucket.t = t;
+      bucket.equity = equity;
+      bucket.low = Math.min(bucket.low, equity);
+      bucket.high = Math.max(bucket.high, equity);
+      bucket.realized = snapshot.realized;
+      bucket.unrealized = snapshot.unrealized;
+    },
+
+    // Finished points plus the one still being built.
+    series() {
+      if (!bucket) return points.slice();
+      const { window, ...current } = bucket;
+      return [...points, current];
+    },
+
+    latest() {
+      return last;
+    },
+
+    stats() {
+      return computeDrawdownStats(this.series());
+    },
+
+    flush
+  };
+}
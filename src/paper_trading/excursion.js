@@ -0,0 +1,74 @@
+import { CONFIG } from "../config.js";
+
+// Excursions of the open trade: its best (MFE) and worst (MAE) mark-to-market PnL while open, as a fraction
+// of contractSize (same measure as the exit rules' pnlPct, before fees), when each happened, and a compact
+// price path. The Trader feeds it every tick it manages the trade and stamps fields() on the trade when it
+// closes (or goes pending resolution). It lives in memory only: after a restart tracking starts again from
+// the next tick (excursionSince).
+//
+// pricePath rows are [secondsSinceEntry, contract mark, BTC price, model prob of the held side], one per
+// sampleSeconds. Once maxPathPoints are taken every other row is dropped and the interval doubles, so a long
+// trade keeps an evenly spaced path of bounded size.
+
+const round = (x, d) => (typeof x === "number" && Number.isFinite(x) ? Number(x.toFixed(d)) : null);
+
+export function createExcursionTracker(trade, {
+  sampleSeconds = CONFIG.paperTrading.excursionSampleSeconds,
+  maxPathPoints = CONFIG.paperTrading.excursionMaxPathPoints
+} = {}) {
+  const entryMs = Date.parse(trade?.entryTime ?? "");
+  let intervalMs = Math.max(1, sampleSeconds) * 1000;
+  const maxPoints = Math.max(2, maxPathPoints);
+  const state = { since: null, ticks: 0, mfe: null, mae: null };
+  let path = [];
+  let lastSampleMs = null;
+  let lastRow = null;
+
+  const rowFor = ({ t, price, btcPrice, modelProb }) => [
+    Math.round((Number.isFinite(entryMs) ? t - entryMs : 0) / 1000),
+    round(price, 4),
+    round(btcPrice, 2),
+    round(modelProb, 4)
+  ];
+
+  return {
+    tradeId: trade?.id ?? null,
+
+    // One tick: t (ms), pnlPct at the executable mark, price (the mark), btcPrice, modelProb.
+    record({ t, pnlPct, price = null, btcPrice = null, modelProb = null }) {
+      if (!Number.isFinite(t)) return;
+      if (state.since === null) state.since = t;
+      state.ticks += 1;
+      if (typeof pnlPct === "number" && Number.isFinite(pnlPct)) {
+        if (!state.mfe || pnlPct > state.mfe.pct) state.mfe = { pct: pnlPct, t, price };
+        if (!state.mae || pnlPct < state.mae.pct) state.mae = { pct: pnlPct, t, price };
+      }
+
+      lastRow = rowFor({ t, price, btcPrice, modelProb });
+      if (lastSampleMs !== null && t - lastSampleMs < intervalMs) return;
+      path.push(lastRow);
+      lastSampleMs = t;
+      if (path.length > maxPoints) {
+        path = path.filter((_, i) => i % 2 === 0);
+        intervalMs *= 2;
+      }
+    },
+
+    // Fields stamped on the trade. The path ends with the last tick seen.
+    fields() {
+      const iso = (t) => (t === null || t === undefined ? null : new Date(t).toISOString());
+      const pricePath = lastRow && path[path.length - 1] !== lastRow ? [...path, lastRow] : path.slice();
+      return {
+        mfePct: round(state.mfe?.pct, 4),
+        mfeAt: iso(state.mfe?.t),
+        mfePrice: round(state.mfe?.price, 4),
+        maePct: round(state.mae?.pct, 4),
+        maeAt: iso(state.mae?.t),
+        maePrice: round(state.mae?.price, 4),
+        excursionSince: iso(state.since),
+        excursionTicks: state.ticks,
+        pricePath
+      };
+    }
+  };
+}
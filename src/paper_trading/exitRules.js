@@ -0,0 +1,124 @@
+import { CONFIG } from "../config.js";
+
+// Declarative exits. A profile is an ordered list of rules `{ type, ...params }` (CONFIG.paperTrading.exitProfiles);
+// every tick the open trade is checked against them in order and the first rule that fires closes it, its
+// label becoming the trade's exitReason. Params left out fall back to the paperTrading settings in ctx.config
+// (the trader's own settings; CONFIG.paperTrading when absent).
+// Rules that follow a trade over time (peak mark, flip streak) keep that in `state`: one object per rule,
+// owned by the caller and reset for each new trade.
+
+// Model probabilities for the held side and the other one.
+function sideProbs(ctx) {
+  const up = typeof ctx.modelUp === "number" ? ctx.modelUp : null;
+  const down = typeof ctx.modelDown === "number" ? ctx.modelDown : null;
+  return ctx.trade.side === "UP" ? { own: up, opp: down } : { own: down, opp: up };
+}
+
+const settings = (ctx) => ctx.config ?? CONFIG.paperTrading;
+
+// The other side has become the more likely one by a clear margin (and the trade is old enough to judge).
+function modelFlipped(ctx, { minProb, margin, minHoldSeconds }) {
+  const pt = settings(ctx);
+  if (ctx.ageSec !== null && ctx.ageSec < (minHoldSeconds ?? pt.exitFlipMinHoldSeconds ?? 0)) return false;
+  const { own, opp } = sideProbs(ctx);
+  if (own === null || opp === null) return false;
+  return opp >= (minProb ?? pt.exitFlipMinProb ?? 0.55) && opp >= own + (margin ?? pt.exitFlipMargin ?? 0.03);
+}
+
+// check(params, ctx, state) -> truthy to exit (a string replaces the rule's label).
+export const EXIT_RULE_TYPES = {
+  // PnL at the executable mark reached +pct of the position cost.
+  take_profit: {
+    label: "Take Profit",
+    check({ pct }, ctx) {
+      pct ??= settings(ctx).takeProfitPct;
+      return ctx.pnlPct !== null && ctx.pnlPct >= pct;
+    }
+  },
+
+  // Arms once the mark has been activatePct above entry, then exits on a trailPct drop from the peak mark.
+  trailing_stop: {
+    label: "Trailing Stop",
+    check({ activatePct = 0, trailPct = 0.15 }, ctx, state) {
+      if (ctx.mark === null) return false;
+      state.peakMark = Math.max(state.peakMark ?? ctx.mark, ctx.mark);
+      return state.peakMark >= ctx.trade.entryPrice * (1 + activatePct) && ctx.mark <= state.peakMark * (1 - trailPct);
+    }
+  },
+
+  // Loss of pct of the position cost; by default only while the model has also flipped against the trade
+  // (plain stops got chopped out by noise).
+  stop_loss: {
+    label: "Stop Loss",
+    check({ pct, requireFlip = true, minProb, margin, minHoldSeconds }, ctx) {
+      pct ??= settings(ctx).stopLossPct ?? 0.25;
+      if (ctx.pnlPct === null || ctx.pnlPct > -Math.abs(pct)) return false;
+      return !requireFlip || modelFlipped(ctx, { minProb, margin, minHoldSeconds });
+    }
+  },
+
+  // minutesLeft: close this near the window end (not when holding to expiry). maxHoldMinutes: cap the trade age.
+  time: {
+    label: "End of Candle",
+    check({ minutesLeft = 0.5, maxHoldMinutes = null }, ctx) {
+      if (maxHoldMinutes !== null && ctx.ageSec !== null && ctx.ageSec >= maxHoldMinutes * 60) return "Max Hold";
+      return minutesLeft !== null && !ctx.holdToExpiry && typeof ctx.timeLeftMin === "number" && ctx.timeLeftMin < minutesLeft;
+    }
+  },
+
+  // Model flip with hysteresis: the flip has to hold for confirmTicks checks, and a streak only resets once
+  // the other side falls back more than `hysteresis` below the entry margin.
+  prob_flip: {
+    label: "Probability Flip",
+    check({ minProb, margin, minHoldSeconds, hysteresis = 0.02, confirmTicks = 2 }, ctx, state) {
+      margin ??= settings(ctx).exitFlipMargin ?? 0.03;
+      const { own, opp } = sideProbs(ctx);
+      if (own === null || opp === null) return false;
+      if (modelFlipped(ctx, { minProb, margin, minHoldSeconds })) {
+        state.flipTicks = (state.flipTicks ?? 0) + 1;
+      } else if (!(opp >= own + margin - hysteresis)) {
+        state.flipTicks = 0;
+      }
+      return (state.flipTicks ?? 0) >= confirmTicks;
+    }
+  },
+
+  // BTC is at least againstBps on the losing side of the price to beat with maxMinutesLeft or less to go.
+  price_to_beat: {
+    label: "Price To Beat",
+    check({ againstBps = 10, maxMinutesLeft = 5 }, ctx) {
+      if (typeof ctx.distanceToBeat !== "number" || !(ctx.priceToBeat > 0)) return false;
+      if (typeof ctx.timeLeftMin !== "number" || ctx.timeLeftMin > maxMinutesLeft) return false;
+      const bps = (ctx.distanceToBeat / ctx.priceToBeat) * 10_000 * (ctx.trade.side === "UP" ? 1 : -1);
+      return bps <= -againstBps;
+    }
+  }
+};
+
+// EXIT_RULES (already parsed) wins over the named profile. Throws on unknown profiles / rule types so a
+// typo fails at startup instead of silently never exiting.
+export function resolveExitRules({ config = CONFIG.paperTrading, profile = config.exitProfile, profiles = config.exitProfiles, rules = config.exitRules } = {}) {
+  const list = rules ?? profiles?.[profile];
+  if (!Array.isArray(list)) {
+    throw new Error(`Unknown exit profile "${profile}" (available: ${Object.keys(profiles ?? {}).join(", ")})`);
+  }
+  for (const rule of list) {
+    if (!EXIT_RULE_TYPES[rule?.type]) {
+      throw new Error(`Unknown exit rule type "${rule?.type}" (available: ${Object.keys(EXIT_RULE_TYPES).join(", ")})`);
+    }
+  }
+  return list;
+}
+
+// ctx: { trade, mark, pnlPct, ageSec, timeLeftMin, modelUp, modelDown, priceToBeat, distanceToBeat, holdToExpiry, config }.
+// `mark` is the executable exit price of the held token and pnlPct the position PnL at that mark.
+// Returns { type, reason } for the first rule that fires, or null.
+export function evaluateExitRules(rules, ctx, state = []) {
+  for (let i = 0; i < rules.length; i += 1) {
+    const { type, reason, ...params } = rules[i];
+    state[i] ??= {};
+    const hit = EXIT_RULE_TYPES[type].check(params, ctx, state[i]);
+    if (hit) return { type, reason: reason ?? (typeof hit === "string" ? hit : EXIT_RULE_TYPES[type].label) };
+  }
+  return null;
+}
@@ -0,0 +1,102 @@
+// Depth-aware fill simulation for paper orders.
+// Books use the CLOB REST /book shape: { bids: [{ price, size }], asks: [{ price, size }] } (dollars, shares).
+
+function toNumber(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Best-first ladder: asks ascending for buys, bids descending for sells.
+export function bookLadder(book, side) {
+  const rows = side === "BUY" ? book?.asks : book?.bids;
+  const levels = (Array.isArray(rows) ? rows : [])
+    .map((lvl) => ({ price: toNumber(lvl?.price), size: toNumber(lvl?.size) }))
+    .filter((lvl) => lvl.price !== null && lvl.price > 0 && lvl.size !== null && lvl.size > 0);
+  return levels.sort((a, b) => (side === "BUY" ? a.price - b.price : b.price - a.price));
+}
+
+function result({ side, requested, filledShares, filledUsd, topOfBook, levelsConsumed, exhausted, legs = [], reason = null }) {
+  const avgFillPrice = filledShares > 0 ? filledUsd / filledShares : null;
+  // Slippage is always "worse than the touch" in dollars per share: positive = paid more / received less.
+  const slippage = (avgFillPrice === null || topOfBook === null)
+    ? null
+    : (side === "BUY" ? avgFillPrice - topOfBook : topOfBook - avgFillPrice);
+
+  let status = "FILLED";
+  if (filledShares <= 0) status = "REJECTED";
+  else if (exhausted) status = "PARTIAL";
+
+  return {
+    status,
+    side,
+    requested,
+    filledShares,
+    filledUsd,
+    avgFillPrice,
+    topOfBook,
+    slippage,
+    levelsConsumed,
+    legs, // [{ price, shares }] per level taken (fees are price-dependent)
+    reason: status === "FILLED" ? null : (reason ?? "insufficient_depth")
+  };
+}
+
+// Spend up to `notionalUsd` walking the ask ladder. Levels above `limitPrice` are never taken, and
+// `maxShares` caps the shares bought (share-denominated limit orders).
+export function simulateBuy(book, { notionalUsd, limitPrice = null, maxShares = null } = {}) {
+  const ladder = bookLadder(book, "BUY");
+  const topOfBook = ladder.length ? ladder[0].price : null;
+  if (!(notionalUsd > 0)) return result({ side: "BUY", requested: notionalUsd, filledShares: 0, filledUsd: 0, topOfBook, levelsConsumed: 0, exhausted: true, reason: "zero_size" });
+  if (!ladder.length) return result({ side: "BUY", requested: notionalUsd, filledShares: 0, filledUsd: 0, topOfBook, levelsConsumed: 0, exhausted: true, reason: "no_asks" });
+
+  let remainingUsd = notionalUsd;
+  let remainingShares = maxShares ?? Number.POSITIVE_INFINITY;
+  let filledShares = 0;
+  let filledUsd = 0;
+  let levelsConsumed = 0;
+  let reason = null;
+  const legs = [];
+
+  for (const lvl of ladder) {
+    if (remainingUsd <= 1e-9 || remainingShares <= 1e-9) break;
+    if (limitPrice !== null && lvl.price > limitPrice) { reason = "limit_price"; break; }
+    const shares = Math.min(lvl.size, remainingUsd / lvl.price, remainingShares);
+    if (shares <= 0) break;
+    filledShares += shares;
+    remainingShares -= shares;
+    filledUsd += shares * lvl.price;
+    remainingUsd -= shares * lvl.price;
+    levelsConsumed += 1;
+    legs.push({ price: lvl.price, shares });
+  }
+
+  return result({ side: "BUY", requested: notionalUsd, filledShares, filledUsd, topOfBook, levelsConsumed, exhausted: remainingUsd > 1e-9 && remainingShares > 1e-9, legs, reason });
+}
+
+// Sell up to `shares` walking the bid ladder. Levels below `limitPrice` are never hit.
+export function simulateSell(book, { shares, limitPrice = null } = {}) {
+  const ladder = bookLadder(book, "SELL");
+  const topOfBook = ladder.length ? ladder[0].price : null;
+  if (!(shares > 0)) return result({ side: "SELL", requested: shares, filledShares: 0, filledUsd: 0, topOfBook, levelsConsumed: 0, exhausted: true, reason: "zero_size" });
+  if (!ladder.length) return result({ side: "SELL", requested: shares, filledShares: 0, filledUsd: 0, topOfBook, levelsConsumed: 0, exhausted: true, reason: "no_bids" });
+
+  let remaining = shares;
+  let filledShares = 0;
+  let filledUsd = 0;
+  let levelsConsumed = 0;
+  let reason = null;
+  const legs = [];
+
+  for (const lvl of ladder) {
+    if (remaining <= 1e-9) break;
+    if (limitPrice !== null && lvl.price < limitPrice) { reason = "limit_price"; break; }
+    const take = Math.min(lvl.size, remaining);
+    filledShares += take;
+    filledUsd += take * lvl.price;
+    remaining -= take;
+    levelsConsumed += 1;
+    legs.push({ price: lvl.price, shares: take });
+  }
+
+  return result({ side: "SELL", requested: shares, filledShares, filledUsd, topOfBook, levelsConsumed, exhausted: remaining > 1e-9, legs, reason });
+}
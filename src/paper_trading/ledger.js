@@ -1,33 +1,28 @@
 import fs from "node:fs";
 import path from "node:path";
-import { sleep } from "../utils.js";
+import { CONFIG } from "../config.js";
+import {
+  journalPathFor,
+  tradeUpdateType,
+  applyJournalEvent,
+  appendJournalEvent,
+  readJournal,
+  truncateJournal,
+  writeFileAtomic,
+  moveAsideCorrupt,
+  acquireLedgerLock,
+  releaseLedgerLock
+} from "./ledgerJournal.js";
+import { CURRENT_SCHEMA_VERSION, detectSchemaVersion, migrateLedger } from "./ledgerMigrations.js";
 
-const MEMORY_DIR = "./memory"; // Assuming memory directory is accessible or relevant
-const TRADES_FILE = "./paper_trading/trades.json";
+const DEFAULT_TRADES_FILE = "./paper_trading/trades.json";
 
-// Ensure directories exist
-function ensureDirs() {
-  if (!fs.existsSync("./paper_trading")) {
-    fs.mkdirSync("./paper_trading");
-  }
-  // If MEMORY_DIR is intended for this, adjust path accordingly.
-  // For simplicity, placing trades.json in paper_trading folder.
-}
-
-// Load trades and summary from JSON file
-export function loadLedger() {
-  ensureDirs();
-  try {
-    if (fs.existsSync(TRADES_FILE)) {
-      const data = fs.readFileSync(TRADES_FILE, "utf8");
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error(`Error loading ledger from ${TRADES_FILE}:`, error);
-  }
-  // Default structure if file doesn't exist or is invalid
+function emptyLedger() {
   return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     trades: [],
+    orders: [],
+    journalSeq: 0,
     summary: {
       totalTrades: 0,
       wins: 0,
@@ -38,43 +33,25 @@ export function loadLedger() {
   };
 }
 
-let currentLedger = null;
-
-// Save trades and summary to JSON file
-export async function saveLedger(ledger) {
-  ensureDirs();
-  try {
-    // Use JSON.stringify with indentation for readability
-    fs.writeFileSync(TRADES_FILE, JSON.stringify(ledger, null, 2), "utf8");
-  } catch (error) {
-    console.error(`Error saving ledger to ${TRADES_FILE}:`, error);
-  }
-}
-
-// Update ledger and persist it
-export async function updateLedger(updateFn) {
-  if (currentLedger === null) {
-    currentLedger = loadLedger();
-  }
-  
-  try {
-    updateFn(currentLedger);
-    await saveLedger(currentLedger); // Save changes to file
-  } catch (error) {
-    console.error("Error updating ledger:", error);
-  }
-}
-
 // Recalculate summary statistics
 export function recalculateSummary(trades) {
   let wins = 0;
   let losses = 0;
   let totalPnL = 0;
+  let grossPnL = 0;
+  let totalFees = 0;
+  let pendingResolution = 0;
   
   for (const trade of trades) {
+    if (trade.status === "PENDING_RESOLUTION") pendingResolution += 1;
     if (trade.status === "CLOSED") {
-      totalPnL += trade.pnl;
-      if (trade.pnl > 0) {
+      // trade.pnl is before fees; wins/losses and totalPnL are net of them.
+      const fees = Number(trade.fees) || 0;
+      const netPnl = trade.pnl - fees;
+      grossPnL += trade.pnl;
+      totalFees += fees;
+      totalPnL += netPnl;
+      if (netPnl > 0) {
         wins += 1;
       } else {
         losses += 1;
@@ -90,83 +67,282 @@ export function recalculateSummary(trades) {
     wins,
     losses,
     totalPnL,
-    winRate: Number(winRate.toFixed(2)) // Format win rate
+    grossPnL,
+    totalFees,
+    winRate: Number(winRate.toFixed(2)), // Format win rate
+    pendingResolution
   };
 }
 
-// Initialize ledger
+// One ledger (trades, order events and summary) with its in-memory copy. Changes are appended to a journal
+// and compacted into snapshots (see ledgerJournal.js); load() is the last snapshot plus the journal replayed.
+// The module-level functions below work on the process-wide default ledger; paper accounts get their own.
+export function createLedger({ filePath = DEFAULT_TRADES_FILE, snapshotEvery = CONFIG.ledger.snapshotEvery } = {}) {
+  const journalPath = journalPathFor(filePath);
+  let current = null;
+  let sinceSnapshot = 0;
+
+  // Ensure directories exist
+  const ensureDirs = () => {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+
+  const ensureLoaded = () => {
+    if (current === null) current = ledger.load();
+    return current;
+  };
+
+  // Journal one event, apply it and compact every snapshotEvery events. Throws (lock taken by another
+  // process, journal append failed) without applying the event, so memory never gets ahead of the disk.
+  const commit = (event) => {
+    ensureDirs();
+    acquireLedgerLock(filePath);
+    const data = ensureLoaded();
+    const entry = { seq: (data.journalSeq ?? 0) + 1, time: new Date().toISOString(), ...event };
+    appendJournalEvent(journalPath, entry);
+    applyJournalEvent(data, entry);
+    data.summary = recalculateSummary(data.trades);
+    sinceSnapshot += 1;
+    if (sinceSnapshot >= snapshotEvery) ledger.snapshot();
+  };
+
+  const ledger = {
+    filePath,
+    journalPath,
+
+    // Last snapshot plus the journal events after it
+    load() {
+      ensureDirs();
+      let data = emptyLedger();
+      try {
+        if (fs.existsSync(filePath)) {
+          data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        }
+      } catch (error) {
+        console.error(`Error loading ledger from ${filePath}:`, error);
+        // Not valid JSON: move it aside, with the journal whose events build on it, before the next
+        // snapshot could write over it. The ledger starts empty; the trades can be recovered from the copy.
+        if (error instanceof SyntaxError) {
+          const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+          const moved = [filePath, journalPath].filter((p) => fs.existsSync(p)).map((p) => moveAsideCorrupt(p, stamp));
+          console.error(`Ledger ${filePath} is corrupt: moved to ${moved.join(", ")}. Starting from an empty ledger.`);
+        }
+      }
+      // Older files are upgraded in memory; the next snapshot writes them back at the current schema.
+      if (detectSchemaVersion(data) !== CURRENT_SCHEMA_VERSION) {
+        try {
+          const migrated = migrateLedger(data);
+          data = migrated.ledger;
+          console.log(`Ledger ${filePath}: migrated schema ${migrated.from} -> ${migrated.to}.`);
+        } catch (error) {
+          console.warn(`Ledger ${filePath}: ${error.message}`);
+        }
+      }
+      data.journalSeq = Number(data.journalSeq) || 0;
+      let replayed = 0;
+      for (const event of readJournal(journalPath)) {
+        if (!(event?.seq > data.journalSeq)) continue;
+        if (applyJournalEvent(data, event)) replayed += 1;
+        else data.journalSeq = event.seq;
+      }
+      if (replayed) {
+        data.summary = recalculateSummary(data.trades ?? []);
+        console.log(`Ledger ${filePath}: replayed ${replayed} journal event(s).`);
+      }
+      return data;
+    },
+
+    // Atomically write the compacted ledger and drop the journal events it now contains
+    snapshot() {
+      if (current === null) return;
+      ensureDirs();
+      acquireLedgerLock(filePath);
+      try {
+        // Use JSON.stringify with indentation for readability
+        writeFileAtomic(filePath, JSON.stringify(current, null, 2));
+        truncateJournal(journalPath);
+        sinceSnapshot = 0;
+      } catch (error) {
+        console.error(`Error saving ledger to ${filePath}:`, error);
+      }
+    },
+
+    // Replace the whole ledger (snapshot)
+    async save(data) {
+      current = data;
+      current.journalSeq = Number(current.journalSeq) || 0;
+      ledger.snapshot();
+    },
+
+    // Arbitrary in-place change. It can't be journaled as an event, so it is snapshotted right away.
+    async update(updateFn) {
+      const data = ensureLoaded();
+      try {
+        updateFn(data);
+        ledger.snapshot();
+      } catch (error) {
+        console.error("Error updating ledger:", error);
+      }
+    },
+
+    // Takes the writer lock, replays the journal and compacts it
+    async initialize() {
+      if (current !== null) return current;
+
+      acquireLedgerLock(filePath);
+      current = ledger.load();
+      // Ensure summary is up-to-date on load
+      current.summary = recalculateSummary(current.trades);
+      ledger.snapshot(); // Save to ensure clean format
+      console.log(`Ledger initialized (${filePath}). Trades:`, current.trades.length, "Summary:", current.summary);
+      return current;
+    },
+
+    // Start over from an empty ledger, under the writer lock: snapshot it and drop the journal.
+    async reset() {
+      acquireLedgerLock(filePath);
+      current = emptyLedger();
+      ledger.snapshot();
+      return current;
+    },
+
+    // Final snapshot and release the lock (e.g. at the end of a backtest).
+    async close() {
+      ledger.snapshot();
+      releaseLedgerLock(filePath);
+    },
+
+    // Add a new trade record. Returns false when it was refused or could not be written, in which case
+    // the ledger doesn't have it and the caller must not treat it as open.
+    async addTrade(trade) {
+      // Ledger-level sanity: never persist an invalid OPEN trade.
+      const isOpen = (trade?.status ?? "OPEN") === "OPEN";
+      if (isOpen) {
+        const ep = trade?.entryPrice;
+        const sh = trade?.shares;
+        const badEp = typeof ep !== "number" || !Number.isFinite(ep) || ep <= 0;
+        const badSh = sh !== null && sh !== undefined && (!Number.isFinite(Number(sh)) || Number(sh) <= 0);
+        if (badEp || badSh) {
+          console.warn("Refusing to add invalid OPEN trade to ledger:", { entryPrice: ep, shares: sh, side: trade?.side });
+          return false;
+        }
+      }
+
+      try {
+        commit({
+          type: "trade_opened",
+          trade: {
+            ...trade,
+            // Only generate if missing (don't break caller references)
+            id: trade.id ?? (Date.now().toString() + Math.random().toString(36).substring(2, 7)),
+            timestamp: trade.timestamp ?? new Date().toISOString(),
+            status: trade.status ?? "OPEN",
+            pnl: typeof trade.pnl === "number" ? trade.pnl : 0
+          }
+        });
+      } catch (error) {
+        console.error("Error updating ledger:", error);
+        return false;
+      }
+      console.log("Trade added:", trade.side, "at", trade.entryPrice);
+      return true;
+    },
+
+    // Append an order lifecycle event (placed / replaced / cancelled / expired / filled / rejected).
+    // Events live next to the trades; trades point back at their order via entryOrderId.
+    async addOrderEvent(event) {
+      try {
+        commit({ type: "order_event", order: { ...event, time: event.time ?? new Date().toISOString() } });
+      } catch (error) {
+        console.error("Error updating ledger:", error);
+      }
+    },
+
+    // Update an existing trade (e.g., close it): journaled as trade_closed / trade_marked / trade_amended.
+    // Returns false when the trade is unknown or the change could not be written.
+    async updateTrade(tradeId, updateData) {
+      if (!ensureLoaded().trades.some(t => t.id === tradeId)) {
+        console.warn(`Trade with ID ${tradeId} not found for update.`);
+        return false;
+      }
+      try {
+        commit({ type: tradeUpdateType(updateData), tradeId, changes: { ...updateData } });
+        console.log("Trade updated:", tradeId, "with data:", updateData);
+        return true;
+      } catch (error) {
+        console.error("Error updating ledger:", error);
+        return false;
+      }
+    },
+
+    // Get a specific open trade (if any)
+    getOpenTrade() {
+      // Assuming only one trade can be open at a time for simplicity in this strategy
+      return ensureLoaded().trades.find(t => t.status === "OPEN");
+    },
+
+    // Get all trades and summary
+    get() {
+      return { ...ensureLoaded() }; // Return a copy to prevent direct mutation
+    }
+  };
+  return ledger;
+}
+
+let defaultLedger = createLedger();
+
+// Point the default ledger at a different file (e.g. a backtest run) and drop the in-memory copy.
+// Call before initializeLedger()/initializeTrader().
+export function configureLedger({ filePath = DEFAULT_TRADES_FILE } = {}) {
+  defaultLedger = createLedger({ filePath });
+}
+
+export function getDefaultLedger() {
+  return defaultLedger;
+}
+
+export function getLedgerFilePath() {
+  return defaultLedger.filePath;
+}
+
+export function loadLedger() {
+  return defaultLedger.load();
+}
+
+export async function saveLedger(ledger) {
+  await defaultLedger.save(ledger);
+}
+
+export async function updateLedger(updateFn) {
+  await defaultLedger.update(updateFn);
+}
+
 export async function initializeLedger() {
-  if (currentLedger !== null) return currentLedger;
-
-  currentLedger = loadLedger();
-  // Ensure summary is up-to-date on load
-  currentLedger.summary = recalculateSummary(currentLedger.trades);
-  await saveLedger(currentLedger); // Save to ensure clean format
-  console.log("Ledger initialized. Trades:", currentLedger.trades.length, "Summary:", currentLedger.summary);
-  return currentLedger;
+  return defaultLedger.initialize();
 }
 
-// Add a new trade record
 export async function addTrade(trade) {
-  // Ledger-level sanity: never persist an invalid OPEN trade.
-  const isOpen = (trade?.status ?? "OPEN") === "OPEN";
-  if (isOpen) {
-    const ep = trade?.entryPrice;
-    const sh = trade?.shares;
-    const badEp = typeof ep !== "number" || !Number.isFinite(ep) || ep <= 0;
-    const badSh = sh !== null && sh !== undefined && (!Number.isFinite(Number(sh)) || Number(sh) <= 0);
-    if (badEp || badSh) {
-      console.warn("Refusing to add invalid OPEN trade to ledger:", { entryPrice: ep, shares: sh, side: trade?.side });
-      return;
-    }
-  }
+  await defaultLedger.addTrade(trade);
+}
 
-  await updateLedger((ledger) => {
-    const newTrade = {
-      ...trade,
-      // Only generate if missing (don't break caller references)
-      id: trade.id ?? (Date.now().toString() + Math.random().toString(36).substring(2, 7)),
-      timestamp: trade.timestamp ?? new Date().toISOString(),
-      status: trade.status ?? "OPEN",
-      pnl: typeof trade.pnl === "number" ? trade.pnl : 0
-    };
-    ledger.trades.push(newTrade);
-    ledger.summary = recalculateSummary(ledger.trades);
-  });
-  console.log("Trade added:", trade.side, "at", trade.entryPrice);
+export async function addOrderEvent(event) {
+  await defaultLedger.addOrderEvent(event);
 }
 
-// Update an existing trade (e.g., close it)
 export async function updateTrade(tradeId, updateData) {
-  await updateLedger((ledger) => {
-    const tradeIndex = ledger.trades.findIndex(t => t.id === tradeId);
-    if (tradeIndex !== -1) {
-      ledger.trades[tradeIndex] = { ...ledger.trades[tradeIndex], ...updateData };
-      ledger.summary = recalculateSummary(ledger.trades); // Recalculate summary after update
-      console.log("Trade updated:", tradeId, "with data:", updateData);
-    } else {
-      console.warn(`Trade with ID ${tradeId} not found for update.`);
-    }
-  });
+  await defaultLedger.updateTrade(tradeId, updateData);
 }
 
-// Get a specific open trade (if any)
 export function getOpenTrade() {
-  if (currentLedger === null) {
-    currentLedger = loadLedger();
-  }
-  // Assuming only one trade can be open at a time for simplicity in this strategy
-  return currentLedger.trades.find(t => t.status === "OPEN");
+  return defaultLedger.getOpenTrade();
 }
 
-// Get all trades and summary
 export function getLedger() {
-  if (currentLedger === null) {
-    currentLedger = loadLedger();
-  }
-  return { ...currentLedger }; // Return a copy to prevent direct mutation
+  return defaultLedger.get();
 }
 
 // NOTE: Do not auto-initialize on module import.
 // Call initializeLedger() explicitly from the app bootstrap (index.js) so we don't double-log / double-write.
-
@@ -0,0 +1,120 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createLedger, recalculateSummary } from "./ledger.js";
+import { migrateLedger, mergeLedgers } from "./ledgerMigrations.js";
+
+// npm run ledger -- <command> [options]
+//
+//   migrate [--file <ledger>] [--dry-run]
+//       upgrade a ledger file to the current schema in place (default: ./paper_trading/trades.json);
+//       the original is kept as <file>.schema-v<N>.bak
+//   import <backup.json> [--into <ledger>] [--dry-run]
+//       migrate a legacy/backup ledger and merge its closed trades into <ledger> (default: the analysis ledger
+//       ./paper_trading/imported.json), skipping ids already there and trades that are still open. Imported PnL
+//       counts toward the balance and risk limits of the ledger it lands in (and legacy BTC_SPOT PnL is in spot
+//       units), so it only goes into the live trades.json when asked to with --into.
+//
+// Both take the ledger's writer lock, so stop the bot before touching the live ledger.
+
+const DEFAULT_LEDGER = "./paper_trading/trades.json";
+const DEFAULT_IMPORT_LEDGER = "./paper_trading/imported.json";
+
+function usage() {
+  console.log("Usage: npm run ledger -- migrate [--file ledger.json] [--dry-run]");
+  console.log("       npm run ledger -- import <backup.json> [--into imported.json] [--dry-run]");
+}
+
+function parseArgs(argv) {
+  const args = { command: null, positional: [], file: DEFAULT_LEDGER, into: DEFAULT_IMPORT_LEDGER, dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === "--file") args.file = next();
+    else if (a === "--into") args.into = next();
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown argument: ${a}`);
+    else if (!args.command) args.command = a;
+    else args.positional.push(a);
+  }
+  return args;
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) throw new Error(`No such file: ${file}`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function printMigration(m) {
+  console.log(`Schema: v${m.from} -> v${m.to}${m.steps.length ? "" : " (already current)"}`);
+  for (const step of m.steps) {
+    console.log(`  v${step.from} -> v${step.to}: ${step.description}`);
+    const changes = Object.entries(step.changes);
+    if (changes.length) console.log(`    ${changes.map(([k, n]) => `${k}: ${n}`).join(", ")}`);
+    for (const { id, issue } of step.issues) console.log(`    ! ${id ?? "(no id)"}: ${issue}`);
+  }
+}
+
+async function migrate(args) {
+  const migration = migrateLedger(readJson(args.file));
+  let backup = null;
+  if (!args.dryRun && migration.steps.length) {
+    backup = `${args.file}.schema-v${migration.from}.bak`;
+    fs.copyFileSync(args.file, backup);
+    // load() migrates; initialize() snapshots the result under the writer lock.
+    const ledger = createLedger({ filePath: args.file });
+    await ledger.initialize();
+    await ledger.close();
+  }
+
+  console.log(`Ledger: ${args.file}`);
+  printMigration(migration);
+  if (backup) console.log(`Original kept as ${backup}`);
+  if (args.dryRun) console.log("Dry run: nothing written.");
+}
+
+async function importBackup(args) {
+  const source = args.positional[0];
+  if (!source) throw new Error("import needs a backup file");
+  const migration = migrateLedger(readJson(source));
+  const importedFrom = path.basename(source);
+  const target = createLedger({ filePath: args.into });
+
+  let merged;
+  if (args.dryRun) {
+    merged = mergeLedgers(target.load(), migration.ledger, { importedFrom });
+  } else {
+    await target.initialize();
+    await target.update((data) => {
+      merged = mergeLedgers(data, migration.ledger, { importedFrom });
+      data.trades = merged.ledger.trades;
+      data.orders = merged.ledger.orders;
+      data.summary = recalculateSummary(data.trades);
+    });
+    await target.close();
+  }
+
+  const { report } = merged;
+  console.log(`Import: ${source} -> ${args.into}`);
+  printMigration(migration);
+  console.log(`Trades: ${report.added} added, ${report.duplicates.length} duplicate(s) skipped, ${report.skippedOpen.length} open trade(s) skipped`);
+  if (report.skippedOpen.length) console.log(`  open: ${report.skippedOpen.join(", ")}`);
+  console.log(`Order events: ${report.ordersAdded} added`);
+  if (args.dryRun) console.log("Dry run: nothing written.");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.command) {
+    usage();
+    process.exit(args.help ? 0 : 1);
+  }
+  if (args.command === "migrate") await migrate(args);
+  else if (args.command === "import") await importBackup(args);
+  else throw new Error(`Unknown command: ${args.command}`);
+}
+
+main().catch((err) => {
+  console.error(`Ledger ${process.argv[2] ?? "command"} failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,201 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Crash-safety plumbing for the ledger (ledger.js):
+// - Journal: every change is appended (and fsynced) to <name>.journal.jsonl as one event line
+//   { seq, time, type, ... }. Types: trade_opened, trade_marked, trade_closed, trade_amended, order_event.
+// - Snapshot: the compacted ledger (<name>.json, with `journalSeq` = last event it includes) is written to a
+//   temp file and renamed over the old one, so a reader sees either the old or the new file, never half of one.
+//   After a snapshot the journal is truncated; replay skips events at or below journalSeq, so a crash between
+//   the two steps is harmless.
+// - Lock: <name>.json.lock holds the writer's pid. A second process refuses to write the same ledger; a lock
+//   left by a dead process is taken over.
+
+export const JOURNAL_EVENT_TYPES = ["trade_opened", "trade_marked", "trade_closed", "trade_amended", "order_event"];
+
+// Fields that only re-mark a trade after the fact (markouts, settlement stamps).
+const MARK_FIELDS = new Set(["markoutMid", "markoutAt", "resolvedOutcome", "umaResolutionStatus", "holdToExpiryPnl"]);
+
+export function journalPathFor(filePath) {
+  return `${filePath.replace(/\.json$/, "")}.journal.jsonl`;
+}
+
+export function lockPathFor(filePath) {
+  return `${filePath}.lock`;
+}
+
+// Event type for an updateTrade() change set.
+export function tradeUpdateType(changes) {
+  if (changes?.status === "CLOSED") return "trade_closed";
+  const keys = Object.keys(changes ?? {});
+  return keys.length && keys.every((k) => MARK_FIELDS.has(k)) ? "trade_marked" : "trade_amended";
+}
+
+// Applies one journal event to the in-memory ledger (trades/orders; the caller recomputes the summary).
+export function applyJournalEvent(ledger, event) {
+  if (!Array.isArray(ledger.trades)) ledger.trades = [];
+  if (!Array.isArray(ledger.orders)) ledger.orders = [];
+  switch (event.type) {
+    case "trade_opened":
+      ledger.trades.push(event.trade);
+      break;
+    case "trade_marked":
+    case "trade_closed":
+    case "trade_amended": {
+      const idx = ledger.trades.findIndex((t) => t.id === event.tradeId);
+      if (idx === -1) return false;
+      ledger.trades[idx] = { ...ledger.trades[idx], ...event.changes };
+      break;
+    }
+    case "order_event":
+      ledger.orders.push(event.order);
+      break;
+    default:
+      return false;
+  }
+  ledger.journalSeq = event.seq;
+  return true;
+}
+
+function fsyncDir(dir) {
+  // Persists the rename itself; not supported everywhere (e.g. Windows), hence best effort.
+  try {
+    const fd = fs.openSync(dir, "r");
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+export function writeFileAtomic(filePath, text) {
+  const tmp = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, filePath);
+  fsyncDir(path.dirname(filePath));
+}
+
+export function appendJournalEvent(journalPath, event) {
+  const fd = fs.openSync(journalPath, "a");
+  try {
+    fs.writeSync(fd, `${JSON.stringify(event)}\n`);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Renames a file that can't be read back (trades.json -> trades.corrupt-<stamp>.json) so nothing writes
+// over it. Returns the new path.
+export function moveAsideCorrupt(filePath, stamp = new Date().toISOString().replace(/[:.]/g, "-")) {
+  const { dir, name, ext } = path.parse(filePath);
+  const target = path.join(dir, `${name}.corrupt-${stamp}${ext}`);
+  fs.renameSync(filePath, target);
+  fsyncDir(dir);
+  return target;
+}
+
+export function truncateJournal(journalPath) {
+  if (fs.existsSync(journalPath)) fs.truncateSync(journalPath, 0);
+}
+
+// -> events in file order. A torn last line (crash mid-append) is dropped; other bad lines are skipped with a warning.
+export function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+  const lines = fs.readFileSync(journalPath, "utf8").split("\n");
+  const events = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      const last = lines.slice(i + 1).every((l) => !l.trim());
+      if (!last) console.warn(`Skipping unreadable journal line ${i + 1} in ${journalPath}`);
+      else console.warn(`Dropping torn last line of ${journalPath}`);
+    }
+  });
+  return events;
+}
+
+const heldLocks = new Set();
+let exitHookInstalled = false;
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+// Takes the writer lock for filePath (re-entrant within this process). Throws if another live process holds it.
+export function acquireLedgerLock(filePath) {
+  const lockPath = path.resolve(lockPathFor(filePath));
+  if (heldLocks.has(lockPath)) return lockPath;
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      try {
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() }));
+      } finally {
+        fs.closeSync(fd);
+      }
+      heldLocks.add(lockPath);
+      if (!exitHookInstalled) {
+        exitHookInstalled = true;
+        process.on("exit", () => {
+          for (const p of heldLocks) releaseLockFile(p);
+        });
+      }
+      return lockPath;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+
+    let owner = null;
+    try {
+      owner = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+    } catch {
+      owner = null;
+    }
+    const sameHost = !owner?.host || owner.host === os.hostname();
+    if (owner?.pid === process.pid && sameHost) {
+      heldLocks.add(lockPath);
+      return lockPath;
+    }
+    if (owner?.pid && (!sameHost || processAlive(owner.pid))) {
+      throw new Error(`Ledger ${filePath} is locked by pid ${owner.pid}${sameHost ? "" : ` on ${owner.host}`} (${lockPath})`);
+    }
+    console.warn(`Removing stale ledger lock ${lockPath}${owner?.pid ? ` (pid ${owner.pid} is gone)` : ""}`);
+    fs.rmSync(lockPath, { force: true });
+  }
+  throw new Error(`Could not lock ledger ${filePath}`);
+}
+
+function releaseLockFile(lockPath) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+    if (owner?.pid === process.pid) fs.rmSync(lockPath, { force: true });
+  } catch {
+    // already gone
+  }
+  heldLocks.delete(lockPath);
+}
+
+export function releaseLedgerLock(filePath) {
+  const lockPath = path.resolve(lockPathFor(filePath));
+  if (heldLocks.has(lockPath)) releaseLockFile(lockPath);
+}
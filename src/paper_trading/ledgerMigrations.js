@@ -0,0 +1,176 @@
+// Ledger schema versions and the step-by-step migrations between them. Files without `schemaVersion` are
+// detected from their trades:
+//   1  legacy: no `instrument`; BTC-spot trades (prices in USD) mixed with contract trades (prices in 0..1)
+//   2  every trade has `instrument`, but `shares`, fees, `entryPhase` and the *AtEntry analytics fields may be
+//      missing and there is no `orders` list
+//   3  what the Trader writes now
+// Migrations only fill in what is missing; recorded prices and pnl are never rewritten. Anything that can't be
+// repaired is flagged on the trade (`dataIssues`) and listed in the report.
+
+export const CURRENT_SCHEMA_VERSION = 3;
+
+// Analytics fields the Trader records at entry; older trades get them as null ("unknown" in analytics).
+const ENTRY_FIELDS = [
+  "entryPhase",
+  "sideInferred",
+  "timeLeftMinAtEntry",
+  "modelProbAtEntry",
+  "edgeAtEntry",
+  "liquidityAtEntry",
+  "volumeNumAtEntry",
+  "spreadAtEntry",
+  "recActionAtEntry",
+  "modelSourceAtEntry",
+  "htfTrendAtEntry",
+  "regimeAtEntry",
+  "strategyName",
+  "strategyVersion",
+  "marketEndDate",
+  "priceToBeatAtEntry",
+  "distanceToBeatAtEntry",
+  "exitModeAtEntry"
+];
+
+function finitePositive(x) {
+  return typeof x === "number" && Number.isFinite(x) && x > 0;
+}
+
+function flag(trade, issue, step) {
+  trade.dataIssues = Array.from(new Set([...(trade.dataIssues ?? []), issue]));
+  step.issues.push({ id: trade.id ?? null, issue });
+}
+
+function count(step, field) {
+  step.changes[field] = (step.changes[field] ?? 0) + 1;
+}
+
+export const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: "tag each trade with its instrument (BTC_SPOT for USD prices, POLY for contract prices)",
+    migrate(ledger, step) {
+      for (const t of ledger.trades) {
+        if (t.instrument) continue;
+        const spot = typeof t.entryPrice === "number" && t.entryPrice > 1;
+        t.instrument = spot ? "BTC_SPOT" : "POLY";
+        count(step, `instrument=${t.instrument}`);
+        if (spot && typeof t.exitPrice === "number" && t.exitPrice > 0 && t.exitPrice <= 1) {
+          flag(t, "spot entry price with a contract exit price", step);
+        }
+      }
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: "fill shares, fee fields, entry analytics fields and the orders list",
+    migrate(ledger, step) {
+      if (!Array.isArray(ledger.orders)) {
+        ledger.orders = [];
+        count(step, "orders");
+      }
+      for (const t of ledger.trades) {
+        if (t.shares === undefined || t.shares === null) {
+          if (t.instrument === "POLY" && finitePositive(t.entryPrice) && finitePositive(t.contractSize)) {
+            t.shares = t.contractSize / t.entryPrice;
+            count(step, "shares");
+          } else {
+            t.shares = null;
+            if (t.instrument === "POLY") flag(t, "no entry price to derive shares from", step);
+          }
+        }
+        // Fees weren't charged before the fee model existed; pnl stays as recorded.
+        for (const k of ["entryFee", "exitFee", "fees"]) {
+          if (t[k] === undefined) {
+            t[k] = k === "exitFee" && t.status !== "CLOSED" ? null : 0;
+            count(step, k);
+          }
+        }
+        for (const k of ENTRY_FIELDS) {
+          if (t[k] === undefined) {
+            t[k] = null;
+            count(step, k);
+          }
+        }
+        if (t.entryOrderType === undefined) {
+          t.entryOrderType = "market";
+          count(step, "entryOrderType");
+        }
+      }
+    }
+  }
+];
+
+// Version of a ledger as found on disk.
+export function detectSchemaVersion(ledger) {
+  if (Number.isInteger(ledger?.schemaVersion)) return ledger.schemaVersion;
+  const trades = Array.isArray(ledger?.trades) ? ledger.trades : [];
+  return trades.some((t) => !t?.instrument) ? 1 : 2;
+}
+
+// -> { ledger, from, to, steps: [{ from, to, description, changes: { field: trades }, issues: [{ id, issue }] }] }
+// Works on a copy, so it doubles as the dry run.
+export function migrateLedger(data, { to = CURRENT_SCHEMA_VERSION } = {}) {
+  const ledger = structuredClone(data ?? {});
+  if (!Array.isArray(ledger.trades)) ledger.trades = [];
+  const from = detectSchemaVersion(ledger);
+  if (from > to) throw new Error(`Ledger schema ${from} is newer than ${to}; update the bot before using this file`);
+
+  const steps = [];
+  let version = from;
+  while (version < to) {
+    const migration = MIGRATIONS.find((m) => m.from === version);
+    if (!migration) throw new Error(`No ledger migration from schema ${version}`);
+    const step = { from: migration.from, to: migration.to, description: migration.description, changes: {}, issues: [] };
+    migration.migrate(ledger, step);
+    steps.push(step);
+    version = migration.to;
+  }
+  ledger.schemaVersion = version;
+  return { ledger, from, to: version, steps };
+}
+
+// Identity of a trade for merging: its id, or for legacy trades written without one, when and what it entered.
+function tradeKey(t) {
+  if (t.id) return `id:${t.id}`;
+  return `entry:${t.entryTime ?? t.timestamp ?? ""}|${t.marketSlug ?? ""}|${t.side ?? ""}|${t.entryPrice ?? ""}`;
+}
+
+// Merges `source` trades (and order events) into `target`, both at the current schema. Trades already in the
+// target (same id, or the same entry for id-less trades) are skipped, and so are open / pending source trades
+// (the Trader would pick them up as live positions). Added trades are tagged with importedFrom. Returns a new
+// ledger plus the counts.
+export function mergeLedgers(target, source, { importedFrom = null } = {}) {
+  const ledger = structuredClone(target);
+  const keys = new Set(ledger.trades.map(tradeKey));
+  const report = { added: 0, duplicates: [], skippedOpen: [], ordersAdded: 0 };
+
+  for (const t of source.trades ?? []) {
+    if (!t) continue;
+    if (keys.has(tradeKey(t))) {
+      report.duplicates.push(t.id ?? null);
+      continue;
+    }
+    if (t.status === "OPEN" || t.status === "PENDING_RESOLUTION") {
+      report.skippedOpen.push(t.id ?? null);
+      continue;
+    }
+    ledger.trades.push(importedFrom ? { ...t, importedFrom } : { ...t });
+    keys.add(tradeKey(t));
+    report.added += 1;
+  }
+
+  const orderKey = (o) => `${o.orderId ?? ""}|${o.event ?? ""}|${o.time ?? ""}`;
+  const orderKeys = new Set((ledger.orders ?? []).map(orderKey));
+  for (const o of source.orders ?? []) {
+    if (orderKeys.has(orderKey(o))) continue;
+    ledger.orders.push(o);
+    orderKeys.add(orderKey(o));
+    report.ordersAdded += 1;
+  }
+
+  const timeOf = (t) => Date.parse(t.entryTime ?? t.timestamp ?? "") || 0;
+  ledger.trades.sort((a, b) => timeOf(a) - timeOf(b));
+  return { ledger, report };
+}
@@ -0,0 +1,42 @@
+import { CONFIG } from "../config.js";
+
+// Passive (limit) paper entries. Instead of taking the ask, the Trader rests a bid inside the spread and
+// only gets filled when the market comes to it (the paper execution adapter applies checkLimitFill()):
+// - the book's best ask drops to or below our price (a seller would have hit us), or
+// - a trade prints below our price after the order was placed (book.trades, from the CLOB WS).
+// Fills are all-or-nothing at the order's own price and pay the maker fee. Queue position is not modelled,
+// so a print exactly at our price doesn't count.
+
+function onTick(price, tick) {
+  return Number((Math.round(price / tick) * tick).toFixed(6));
+}
+
+// Bid `offset` above the best bid, kept at least one tick under the ask (so it never crosses) and never
+// below the bid. Null when either side of the book is missing.
+export function passiveLimitPrice(quote, { offset = CONFIG.paperTrading.limitOffset, tick = CONFIG.paperTrading.limitTick } = {}) {
+  const bid = quote?.bid ?? null;
+  const ask = quote?.ask ?? null;
+  if (!(bid > 0) || !(ask > 0) || ask <= bid) return null;
+  const price = onTick(Math.max(bid, Math.min(bid + offset, ask - tick)), tick);
+  return price > 0 && price < ask ? price : null;
+}
+
+// -> { via: "book" | "print", at } once `order` would have been filled, else null.
+// `book` is the REST-shaped book of the order's token; prints are only considered after `order.checkedAtMs`.
+// Orders are bids unless `order.side` is "SELL" (an ask, filled by the bid or a print above it).
+export function checkLimitFill(order, { quote, book = null }) {
+  const sell = order.side === "SELL";
+  const touch = sell ? quote?.bid : quote?.ask;
+  if (touch !== null && touch !== undefined && (sell ? touch >= order.price : touch <= order.price)) return { via: "book", at: touch };
+  for (const t of Array.isArray(book?.trades) ? book.trades : []) {
+    if (t.timeMs > order.checkedAtMs && (sell ? t.price > order.price : t.price < order.price)) return { via: "print", at: t.price };
+  }
+  return null;
+}
+
+// Why a resting order should expire: its time-to-live or the time-left cutoff. Null to keep it.
+export function limitOrderExpiry(order, { nowMs, timeLeftMin }, { ttlSeconds = CONFIG.paperTrading.limitTtlSeconds, cancelMinutesLeft = CONFIG.paperTrading.limitCancelMinutesLeft } = {}) {
+  if (nowMs - order.placedAtMs >= ttlSeconds * 1000) return `TTL ${ttlSeconds}s`;
+  if (typeof timeLeftMin === "number" && timeLeftMin < cancelMinutesLeft) return `<${cancelMinutesLeft}m left`;
+  return null;
+}
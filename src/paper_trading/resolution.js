@@ -0,0 +1,78 @@
+import { CONFIG } from "../config.js";
+import { fetchMarketBySlug } from "../data/polymarket.js";
+
+function parseJsonArray(x) {
+  if (Array.isArray(x)) return x;
+  try {
+    const v = JSON.parse(x || "[]");
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
+
+// Read the resolved winner out of a Gamma market. A market counts as resolved once its outcome
+// prices have settled to exactly 1/0 and it is closed or UMA reports it resolved.
+export function parseResolvedOutcome(market, {
+  upLabel = CONFIG.polymarket.upOutcomeLabel,
+  downLabel = CONFIG.polymarket.downOutcomeLabel
+} = {}) {
+  const umaResolutionStatus = market?.umaResolutionStatus ?? null;
+  const closed = market?.closed === true || market?.closed === "true";
+  const none = { resolved: false, winner: null, umaResolutionStatus, closed };
+  if (!market) return none;
+
+  const outcomes = parseJsonArray(market.outcomes).map((x) => String(x).toLowerCase());
+  const prices = parseJsonArray(market.outcomePrices).map(Number);
+  const upIdx = outcomes.indexOf(String(upLabel).toLowerCase());
+  const downIdx = outcomes.indexOf(String(downLabel).toLowerCase());
+  if (upIdx < 0 || downIdx < 0) return none;
+
+  const up = prices[upIdx];
+  const down = prices[downIdx];
+  const settled = (up === 1 && down === 0) || (up === 0 && down === 1);
+  const finalized = closed || String(umaResolutionStatus ?? "").toLowerCase() === "resolved";
+  if (!settled || !finalized) return none;
+
+  return { resolved: true, winner: up === 1 ? "UP" : "DOWN", umaResolutionStatus, closed };
+}
+
+// Polls Gamma for market outcomes, at most once per `pollMs` per slug. Resolved outcomes are cached
+// for the life of the process since they never change.
+export function createResolutionTracker({
+  fetchMarket = fetchMarketBySlug,
+  pollMs = (CONFIG.paperTrading.resolutionPollSeconds ?? 30) * 1000,
+  now = () => Date.now()
+} = {}) {
+  const resolved = new Map();
+  const lastPolledAt = new Map();
+
+  return {
+    // Returns the cached/parsed outcome, or null when not resolved yet (or throttled).
+    async resolveSlug(slug) {
+      if (!slug) return null;
+      if (resolved.has(slug)) return resolved.get(slug);
+
+      const t = now();
+      if (t - (lastPolledAt.get(slug) ?? 0) < pollMs) return null;
+      lastPolledAt.set(slug, t);
+
+      let market = null;
+      try {
+        market = await fetchMarket(slug);
+      } catch (e) {
+        console.warn(`Resolution poll failed for ${slug}: ${e.message}`);
+        return null;
+      }
+
+      const outcome = parseResolvedOutcome(market);
+      if (!outcome.resolved) return null;
+      resolved.set(slug, outcome);
+      lastPolledAt.delete(slug);
+      return outcome;
+    },
+    getCached(slug) {
+      return resolved.get(slug) ?? null;
+    }
+  };
+}
@@ -0,0 +1,124 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+
+// Pre-entry risk limits. The Trader calls check() before every entry and refuses to enter while any
+// limit is active; each active limit is reported as a named blocker.
+// - Daily loss limit: realized PnL (net of fees) of trades closed today, in CONFIG.paperTrading.timeZone.
+// - Losing streak: after maxConsecutiveLosses losses in a row, pause for lossCooldownMinutes from the last
+//   one. Every further loss restarts the pause until a win breaks the streak.
+// - Drawdown halt: equity maxDrawdownPct below its peak stops entries until reset(). The halt is persisted
+//   (stateFile) so a restart doesn't clear it; a reset also restarts the peak from the current equity.
+// - Trade rate: at most maxTradesPerHour entries in the trailing hour.
+// A limit set to 0 is off. Everything but the halt is recomputed from the ledger trades on each check.
+
+const HOUR_MS = 3_600_000;
+
+function netPnl(trade) {
+  return (Number(trade.pnl) || 0) - (Number(trade.fees) || 0);
+}
+
+function dayKey(ms, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date(ms));
+}
+
+export class RiskManager {
+  // `stateFile: null` keeps the halt state in memory (backtests). `paperTrading` supplies the time zone and
+  // starting balance (a paper account passes its own settings).
+  constructor({ limits = CONFIG.risk, stateFile = CONFIG.risk.stateFile, now = () => Date.now(), paperTrading = CONFIG.paperTrading } = {}) {
+    this.limits = limits;
+    this.paperTrading = paperTrading;
+    this.stateFile = stateFile;
+    this.now = now;
+    this.state = { halted: false, haltedAt: null, haltReason: null, resetAt: null };
+    this.last = null;
+
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      try {
+        this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.stateFile, "utf8")) };
+      } catch (e) {
+        console.warn(`Could not read risk state ${this.stateFile}: ${e.message}`);
+      }
+    }
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2), "utf8");
+    } catch (e) {
+      console.warn(`Could not write risk state ${this.stateFile}: ${e.message}`);
+    }
+  }
+
+  // -> { at, blocked, blockers: [{ name, message }], stats }
+  check(trades) {
+    const nowMs = this.now();
+    const { maxDailyLossUsd = 0, maxConsecutiveLosses = 0, lossCooldownMinutes = 0, maxDrawdownPct = 0, maxTradesPerHour = 0 } = this.limits ?? {};
+    const timeZone = this.paperTrading.timeZone;
+    const all = Array.isArray(trades) ? trades : [];
+    const closed = all
+      .filter((t) => t?.status === "CLOSED" && Number.isFinite(Date.parse(t.exitTime ?? "")))
+      .map((t) => ({ exitMs: Date.parse(t.exitTime), pnl: netPnl(t) }))
+      .sort((a, b) => a.exitMs - b.exitMs);
+    const blockers = [];
+
+    const today = dayKey(nowMs, timeZone);
+    const dailyPnl = closed.filter((t) => dayKey(t.exitMs, timeZone) === today).reduce((acc, t) => acc + t.pnl, 0);
+    if (maxDailyLossUsd > 0 && dailyPnl <= -maxDailyLossUsd) {
+      blockers.push({ name: "daily_loss", message: `Daily loss limit: $${(-dailyPnl).toFixed(2)} lost today >= $${maxDailyLossUsd} (${timeZone})` });
+    }
+
+    let streak = 0;
+    while (streak < closed.length && closed[closed.length - 1 - streak].pnl < 0) streak += 1;
+    const cooldownUntilMs = streak ? closed[closed.length - 1].exitMs + lossCooldownMinutes * 60_000 : null;
+    if (maxConsecutiveLosses > 0 && streak >= maxConsecutiveLosses && nowMs < cooldownUntilMs) {
+      blockers.push({ name: "losing_streak", message: `Losing streak: ${streak} losses in a row, paused until ${new Date(cooldownUntilMs).toISOString()}` });
+    }
+
+    // Equity curve from the starting balance; after a manual reset the peak starts over.
+    const resetMs = Date.parse(this.state.resetAt ?? "");
+    let equity = this.paperTrading.startingBalance ?? 1000;
+    let peak = equity;
+    for (const t of closed) {
+      equity += t.pnl;
+      if (Number.isFinite(resetMs) && t.exitMs <= resetMs) peak = equity;
+      else peak = Math.max(peak, equity);
+    }
+    const drawdownPct = peak > 0 ? (peak - equity) / peak : 0;
+    if (maxDrawdownPct > 0 && !this.state.halted && drawdownPct >= maxDrawdownPct) {
+      this.state = { ...this.state, halted: true, haltedAt: new Date(nowMs).toISOString(), haltReason: `drawdown ${(drawdownPct * 100).toFixed(1)}% >= ${(maxDrawdownPct * 100).toFixed(1)}%` };
+      this.saveState();
+      console.warn(`🛑 RISK HALT: ${this.state.haltReason}. Entries stop until a manual reset (POST /api/risk/reset).`);
+    }
+    if (this.state.halted) {
+      blockers.push({ name: "drawdown_halt", message: `Drawdown halt: ${this.state.haltReason} since ${this.state.haltedAt} (manual reset required)` });
+    }
+
+    const tradesLastHour = all.filter((t) => {
+      const entryMs = Date.parse(t?.entryTime ?? t?.timestamp ?? "");
+      return Number.isFinite(entryMs) && entryMs > nowMs - HOUR_MS && entryMs <= nowMs;
+    }).length;
+    if (maxTradesPerHour > 0 && tradesLastHour >= maxTradesPerHour) {
+      blockers.push({ name: "trade_rate", message: `Trade rate: ${tradesLastHour} entries in the last hour >= ${maxTradesPerHour}` });
+    }
+
+    this.last = {
+      at: new Date(nowMs).toISOString(),
+      blocked: blockers.length > 0,
+      blockers,
+      stats: { dailyPnl, losingStreak: streak, cooldownUntil: cooldownUntilMs === null ? null : new Date(cooldownUntilMs).toISOString(), equity, peakEquity: peak, drawdownPct, tradesLastHour },
+      state: { ...this.state }
+    };
+    return this.last;
+  }
+
+  // Manual reset of the drawdown halt.
+  reset() {
+    this.state = { halted: false, haltedAt: null, haltReason: null, resetAt: new Date(this.now()).toISOString() };
+    this.saveState();
+    console.log("Risk halt reset; drawdown peak restarts from current equity.");
+    return { ...this.state };
+  }
+}
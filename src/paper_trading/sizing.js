@@ -0,0 +1,7 @@
+// Kelly sizing for a binary contract: pay `price` per share, receive $1 if it wins (probability `prob`).
+// Staking fraction f of the bankroll wins f * (1 - price) / price or loses f, so the growth-optimal
+// fraction is f* = (prob - price) / (1 - price). Negative means the bet has no edge at this price.
+export function kellyFraction({ prob, price }) {
+  if (typeof prob !== "number" || !Number.isFinite(prob) || !(price > 0) || !(price < 1)) return null;
+  return (prob - price) / (1 - price);
+}
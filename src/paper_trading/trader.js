@@ -1,11 +1,84 @@
 import { CONFIG } from "../config.js";
-import { loadLedger, addTrade, updateTrade, getOpenTrade as ledgerGetOpenTrade, getLedger, recalculateSummary } from "./ledger.js";
+import { getDefaultLedger, recalculateSummary } from "./ledger.js";
+import { computeFee, feePerShare } from "../engines/fees.js";
+import { kellyFraction } from "./sizing.js";
+import { RiskManager } from "./riskManager.js";
+import { resolveExitRules, evaluateExitRules } from "./exitRules.js";
+import { passiveLimitPrice, limitOrderExpiry } from "./limitOrders.js";
+import { createResolutionTracker } from "./resolution.js";
+import { createExcursionTracker } from "./excursion.js";
+import { createExecutionAdapter } from "../execution/index.js";
+
+// POLY position size in shares ($notional / entry price for trades that predate `shares`).
+function tradeShares(trade) {
+  return (typeof trade.shares === "number" && Number.isFinite(trade.shares))
+    ? trade.shares
+    : (trade.entryPrice > 0 ? trade.contractSize / trade.entryPrice : 0);
+}
+
+// Shares still held after any partial exits.
+function openShares(trade) {
+  return (typeof trade.sharesOpen === "number" && Number.isFinite(trade.sharesOpen)) ? trade.sharesOpen : tradeShares(trade);
+}
+
+// Dollars already received from partial exits.
+function exitProceeds(trade) {
+  return (Array.isArray(trade.exitFills) ? trade.exitFills : []).reduce((acc, f) => acc + (Number(f.proceeds) || 0), 0);
+}
+
+// Fees already paid on partial exits.
+function exitFillFees(trade) {
+  return (Array.isArray(trade.exitFills) ? trade.exitFills : []).reduce((acc, f) => acc + (Number(f.fee) || 0), 0);
+}
+
+function roundFee(x) {
+  return Number(x.toFixed(4));
+}
 
-// Core trading logic - NO fixed TP/SL, dynamic exits only
+// Top of book for one token from its summarizeOrderBook() summary. A missing side of the book leaves
+// that quote null; `fallback` (the snapshot's CLOB price) stands in for the mid when either side is missing.
+function bookQuote(summary, fallback = null) {
+  const px = (x) => ((typeof x === "number" && Number.isFinite(x) && x > 0) ? x : null);
+  const bid = px(summary?.bestBid);
+  const ask = px(summary?.bestAsk);
+  return {
+    bid,
+    ask,
+    mid: (bid !== null && ask !== null) ? (bid + ask) / 2 : px(fallback),
+    spread: (bid !== null && ask !== null) ? ask - bid : null
+  };
+}
+
+// Core trading logic - exits come from the configured exit rules
 export class Trader {
-  constructor() {
+  // `now` is the trader's clock (ms); the backtester swaps in simulated time.
+  // `exitRules` defaults to the configured exit profile (see exitRules.js).
+  // `ledger` defaults to the process-wide ledger (ledger.js); paper accounts pass their own.
+  // `paperTrading` is the settings object this trader reads (this.config): CONFIG.paperTrading by default,
+  // a paper account or a backtest passes its own merged copy so nothing global is swapped while it runs.
+  // Orders go through an execution adapter (src/execution): `executionMode` (EXECUTION_MODE, "paper" unless
+  // set) picks it, and "live" is refused unless the LIVE_TRADING opt-in is complete. `execution` passes one in.
+  constructor({ resolutionTracker = null, now = () => Date.now(), exitRules = null, riskManager = null, ledger = null, paperTrading = CONFIG.paperTrading, executionMode = CONFIG.execution.mode, execution = null } = {}) {
+    this.now = now;
+    this.config = paperTrading;
+    this.tokens = null; // { UP, DOWN } token ids of this tick's market
+    this.market = new Map(); // tokenId -> this tick's { book, summary, price }, what paper orders fill against
+    this.execution = execution ?? createExecutionAdapter({
+      mode: executionMode,
+      getBook: (tokenId) => this.market.get(String(tokenId))?.book ?? null,
+      getQuote: (tokenId) => this.quoteFor(tokenId),
+      paperTrading,
+      now
+    });
+    this.ledger = ledger ?? getDefaultLedger();
+    this.risk = riskManager ?? new RiskManager({ now, paperTrading });
+    this.exitRules = exitRules ?? resolveExitRules({ config: paperTrading });
+    this.exitRuleState = { tradeId: null, states: [] }; // per-rule state for the open trade
+    this.excursion = null; // MFE/MAE + price path of the open trade (excursion.js)
     this.openTrade = null;
+    this.pendingOrder = null; // resting passive entry (ENTRY_ORDER_TYPE=limit), in memory only
     this.lastFlipAtMs = 0;
+    this.resolutions = resolutionTracker ?? createResolutionTracker({ now, pollMs: (paperTrading.resolutionPollSeconds ?? 30) * 1000 });
 
     // Debug / UI: why we did or didn't enter on the last check
     this.lastEntryStatus = {
@@ -15,9 +88,9 @@ export class Trader {
     };
   }
 
+  // The ledger store is loaded once, by its own initialize(); this only picks up the open trade from it.
   async initialize() {
-    loadLedger();
-    this.openTrade = ledgerGetOpenTrade();
+    this.openTrade = this.ledger.getOpenTrade();
 
     // Guard against corrupted/invalid open trades (e.g., entryPrice 0.00)
     if (this.openTrade) {
@@ -30,11 +103,11 @@ export class Trader {
           ...t,
           status: "CLOSED",
           exitPrice: t.exitPrice ?? null,
-          exitTime: new Date().toISOString(),
+          exitTime: new Date(this.now()).toISOString(),
           pnl: 0,
           exitReason: "Invalid Entry (sanity check)"
         };
-        await updateTrade(t.id, forced);
+        await this.ledger.updateTrade(t.id, forced);
         this.openTrade = null;
       }
     }
@@ -43,38 +116,464 @@ export class Trader {
   }
 
   getBalanceSnapshot() {
-    const ledger = getLedger();
+    const ledger = this.ledger.get();
     const summary = ledger.summary ?? recalculateSummary(ledger.trades ?? []);
-    const starting = CONFIG.paperTrading.startingBalance ?? 1000;
+    const starting = this.config.startingBalance ?? 1000;
     const realized = typeof summary.totalPnL === "number" ? summary.totalPnL : 0;
     const balance = starting + realized;
     return { balance, starting, realized };
   }
 
-  computeContractSizeUsd() {
-    const { balance } = this.getBalanceSnapshot();
-    if (!Number.isFinite(balance) || balance <= 0) return 0;
-
-    const stakePct = CONFIG.paperTrading.stakePct;
-    const useDynamic = typeof stakePct === "number" && Number.isFinite(stakePct) && stakePct > 0;
+  // Realized balance plus the open trade marked at the best bid of its token, i.e. what selling it now would
+  // raise (after fees) against what it cost. Without a quote for the trade's market (rollover tick,
+  // empty book) and for trades pending resolution, positions count at cost.
+  getEquitySnapshot(signals = null) {
+    const { starting, realized, balance } = this.getBalanceSnapshot();
+    const trade = this.openTrade;
+    let unrealized = 0;
+    let mark = null;
+    if (trade && (!signals?.market?.slug || trade.marketSlug === signals.market.slug)) {
+      const book = signals?.polyMarketSnapshot?.orderbook?.[trade.side === "UP" ? "up" : "down"];
+      mark = bookQuote(book).bid ?? signals?.polyPrices?.[trade.side] ?? null;
+      if (mark !== null) {
+        // What closeTrade() would book selling the rest at the mark: less the entry fee, the fees already paid
+        // on partial exits and the fee that sale would pay.
+        const entryFee = Number(trade.entryFee ?? trade.fees) || 0;
+        const exitFee = computeFee({ shares: openShares(trade), price: mark });
+        unrealized = openShares(trade) * mark + exitProceeds(trade) - trade.contractSize - entryFee - exitFillFees(trade) - exitFee;
+      }
+    }
+    return {
+      at: this.now(),
+      starting,
+      realized,
+      unrealized,
+      equity: balance + unrealized,
+      openTradeId: trade?.id ?? null,
+      mark
+    };
+  }
 
-    const minUsd = CONFIG.paperTrading.minTradeUsd ?? 0;
-    const maxUsd = CONFIG.paperTrading.maxTradeUsd ?? Number.POSITIVE_INFINITY;
+  // Size of the next entry in $ plus how it was chosen (sizingMode in this.config).
+  // Kelly needs the model probability of the side and its executable entry price (and which fee applies).
+  computeSizing({ modelProb = null, price = null, liquidity = "taker" } = {}) {
+    const out = { sizeUsd: 0, mode: this.config.sizingMode === "kelly" ? "kelly" : "flat", kellyFull: null, kellyFraction: null, stakeFraction: null };
+    const { balance } = this.getBalanceSnapshot();
+    if (!Number.isFinite(balance) || balance <= 0) return out;
+
+    let size;
+    if (out.mode === "kelly") {
+      // The fee is part of the cost per share, the same way computeEdge nets it out of the edge.
+      out.kellyFull = kellyFraction({ prob: modelProb, price: price > 0 ? price + feePerShare(price, { liquidity }) : null });
+      if (out.kellyFull === null || out.kellyFull <= 0) return out;
+      out.kellyFraction = Math.min(this.config.kellyMaxFraction ?? 1, (this.config.kellyMultiplier ?? 1) * out.kellyFull);
+      size = balance * out.kellyFraction;
+    } else {
+      const stakePct = this.config.stakePct;
+      const useDynamic = typeof stakePct === "number" && Number.isFinite(stakePct) && stakePct > 0;
+      size = useDynamic ? (balance * stakePct) : (this.config.contractSize ?? 100);
+    }
 
-    let size = useDynamic ? (balance * stakePct) : (CONFIG.paperTrading.contractSize ?? 100);
+    const minUsd = this.config.minTradeUsd ?? 0;
+    const maxUsd = this.config.maxTradeUsd ?? Number.POSITIVE_INFINITY;
     size = Math.max(minUsd, Math.min(maxUsd, size));
     size = Math.min(size, balance);
 
     // round to cents
-    size = Math.floor(size * 100) / 100;
-    return size;
+    out.sizeUsd = Math.floor(size * 100) / 100;
+    out.stakeFraction = out.sizeUsd / balance;
+    return out;
+  }
+
+  // This tick's book, top of book and snapshot price per token, for the execution adapter. Backtests have
+  // no token ids; the slug and side stand in for them.
+  setMarket(signals) {
+    const poly = signals.polyMarketSnapshot;
+    const slug = signals.market?.slug || "unknown";
+    this.tokens = {
+      UP: String(poly?.tokens?.upTokenId ?? `${slug}:UP`),
+      DOWN: String(poly?.tokens?.downTokenId ?? `${slug}:DOWN`)
+    };
+    this.market = new Map(["UP", "DOWN"].map((s) => {
+      const key = s === "UP" ? "up" : "down";
+      return [this.tokens[s], { book: poly?.books?.[key] ?? null, summary: poly?.orderbook?.[key] ?? null, price: signals.polyPrices?.[s] ?? null }];
+    }));
+  }
+
+  tokenFor(side) {
+    return this.tokens?.[side] ?? null;
+  }
+
+  // bookQuote() of a token this tick, plus the snapshot price the paper adapter falls back to.
+  quoteFor(tokenId) {
+    const m = this.market.get(String(tokenId));
+    return m ? { ...bookQuote(m.summary), price: m.price } : null;
+  }
+
+  // Sell the open shares with a market order. The book may only absorb part of the position: the filled
+  // part is booked to trade.exitFills and the rest stays open for the next tick.
+  // Returns true once the trade is fully closed. `quote` is the bookQuote() at exit time, kept for mid-price PnL.
+  async exitTrade(trade, { quote = null, reason }) {
+    const extra = quote ? { exitQuote: quote } : null;
+    const { fill } = await this.execution.marketOrder({ tokenId: trade.tokenId ?? this.tokenFor(trade.side), side: "SELL", amount: openShares(trade) });
+    if (fill.status === "REJECTED") {
+      console.warn(`Exit (${reason}) not filled: ${fill.reason}. Retrying next tick.`);
+      return false;
+    }
+    if (fill.status === "PARTIAL") {
+      const before = { ...trade };
+      trade.exitFills = [...(Array.isArray(trade.exitFills) ? trade.exitFills : []), {
+        time: new Date(this.now()).toISOString(),
+        reason,
+        shares: fill.filledShares,
+        proceeds: fill.filledUsd,
+        avgFillPrice: fill.avgFillPrice,
+        mid: quote?.mid ?? null,
+        fee: computeFee({ legs: fill.legs }),
+        slippage: fill.slippage,
+        levelsConsumed: fill.levelsConsumed
+      }];
+      trade.sharesOpen = openShares(trade) - fill.filledShares;
+      trade.fees = roundFee((Number(trade.entryFee) || 0) + exitFillFees(trade));
+      if (!(await this.persistTrade(trade, before))) return false;
+      console.log(`⚠️ PARTIAL EXIT (POLY): ${trade.side} sold ${fill.filledShares.toFixed(2)} @ ${(fill.avgFillPrice * 100).toFixed(2)}¢, ${trade.sharesOpen.toFixed(2)} shares still open | ${reason}`);
+      return false;
+    }
+
+    // A touch fill sold everything at the quoted bid: that's a mark, not a book walk.
+    return this.closeTrade(trade, fill.avgFillPrice, reason, fill.fillModel === "touch" ? null : fill, extra);
+  }
+
+  // Write a change already made to `trade` in place. If the ledger can't take it, the change is undone
+  // (back to `before`) so the trader keeps managing the position as the ledger has it; returns false.
+  async persistTrade(trade, before) {
+    if (await this.ledger.updateTrade(trade.id, trade)) return true;
+    for (const key of Object.keys(trade)) delete trade[key];
+    Object.assign(trade, before);
+    console.error(`Trade ${trade.id} change could not be recorded in the ledger; kept as ${trade.status}, retrying next tick.`);
+    return false;
+  }
+
+  // Size, fill and book a market (taker) entry at `quotePrice`, the best ask of entryContext.side.
+  // Returns the new open trade, or null when sizing or the fill ruled it out.
+  async enterAtMarket({ entryContext, quotePrice, marketSlug }) {
+    const { side, modelProb } = entryContext;
+    const sizing = this.computeSizing({ modelProb, price: quotePrice });
+    const contractSizeUsd = sizing.sizeUsd;
+    if (!contractSizeUsd || contractSizeUsd <= 0) {
+      if (sizing.kellyFull !== null && sizing.kellyFull <= 0) {
+        const why = `Kelly fraction ${sizing.kellyFull.toFixed(3)} <= 0`;
+        this.lastEntryStatus = { ...this.lastEntryStatus, eligible: false, blockers: [...this.lastEntryStatus.blockers, why] };
+        return null;
+      }
+      console.warn("Skipping entry: no available balance for trade size.");
+      return null;
+    }
+
+    // Model: spend up to $contractSize (never above MAX_POLY_PRICE); shares = filled notional / average fill price.
+    // Less than minFillRatio of it filling kills the order.
+    const minFillRatio = this.config.minFillRatio ?? 0;
+    const order = { id: this.newId(), type: "market", side, price: quotePrice, sizeUsd: contractSizeUsd, marketSlug, tokenId: this.tokenFor(side) };
+    const { fill } = await this.execution.marketOrder({
+      tokenId: order.tokenId,
+      side: "BUY",
+      amount: contractSizeUsd,
+      price: this.config.maxPolyPrice ?? 0.999,
+      minAmount: contractSizeUsd * minFillRatio
+    });
+    if (fill.status === "REJECTED") {
+      const why = fill.reason === "min_fill"
+        ? `Partial fill ${(fill.fillableAmount / contractSizeUsd * 100).toFixed(0)}% < ${(minFillRatio * 100).toFixed(0)}%`
+        : `Entry fill rejected (${fill.reason})`;
+      this.lastEntryStatus = { ...this.lastEntryStatus, eligible: false, blockers: [...this.lastEntryStatus.blockers, why] };
+      console.warn(`Skipping entry: ${why}`);
+      await this.recordOrderEvent(order, "rejected", { reason: why });
+      return null;
+    }
+
+    const trade = await this.openPosition({ ...entryContext, fill, sizing, order });
+    if (trade) await this.recordOrderEvent(order, "filled", { tradeId: trade.id, fillPrice: trade.entryPrice });
+    return trade;
+  }
+
+  // Re-entry on the other side right after a prob_flip exit. It goes through the same gates as a fresh
+  // entry: the side-independent ones of this tick, HTF agreement and price bounds for the new side, and
+  // the risk limits re-checked after the close that just happened.
+  async enterFlip({ signals, side, poly, marketSlug, marketGatesOpen }) {
+    const blockers = [];
+    if (!marketGatesOpen) blockers.push("Entry gates closed");
+    if (this.config.requireHtfAgreement) {
+      const htfTrend = signals.htfTrend ?? null;
+      if (htfTrend === null) blockers.push(`HTF trend unavailable (${CONFIG.timeframes.trend})`);
+      else if (htfTrend !== side) blockers.push(`HTF trend ${htfTrend} vs ${side} (${CONFIG.timeframes.trend})`);
+    }
+    const risk = this.risk.check(this.ledger.get().trades ?? []);
+    for (const b of risk.blockers) blockers.push(b.message);
+
+    const entryQuote = bookQuote(side === "UP" ? poly?.orderbook?.up : poly?.orderbook?.down, signals.polyPrices?.[side] ?? null);
+    const quotePrice = entryQuote.ask ?? signals.polyPrices?.[side] ?? null;
+    const minPoly = this.config.minPolyPrice ?? 0.002;
+    const maxPoly = this.config.maxPolyPrice ?? 0.98;
+    if (!(typeof quotePrice === "number") || !Number.isFinite(quotePrice) || quotePrice < minPoly || quotePrice > maxPoly) {
+      blockers.push(`Poly price out of bounds (${(quotePrice ?? NaN) * 100}¢)`);
+    }
+
+    if (blockers.length) {
+      this.lastEntryStatus = { at: new Date(this.now()).toISOString(), eligible: false, blockers: blockers.map((b) => `Flip: ${b}`) };
+      console.log(`🔁 FLIP SKIPPED (POLY): ${side} | ${blockers.join("; ")}`);
+      return null;
+    }
+
+    const modelProb = side === "UP" ? signals.modelUp : signals.modelDown;
+    const entryContext = { signals, side, phase: signals.rec?.phase ?? "MID", edge: signals.rec?.edge ?? null, sideInferred: false, entryQuote, modelProb, entryReason: "Flip" };
+    const trade = await this.enterAtMarket({ entryContext, quotePrice, marketSlug });
+    if (trade) {
+      this.lastFlipAtMs = this.now();
+      console.log(`🔁 FLIP OPENED (POLY): ${side} @ ${(trade.entryPrice * 100).toFixed(2)}¢ | $${trade.contractSize.toFixed(2)}`);
+    }
+    return trade;
+  }
+
+  newId() {
+    return this.now().toString() + Math.random().toString(36).substring(2, 8);
+  }
+
+  // Book a filled entry as the open trade. The entry context (signals, side, phase, edge, ...) is the one the
+  // decision was made on; for a passive order that is when the order was last (re)placed or confirmed.
+  async openPosition({ signals, side, phase, edge, sideInferred, entryQuote, fill, sizing, order, liquidity = "taker", entryReason = null }) {
+    const entryPrice = fill.avgFillPrice;
+    const shares = fill.filledShares;
+    if (!(entryPrice > 0) || !Number.isFinite(shares) || shares <= 0) return null;
+    const entryFee = computeFee({ shares, price: entryPrice, legs: fill.legs, liquidity });
+
+    const modelProbAtEntry = side === "UP" ? signals.modelUp : signals.modelDown;
+    const liquidityAtEntry = signals.market?.liquidityNum ?? null;
+    const volumeNumAtEntry = signals.market?.volumeNum ?? null;
+    const spreadAtEntry = signals.polyMarketSnapshot?.orderbook?.[side === "UP" ? "up" : "down"]?.spread ?? null;
+
+    const trade = {
+      id: this.newId(),
+      timestamp: new Date(this.now()).toISOString(),
+      marketSlug: signals.market?.slug || "unknown",
+      side,
+      instrument: "POLY",
+      tokenId: signals.polyMarketSnapshot?.tokens?.[side === "UP" ? "upTokenId" : "downTokenId"] ?? null,
+      entryPrice, // dollars (0..1), average fill price
+      shares,
+      contractSize: fill.filledUsd,
+      status: "OPEN",
+      entryTime: new Date(this.now()).toISOString(),
+      exitPrice: null,
+      exitTime: null,
+      pnl: 0,
+      entryPhase: phase,
+      entryReason, // "Flip" for a re-entry after a prob_flip exit
+      sideInferred,
+
+      // analytics fields (best-effort)
+      timeLeftMinAtEntry: signals.timeLeftMin ?? null,
+      modelProbAtEntry: (typeof modelProbAtEntry === "number" && Number.isFinite(modelProbAtEntry)) ? modelProbAtEntry : null,
+      edgeAtEntry: (typeof edge === "number" && Number.isFinite(edge)) ? edge : null,
+      liquidityAtEntry: (typeof liquidityAtEntry === "number" && Number.isFinite(liquidityAtEntry)) ? liquidityAtEntry : null,
+      volumeNumAtEntry: (typeof volumeNumAtEntry === "number" && Number.isFinite(volumeNumAtEntry)) ? volumeNumAtEntry : null,
+      spreadAtEntry: (typeof spreadAtEntry === "number" && Number.isFinite(spreadAtEntry)) ? spreadAtEntry : null,
+      recActionAtEntry: signals.rec?.action ?? null,
+      modelSourceAtEntry: signals.modelSource ?? null,
+      htfTrendAtEntry: signals.htfTrend ?? null,
+      regimeAtEntry: signals.regime?.regime ?? null,
+      strategyName: signals.strategy?.name ?? null,
+      strategyVersion: signals.strategy?.version ?? null,
+      marketEndDate: signals.market?.endDate ?? null,
+      priceToBeatAtEntry: signals.priceToBeat ?? null,
+      distanceToBeatAtEntry: signals.distanceToBeat ?? null,
+      exitModeAtEntry: String(this.config.exitMode || "early"),
+      entryQuote,
+
+      // sizing
+      sizingMode: sizing.mode,
+      kellyFull: sizing.kellyFull,
+      kellyFraction: sizing.kellyFraction,
+      stakeFraction: sizing.stakeFraction,
+
+      // order + fill simulation
+      entryOrderId: order?.id ?? null,
+      entryOrderType: order?.type ?? "market",
+      entryLiquidity: liquidity,
+      limitPrice: order?.type === "limit" ? order.price : null,
+      orderPlacedAt: order?.placedAtMs ? new Date(order.placedAtMs).toISOString() : null,
+      fillVia: fill.via ?? null,
+      fillModel: fill.fillModel,
+      fillStatus: fill.status,
+      requestedSizeUsd: sizing.sizeUsd,
+      avgFillPrice: fill.avgFillPrice,
+      topOfBookAtEntry: fill.topOfBook,
+      slippage: fill.slippage,
+      levelsConsumed: fill.levelsConsumed,
+      markoutMid: null, // held token mid MARKOUT_SECONDS after the fill (adverse selection)
+
+      // fees (USDC); pnl is before fees, the ledger summary nets them out
+      entryFee,
+      exitFee: null,
+      fees: entryFee
+    };
+    // Only a trade the ledger has recorded becomes the open trade.
+    if (!(await this.ledger.addTrade(trade))) {
+      console.error(`Entry ${side} @ ${(entryPrice * 100).toFixed(2)}¢ could not be recorded in the ledger; not opening it.`);
+      return null;
+    }
+    this.openTrade = trade;
+    const { balance } = this.getBalanceSnapshot();
+    const fillNote = fill.fillModel === "book" ? ` | ${fill.status} over ${fill.levelsConsumed} lvl, slip ${(fill.slippage * 100).toFixed(2)}¢` : (fill.fillModel === "limit" ? ` | limit filled via ${fill.via}` : "");
+    console.log(`📈 TRADE OPENED (POLY): ${side} @ ${(entryPrice * 100).toFixed(2)}¢ | $${fill.filledUsd.toFixed(2)}${fillNote} | fee $${entryFee.toFixed(4)} (balance ~$${balance.toFixed(2)})`);
+    return this.openTrade;
+  }
+
+  async recordOrderEvent(order, event, extra = {}) {
+    await this.ledger.addOrderEvent({
+      orderId: order.id,
+      type: order.type,
+      event,
+      side: order.side,
+      price: order.price,
+      sizeUsd: order.sizeUsd,
+      marketSlug: order.marketSlug,
+      time: new Date(this.now()).toISOString(),
+      ...extra
+    });
+  }
+
+  // Passive entry (ENTRY_ORDER_TYPE=limit): keep one bid resting for the wanted side. A new side or a new
+  // limit price (the book moved) cancels and replaces the order; otherwise it keeps resting with the
+  // latest entry context.
+  async workLimitOrder(ctx) {
+    const { side, entryQuote, modelProb, signals } = ctx;
+    const marketSlug = signals.market?.slug || "unknown";
+    const tick = this.config.limitTick ?? 0.01;
+    const price = passiveLimitPrice(entryQuote, { offset: this.config.limitOffset, tick: this.config.limitTick });
+    const note = (why) => {
+      this.lastEntryStatus = { ...this.lastEntryStatus, eligible: false, blockers: [...this.lastEntryStatus.blockers, why] };
+    };
+    if (price === null) {
+      note("No spread to rest a limit bid in");
+      await this.cancelPendingOrder("cancelled", "No spread");
+      return;
+    }
+
+    const current = this.pendingOrder;
+    if (current && current.side === side && Math.abs(current.price - price) < tick / 2) {
+      current.ctx = ctx;
+      return;
+    }
+
+    const sizing = this.computeSizing({ modelProb, price, liquidity: "maker" });
+    if (!sizing.sizeUsd || sizing.sizeUsd <= 0) {
+      note(sizing.kellyFull !== null && sizing.kellyFull <= 0 ? `Kelly fraction ${sizing.kellyFull.toFixed(3)} <= 0` : "No balance for limit order");
+      await this.cancelPendingOrder("cancelled", "No size");
+      return;
+    }
+
+    const tokenId = this.tokenFor(side);
+    const order = { id: this.newId(), type: "limit", side, price, sizeUsd: sizing.sizeUsd, shares: sizing.sizeUsd / price, marketSlug, tokenId, venueOrderId: null, placedAtMs: this.now(), sizing, ctx };
+    if (current) {
+      const why = current.side !== side ? `Side ${current.side} -> ${side}` : `Price ${(current.price * 100).toFixed(1)}¢ -> ${(price * 100).toFixed(1)}¢`;
+      this.pendingOrder = null;
+      const filled = await this.pullOrder(current);
+      if (filled) {
+        await this.bookLimitFill(current, filled);
+        return;
+      }
+      await this.recordOrderEvent(current, "replaced", { reason: why, replacedBy: order.id });
+    }
+    const placed = await this.execution.placeOrder({ tokenId, side: "BUY", price, size: order.shares, orderType: "GTC" });
+    if (placed.status === "rejected") {
+      note(`Limit order rejected (${placed.error})`);
+      await this.recordOrderEvent(order, "rejected", { reason: placed.error });
+      return;
+    }
+    order.venueOrderId = placed.orderId;
+    this.pendingOrder = order;
+    await this.recordOrderEvent(order, "placed", { replaces: current?.id ?? null, bid: entryQuote.bid, ask: entryQuote.ask });
+    console.log(`📝 LIMIT ${current ? "REPLACED" : "PLACED"} (POLY): ${side} bid @ ${(price * 100).toFixed(2)}¢ | $${sizing.sizeUsd.toFixed(2)} (book ${(entryQuote.bid * 100).toFixed(2)}/${(entryQuote.ask * 100).toFixed(2)}¢)`);
+  }
+
+  // Ask the execution adapter whether the resting order filled (the paper adapter checks this tick's book
+  // and prints). Returns true when it filled.
+  async checkPendingOrder({ timeLeftMin, marketSlug }) {
+    const order = this.pendingOrder;
+    if (order.marketSlug !== marketSlug) {
+      await this.cancelPendingOrder("expired", "Market Rollover");
+      return false;
+    }
+
+    const state = await this.execution.getOrder(order.venueOrderId);
+    if (state?.sizeMatched > 0 && state.status !== "live") {
+      this.pendingOrder = null;
+      return this.bookLimitFill(order, state);
+    }
+    if (!state || state.status !== "live") {
+      this.pendingOrder = null;
+      await this.recordOrderEvent(order, "expired", { reason: `Order ${state?.status ?? "not found"}` });
+      return false;
+    }
+
+    const expired = limitOrderExpiry(order, { nowMs: this.now(), timeLeftMin }, { ttlSeconds: this.config.limitTtlSeconds, cancelMinutesLeft: this.config.limitCancelMinutesLeft });
+    if (expired) await this.cancelPendingOrder("expired", expired);
+    return false;
+  }
+
+  // Open the position a limit order filled (state: the adapter's view of it), at the order's price with the
+  // maker fee. Returns true when the trade was booked.
+  async bookLimitFill(order, state) {
+    const shares = Math.min(state.sizeMatched, order.shares);
+    const fill = {
+      fillModel: "limit",
+      via: state.via ?? "exchange",
+      status: state.sizeMatched >= order.shares ? "FILLED" : "PARTIAL",
+      filledShares: shares,
+      filledUsd: order.sizeUsd * (shares / order.shares),
+      avgFillPrice: order.price,
+      topOfBook: order.price,
+      slippage: 0,
+      levelsConsumed: null,
+      legs: [{ price: order.price, shares }]
+    };
+    // The quote at fill time, not at placement: mid PnL and adverse selection are measured from the fill.
+    const quote = bookQuote(this.market.get(order.tokenId)?.summary);
+    const trade = await this.openPosition({ ...order.ctx, entryQuote: quote, fill, sizing: order.sizing, order, liquidity: "maker" });
+    await this.recordOrderEvent(order, "filled", { via: fill.via, tradeId: trade?.id ?? null, fillPrice: order.price });
+    return Boolean(trade);
+  }
+
+  // Cancel `order` with the execution adapter. Returns the adapter's view of it when some of it filled
+  // first (a live order can be hit while the cancel is on its way), else null.
+  async pullOrder(order) {
+    const res = await this.execution.cancelOrder(order.venueOrderId);
+    if (res.canceled.includes(order.venueOrderId)) return null;
+    const state = await this.execution.getOrder(order.venueOrderId);
+    return state?.sizeMatched > 0 ? state : null;
+  }
+
+  // event: "cancelled" (we pulled it) or "expired" (TTL / cutoff / rollover). No-op without a resting order.
+  // An order that filled before the cancel reached it is booked instead.
+  async cancelPendingOrder(event, reason) {
+    const order = this.pendingOrder;
+    if (!order) return;
+    this.pendingOrder = null;
+    const filled = await this.pullOrder(order);
+    if (filled) {
+      await this.bookLimitFill(order, filled);
+      return;
+    }
+    await this.recordOrderEvent(order, event, { reason });
+    console.log(`🚫 LIMIT ${event.toUpperCase()} (POLY): ${order.side} @ ${(order.price * 100).toFixed(2)}¢ | ${reason}`);
   }
 
   async processSignals(signals, klines1m) {
-    if (!CONFIG.paperTrading.enabled) return;
+    if (!this.config.enabled) return;
+    this.setMarket(signals);
 
     const candleCount = Array.isArray(klines1m) ? klines1m.length : 0;
-    const minCandlesForEntry = CONFIG.paperTrading.minCandlesForEntry ?? 30;
+    const minCandlesForEntry = this.config.minCandlesForEntry ?? 30;
     const indicatorsReady = candleCount >= minCandlesForEntry;
 
     // IMPORTANT: We paper-trade the Polymarket contract, not BTC spot.
@@ -86,16 +585,17 @@ export class Trader {
     const marketSlug = signals.market?.slug || "unknown";
 
     // Rec gating: strict requires explicit ENTER; loose allows entry if thresholds hit.
-    const recGating = String(CONFIG.paperTrading.recGating || "loose");
+    const recGating = String(this.config.recGating || "loose");
     const strictRec = recGating === "strict";
 
     // If we are not in a trade and strict gating is enabled, short-circuit unless Rec=ENTER.
     if (!this.openTrade && strictRec && action !== "ENTER") {
       this.lastEntryStatus = {
-        at: new Date().toISOString(),
+        at: new Date(this.now()).toISOString(),
         eligible: false,
         blockers: [`Rec=${action} (strict)`]
       };
+      await this.cancelPendingOrder("cancelled", `Rec=${action} (strict)`);
       return;
     }
 
@@ -122,10 +622,11 @@ export class Trader {
 
     if (!side || currentPolyPrice === null) {
       this.lastEntryStatus = {
-        at: new Date().toISOString(),
+        at: new Date(this.now()).toISOString(),
         eligible: false,
         blockers: entryBlockers.length ? entryBlockers : [`Rec=${action}`]
       };
+      await this.cancelPendingOrder("cancelled", side ? "Missing Polymarket price" : "Missing side");
       return;
     }
 
@@ -134,38 +635,38 @@ export class Trader {
     const spreadUp = poly?.orderbook?.up?.spread;
     const spreadDown = poly?.orderbook?.down?.spread;
 
-    const hasBadSpread = (spreadUp !== null && spreadUp > CONFIG.paperTrading.maxSpread) ||
-                         (spreadDown !== null && spreadDown > CONFIG.paperTrading.maxSpread);
+    const hasBadSpread = (spreadUp !== null && spreadUp > this.config.maxSpread) ||
+                         (spreadDown !== null && spreadDown > this.config.maxSpread);
 
     const liquidityNum = signals.market?.liquidityNum ?? null;
-    const minLiquidity = CONFIG.paperTrading.minLiquidity ?? 0;
+    const minLiquidity = this.config.minLiquidity ?? 0;
     const hasLowLiquidity = (typeof liquidityNum === "number" && Number.isFinite(liquidityNum))
       ? (liquidityNum < minLiquidity)
       : false;
 
     // Market volume filter is optional (disabled by default)
     const marketVolumeNum = signals.market?.volumeNum ?? null;
-    const minMarketVolumeNum = CONFIG.paperTrading.minMarketVolumeNum ?? 0;
+    const minMarketVolumeNum = this.config.minMarketVolumeNum ?? 0;
     const hasLowMarketVolume = (typeof marketVolumeNum === "number" && Number.isFinite(marketVolumeNum) && minMarketVolumeNum > 0)
       ? (marketVolumeNum < minMarketVolumeNum)
       : false;
 
     const isLowLiquidity = hasBadSpread || hasLowLiquidity || hasLowMarketVolume;
 
-    const isTooLateToEnter = timeLeftMin < CONFIG.paperTrading.noEntryFinalMinutes;
+    const isTooLateToEnter = timeLeftMin < this.config.noEntryFinalMinutes;
 
-    // Weekday-only schedule filter (Pacific time). Exits are handled separately.
-    const weekdaysOnly = CONFIG.paperTrading.weekdaysOnly ?? false;
-    const noEntryAfterFridayHour = CONFIG.paperTrading.noEntryAfterFridayHour;
+    // Weekday-only schedule filter (timeZone in this.config). Exits are handled separately.
+    const weekdaysOnly = this.config.weekdaysOnly ?? false;
+    const noEntryAfterFridayHour = this.config.noEntryAfterFridayHour;
     let isOutsideSchedule = false;
     if (weekdaysOnly) {
       const parts = new Intl.DateTimeFormat('en-US', {
-        timeZone: 'America/Los_Angeles',
+        timeZone: this.config.timeZone,
         weekday: 'short',
         hour: '2-digit',
         minute: '2-digit',
         hour12: false
-      }).formatToParts(new Date());
+      }).formatToParts(new Date(this.now()));
       const get = (t) => parts.find(p => p.type === t)?.value;
       const wd = get('weekday');
       const hour = Number(get('hour'));
@@ -178,8 +679,8 @@ export class Trader {
     // Volume filter
     const volumeRecent = signals.indicators?.volumeRecent ?? null;
     const volumeAvg = signals.indicators?.volumeAvg ?? null;
-    const minVolumeRecent = CONFIG.paperTrading.minVolumeRecent ?? 0;
-    const minVolumeRatio = CONFIG.paperTrading.minVolumeRatio ?? 0;
+    const minVolumeRecent = this.config.minVolumeRecent ?? 0;
+    const minVolumeRatio = this.config.minVolumeRatio ?? 0;
 
     const isLowVolumeAbsolute = (minVolumeRecent > 0) && (volumeRecent !== null) && (volumeRecent < minVolumeRecent);
     const isLowVolumeRelative = (minVolumeRatio > 0) && (volumeRecent !== null) && (volumeAvg !== null) && (volumeRecent < (volumeAvg * minVolumeRatio));
@@ -205,7 +706,7 @@ export class Trader {
     if (this.openTrade) blockers.push("Trade already open");
     if (strictRec && signals.rec?.action !== "ENTER") blockers.push(`Rec=${signals.rec?.action || "NONE"} (strict)`);
     if (!strictRec && signals.rec?.action !== "ENTER") blockers.push(`Rec=${signals.rec?.action || "NONE"} (loose)`);
-    if (isTooLateToEnter) blockers.push(`Too late (<${CONFIG.paperTrading.noEntryFinalMinutes}m)`);
+    if (isTooLateToEnter) blockers.push(`Too late (<${this.config.noEntryFinalMinutes}m)`);
     if (hasBadSpread) blockers.push("High spread");
     if (hasLowLiquidity) blockers.push(`Low liquidity (<${minLiquidity})`);
     if (hasLowMarketVolume) blockers.push(`Low market volume (<${minMarketVolumeNum})`);
@@ -214,7 +715,7 @@ export class Trader {
     // Confidence filter: avoid 50/50 model conditions
     const upP0 = typeof signals.modelUp === "number" ? signals.modelUp : null;
     const downP0 = typeof signals.modelDown === "number" ? signals.modelDown : null;
-    const minModelMaxProb = CONFIG.paperTrading.minModelMaxProb ?? 0;
+    const minModelMaxProb = this.config.minModelMaxProb ?? 0;
     if (minModelMaxProb > 0 && upP0 !== null && downP0 !== null) {
       const m = Math.max(upP0, downP0);
       if (m < minModelMaxProb) {
@@ -224,15 +725,36 @@ export class Trader {
 
     // Chop/volatility filter (BTC reference)
     const rangePct20 = signals.indicators?.rangePct20 ?? null;
-    const minRangePct20 = CONFIG.paperTrading.minRangePct20 ?? 0;
+    const minRangePct20 = this.config.minRangePct20 ?? 0;
     if (typeof rangePct20 === "number" && Number.isFinite(rangePct20) && minRangePct20 > 0 && rangePct20 < minRangePct20) {
       blockers.push(`Choppy (range20 ${(rangePct20 * 100).toFixed(2)}% < ${(minRangePct20 * 100).toFixed(2)}%)`);
     }
     if (isLowVolume) blockers.push("Low volume");
 
+    // Reference price sanity: BTC feeds disagreeing usually means one of them is broken or lagging.
+    const priceConsensus = signals.priceConsensus ?? null;
+    const isPriceDivergent = Boolean((this.config.blockOnPriceDivergence ?? true) && priceConsensus?.divergent);
+    if (isPriceDivergent) {
+      blockers.push(`Price feeds diverge (${priceConsensus.divergentSources.join(", ")} > ${priceConsensus.divergenceBps}bps)`);
+    }
+
+    // Higher-timeframe agreement: e.g. no UP entries while the 1h VWAP slope points down.
+    let isAgainstHtf = false;
+    if (this.config.requireHtfAgreement && side) {
+      const htfTrend = signals.htfTrend ?? null;
+      isAgainstHtf = htfTrend !== side;
+      if (htfTrend === null) blockers.push(`HTF trend unavailable (${CONFIG.timeframes.trend})`);
+      else if (htfTrend !== side) blockers.push(`HTF trend ${htfTrend} vs ${side} (${CONFIG.timeframes.trend})`);
+    }
+
+    // Risk limits (daily loss, losing streak, drawdown halt, trade rate). Only matters when we could enter.
+    const risk = this.openTrade ? null : this.risk.check(this.ledger.get().trades ?? []);
+    const isRiskBlocked = Boolean(risk?.blocked);
+    for (const b of risk?.blockers ?? []) blockers.push(b.message);
+
     // Price sanity blockers
-    const minPoly = CONFIG.paperTrading.minPolyPrice ?? 0.002;
-    const maxPoly = CONFIG.paperTrading.maxPolyPrice ?? 0.98;
+    const minPoly = this.config.minPolyPrice ?? 0.002;
+    const maxPoly = this.config.maxPolyPrice ?? 0.98;
     if (!(typeof currentPolyPrice === "number") || !Number.isFinite(currentPolyPrice) || currentPolyPrice < minPoly || currentPolyPrice > maxPoly) {
       blockers.push(`Poly price out of bounds (${(currentPolyPrice ?? NaN) * 100}¢)`);
     }
@@ -243,111 +765,88 @@ export class Trader {
       const edge = signals.rec?.edge ?? 0;
       const phase = signals.rec?.phase;
       let minProbReq, edgeReq;
-      if (phase === "EARLY") { minProbReq = CONFIG.paperTrading.minProbEarly; edgeReq = CONFIG.paperTrading.edgeEarly; }
-      else if (phase === "MID") { minProbReq = CONFIG.paperTrading.minProbMid; edgeReq = CONFIG.paperTrading.edgeMid; }
-      else { minProbReq = CONFIG.paperTrading.minProbLate; edgeReq = CONFIG.paperTrading.edgeLate; }
+      if (phase === "EARLY") { minProbReq = this.config.minProbEarly; edgeReq = this.config.edgeEarly; }
+      else if (phase === "MID") { minProbReq = this.config.minProbMid; edgeReq = this.config.edgeMid; }
+      else { minProbReq = this.config.minProbLate; edgeReq = this.config.edgeLate; }
 
       if (typeof modelProb === "number" && Number.isFinite(modelProb) && modelProb < minProbReq) blockers.push(`Prob ${modelProb.toFixed(3)} < ${minProbReq}`);
       if ((edge || 0) < edgeReq) blockers.push(`Edge ${(edge || 0).toFixed(3)} < ${edgeReq}`);
     }
 
     this.lastEntryStatus = {
-      at: new Date().toISOString(),
+      at: new Date(this.now()).toISOString(),
       eligible: blockers.length === 0,
       blockers
     };
 
     const recAction = signals.rec?.action || "NONE";
     const wantsEnter = (recAction === "ENTER") || !strictRec;
+    // Gates that don't depend on the side; a flip re-entry (exit branch) is held to them too.
+    const marketGatesOpen = canEnter && indicatorsPopulated && !isTooLateToEnter && !isLowLiquidity && !isLowVolume && !isPriceDivergent;
+    const entryGatesOpen = marketGatesOpen && !this.openTrade && wantsEnter && !isAgainstHtf && !isRiskBlocked;
+    // The gates apply to a resting bid too: pull it before looking at this tick's book, so a blocked entry
+    // (risk limit, diverging feeds, ...) can't still fill passively.
+    if (!entryGatesOpen) await this.cancelPendingOrder("cancelled", "Entry blocked");
+
+    // A resting passive bid may have been hit since the last tick; that happens before this tick's
+    // decision to keep, replace or pull it.
+    if (this.pendingOrder && !this.openTrade && await this.checkPendingOrder({ timeLeftMin, marketSlug })) return;
 
     // No-trade if volume is below threshold(s)
-    if (canEnter && indicatorsPopulated && !this.openTrade && wantsEnter && !isTooLateToEnter && !isLowLiquidity && !isLowVolume) {
+    if (entryGatesOpen) {
       const { phase, edge } = signals.rec;
       
       // Phase-based thresholds
       let minProb, edgeThreshold;
       if (phase === "EARLY") {
-        minProb = CONFIG.paperTrading.minProbEarly;
-        edgeThreshold = CONFIG.paperTrading.edgeEarly;
+        minProb = this.config.minProbEarly;
+        edgeThreshold = this.config.edgeEarly;
       } else if (phase === "MID") {
-        minProb = CONFIG.paperTrading.minProbMid;
-        edgeThreshold = CONFIG.paperTrading.edgeMid;
+        minProb = this.config.minProbMid;
+        edgeThreshold = this.config.edgeMid;
       } else {
-        minProb = CONFIG.paperTrading.minProbLate;
-        edgeThreshold = CONFIG.paperTrading.edgeLate;
+        minProb = this.config.minProbLate;
+        edgeThreshold = this.config.edgeLate;
       }
 
       // Tighten MID entries slightly (analytics: MID was worse than EARLY)
       if (phase === "MID") {
-        minProb += (CONFIG.paperTrading.midProbBoost ?? 0);
-        edgeThreshold += (CONFIG.paperTrading.midEdgeBoost ?? 0);
+        minProb += (this.config.midProbBoost ?? 0);
+        edgeThreshold += (this.config.midEdgeBoost ?? 0);
       }
 
       // Tighten inferred-side entries in loose mode
       if (!strictRec && sideInferred) {
-        minProb += (CONFIG.paperTrading.inferredProbBoost ?? 0);
-        edgeThreshold += (CONFIG.paperTrading.inferredEdgeBoost ?? 0);
+        minProb += (this.config.inferredProbBoost ?? 0);
+        edgeThreshold += (this.config.inferredEdgeBoost ?? 0);
       }
 
       const modelProb = side === "UP" ? signals.modelUp : signals.modelDown;
       const meetsThresholds = modelProb >= minProb && (edge || 0) >= edgeThreshold;
+      if (!meetsThresholds) await this.cancelPendingOrder("cancelled", "Thresholds no longer met");
 
       if (meetsThresholds) {
-        // Model: spend $contractSize at entry price; shares = notional / price
-        const entryPrice = currentPolyPrice;
+        // Buy at the best ask of the token; the snapshot price only stands in when the book has no asks.
+        const entryQuote = bookQuote(side === "UP" ? poly?.orderbook?.up : poly?.orderbook?.down, currentPolyPrice);
+        const quotePrice = entryQuote.ask ?? currentPolyPrice;
 
         // Sanity guard: never enter at 0 / near-0 prices.
-        const minPoly = CONFIG.paperTrading.minPolyPrice ?? 0.001;
-        const maxPoly = CONFIG.paperTrading.maxPolyPrice ?? 0.999;
-        if (!(typeof entryPrice === "number") || !Number.isFinite(entryPrice) || entryPrice < minPoly || entryPrice > maxPoly) {
+        const minPoly = this.config.minPolyPrice ?? 0.001;
+        const maxPoly = this.config.maxPolyPrice ?? 0.999;
+        if (!(typeof quotePrice === "number") || !Number.isFinite(quotePrice) || quotePrice < minPoly || quotePrice > maxPoly) {
           // Skip entry if price is out of bounds
-          console.warn(`Skipping entry due to invalid Poly price: side=${side} entryPrice=${entryPrice} min=${minPoly} max=${maxPoly}`);
+          console.warn(`Skipping entry due to invalid Poly price: side=${side} entryPrice=${quotePrice} min=${minPoly} max=${maxPoly}`);
+          await this.cancelPendingOrder("cancelled", "Poly price out of bounds");
           return;
         }
 
-        const contractSizeUsd = this.computeContractSizeUsd();
-        if (!contractSizeUsd || contractSizeUsd <= 0) {
-          console.warn("Skipping entry: no available balance for trade size.");
+        const entryContext = { signals, side, phase, edge, sideInferred, entryQuote, modelProb };
+        if (this.config.entryOrderType === "limit") {
+          await this.workLimitOrder(entryContext);
           return;
         }
 
-        const shares = (entryPrice > 0) ? (contractSizeUsd / entryPrice) : null;
-        if (shares === null || !Number.isFinite(shares) || shares <= 0) return;
-
-        const modelProbAtEntry = side === "UP" ? signals.modelUp : signals.modelDown;
-        const liquidityAtEntry = signals.market?.liquidityNum ?? null;
-        const volumeNumAtEntry = signals.market?.volumeNum ?? null;
-        const spreadAtEntry = side === "UP" ? (spreadUp ?? null) : (spreadDown ?? null);
-
-        this.openTrade = {
-          id: Date.now().toString() + Math.random().toString(36).substring(2, 8),
-          timestamp: new Date().toISOString(),
-          marketSlug,
-          side,
-          instrument: "POLY",
-          entryPrice, // dollars (0..1)
-          shares,
-          contractSize: contractSizeUsd,
-          status: "OPEN",
-          entryTime: new Date().toISOString(),
-          exitPrice: null,
-          exitTime: null,
-          pnl: 0,
-          entryPhase: phase,
-          sideInferred,
-
-          // analytics fields (best-effort)
-          timeLeftMinAtEntry: timeLeftMin ?? null,
-          modelProbAtEntry: (typeof modelProbAtEntry === "number" && Number.isFinite(modelProbAtEntry)) ? modelProbAtEntry : null,
-          edgeAtEntry: (typeof edge === "number" && Number.isFinite(edge)) ? edge : null,
-          liquidityAtEntry: (typeof liquidityAtEntry === "number" && Number.isFinite(liquidityAtEntry)) ? liquidityAtEntry : null,
-          volumeNumAtEntry: (typeof volumeNumAtEntry === "number" && Number.isFinite(volumeNumAtEntry)) ? volumeNumAtEntry : null,
-          spreadAtEntry: (typeof spreadAtEntry === "number" && Number.isFinite(spreadAtEntry)) ? spreadAtEntry : null,
-          recActionAtEntry: signals.rec?.action ?? null
-        };
-        await addTrade(this.openTrade);
-        const { balance } = this.getBalanceSnapshot();
-        console.log(`📈 TRADE OPENED (POLY): ${side} @ ${(entryPrice * 100).toFixed(2)}¢ | $${contractSizeUsd} (balance ~$${balance.toFixed(2)})`);
+        await this.enterAtMarket({ entryContext, quotePrice, marketSlug });
       }
     }
 
@@ -357,10 +856,24 @@ export class Trader {
       let shouldExit = false;
       let exitReason = "";
       let shouldFlip = false;
+      const holdToExpiry = String(this.config.exitMode || "early") === "hold";
+      // Selling hits the best bid of the held token (snapshot price when the book has no bids).
+      const quoteFor = (s) => bookQuote(s === "UP" ? poly?.orderbook?.up : poly?.orderbook?.down, signals.polyPrices?.[s] ?? null);
+      const exitQuote = quoteFor(trade.side);
+      const exitBid = exitQuote.bid ?? signals.polyPrices?.[trade.side] ?? null;
+
+      // Hold-to-expiry: once the market has ended (or rolled over) the position waits for the
+      // $1/$0 settlement instead of being marked out. checkResolutions() settles it.
+      const marketEndedMs = Date.parse(trade.marketEndDate ?? "");
+      const marketRolled = Boolean(trade.marketSlug && marketSlug && trade.marketSlug !== marketSlug);
+      if (holdToExpiry && (marketRolled || (Number.isFinite(marketEndedMs) && this.now() >= marketEndedMs))) {
+        await this.markPendingResolution(trade, marketRolled ? "Market Rollover" : "Market Ended");
+        return;
+      }
 
       // If the Polymarket market rolled to a new slug, close the old trade so it can't get "stuck".
       // Note: we use the current market's contract price as a best-effort mark.
-      if (trade.marketSlug && marketSlug && trade.marketSlug !== marketSlug) {
+      if (marketRolled) {
         const exitPrice = signals.polyPrices?.[trade.side] ?? null;
         if (exitPrice !== null) {
           await this.closeTrade(trade, exitPrice, "Market Rollover");
@@ -368,129 +881,168 @@ export class Trader {
         return;
       }
 
-      // Current mark-to-market PnL (for stop loss)
-      const curPx = signals.polyPrices?.[trade.side] ?? null;
-      let stopLossHit = false;
-      if (curPx !== null) {
-        const sharesNow = (typeof trade.shares === "number" && Number.isFinite(trade.shares))
-          ? trade.shares
-          : (trade.entryPrice > 0 ? trade.contractSize / trade.entryPrice : 0);
-        const valueNow = sharesNow * curPx;
-        const pnlNow = valueNow - trade.contractSize;
-        const stopLossPct = CONFIG.paperTrading.stopLossPct ?? 0.25;
-        const stopLossAmount = -Math.abs(trade.contractSize * stopLossPct);
-        stopLossHit = pnlNow <= stopLossAmount;
-      }
-
-      // Exit when the other side becomes more likely to complete.
-      const upP = typeof signals.modelUp === "number" ? signals.modelUp : null;
-      const downP = typeof signals.modelDown === "number" ? signals.modelDown : null;
-      const minProb = CONFIG.paperTrading.exitFlipMinProb ?? 0.55;
-      const margin = CONFIG.paperTrading.exitFlipMargin ?? 0.03;
-
-      const minHoldSec = CONFIG.paperTrading.exitFlipMinHoldSeconds ?? 0;
-      const tradeAgeSec = trade.entryTime ? ((Date.now() - new Date(trade.entryTime).getTime()) / 1000) : null;
-
-      let opposingMoreLikely = false;
-      const holdOk = (tradeAgeSec === null) ? true : (tradeAgeSec >= minHoldSec);
-
-      if (holdOk && trade.side === "UP" && upP !== null && downP !== null) {
-        opposingMoreLikely = (downP >= minProb) && (downP >= upP + margin);
-      }
-      if (holdOk && trade.side === "DOWN" && upP !== null && downP !== null) {
-        opposingMoreLikely = (upP >= minProb) && (upP >= downP + margin);
+      // Adverse selection: where the mid went MARKOUT_SECONDS after the fill.
+      const ageSec = trade.entryTime ? ((this.now() - new Date(trade.entryTime).getTime()) / 1000) : null;
+      const markoutSeconds = this.config.markoutSeconds ?? 0;
+      if (markoutSeconds > 0 && trade.markoutMid == null && exitQuote.mid !== null && ageSec !== null && ageSec >= markoutSeconds) {
+        trade.markoutMid = exitQuote.mid;
+        trade.markoutAt = new Date(this.now()).toISOString();
+        await this.ledger.updateTrade(trade.id, { markoutMid: trade.markoutMid, markoutAt: trade.markoutAt });
       }
 
-      // NOTE: Probability Flip exits disabled (analytics showed they were a major drag on PnL).
-      // We still compute opposingMoreLikely because it's used by the conditional stop loss.
-      // If you want to re-enable flip exits later, restore the block that sets shouldExit here.
-
-
-      // Conditional stop loss: only stop out when we are materially losing AND the model has flipped against us.
-      // This avoids getting chopped out by noise when the signal still supports the position.
-      if (!shouldExit && stopLossHit && opposingMoreLikely) {
+      // Exit rules (the exit profile of this.config), marked at the executable bid.
+      if (this.exitRuleState.tradeId !== trade.id) this.exitRuleState = { tradeId: trade.id, states: [] };
+      const pnlPct = (exitBid !== null && trade.contractSize > 0)
+        ? (openShares(trade) * exitBid + exitProceeds(trade) - trade.contractSize) / trade.contractSize
+        : null;
+      if (this.excursion?.tradeId !== trade.id) this.excursion = createExcursionTracker(trade, { sampleSeconds: this.config.excursionSampleSeconds, maxPathPoints: this.config.excursionMaxPathPoints });
+      this.excursion.record({
+        t: this.now(),
+        pnlPct,
+        price: exitBid,
+        btcPrice: signals.priceConsensus?.price ?? signals.kline?.close ?? null,
+        modelProb: trade.side === "UP" ? signals.modelUp : signals.modelDown
+      });
+      const fired = evaluateExitRules(this.exitRules, {
+        trade,
+        mark: exitBid,
+        pnlPct,
+        ageSec,
+        timeLeftMin,
+        modelUp: signals.modelUp,
+        modelDown: signals.modelDown,
+        priceToBeat: signals.priceToBeat ?? null,
+        distanceToBeat: signals.distanceToBeat ?? null,
+        holdToExpiry,
+        config: this.config
+      }, this.exitRuleState.states);
+
+      if (fired) {
         shouldExit = true;
-        exitReason = "Stop Loss";
-      }
-
-      // Exit at end of candle
-      if (!shouldExit && timeLeftMin < 0.5) {
-        shouldExit = true;
-        exitReason = "End of Candle";
+        exitReason = fired.reason;
+        const cooldownMs = (this.config.flipCooldownSeconds ?? 0) * 1000;
+        shouldFlip = fired.type === "prob_flip" && this.config.flipOnProbabilityFlip && this.now() - this.lastFlipAtMs >= cooldownMs;
       }
 
       if (shouldExit) {
-        const exitPrice = signals.polyPrices?.[trade.side] ?? null;
-        if (exitPrice !== null) {
-          await this.closeTrade(trade, exitPrice, exitReason);
-
+        const closed = await this.exitTrade(trade, { quote: exitQuote, reason: exitReason });
+        if (closed) {
           // Optional flip: immediately open the other side
           if (shouldFlip) {
-            const newSide = trade.side === "UP" ? "DOWN" : "UP";
-            const entryPrice = signals.polyPrices?.[newSide] ?? null;
-
-            const minPoly = CONFIG.paperTrading.minPolyPrice ?? 0.001;
-            const maxPoly = CONFIG.paperTrading.maxPolyPrice ?? 0.999;
-            if (typeof entryPrice === "number" && Number.isFinite(entryPrice) && entryPrice >= minPoly && entryPrice <= maxPoly && !isLowLiquidity && !isLowVolume) {
-              const contractSizeUsd = this.computeContractSizeUsd();
-              if (!contractSizeUsd || contractSizeUsd <= 0) {
-                console.warn("Skipping flip entry: no available balance for trade size.");
-              } else {
-                const shares = entryPrice > 0 ? (contractSizeUsd / entryPrice) : null;
-                if (shares !== null && Number.isFinite(shares) && shares > 0) {
-                  const flipped = {
-                    id: Date.now().toString() + Math.random().toString(36).substring(2, 8),
-                    timestamp: new Date().toISOString(),
-                    marketSlug,
-                    side: newSide,
-                    instrument: "POLY",
-                    entryPrice,
-                    shares,
-                    contractSize: contractSizeUsd,
-                    status: "OPEN",
-                    entryTime: new Date().toISOString(),
-                    exitPrice: null,
-                    exitTime: null,
-                    pnl: 0,
-                    entryPhase: signals.rec?.phase ?? "MID",
-                    entryReason: "Flip"
-                  };
-
-                  await addTrade(flipped);
-                  this.openTrade = flipped;
-                  this.lastFlipAtMs = Date.now();
-                  const { balance } = this.getBalanceSnapshot();
-                  console.log(`🔁 FLIP OPENED (POLY): ${newSide} @ ${(entryPrice * 100).toFixed(2)}¢ | $${contractSizeUsd} (balance ~$${balance.toFixed(2)})`);
-                }
-              }
-            }
+            await this.enterFlip({ signals, side: trade.side === "UP" ? "DOWN" : "UP", poly, marketSlug, marketGatesOpen });
           }
         }
       }
     }
   }
 
-  async closeTrade(trade, exitPrice, reason) {
+  // Close whatever is still open at `exitPrice`. `fill` is the execution adapter's fill for this last
+  // slice (null when marking at a quoted price). Settlements (extra.exitFillModel) redeem fee-free.
+  // Returns false (trade left as it was) when the ledger could not record the close.
+  async closeTrade(trade, exitPrice, reason, fill = null, extra = null) {
+    const before = { ...trade };
+    const excursion = this.excursion;
     // POLY behavior: $notional -> shares
-    const shares = (typeof trade.shares === "number" && Number.isFinite(trade.shares))
-      ? trade.shares
-      : (trade.entryPrice > 0 ? trade.contractSize / trade.entryPrice : 0);
-
-    const value = shares * exitPrice;
+    const priorFills = Array.isArray(trade.exitFills) ? trade.exitFills : [];
+    const value = exitProceeds(trade) + openShares(trade) * exitPrice;
     const pnl = value - trade.contractSize;
-
-    trade.exitPrice = exitPrice;
-    trade.exitTime = new Date().toISOString();
+    const finalFee = extra?.exitFillModel === "settlement" ? 0 : computeFee({ shares: openShares(trade), price: exitPrice, legs: fill?.legs });
+    const exitFee = exitFillFees(trade) + finalFee;
+
+    if (priorFills.length) {
+      // Report the volume-weighted price across the partial exits and this final slice.
+      const finalSlice = { shares: openShares(trade), slippage: fill?.slippage ?? null, levelsConsumed: fill?.levelsConsumed ?? 0 };
+      const slices = [...priorFills, finalSlice];
+      const soldShares = slices.reduce((acc, f) => acc + f.shares, 0);
+      const slipWeighted = slices.filter((f) => typeof f.slippage === "number");
+      const slipShares = slipWeighted.reduce((acc, f) => acc + f.shares, 0);
+      trade.exitPrice = soldShares > 0 ? value / soldShares : exitPrice;
+      trade.exitSlippage = slipShares > 0 ? slipWeighted.reduce((acc, f) => acc + f.slippage * f.shares, 0) / slipShares : null;
+      trade.exitLevelsConsumed = slices.reduce((acc, f) => acc + (f.levelsConsumed ?? 0), 0);
+    } else {
+      trade.exitPrice = exitPrice;
+      trade.exitSlippage = fill?.slippage ?? null;
+      trade.exitLevelsConsumed = fill?.levelsConsumed ?? null;
+    }
+    trade.exitFillModel = fill ? (fill.fillModel ?? "book") : "mark";
+    trade.exitFee = roundFee(exitFee);
+    trade.fees = roundFee((Number(trade.entryFee) || 0) + exitFee);
+    trade.exitAvgFillPrice = trade.exitPrice;
+    trade.sharesOpen = 0;
+    trade.exitTime = new Date(this.now()).toISOString();
     trade.pnl = Number(pnl.toFixed(2));
     trade.status = "CLOSED";
     trade.exitReason = reason;
+    if (extra) Object.assign(trade, extra);
+    this.stampExcursion(trade);
+
+    if (!(await this.persistTrade(trade, before))) {
+      this.excursion = excursion;
+      return false;
+    }
 
-    await updateTrade(trade.id, trade);
-    
     const icon = pnl >= 0 ? "✅" : "❌";
-    console.log(`${icon} TRADE CLOSED (POLY): ${trade.side} | Entry: ${(trade.entryPrice * 100).toFixed(2)}¢ → Exit: ${(exitPrice * 100).toFixed(2)}¢ | PnL: $${pnl.toFixed(2)} | ${reason}`);
+    console.log(`${icon} TRADE CLOSED (POLY): ${trade.side} | Entry: ${(trade.entryPrice * 100).toFixed(2)}¢ → Exit: ${(trade.exitPrice * 100).toFixed(2)}¢ | PnL: $${pnl.toFixed(2)} (fees $${trade.fees.toFixed(2)}) | ${reason}`);
     
-    this.openTrade = null;
+    if (this.openTrade?.id === trade.id) this.openTrade = null;
+    return true;
+  }
+
+  // MFE/MAE and price path collected while the trade was open. A settlement of an already pending trade
+  // finds nothing to stamp and keeps what was stamped when it went pending.
+  stampExcursion(trade) {
+    if (this.excursion?.tradeId !== trade.id) return;
+    Object.assign(trade, this.excursion.fields());
+    this.excursion = null;
+  }
+
+  async markPendingResolution(trade, reason) {
+    const before = { ...trade };
+    const excursion = this.excursion;
+    trade.status = "PENDING_RESOLUTION";
+    trade.pendingSince = new Date(this.now()).toISOString();
+    trade.pendingReason = reason;
+    this.stampExcursion(trade);
+    if (!(await this.persistTrade(trade, before))) {
+      this.excursion = excursion;
+      return;
+    }
+    console.log(`⏳ PENDING RESOLUTION (POLY): ${trade.side} ${trade.marketSlug} | ${reason}`);
+    if (this.openTrade?.id === trade.id) this.openTrade = null;
+  }
+
+  // Settle held-to-expiry trades at $1/$0 once Gamma reports the outcome, and stamp the outcome
+  // (plus the hold-to-expiry counterfactual PnL) on recent early-exit trades for analytics.
+  async checkResolutions() {
+    const lookbackMs = (this.config.resolutionLookbackHours ?? 24) * 3_600_000;
+    const trades = this.ledger.get().trades ?? [];
+    const candidates = trades.filter((t) => {
+      if (t.instrument !== "POLY" || !t.marketSlug || t.resolvedOutcome) return false;
+      if (t.status === "PENDING_RESOLUTION") return true;
+      if (t.status !== "CLOSED") return false;
+      const exitMs = Date.parse(t.exitTime ?? "");
+      return Number.isFinite(exitMs) && this.now() - exitMs <= lookbackMs;
+    });
+
+    for (const slug of new Set(candidates.map((t) => t.marketSlug))) {
+      const outcome = await this.resolutions.resolveSlug(slug);
+      if (!outcome) continue;
+
+      for (const t of candidates.filter((x) => x.marketSlug === slug)) {
+        const payout = outcome.winner === t.side ? 1 : 0;
+        // tradeShares() is the position as entered, so shares already sold on partial exits count as held.
+        const stamp = {
+          resolvedOutcome: outcome.winner,
+          umaResolutionStatus: outcome.umaResolutionStatus,
+          holdToExpiryPnl: Number((tradeShares(t) * payout - t.contractSize).toFixed(2))
+        };
+        if (t.status === "PENDING_RESOLUTION") {
+          await this.closeTrade({ ...t }, payout, "Resolution", null, { ...stamp, exitFillModel: "settlement" });
+        } else {
+          await this.ledger.updateTrade(t.id, stamp);
+        }
+      }
+    }
   }
 }
 
@@ -514,5 +1066,5 @@ export function setTraderInstance(trader) {
 }
 
 export function getOpenTrade() {
-  return traderInstance?.openTrade || ledgerGetOpenTrade();
+  return traderInstance?.openTrade || (traderInstance?.ledger ?? getDefaultLedger()).getOpenTrade();
 }
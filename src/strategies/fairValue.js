@@ -0,0 +1,19 @@
+import { computeEdge, decide } from "../engines/edge.js";
+import { indicatorVoteStrategy } from "./indicatorVote.js";
+
+// Lognormal fair value (src/engines/fairValue.js) as the model probability. Until the price to beat
+// and enough candles exist it defers to indicator-vote (reported as modelSource "indicators").
+export const fairValueStrategy = {
+  name: "fair-value",
+  version: "1.0.0",
+  evaluate(ctx) {
+    const { fairValue, marketUp, marketDown, timeLeftMin } = ctx;
+    if (!fairValue) return indicatorVoteStrategy.evaluate(ctx);
+
+    const modelUp = fairValue.probUp;
+    const modelDown = fairValue.probDown;
+    const edge = computeEdge({ modelUp, modelDown, marketYes: marketUp, marketNo: marketDown });
+    const rec = decide({ remainingMinutes: timeLeftMin, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, feeUp: edge.feeUp, feeDown: edge.feeDown, modelUp, modelDown });
+    return { modelUp, modelDown, rec, edge, modelSource: "fair_value" };
+  }
+};
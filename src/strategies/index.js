@@ -0,0 +1,31 @@
+import { CONFIG } from "../config.js";
+import { indicatorVoteStrategy } from "./indicatorVote.js";
+import { fairValueStrategy } from "./fairValue.js";
+
+// Strategy registry. A strategy is { name, version, evaluate(ctx) } where ctx is
+//   { engineInputs, indicators, htf, regime, klines1m, polySnapshot, marketUp, marketDown, timeLeftMin, windowMinutes,
+//     currentPrice, priceToBeat, fairValue }
+// and evaluate returns { modelUp, modelDown, rec } (optionally `edge` and `modelSource`).
+// CONFIG.strategy picks one by name; its name and version are stamped on every trade.
+
+const registry = new Map();
+
+export function registerStrategy(strategy) {
+  if (!strategy || typeof strategy.name !== "string" || !strategy.name) throw new Error("registerStrategy: strategy.name is required");
+  if (typeof strategy.evaluate !== "function") throw new Error(`registerStrategy: ${strategy.name} has no evaluate()`);
+  registry.set(strategy.name, { version: "0.0.0", ...strategy });
+  return registry.get(strategy.name);
+}
+
+export function getStrategy(name = CONFIG.strategy) {
+  const strategy = registry.get(name);
+  if (!strategy) throw new Error(`Unknown strategy "${name}" (available: ${listStrategies().join(", ")})`);
+  return strategy;
+}
+
+export function listStrategies() {
+  return Array.from(registry.keys());
+}
+
+registerStrategy(indicatorVoteStrategy);
+registerStrategy(fairValueStrategy);
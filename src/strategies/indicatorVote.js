@@ -0,0 +1,18 @@
+import { scoreDirection, applyTimeAwareness } from "../engines/probability.js";
+import { computeEdge, decide } from "../engines/edge.js";
+
+// The original engine: indicator votes (scoreDirection) shrunk toward 0.5 as the window runs out,
+// then the phase-based edge/probability thresholds in decide().
+export const indicatorVoteStrategy = {
+  name: "indicator-vote",
+  version: "1.0.0",
+  evaluate({ engineInputs, marketUp, marketDown, timeLeftMin, windowMinutes }) {
+    const scored = scoreDirection(engineInputs);
+    const timeAware = applyTimeAwareness(scored.rawUp, timeLeftMin, windowMinutes);
+    const modelUp = timeAware.adjustedUp;
+    const modelDown = timeAware.adjustedDown;
+    const edge = computeEdge({ modelUp, modelDown, marketYes: marketUp, marketNo: marketDown });
+    const rec = decide({ remainingMinutes: timeLeftMin, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, feeUp: edge.feeUp, feeDown: edge.feeDown, modelUp, modelDown });
+    return { modelUp, modelDown, rec, edge, modelSource: "indicators" };
+  }
+};
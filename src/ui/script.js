@@ -2,6 +2,12 @@ document.addEventListener('DOMContentLoaded', () => {
     const statusMessage = document.getElementById('status-message');
     const openTradeDiv = document.getElementById('open-trade');
     const ledgerSummaryDiv = document.getElementById('ledger-summary');
+    const riskResetButton = document.getElementById('risk-reset');
+
+    // Paper accounts: the selected one drives status / analytics / trades
+    const accountSelect = document.getElementById('account-select');
+    const leaderboardBody = document.getElementById('leaderboard-body');
+    const accountQuery = () => `?account=${encodeURIComponent(accountSelect ? accountSelect.value : 'default')}`;
 
     // Analytics elements
     const analyticsOverviewDiv = document.getElementById('analytics-overview');
@@ -16,9 +22,82 @@ document.addEventListener('DOMContentLoaded', () => {
     const analyticsBySpreadBody = document.getElementById('analytics-by-spread');
     const analyticsBySideBody = document.getElementById('analytics-by-side');
     const analyticsByRecBody = document.getElementById('analytics-by-rec');
+    const analyticsByExitModeBody = document.getElementById('analytics-by-exitmode');
+    const analyticsByStrategyBody = document.getElementById('analytics-by-strategy');
+    const analyticsExcursionsBody = document.getElementById('analytics-excursions');
+
+    // Calibration elements
+    const calibrationModelSelect = document.getElementById('calibration-model');
+    const calibrationOverviewDiv = document.getElementById('calibration-overview');
+    const calibrationChartDiv = document.getElementById('calibration-chart');
+    const calibrationBinsBody = document.getElementById('calibration-bins');
+    const calibrationOffsetsBody = document.getElementById('calibration-offsets');
+
+    // Equity curve elements
+    const equityOverviewDiv = document.getElementById('equity-overview');
+    const equityChartDiv = document.getElementById('equity-chart');
 
     const recentTradesBody = document.getElementById('recent-trades-body');
 
+    // Reliability diagram as inline SVG: diagonal = perfect calibration, dots sized by sample count.
+    const renderReliabilityChart = (bins) => {
+        const size = 260;
+        const pad = 30;
+        const span = size - 2 * pad;
+        const x = (p) => pad + p * span;
+        const y = (p) => size - pad - p * span;
+        const maxN = Math.max(1, ...bins.map((b) => b.n));
+        const pts = bins.filter((b) => b.n > 0);
+        const line = pts.map((b) => `${x(b.meanPred).toFixed(1)},${y(b.observedRate).toFixed(1)}`).join(' ');
+        const dots = pts.map((b) => `<circle cx="${x(b.meanPred).toFixed(1)}" cy="${y(b.observedRate).toFixed(1)}" r="${(3 + 5 * Math.sqrt(b.n / maxN)).toFixed(1)}" fill="#007bff" fill-opacity="0.7"><title>${(b.lo * 100).toFixed(0)}-${(b.hi * 100).toFixed(0)}%: n=${b.n}</title></circle>`).join('');
+        const ticks = [0, 0.25, 0.5, 0.75, 1].map((t) =>
+            `<text x="${x(t)}" y="${size - pad + 14}" font-size="10" text-anchor="middle">${t * 100}%</text>` +
+            `<text x="${pad - 4}" y="${y(t) + 3}" font-size="10" text-anchor="end">${t * 100}%</text>`).join('');
+        return `<svg class="calibration-chart" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">` +
+            `<rect x="${pad}" y="${pad}" width="${span}" height="${span}" fill="#f8f9fa" stroke="#dee2e6"/>` +
+            `<line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#adb5bd" stroke-dasharray="4 3"/>` +
+            (pts.length > 1 ? `<polyline points="${line}" fill="none" stroke="#007bff" stroke-width="1.5"/>` : '') +
+            dots + ticks +
+            `<text x="${size / 2}" y="${size - 2}" font-size="10" text-anchor="middle">predicted P(UP)</text>` +
+            `</svg>`;
+    };
+
+    // Equity line (with its running peak dashed) above a drawdown area, sharing the time axis.
+    const renderEquityChart = (series) => {
+        const width = 640;
+        const pad = 40;
+        const eqH = 180;
+        const ddH = 70;
+        const height = pad + eqH + 20 + ddH + 20;
+        const t0 = series[0].t;
+        const tSpan = Math.max(1, series[series.length - 1].t - t0);
+        const x = (t) => pad + ((t - t0) / tSpan) * (width - 2 * pad);
+        const lo = Math.min(...series.map((p) => p.low ?? p.equity));
+        const hi = Math.max(...series.map((p) => p.peak));
+        const eqSpan = Math.max(1e-9, hi - lo);
+        const yEq = (v) => pad + eqH - ((v - lo) / eqSpan) * eqH;
+        const maxDd = Math.max(1e-9, ...series.map((p) => p.drawdownPct ?? 0));
+        const ddTop = pad + eqH + 20;
+        const yDd = (v) => ddTop + (v / maxDd) * ddH;
+        const pts = (fn) => series.map((p) => `${x(p.t).toFixed(1)},${fn(p).toFixed(1)}`).join(' ');
+        const area = `${x(t0).toFixed(1)},${ddTop} ${pts((p) => yDd(p.drawdownPct ?? 0))} ${x(series[series.length - 1].t).toFixed(1)},${ddTop}`;
+        const time = (t) => new Date(t).toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        return `<svg class="equity-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+            `<rect x="${pad}" y="${pad}" width="${width - 2 * pad}" height="${eqH}" fill="#f8f9fa" stroke="#dee2e6"/>` +
+            `<polyline points="${pts((p) => yEq(p.peak))}" fill="none" stroke="#adb5bd" stroke-dasharray="4 3"/>` +
+            `<polyline points="${pts((p) => yEq(p.equity))}" fill="none" stroke="#007bff" stroke-width="1.5"/>` +
+            `<text x="${pad - 4}" y="${yEq(hi) + 3}" font-size="10" text-anchor="end">${hi.toFixed(0)}</text>` +
+            `<text x="${pad - 4}" y="${yEq(lo) + 3}" font-size="10" text-anchor="end">${lo.toFixed(0)}</text>` +
+            `<rect x="${pad}" y="${ddTop}" width="${width - 2 * pad}" height="${ddH}" fill="#f8f9fa" stroke="#dee2e6"/>` +
+            `<polygon points="${area}" fill="#dc3545" fill-opacity="0.4" stroke="#dc3545"/>` +
+            `<text x="${pad - 4}" y="${ddTop + ddH + 3}" font-size="10" text-anchor="end">-${(maxDd * 100).toFixed(1)}%</text>` +
+            `<text x="${pad}" y="${height - 4}" font-size="10">${time(t0)}</text>` +
+            `<text x="${width - pad}" y="${height - 4}" font-size="10" text-anchor="end">${time(series[series.length - 1].t)}</text>` +
+            `<text x="${pad}" y="${pad - 6}" font-size="10">equity ($)</text>` +
+            `<text x="${pad}" y="${ddTop - 4}" font-size="10">drawdown</text>` +
+            `</svg>`;
+    };
+
     // Function to format currency and percentages
     const formatCurrency = (value, decimals = 2) => value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
     const formatPercentage = (value, decimals = 2) => value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }) + '%';
@@ -35,7 +114,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const fetchData = async () => {
         try {
             // Fetch status (live signal, open trade)
-            const statusResponse = await fetch('/api/status');
+            const statusResponse = await fetch(`/api/status${accountQuery()}`);
             const statusData = await statusResponse.json();
 
             // Very simple status text
@@ -60,6 +139,37 @@ document.addEventListener('DOMContentLoaded', () => {
                     ? `${Math.floor(Math.max(0, rt.timeLeftMin))}m ${Math.floor((Math.max(0, rt.timeLeftMin) % 1) * 60)}s`
                     : 'N/A';
 
+                const feeds = rt.priceFeeds || null;
+                const feedsText = (feeds && Array.isArray(feeds.sources))
+                    ? feeds.sources.map((f) => {
+                        if (f.price == null) return `${f.source}: -`;
+                        const age = f.ageMs != null ? `${Math.round(f.ageMs / 1000)}s` : '?';
+                        const dev = f.deviationBps != null ? ` ${f.deviationBps >= 0 ? '+' : ''}${f.deviationBps.toFixed(1)}bps` : '';
+                        const flag = f.stale ? ' STALE' : (f.divergent ? ' DIVERGENT' : '');
+                        return `${f.source}: $${Number(f.price).toFixed(2)} (${age}${dev})${flag}`;
+                    }).join('<br>')
+                    : 'N/A';
+
+                const htfText = rt.htf
+                    ? Object.entries(rt.htf).map(([tf, b]) => `${tf}: ${b.trend || '-'}${b.rsi != null ? ` RSI ${Number(b.rsi).toFixed(0)}` : ''} (${b.candles})`).join(' · ')
+                    : 'N/A';
+
+                const ptbText = (rt.priceToBeat != null)
+                    ? `$${Number(rt.priceToBeat).toFixed(2)}` +
+                        (rt.distanceToBeat != null ? ` (${rt.distanceToBeat >= 0 ? '+' : '-'}$${Math.abs(rt.distanceToBeat).toFixed(2)})` : '') +
+                        (rt.priceToBeatSource ? ` · ${rt.priceToBeatSource}` : '')
+                    : 'N/A';
+
+                const risk = statusData.risk || null;
+                const riskText = risk
+                    ? `${risk.blocked ? risk.blockers.map((b) => b.name).join(', ') : 'OK'} · today $${Number(risk.stats.dailyPnl).toFixed(2)} · streak ${risk.stats.losingStreak} · DD ${(risk.stats.drawdownPct * 100).toFixed(1)}% · ${risk.stats.tradesLastHour} entries/h`
+                    : 'N/A';
+
+                const po = statusData.pendingOrder || null;
+                const orderText = po
+                    ? `${po.side} bid @ ${(po.price * 100).toFixed(2)}¢ · $${Number(po.sizeUsd).toFixed(2)} · since ${new Date(po.placedAt).toLocaleTimeString()}`
+                    : 'None';
+
                 const entryDbg = statusData.entryDebug || null;
                 const entryReason = entryDbg
                     ? (entryDbg.eligible
@@ -73,10 +183,17 @@ document.addEventListener('DOMContentLoaded', () => {
                     ['Polymarket URL', pmUrl ? `<a href="${pmUrl}" target="_blank" rel="noreferrer">${pmUrl}</a>` : 'N/A'],
                     ['Market', rt.marketSlug || 'N/A'],
                     ['Time left', timeLeft],
-                    ['BTC', btc],
+                    ['BTC', feeds && feeds.price != null ? `${btc} (${feeds.method} of ${feeds.freshSources})` : btc],
+                    ['BTC feeds', feedsText],
+                    ['Price to beat', ptbText],
                     ['Poly UP / DOWN', `${polyUp} / ${polyDown}`],
-                    ['Model', `${rt.narrative || 'N/A'} (UP ${up} / DOWN ${down})`],
+                    ['Model', `${rt.narrative || 'N/A'} (UP ${up} / DOWN ${down})${rt.strategy ? ` · ${rt.strategy.name}@${rt.strategy.version}` : ''}${rt.modelSource ? ` (${rt.modelSource})` : ''}`],
+                    ['Fair value UP', (rt.fairValueUp != null) ? Math.round(rt.fairValueUp * 100) + '%' : 'N/A'],
+                    ['Higher TF (VWAP slope)', htfText],
+                    ['Regime', rt.regime || 'N/A'],
                     ['Candles (1m)', String(cc)],
+                    ['Risk', riskText],
+                    ['Resting order', orderText],
                     ['Why no entry?', entryReason]
                 ];
 
@@ -91,9 +208,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 const cur = (t.side === 'UP') ? (rt?.polyUp != null ? Number(rt.polyUp) : null) : (rt?.polyDown != null ? Number(rt.polyDown) : null);
                 let uPnl = 'N/A';
                 if (cur != null && t.entryPrice != null && t.contractSize != null) {
-                    const shares = (t.shares != null) ? Number(t.shares) : (t.entryPrice > 0 ? (t.contractSize / t.entryPrice) : null);
+                    const shares = (t.sharesOpen != null) ? Number(t.sharesOpen) : (t.shares != null) ? Number(t.shares) : (t.entryPrice > 0 ? (t.contractSize / t.entryPrice) : null);
+                    const proceeds = Array.isArray(t.exitFills) ? t.exitFills.reduce((acc, f) => acc + (Number(f.proceeds) || 0), 0) : 0;
                     if (shares != null && Number.isFinite(shares)) {
-                        const value = shares * cur;
+                        const value = shares * cur + proceeds;
                         const pnl = value - t.contractSize;
                         uPnl = '$' + pnl.toFixed(2);
                     }
@@ -131,7 +249,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 `Total Trades: ${summary.totalTrades ?? 0}\n` +
                 `Wins: ${summary.wins ?? 0}\n` +
                 `Losses: ${summary.losses ?? 0}\n` +
-                `Total PnL: $${formatCurrency(summary.totalPnL ?? 0)}\n` +
+                `Total PnL (net of fees): $${formatCurrency(summary.totalPnL ?? 0)}\n` +
+                `Fees Paid: $${formatCurrency(summary.totalFees ?? 0)}\n` +
                 `Win Rate: ${formatPercentage(summary.winRate ?? 0)}`;
 
         } catch (error) {
@@ -144,7 +263,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Fetch analytics
         try {
-            const aRes = await fetch('/api/analytics');
+            const aRes = await fetch(`/api/analytics${accountQuery()}`);
             const analytics = await aRes.json();
             if (!aRes.ok) throw new Error('analytics endpoint returned non-200');
 
@@ -152,6 +271,14 @@ document.addEventListener('DOMContentLoaded', () => {
             const pct = (n, d = 1) => (typeof n === 'number' && Number.isFinite(n)) ? (n * 100).toFixed(d) + '%' : 'N/A';
 
             const top = analytics?.overview || {};
+            const hve = analytics?.holdVsExit || {};
+            const mve = analytics?.midVsExecutable || {};
+            const sz = analytics?.sizing || {};
+            const eo = analytics?.entryOrders || {};
+            const ex = analytics?.excursions || {};
+            const exW = ex.winners || {};
+            const exL = ex.losers || {};
+            const neg = (n) => (typeof n === 'number' ? -n : n);
             const liq = analytics?.liquidity || {};
             const liq24 = liq.last24h || {};
 
@@ -160,15 +287,40 @@ document.addEventListener('DOMContentLoaded', () => {
                 return `${label}: avg=${Math.round(obj.avg)} (n=${obj.samples ?? 0}, p50=${obj.p50 != null ? Math.round(obj.p50) : 'N/A'})`;
             };
 
+            const orderLine = (label, g) => {
+                if (!g) return `${label}: N/A`;
+                const adverse = g.adverseSelection != null ? fmt(g.adverseSelection * 100) + '¢' : 'N/A';
+                return `  ${label}: fill rate ${pct(g.fillRate)} (${g.filled ?? 0} filled, ${g.cancelled ?? 0} cancelled, ${g.expired ?? 0} expired) | adverse selection ${adverse} (${g.markedTrades ?? 0} marked) | PnL $${fmt(g.pnl)}`;
+            };
+
             analyticsOverviewDiv.textContent = [
                 `Closed Trades: ${top.closedTrades ?? 0}`,
                 `Wins / Losses: ${(top.wins ?? 0)} / ${(top.losses ?? 0)}`,
-                `Total PnL: $${fmt(top.totalPnL)}`,
+                `Total PnL: $${fmt(top.totalPnL)} | Fees: $${fmt(top.totalFees)} | Net: $${fmt(top.netPnL)}`,
                 `Win Rate: ${pct(top.winRate)}`,
                 `Avg Win: $${fmt(top.avgWin)}`,
                 `Avg Loss: $${fmt(top.avgLoss)}`,
                 `Profit Factor: ${fmt(top.profitFactor)}`,
                 `Expectancy / trade: $${fmt(top.expectancy)}`,
+                `Avg slippage entry / exit: ${top.avgEntrySlippage != null ? fmt(top.avgEntrySlippage * 100) + '¢' : 'N/A'} / ${top.avgExitSlippage != null ? fmt(top.avgExitSlippage * 100) + '¢' : 'N/A'}`,
+                `Avg book levels consumed: ${fmt(top.avgLevelsConsumed, 1)} (partial entries: ${top.partialEntryFills ?? 0})`,
+                '',
+                `Hold-to-expiry vs actual exits (${hve.trades ?? 0} resolved trades, ${top.pendingResolution ?? 0} pending):`,
+                `  Actual PnL: $${fmt(hve.realizedPnL)} | Held to expiry: $${fmt(hve.holdToExpiryPnL)} | Diff: $${fmt(hve.difference)}`,
+                '',
+                `PnL at mid vs executable bid/ask (${mve.trades ?? 0} quoted trades):`,
+                `  At mid: $${fmt(mve.pnlAtMid)} | Executable: $${fmt(mve.pnlExecutable)} | Spread cost: $${fmt(mve.spreadCost)}`,
+                '',
+                `Sizing vs flat ${pct(sz.flatStakePct, 0)} of equity (${sz.trades ?? 0} trades from $${fmt(sz.startingBalance)}):`,
+                `  As sized: $${fmt(sz.realizedFinal)} (${pct(sz.realizedGrowth)}) | Flat: $${fmt(sz.flatFinal)} (${pct(sz.flatGrowth)})`,
+                '',
+                `Entry orders, passive (limit) vs aggressive (market):`,
+                orderLine('Passive', eo.passive),
+                orderLine('Aggressive', eo.aggressive),
+                '',
+                `Excursions (${ex.trades ?? 0} trades with MFE/MAE, % of stake before fees):`,
+                `  Winners red first: ${exW.redFirst ?? 0}/${exW.trades ?? 0} (${pct(exW.redFirstRate)}) | MAE p50 / p90: ${pct(neg(exW.maeP50))} / ${pct(neg(exW.maeP90))}`,
+                `  Losers green first: ${exL.greenFirst ?? 0}/${exL.trades ?? 0} (${pct(exL.greenFirstRate)}) | MFE p50 / p90: ${pct(exL.mfeP50)} / ${pct(exL.mfeP90)}`,
                 '',
                 `Polymarket liquidity (sampled):`,
                 liqLine('Last 1h', liq.last1h),
@@ -201,6 +353,21 @@ document.addEventListener('DOMContentLoaded', () => {
             renderGroup(analyticsBySpreadBody, analytics.byEntrySpreadBucket);
             renderGroup(analyticsBySideBody, analytics.bySide);
             renderGroup(analyticsByRecBody, analytics.byRecActionAtEntry);
+            renderGroup(analyticsByExitModeBody, analytics.byExitMode);
+            renderGroup(analyticsByStrategyBody, analytics.byStrategy);
+
+            // Configured stop / take-profit levels are starred.
+            const levels = Array.isArray(ex.levels) ? ex.levels : [];
+            if (analyticsExcursionsBody) {
+                const signed = (n) => `<td class="num ${n >= 0 ? 'positive' : 'negative'}">${fmt(n)}</td>`;
+                analyticsExcursionsBody.innerHTML = ex.trades
+                    ? levels.map((l) => {
+                        const star = `${l.configuredStop ? ' *SL' : ''}${l.configuredTakeProfit ? ' *TP' : ''}`;
+                        return `<tr><td>${pct(l.level, 0)}${star}</td><td class="num">${l.stopHits} (${l.stopWinnersHit})</td>${signed(l.stopPnlDelta)}` +
+                            `<td class="num">${l.takeProfitHits} (${l.takeProfitLosersHit})</td>${signed(l.takeProfitPnlDelta)}</tr>`;
+                    }).join('')
+                    : '<tr><td colspan="5">No trades with MFE/MAE yet.</td></tr>';
+            }
         } catch (e) {
             const msg = (e && e.message) ? e.message : String(e);
             if (analyticsOverviewDiv) analyticsOverviewDiv.textContent = `Error loading analytics: ${msg}`;
@@ -215,11 +382,14 @@ document.addEventListener('DOMContentLoaded', () => {
             if (analyticsBySpreadBody) analyticsBySpreadBody.innerHTML = '<tr><td colspan="3">Error</td></tr>';
             if (analyticsBySideBody) analyticsBySideBody.innerHTML = '<tr><td colspan="3">Error</td></tr>';
             if (analyticsByRecBody) analyticsByRecBody.innerHTML = '<tr><td colspan="3">Error</td></tr>';
+            if (analyticsByExitModeBody) analyticsByExitModeBody.innerHTML = '<tr><td colspan="3">Error</td></tr>';
+            if (analyticsByStrategyBody) analyticsByStrategyBody.innerHTML = '<tr><td colspan="3">Error</td></tr>';
+            if (analyticsExcursionsBody) analyticsExcursionsBody.innerHTML = '<tr><td colspan="5">Error</td></tr>';
         }
 
         // Fetch recent trades
         try {
-            const tradesResponse = await fetch('/api/trades');
+            const tradesResponse = await fetch(`/api/trades${accountQuery()}`);
             const trades = await tradesResponse.json();
             
             if (Array.isArray(trades) && trades.length > 0) {
@@ -258,6 +428,129 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Leaderboard of all paper accounts; also keeps the account picker in sync.
+    const fetchLeaderboard = async () => {
+        try {
+            const res = await fetch('/api/leaderboard');
+            const data = await res.json();
+            if (!res.ok) throw new Error('leaderboard endpoint returned non-200');
+            const rows = Array.isArray(data.accounts) ? data.accounts : [];
+
+            if (accountSelect) {
+                const names = rows.map((r) => r.name).sort();
+                const current = Array.from(accountSelect.options).map((o) => o.value).sort();
+                if (names.length && names.join('|') !== current.join('|')) {
+                    const selected = accountSelect.value;
+                    accountSelect.innerHTML = names.map((n) => `<option value="${n}">${n}</option>`).join('');
+                    accountSelect.value = names.includes(selected) ? selected : names[0];
+                }
+            }
+
+            const pct = (n) => (typeof n === 'number' && Number.isFinite(n)) ? (n * 100).toFixed(1) + '%' : 'N/A';
+            const num = (n, d = 2) => (typeof n === 'number' && Number.isFinite(n)) ? n.toFixed(d) : 'N/A';
+            leaderboardBody.innerHTML = rows.length
+                ? rows.map((r) => {
+                    const overrides = Object.entries(r.overrides || {}).map(([k, v]) => `${k}=${v}`).join(', ') || '-';
+                    const blocked = r.riskBlocked ? ' (risk blocked)' : '';
+                    return `<tr><td class="num">${r.rank}</td><td>${r.name}${blocked}</td><td class="num">${r.closedTrades}</td><td class="num">${pct(r.winRate)}</td>` +
+                        `<td class="num">${num(r.netPnL)}</td><td class="num">${pct(r.returnPct)}</td><td class="num">${pct(r.maxDrawdownPct)}</td>` +
+                        `<td class="num">${num(r.profitFactor)}</td><td>${overrides}</td></tr>`;
+                }).join('')
+                : '<tr><td colspan="9">No accounts.</td></tr>';
+        } catch (error) {
+            if (leaderboardBody) leaderboardBody.innerHTML = '<tr><td colspan="9">Error loading leaderboard.</td></tr>';
+            console.error('Error fetching leaderboard:', error);
+        }
+    };
+    if (accountSelect) accountSelect.addEventListener('change', fetchData);
+    fetchLeaderboard();
+    setInterval(fetchLeaderboard, 15000);
+
+    // Equity points are sampled every EQUITY_SAMPLE_SECONDS; no need to poll faster than the leaderboard.
+    const fetchEquity = async () => {
+        try {
+            const res = await fetch(`/api/equity${accountQuery()}`);
+            const eq = await res.json();
+            if (!res.ok) throw new Error(eq.error || `equity endpoint returned ${res.status}`);
+
+            const num = (n, d = 2) => (typeof n === 'number' && Number.isFinite(n)) ? n.toFixed(d) : 'N/A';
+            const pct = (n) => (typeof n === 'number' && Number.isFinite(n)) ? (n * 100).toFixed(2) + '%' : 'N/A';
+            const dur = (ms) => {
+                const m = Math.round((ms || 0) / 60000);
+                return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+            };
+            const s = eq.stats || {};
+            const latest = eq.latest || {};
+            equityOverviewDiv.textContent = [
+                `Equity: $${num(latest.equity ?? s.endEquity)} (realized $${num(latest.realized)}, unrealized $${num(latest.unrealized)})   Peak: $${num(s.peakEquity)}`,
+                `Max drawdown: $${num(s.maxDrawdown)} (${pct(s.maxDrawdownPct)})   Longest drawdown: ${dur(s.maxDrawdownDurationMs)}`,
+                `Current drawdown: $${num(s.currentDrawdown)} (${pct(s.currentDrawdownPct)}) for ${dur(s.currentDrawdownDurationMs)}   Time under water: ${pct(s.timeUnderWaterPct)}`,
+                `Points: ${s.points ?? 0} (one per ${eq.sampleSeconds}s)`
+            ].join('\n');
+
+            const series = Array.isArray(eq.series) ? eq.series : [];
+            equityChartDiv.innerHTML = series.length > 1 ? renderEquityChart(series) : 'Not enough equity points yet.';
+        } catch (error) {
+            const msg = (error && error.message) ? error.message : String(error);
+            if (equityOverviewDiv) equityOverviewDiv.textContent = `Error loading equity: ${msg}`;
+            if (equityChartDiv) equityChartDiv.innerHTML = '';
+        }
+    };
+    if (accountSelect) accountSelect.addEventListener('change', fetchEquity);
+    fetchEquity();
+    setInterval(fetchEquity, 15000);
+
+    // Calibration changes once per window; refresh it less often than the rest.
+    const fetchCalibration = async () => {
+        try {
+            const model = calibrationModelSelect ? calibrationModelSelect.value : 'modelUp';
+            const res = await fetch(`/api/calibration?model=${encodeURIComponent(model)}`);
+            const cal = await res.json();
+            if (!res.ok) throw new Error('calibration endpoint returned non-200');
+
+            const fmt = (n, d = 4) => (typeof n === 'number' && Number.isFinite(n)) ? n.toFixed(d) : 'N/A';
+            const pct = (n) => (typeof n === 'number' && Number.isFinite(n)) ? (n * 100).toFixed(1) + '%' : 'N/A';
+
+            calibrationOverviewDiv.textContent = [
+                `Labeled samples: ${cal.labeled ?? 0} over ${cal.windows ?? 0} windows (${cal.pending ?? 0} awaiting resolution)`,
+                `Snapshot offsets (min left): ${(cal.offsetsMinutes || []).join(', ') || 'N/A'}`,
+                `Brier: ${fmt(cal.brier)} (base-rate baseline ${fmt(cal.brierBaseline)})   Log loss: ${fmt(cal.logLoss)}   UP rate: ${pct(cal.baseRate)}`
+            ].join('\n');
+
+            const bins = Array.isArray(cal.reliability) ? cal.reliability : [];
+            calibrationChartDiv.innerHTML = cal.labeled ? renderReliabilityChart(bins) : 'No labeled samples yet.';
+            const filled = bins.filter((b) => b.n > 0);
+            calibrationBinsBody.innerHTML = filled.length
+                ? filled.map((b) => `<tr><td>${(b.lo * 100).toFixed(0)}-${(b.hi * 100).toFixed(0)}%</td><td class="num">${b.n}</td><td class="num">${pct(b.meanPred)}</td><td class="num">${pct(b.observedRate)}</td></tr>`).join('')
+                : '<tr><td colspan="4">No data.</td></tr>';
+            const offsets = Array.isArray(cal.byOffset) ? cal.byOffset : [];
+            calibrationOffsetsBody.innerHTML = offsets.length
+                ? offsets.map((o) => `<tr><td>${o.offsetMin}m left</td><td class="num">${o.n}</td><td class="num">${fmt(o.brier)}</td><td class="num">${fmt(o.logLoss)}</td></tr>`).join('')
+                : '<tr><td colspan="4">No data.</td></tr>';
+        } catch (error) {
+            const msg = (error && error.message) ? error.message : String(error);
+            if (calibrationOverviewDiv) calibrationOverviewDiv.textContent = `Error loading calibration: ${msg}`;
+            if (calibrationBinsBody) calibrationBinsBody.innerHTML = '<tr><td colspan="4">Error</td></tr>';
+            if (calibrationOffsetsBody) calibrationOffsetsBody.innerHTML = '<tr><td colspan="4">Error</td></tr>';
+        }
+    };
+    if (calibrationModelSelect) calibrationModelSelect.addEventListener('change', fetchCalibration);
+    fetchCalibration();
+    setInterval(fetchCalibration, 30000);
+
+    if (riskResetButton) {
+        riskResetButton.addEventListener('click', async () => {
+            if (!window.confirm('Clear the drawdown halt and restart the peak from current equity?')) return;
+            try {
+                const res = await fetch(`/api/risk/reset${accountQuery()}`, { method: 'POST' });
+                if (!res.ok) throw new Error(`reset returned ${res.status}`);
+                fetchData();
+            } catch (error) {
+                window.alert(`Risk reset failed: ${error.message}`);
+            }
+        });
+    }
+
     // Fetch data every 5 seconds
     fetchData();
     setInterval(fetchData, 5000); 
@@ -4,9 +4,12 @@ import path from 'path';
 import cors from 'cors';
 
 import { CONFIG } from '../config.js';
-import { initializeLedger, getLedger, recalculateSummary } from '../paper_trading/ledger.js'; // To fetch trade data and summary
-import { getOpenTrade, getTraderInstance } from '../paper_trading/trader.js'; // To get current open trade status
+import { initializeLedger, recalculateSummary } from '../paper_trading/ledger.js'; // To fetch trade data and summary
+import { getAccount, getAccounts, DEFAULT_ACCOUNT } from '../paper_trading/accounts.js'; // Paper accounts (ledger + trader each)
 import { readLiquiditySamples, computeLiquidityStats } from '../analytics/liquiditySampler.js';
+import { computeAnalytics, computeLeaderboard } from '../analytics/tradeAnalytics.js';
+import { downsampleSeries, drawdownSeries } from '../paper_trading/equity.js';
+import { readCalibrationRows, computeCalibration, CALIBRATION_MODELS } from '../analytics/calibration.js';
 
 // Use __dirname polyfill for ES modules
 import { fileURLToPath } from 'url';
@@ -27,145 +30,39 @@ if (!fs.existsSync(uiPath)) {
 }
 app.use(express.static(uiPath)); // Serve files from ./src/ui/
 
-function bucketEntryPrice(trade) {
-  const px = trade?.entryPrice;
-  if (typeof px !== 'number' || !Number.isFinite(px)) return 'unknown';
-  const cents = px * 100;
-  if (cents < 0.5) return '<0.5¢';
-  if (cents < 1) return '0.5–1¢';
-  if (cents < 2) return '1–2¢';
-  if (cents < 5) return '2–5¢';
-  if (cents < 10) return '5–10¢';
-  return '10¢+';
-}
-
-function groupSummary(trades, keyFn) {
-  const map = new Map();
-  for (const t of trades) {
-    const key = String(keyFn(t) ?? 'unknown');
-    const cur = map.get(key) || { key, count: 0, pnl: 0 };
-    cur.count += 1;
-    cur.pnl += (typeof t.pnl === 'number' && Number.isFinite(t.pnl)) ? t.pnl : 0;
-    map.set(key, cur);
+// Paper account named by ?account= (default "default"); sends 404 for an unknown one.
+function accountFor(req, res) {
+  const name = String(req.query.account || req.body?.account || DEFAULT_ACCOUNT);
+  const account = getAccount(name);
+  if (!account) {
+    res.status(404).json({ error: `Unknown account "${name}".`, accounts: accountNames() });
+    return null;
   }
-  return Array.from(map.values()).sort((a, b) => Math.abs(b.pnl) - Math.abs(a.pnl));
+  return account;
 }
 
-function bucketTimeLeftMin(trade) {
-  const t = trade?.timeLeftMinAtEntry;
-  if (typeof t !== 'number' || !Number.isFinite(t)) return 'unknown';
-  if (t < 2) return '<2m';
-  if (t < 5) return '2–5m';
-  if (t < 10) return '5–10m';
-  return '10m+';
-}
-
-function bucketProb(trade) {
-  const p = trade?.modelProbAtEntry;
-  if (typeof p !== 'number' || !Number.isFinite(p)) return 'unknown';
-  if (p < 0.55) return '<0.55';
-  if (p < 0.60) return '0.55–0.60';
-  if (p < 0.65) return '0.60–0.65';
-  if (p < 0.70) return '0.65–0.70';
-  return '0.70+';
-}
-
-function bucketLiquidity(trade) {
-  const l = trade?.liquidityAtEntry;
-  if (typeof l !== 'number' || !Number.isFinite(l)) return 'unknown';
-  if (l < 1000) return '<1k';
-  if (l < 5000) return '1k–5k';
-  if (l < 10000) return '5k–10k';
-  if (l < 25000) return '10k–25k';
-  if (l < 50000) return '25k–50k';
-  if (l < 100000) return '50k–100k';
-  return '100k+';
-}
-
-function bucketSpread(trade) {
-  const s = trade?.spreadAtEntry;
-  if (typeof s !== 'number' || !Number.isFinite(s)) return 'unknown';
-  // spread is in $ (0..1). Express in cents.
-  const c = s * 100;
-  if (c < 0.5) return '<0.5¢';
-  if (c < 1) return '0.5–1¢';
-  if (c < 2) return '1–2¢';
-  if (c < 5) return '2–5¢';
-  return '5¢+';
-}
-
-function bucketMarketVolume(trade) {
-  const v = trade?.volumeNumAtEntry;
-  if (typeof v !== 'number' || !Number.isFinite(v)) return 'unknown';
-  if (v < 25000) return '<25k';
-  if (v < 50000) return '25k–50k';
-  if (v < 100000) return '50k–100k';
-  if (v < 200000) return '100k–200k';
-  return '200k+';
-}
-
-function computeAnalytics(allTrades) {
-  const trades = Array.isArray(allTrades) ? allTrades : [];
-  const closed = trades.filter((t) => t && t.status === 'CLOSED');
-
-  const wins = closed.filter((t) => (typeof t.pnl === 'number' && t.pnl > 0));
-  const losses = closed.filter((t) => (typeof t.pnl === 'number' && t.pnl < 0));
-
-  const sum = (arr) => arr.reduce((acc, t) => acc + (typeof t.pnl === 'number' ? t.pnl : 0), 0);
-  const totalPnL = sum(closed);
-  const winPnL = sum(wins);
-  const lossPnL = sum(losses); // negative
-
-  const avgWin = wins.length ? (winPnL / wins.length) : null;
-  const avgLoss = losses.length ? (lossPnL / losses.length) : null;
-  const winRate = closed.length ? (wins.length / closed.length) : null;
-  const profitFactor = (lossPnL !== 0) ? (winPnL / Math.abs(lossPnL)) : null;
-  const expectancy = closed.length ? (totalPnL / closed.length) : null;
-
-  return {
-    overview: {
-      closedTrades: closed.length,
-      wins: wins.length,
-      losses: losses.length,
-      totalPnL,
-      winRate,
-      avgWin,
-      avgLoss,
-      profitFactor,
-      expectancy
-    },
-    byExitReason: groupSummary(closed, (t) => t.exitReason || 'unknown'),
-    byEntryPhase: groupSummary(closed, (t) => t.entryPhase || 'unknown'),
-    byEntryPriceBucket: groupSummary(closed, (t) => bucketEntryPrice(t)),
-    byEntryTimeLeftBucket: groupSummary(closed, (t) => bucketTimeLeftMin(t)),
-    byEntryProbBucket: groupSummary(closed, (t) => bucketProb(t)),
-    byEntryLiquidityBucket: groupSummary(closed, (t) => bucketLiquidity(t)),
-    byEntryMarketVolumeBucket: groupSummary(closed, (t) => bucketMarketVolume(t)),
-    byEntrySpreadBucket: groupSummary(closed, (t) => bucketSpread(t)),
-    bySide: groupSummary(closed, (t) => t.side || 'unknown'),
-    byRecActionAtEntry: groupSummary(closed, (t) => t.recActionAtEntry || 'unknown'),
-    bySideInferred: groupSummary(closed, (t) => {
-      if (t.sideInferred === true) return 'inferred';
-      if (t.sideInferred === false) return 'explicit';
-      return 'unknown';
-    })
-  };
+function accountNames() {
+  const names = getAccounts().map((a) => a.name);
+  return names.length ? names : [DEFAULT_ACCOUNT];
 }
 
 // API endpoints for UI to fetch data
 app.get('/api/status', async (req, res) => {
+  const account = accountFor(req, res);
+  if (!account) return;
   try {
     // Ensure ledger is initialized at least once so summary exists.
-    await initializeLedger();
+    await account.ledger.initialize();
 
-    const ledgerData = getLedger();
-    const openTrade = getOpenTrade();
-    const trader = getTraderInstance?.() ?? null;
+    const ledgerData = account.ledger.get();
+    const trader = account.trader ?? null;
+    const openTrade = trader?.openTrade || account.ledger.getOpenTrade();
     const entryDebug = trader?.lastEntryStatus ?? null;
+    const paperTrading = account.config();
 
     const summary = ledgerData.summary ?? recalculateSummary(ledgerData.trades ?? []);
 
-    const starting = CONFIG.paperTrading.startingBalance ?? 1000;
+    const starting = paperTrading.startingBalance ?? 1000;
     const realized = typeof summary.totalPnL === 'number' ? summary.totalPnL : 0;
     const balance = starting + realized;
 
@@ -174,17 +71,36 @@ app.get('/api/status', async (req, res) => {
         ok: true,
         updatedAt: new Date().toISOString()
       },
+      account: account.name,
+      accounts: accountNames(),
       openTrade,
       entryDebug,
       ledgerSummary: summary,
       balance: { starting, realized, balance },
+      // Last pre-entry risk check (limits, blockers, halt state)
+      risk: trader?.risk?.last ?? null,
+      // Resting passive entry order (ENTRY_ORDER_TYPE=limit)
+      pendingOrder: trader?.pendingOrder
+        ? {
+          id: trader.pendingOrder.id,
+          side: trader.pendingOrder.side,
+          price: trader.pendingOrder.price,
+          sizeUsd: trader.pendingOrder.sizeUsd,
+          marketSlug: trader.pendingOrder.marketSlug,
+          placedAt: new Date(trader.pendingOrder.placedAtMs).toISOString()
+        }
+        : null,
       paperTrading: {
-        stakePct: CONFIG.paperTrading.stakePct,
-        minTradeUsd: CONFIG.paperTrading.minTradeUsd,
-        maxTradeUsd: CONFIG.paperTrading.maxTradeUsd,
-        stopLossPct: CONFIG.paperTrading.stopLossPct,
-        flipOnProbabilityFlip: CONFIG.paperTrading.flipOnProbabilityFlip
+        stakePct: paperTrading.stakePct,
+        minTradeUsd: paperTrading.minTradeUsd,
+        maxTradeUsd: paperTrading.maxTradeUsd,
+        stopLossPct: paperTrading.stopLossPct,
+        flipOnProbabilityFlip: paperTrading.flipOnProbabilityFlip,
+        // This account's overrides of CONFIG.paperTrading
+        overrides: account.overrides
       },
+      // Per-feed BTC reference prices + consensus (also inside runtime)
+      priceFeeds: globalThis.__uiStatus?.priceFeeds ?? null,
       // Very simple live runtime snapshot (set by index.js)
       runtime: globalThis.__uiStatus ?? null
     });
@@ -195,9 +111,11 @@ app.get('/api/status', async (req, res) => {
 });
 
 app.get('/api/trades', async (req, res) => {
+  const account = accountFor(req, res);
+  if (!account) return;
   try {
-    await initializeLedger();
-    const ledgerData = getLedger();
+    await account.ledger.initialize();
+    const ledgerData = account.ledger.get();
     res.json(Array.isArray(ledgerData.trades) ? ledgerData.trades : []);
   } catch (error) {
     console.error("Error fetching trades:", error);
@@ -206,10 +124,19 @@ app.get('/api/trades', async (req, res) => {
 });
 
 app.get('/api/analytics', async (req, res) => {
+  const account = accountFor(req, res);
+  if (!account) return;
   try {
-    await initializeLedger();
-    const ledgerData = getLedger();
-    const analytics = computeAnalytics(ledgerData.trades);
+    await account.ledger.initialize();
+    const ledgerData = account.ledger.get();
+    const paperTrading = account.config();
+    const analytics = computeAnalytics(ledgerData.trades, {
+      startingBalance: paperTrading.startingBalance,
+      flatStakePct: paperTrading.stakePct,
+      orders: ledgerData.orders,
+      stopLossPct: paperTrading.stopLossPct,
+      takeProfitPct: paperTrading.takeProfitPct
+    });
 
     // Liquidity stats from Polymarket sampling (independent of trade entries)
     const rows = readLiquiditySamples({ limit: 20000 });
@@ -219,13 +146,81 @@ app.get('/api/analytics', async (req, res) => {
       last24h: computeLiquidityStats(rows, { windowHours: 24 })
     };
 
-    res.json({ ...analytics, liquidity });
+    res.json({ account: account.name, ...analytics, liquidity });
   } catch (error) {
     console.error("Error fetching analytics:", error);
     res.status(500).json({ error: "Failed to fetch analytics data." });
   }
 });
 
+// Clear a drawdown halt (the other risk limits expire on their own). ?account= as above.
+app.post('/api/risk/reset', async (req, res) => {
+  const account = accountFor(req, res);
+  if (!account) return;
+  const trader = account.trader ?? null;
+  if (!trader?.risk) return res.status(503).json({ error: 'Trader not running.' });
+  res.json({ ok: true, account: account.name, state: trader.risk.reset() });
+});
+
+// All paper accounts compared on net PnL, win rate, drawdown etc. (see computeLeaderboard).
+app.get('/api/leaderboard', async (req, res) => {
+  try {
+    const accounts = getAccounts().length ? getAccounts() : [getAccount(DEFAULT_ACCOUNT)];
+    const entries = [];
+    for (const account of accounts) {
+      await account.ledger.initialize();
+      entries.push({
+        name: account.name,
+        trades: account.ledger.get().trades,
+        startingBalance: account.config().startingBalance ?? 1000,
+        overrides: account.overrides
+      });
+    }
+    const rows = computeLeaderboard(entries).map((row) => {
+      const account = accounts.find((a) => a.name === row.name);
+      return { ...row, riskBlocked: Boolean(account?.trader?.risk?.last?.blocked) };
+    });
+    res.json({ updatedAt: new Date().toISOString(), accounts: rows });
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ error: "Failed to fetch leaderboard." });
+  }
+});
+
+// Mark-to-market equity curve of ?account=, downsampled to ?points=N (default 500) with its drawdown.
+app.get('/api/equity', async (req, res) => {
+  const account = accountFor(req, res);
+  if (!account) return;
+  if (!account.equity) {
+    return res.status(503).json({ error: "Equity tracking is not running." });
+  }
+  try {
+    const points = Math.min(5000, Math.max(10, Number(req.query.points) || 500));
+    res.json({
+      account: account.name,
+      sampleSeconds: account.equity.sampleSeconds,
+      stats: account.equity.stats(),
+      latest: account.equity.latest(),
+      series: drawdownSeries(downsampleSeries(account.equity.series(), points))
+    });
+  } catch (error) {
+    console.error("Error fetching equity curve:", error);
+    res.status(500).json({ error: "Failed to fetch equity curve." });
+  }
+});
+
+// Model calibration: ?model=modelUp|taUp|fairValueUp|marketUp (default modelUp), ?bins=N
+app.get('/api/calibration', async (req, res) => {
+  try {
+    const model = CALIBRATION_MODELS.includes(req.query.model) ? req.query.model : 'modelUp';
+    const bins = Math.min(50, Math.max(2, Number(req.query.bins) || CONFIG.calibration.bins));
+    res.json({ ...computeCalibration(readCalibrationRows(), { model, bins }), offsetsMinutes: CONFIG.calibration.offsetsMinutes, models: CALIBRATION_MODELS });
+  } catch (error) {
+    console.error("Error fetching calibration:", error);
+    res.status(500).json({ error: "Failed to fetch calibration data." });
+  }
+});
+
 // Basic route for the root to serve index.html
 app.get('/', (req, res) => {
   // Serve an index.html from the ui directory
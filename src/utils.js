@@ -22,8 +22,7 @@ export function formatPct(x, digits = 2) {
   return `${(x * 100).toFixed(digits)}%`;
 }
 
-export function getCandleWindowTiming(windowMinutes) {
-  const nowMs = Date.now();
+export function getCandleWindowTiming(windowMinutes, nowMs = Date.now()) {
   const windowMs = windowMinutes * 60_000;
   const startMs = Math.floor(nowMs / windowMs) * windowMs;
   const endMs = startMs + windowMs;
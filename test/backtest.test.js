@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { parseCsv, normalizeCandles, normalizePolyQuotes } from '../src/backtest/fixtures.js';
+import { runBacktest } from '../src/backtest/runner.js';
+
+const START = Date.parse('2026-10-19T14:00:00Z');
+
+function fixtures(minutes) {
+  const rows = ['openTime,open,high,low,close,volume'];
+  let px = 100_000;
+  for (let i = 0; i < minutes; i += 1) {
+    const open = px;
+    px += 15 + 40 * Math.sin(i / 3);
+    rows.push([START + i * 60_000, open, Math.max(open, px) + 5, Math.min(open, px) - 5, px, 1].join(','));
+  }
+  const quotes = [];
+  for (let i = 0; i < minutes; i += 1) quotes.push({ ts: START + i * 60_000 + 1_000, up: 0.45, down: 0.55 });
+  return { candles: normalizeCandles(parseCsv(rows.join('\n'))), polyQuotes: normalizePolyQuotes(quotes) };
+}
+
+test('backtest drives the Trader on a simulated clock without lookahead and settles from candles', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-backtest-'));
+  process.chdir(tmp);
+  const { candles, polyQuotes } = fixtures(180);
+  const ledgerFile = path.join(tmp, 'bt', 'ledger.json');
+
+  let lookahead = 0;
+  const result = await runBacktest({
+    candles,
+    polyQuotes,
+    ledgerFile,
+    paperTrading: {
+      exitMode: 'hold',
+      weekdaysOnly: false,
+      minLiquidity: 0,
+      maxSpread: 999,
+      minRangePct20: 0,
+      minModelMaxProb: 0.5,
+      minProbEarly: 0.5,
+      minProbMid: 0.5,
+      minProbLate: 0.5,
+      edgeEarly: 0,
+      edgeMid: 0,
+      edgeLate: 0
+    },
+    onTick: ({ nowMs, klines1m }) => {
+      if (klines1m.some((c) => c.closeTime > nowMs)) lookahead += 1;
+    }
+  });
+
+  assert.equal(lookahead, 0);
+  assert.ok(fs.existsSync(ledgerFile));
+  assert.equal(fs.existsSync(path.join(tmp, 'paper_trading', 'trades.json')), false);
+
+  const trades = JSON.parse(fs.readFileSync(ledgerFile, 'utf8')).trades;
+  const settled = trades.filter((t) => t.status === 'CLOSED');
+  assert.ok(settled.length > 0, 'expected settled trades');
+  for (const t of settled) {
+    assert.equal(t.exitReason, 'Resolution');
+    // Steady uptrend: every window resolves UP.
+    assert.equal(t.resolvedOutcome, 'UP');
+    assert.equal(t.exitPrice, t.side === 'UP' ? 1 : 0);
+    assert.ok(Date.parse(t.exitTime) < START + 181 * 60_000);
+  }
+  assert.equal(result.analytics.overview.closedTrades, settled.length);
+});
+
+test('backtest refuses to wipe an existing ledger outside paper_trading/backtests or one that is locked', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-backtest-'));
+  process.chdir(tmp);
+  const { candles, polyQuotes } = fixtures(30);
+  const ledgerFile = path.join(tmp, 'paper_trading', 'trades.json');
+  fs.mkdirSync(path.dirname(ledgerFile), { recursive: true });
+  const live = JSON.stringify({ schemaVersion: 3, trades: [{ id: 'live', status: 'CLOSED', pnl: 5 }], orders: [], journalSeq: 0, summary: {} });
+  fs.writeFileSync(ledgerFile, live);
+
+  await assert.rejects(runBacktest({ candles, polyQuotes, ledgerFile }), /already exists outside/);
+  assert.equal(fs.readFileSync(ledgerFile, 'utf8'), live);
+
+  // Held by another live process (the bot): refused even with overwrite, before anything is removed.
+  fs.writeFileSync(`${ledgerFile}.lock`, JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+  await assert.rejects(runBacktest({ candles, polyQuotes, ledgerFile, overwrite: true }), /is locked by pid/);
+  assert.equal(fs.readFileSync(ledgerFile, 'utf8'), live);
+
+  fs.rmSync(`${ledgerFile}.lock`);
+  await runBacktest({ candles, polyQuotes, ledgerFile, overwrite: true });
+  assert.ok(!JSON.parse(fs.readFileSync(ledgerFile, 'utf8')).trades.some((t) => t.id === 'live'));
+
+  // Inside paper_trading/backtests a rerun reuses the file.
+  const rerun = path.join(tmp, 'paper_trading', 'backtests', 'same.json');
+  await runBacktest({ candles, polyQuotes, ledgerFile: rerun });
+  await runBacktest({ candles, polyQuotes, ledgerFile: rerun });
+  assert.ok(fs.existsSync(rerun));
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createCalibrationRecorder, readCalibrationRows, computeCalibration } from '../src/analytics/calibration.js';
+
+test('recorder snapshots each offset once, skips late joins and labels resolved windows', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calib-'));
+  const filePath = path.join(dir, 'calibration.jsonl');
+  let t = 1_000_000;
+  const outcomes = { a: { resolved: true, winner: 'UP' } };
+  const rec = createCalibrationRecorder({ filePath, offsetsMinutes: [10, 5, 2], toleranceMinutes: 1, resolveSlug: async (slug) => outcomes[slug] ?? null, now: () => t });
+
+  for (const left of [11, 9.9, 9.5, 4.8, 1.9]) rec.observe({ slug: 'a', timeLeftMin: left, windowEndMs: 2_000_000, modelUp: 0.7, marketUp: 0.6 });
+  // Joined window "b" with 3.5 minutes left: only the 2m offset is still within reach later.
+  for (const left of [3.5, 1.95]) rec.observe({ slug: 'b', timeLeftMin: left, windowEndMs: 2_000_000, modelUp: 0.2 });
+
+  await rec.labelPending(); // windows not over yet
+  assert.equal(readCalibrationRows({ filePath }).filter((r) => r.type === 'outcome').length, 0);
+
+  t = 2_000_001;
+  await rec.labelPending();
+  const rows = readCalibrationRows({ filePath });
+  assert.deepEqual(rows.filter((r) => r.type === 'sample').map((r) => `${r.slug}@${r.offsetMin}`), ['a@10', 'a@5', 'a@2', 'b@2']);
+  assert.deepEqual(rows.filter((r) => r.type === 'outcome').map((r) => r.slug), ['a']);
+  assert.equal(rec.pendingCount(), 1);
+
+  // A restarted recorder keeps "b" pending and does not re-record "a".
+  const again = createCalibrationRecorder({ filePath, offsetsMinutes: [10, 5, 2], resolveSlug: async () => ({ resolved: true, winner: 'DOWN' }), now: () => t });
+  again.observe({ slug: 'a', timeLeftMin: 1.5, modelUp: 0.9 });
+  await again.labelPending();
+  const final = readCalibrationRows({ filePath });
+  assert.equal(final.filter((r) => r.type === 'sample').length, 4);
+  assert.deepEqual(final.filter((r) => r.type === 'outcome').map((r) => `${r.slug}:${r.winner}`), ['a:UP', 'b:DOWN']);
+});
+
+test('computeCalibration reports Brier, log loss and reliability bins', () => {
+  const rows = [
+    { type: 'sample', slug: 'w1', offsetMin: 5, modelUp: 0.8, marketUp: 0.5 },
+    { type: 'sample', slug: 'w2', offsetMin: 5, modelUp: 0.8, marketUp: 0.5 },
+    { type: 'sample', slug: 'w3', offsetMin: 2, modelUp: 0.3, marketUp: 0.5 },
+    { type: 'sample', slug: 'w4', offsetMin: 2, modelUp: 0.6 },
+    { type: 'outcome', slug: 'w1', winner: 'UP' },
+    { type: 'outcome', slug: 'w2', winner: 'DOWN' },
+    { type: 'outcome', slug: 'w3', winner: 'DOWN' }
+  ];
+  const cal = computeCalibration(rows, { model: 'modelUp', bins: 10 });
+  assert.equal(cal.labeled, 3);
+  assert.equal(cal.pending, 1);
+  assert.ok(Math.abs(cal.brier - (0.04 + 0.64 + 0.09) / 3) < 1e-12);
+  assert.ok(Math.abs(cal.logLoss - (-Math.log(0.8) - Math.log(0.2) - Math.log(0.7)) / 3) < 1e-12);
+  assert.deepEqual(cal.reliability[8], { bin: 8, lo: 0.8, hi: 0.9, n: 2, meanPred: 0.8, observedRate: 0.5 });
+  assert.deepEqual(cal.byOffset.map((o) => [o.offsetMin, o.n]), [[5, 2], [2, 1]]);
+
+  const market = computeCalibration(rows, { model: 'marketUp', bins: 10 });
+  assert.equal(market.brier, 0.25);
+});
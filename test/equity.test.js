@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { CONFIG } from '../src/config.js';
+import { computeFee } from '../src/engines/fees.js';
+import { createLedger } from '../src/paper_trading/ledger.js';
+import { Trader } from '../src/paper_trading/trader.js';
+import { createEquityTracker, computeDrawdownStats, downsampleSeries, drawdownSeries } from '../src/paper_trading/equity.js';
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-'));
+
+test('getEquitySnapshot marks the open trade at the bid of its token', async () => {
+  const ledger = createLedger({ filePath: path.join(tmpDir(), 'trades.json') });
+  await ledger.initialize();
+  await ledger.addTrade({ id: 'won', status: 'CLOSED', side: 'UP', entryPrice: 0.5, contractSize: 10, pnl: 5, fees: 0.1 });
+  const trader = new Trader({ now: () => 1_000, ledger });
+  CONFIG.paperTrading.startingBalance = 1000;
+
+  // 40 shares bought at 25c for $10 plus $0.2 fees, 10 already sold for $4.
+  trader.openTrade = {
+    id: 'open', status: 'OPEN', side: 'DOWN', marketSlug: 'm-1', entryPrice: 0.25, contractSize: 10, shares: 40,
+    sharesOpen: 30, fees: 0.2, exitFills: [{ shares: 10, price: 0.4, proceeds: 4, fee: 0 }]
+  };
+  const signals = (slug, down) => ({ market: { slug }, polyPrices: { UP: 0.6, DOWN: 0.42 }, polyMarketSnapshot: { orderbook: { up: {}, down } } });
+
+  const marked = trader.getEquitySnapshot(signals('m-1', { bestBid: 0.3, bestAsk: 0.34 }));
+  assert.equal(marked.at, 1_000);
+  assert.equal(marked.realized, 4.9);
+  assert.equal(marked.mark, 0.3);
+  assert.ok(Math.abs(marked.unrealized - (30 * 0.3 + 4 - 10 - 0.2 - computeFee({ shares: 30, price: 0.3 }))) < 1e-9);
+  assert.ok(Math.abs(marked.equity - (1004.9 + marked.unrealized)) < 1e-9);
+  assert.equal(marked.openTradeId, 'open');
+
+  // Empty book: the CLOB price stands in. Another market's tick: the position counts at cost.
+  assert.equal(trader.getEquitySnapshot(signals('m-1', {})).mark, 0.42);
+  const rolled = trader.getEquitySnapshot(signals('m-2', { bestBid: 0.9 }));
+  assert.equal(rolled.unrealized, 0);
+  assert.equal(rolled.equity, 1004.9);
+
+  trader.openTrade = null;
+  assert.equal(trader.getEquitySnapshot().equity, 1004.9);
+  await ledger.close();
+});
+
+test('unrealized PnL of a partially exited trade nets every fee closeTrade would', async () => {
+  const ledger = createLedger({ filePath: path.join(tmpDir(), 'trades.json') });
+  await ledger.initialize();
+  const fees = { ...CONFIG.fees };
+  CONFIG.fees.enabled = true;
+  CONFIG.fees.taker = { type: 'flat', rate: 0.02 };
+  try {
+    const trader = new Trader({ now: () => 1_000, ledger });
+    // 40 shares at 25c ($0.20 entry fee); 10 sold for $4 with a $0.08 fee, 30 still open.
+    const trade = {
+      id: 'open', status: 'OPEN', side: 'UP', marketSlug: 'm-1', entryPrice: 0.25, contractSize: 10, shares: 40, sharesOpen: 30,
+      entryFee: 0.2, fees: 0.2, exitFills: [{ shares: 10, avgFillPrice: 0.4, proceeds: 4, fee: 0.08 }]
+    };
+    trader.openTrade = trade;
+    const signals = { market: { slug: 'm-1' }, polyPrices: { UP: 0.5 }, polyMarketSnapshot: { orderbook: { up: { bestBid: 0.5, bestAsk: 0.52 } } } };
+    const { unrealized } = trader.getEquitySnapshot(signals);
+    // 30 * 0.5 + 4 - 10 - 0.2 - 0.08 - 0.3 (2% of the $15 sale)
+    assert.ok(Math.abs(unrealized - 8.42) < 1e-9);
+
+    // Selling at the mark books the same PnL net of fees.
+    await ledger.addTrade(trade);
+    await trader.closeTrade(trade, 0.5, 'Test');
+    assert.ok(Math.abs(trade.pnl - trade.fees - unrealized) < 1e-9);
+  } finally {
+    Object.assign(CONFIG.fees, fees);
+    await ledger.close();
+  }
+});
+
+test('the tracker keeps one point per sample window and reloads them from its file', () => {
+  const filePath = path.join(tmpDir(), 'equity.jsonl');
+  const tracker = createEquityTracker({ filePath, sampleSeconds: 60, maxPoints: 3 });
+  const tick = (sec, equity) => tracker.record({ at: sec * 1000, equity, realized: 0, unrealized: equity - 100 });
+
+  tick(0, 100);
+  tick(20, 90);
+  tick(50, 95);
+  tick(60, 110);
+  assert.deepEqual(tracker.series().map((p) => [p.t, p.equity, p.low, p.high]), [[50_000, 95, 90, 100], [60_000, 110, 110, 110]]);
+  assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+
+  for (let sec = 120; sec <= 300; sec += 60) tick(sec, 100 + sec / 60);
+  tracker.flush();
+  assert.deepEqual(tracker.series().map((p) => p.t / 1000), [180, 240, 300]);
+  // Compacted back to maxPoints once the file reached twice as many lines.
+  assert.ok(fs.readFileSync(filePath, 'utf8').trim().split('\n').length <= 6);
+
+  const reloaded = createEquityTracker({ filePath, sampleSeconds: 60, maxPoints: 3 });
+  assert.deepEqual(reloaded.series(), tracker.series());
+  assert.equal(reloaded.latest(), null);
+});
+
+test('drawdown stats: depth from intrabucket lows, duration until recovery and time under water', () => {
+  const p = (min, equity, low = equity) => ({ t: min * 60_000, equity, low, high: equity });
+  const points = [p(0, 100), p(1, 120), p(2, 110, 90), p(3, 115), p(4, 125), p(5, 118), p(6, 119)];
+  const stats = computeDrawdownStats(points);
+
+  assert.equal(stats.peakEquity, 125);
+  assert.equal(stats.maxDrawdown, 30);
+  assert.equal(stats.maxDrawdownPct, 0.25);
+  assert.equal(stats.maxDrawdownAt, 2 * 60_000);
+  assert.equal(stats.maxDrawdownDurationMs, 3 * 60_000);
+  assert.equal(stats.currentDrawdown, 6);
+  assert.equal(stats.currentDrawdownDurationMs, 2 * 60_000);
+  assert.equal(stats.timeUnderWaterMs, 3 * 60_000);
+  assert.equal(stats.timeUnderWaterPct, 0.5);
+
+  const dd = drawdownSeries(points);
+  assert.deepEqual(dd.map((x) => x.drawdown), [0, 0, 10, 5, 0, 7, 6]);
+
+  const merged = downsampleSeries(points, 3);
+  assert.equal(merged.length, 3);
+  assert.deepEqual(merged[0], { ...points[2], low: 90, high: 120 });
+  assert.equal(computeDrawdownStats([]).maxDrawdown, 0);
+});
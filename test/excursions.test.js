@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { CONFIG } from '../src/config.js';
+import { createLedger } from '../src/paper_trading/ledger.js';
+import { Trader } from '../src/paper_trading/trader.js';
+import { createExcursionTracker } from '../src/paper_trading/excursion.js';
+import { computeAnalytics, computeExcursions } from '../src/analytics/tradeAnalytics.js';
+
+test('an open trade records its MFE, MAE and price path and keeps them on close', async () => {
+  const ledger = createLedger({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-')), 'trades.json') });
+  await ledger.initialize();
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    recGating: 'loose',
+    minCandlesForEntry: 1,
+    minPolyPrice: 0.01,
+    maxPolyPrice: 0.99,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0,
+    contractSize: 100,
+    stakePct: 0,
+    minTradeUsd: 0,
+    exitProfile: 'default',
+    exitRules: null
+  });
+
+  let nowMs = Date.parse('2026-10-19T12:00:00Z');
+  const t = new Trader({ now: () => nowMs, ledger });
+  await t.initialize();
+
+  const tick = async (sec, timeLeftMin, upBid) => {
+    nowMs = Date.parse('2026-10-19T12:00:00Z') + sec * 1000;
+    await t.processSignals({
+      rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+      timeLeftMin,
+      market: { slug: 'm1', liquidityNum: 100000 },
+      polyMarketSnapshot: { orderbook: { up: { bestBid: upBid, bestAsk: 0.5, spread: 0.5 - upBid }, down: { bestBid: 0.4, bestAsk: 0.45, spread: 0.05 } } },
+      polyPrices: { UP: 0.5, DOWN: 0.45 },
+      priceConsensus: { price: 65000 + sec },
+      modelUp: 0.7,
+      modelDown: 0.3,
+      indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+    }, [{ close: 100 }]);
+  };
+
+  await tick(0, 10, 0.45); // entry: 200 UP shares at 50c
+  await tick(10, 9, 0.4);
+  await tick(20, 9, 0.3); // -40% without a model flip: the default stop stays put
+  await tick(30, 9, 0.6);
+  await tick(40, 0.2, 0.55); // End of Candle
+
+  const [closed] = ledger.get().trades;
+  assert.equal(closed.status, 'CLOSED');
+  assert.equal(closed.pnl, 10);
+  assert.equal(closed.maePct, -0.4);
+  assert.equal(closed.maeAt, '2026-10-19T12:00:20.000Z');
+  assert.equal(closed.maePrice, 0.3);
+  assert.equal(closed.mfePct, 0.2);
+  assert.equal(closed.mfeAt, '2026-10-19T12:00:30.000Z');
+  assert.equal(closed.excursionTicks, 4);
+  assert.equal(closed.excursionSince, '2026-10-19T12:00:10.000Z');
+  assert.deepEqual(closed.pricePath, [[10, 0.4, 65010, 0.7], [20, 0.3, 65020, 0.7], [30, 0.6, 65030, 0.7], [40, 0.55, 65040, 0.7]]);
+  assert.equal(t.excursion, null);
+
+  const { excursions } = computeAnalytics([closed], { stopLossPct: 0.2 });
+  assert.equal(excursions.winners.redFirst, 1);
+  await ledger.close();
+});
+
+test('the price path is thinned to maxPathPoints and ends on the last tick', () => {
+  const tracker = createExcursionTracker({ id: 'x', entryTime: '2026-10-19T00:00:00Z' }, { sampleSeconds: 1, maxPathPoints: 4 });
+  const start = Date.parse('2026-10-19T00:00:00Z');
+  for (let s = 0; s <= 10; s += 1) tracker.record({ t: start + s * 1000, pnlPct: Math.sin(s) / 10, price: 0.5 + s / 100 });
+
+  const { pricePath, excursionTicks, mfePct, maePct } = tracker.fields();
+  assert.equal(excursionTicks, 11);
+  assert.deepEqual(pricePath.map((row) => row[0]), [0, 4, 8, 10]);
+  assert.deepEqual(pricePath[3], [10, 0.6, null, null]);
+  assert.equal(mfePct, Number((Math.sin(8) / 10).toFixed(4)));
+  assert.equal(maePct, Number((Math.sin(5) / 10).toFixed(4)));
+});
+
+test('computeExcursions counts winners that were losers first and prices stop / take-profit levels', () => {
+  const trade = (pnl, maePct, maeSec, mfePct, mfeSec) => ({
+    status: 'CLOSED', pnl, contractSize: 100, maePct, mfePct,
+    maeAt: new Date(maeSec * 1000).toISOString(), mfeAt: new Date(mfeSec * 1000).toISOString()
+  });
+  const ex = computeExcursions([
+    trade(10, -0.3, 10, 0.2, 20), // winner, red first
+    trade(5, 0, 0, 0.1, 20), // winner, never red
+    trade(-20, -0.25, 30, 0.12, 10), // loser, green first
+    { status: 'CLOSED', pnl: 3, contractSize: 100 } // no excursion data
+  ], { stopLossPct: 0.2, takeProfitPct: 0.08, levels: [0.1, 0.2] });
+
+  assert.equal(ex.trades, 3);
+  assert.deepEqual([ex.winners.trades, ex.winners.wentRed, ex.winners.redFirst, ex.winners.redFirstRate], [2, 1, 1, 0.5]);
+  assert.deepEqual([ex.losers.trades, ex.losers.greenFirst], [1, 1]);
+
+  assert.deepEqual(ex.levels.map((l) => l.level), [0.08, 0.1, 0.2]);
+  const stop20 = ex.levels.find((l) => l.level === 0.2);
+  assert.equal(stop20.configuredStop, true);
+  assert.equal(stop20.stopHits, 2);
+  assert.equal(stop20.stopWinnersHit, 1);
+  assert.equal(stop20.stopPnlDelta, (-20 - 10) + (-20 + 20));
+  const tp8 = ex.levels.find((l) => l.level === 0.08);
+  assert.equal(tp8.configuredTakeProfit, true);
+  assert.equal(tp8.takeProfitHits, 3);
+  assert.equal(tp8.takeProfitLosersHit, 1);
+  assert.equal(tp8.takeProfitPnlDelta, (8 - 10) + (8 - 5) + (8 + 20));
+});
@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ethers } from 'ethers';
+
+import { createExecutionAdapter, assertLiveTradingAllowed, isLoopbackUrl, LIVE_TRADING_CONFIRM_PHRASE } from '../src/execution/index.js';
+import { createLiveClobAdapter } from '../src/execution/clobLive.js';
+import { startMockClob } from '../src/execution/mockClob.js';
+import { orderPriceSize } from '../src/execution/clobSigning.js';
+import { CONFIG } from '../src/config.js';
+import { createLedger } from '../src/paper_trading/ledger.js';
+import { RiskManager } from '../src/paper_trading/riskManager.js';
+import { Trader } from '../src/paper_trading/trader.js';
+
+const TOKEN = '71321045679252212594626385532706912750332728571942532289631379312455583992563';
+// Throwaway key, never funded.
+const KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+
+test('live trading needs both opt-ins unless the CLOB is local', () => {
+  const remote = 'https://clob.polymarket.com';
+  assert.throws(() => assertLiveTradingAllowed({ baseUrl: remote, liveTrading: false, confirm: LIVE_TRADING_CONFIRM_PHRASE }), /LIVE_TRADING=true/);
+  assert.throws(() => assertLiveTradingAllowed({ baseUrl: remote, liveTrading: true, confirm: 'yes' }), /LIVE_TRADING_CONFIRM/);
+  assert.doesNotThrow(() => assertLiveTradingAllowed({ baseUrl: remote, liveTrading: true, confirm: LIVE_TRADING_CONFIRM_PHRASE }));
+  assert.doesNotThrow(() => assertLiveTradingAllowed({ baseUrl: 'http://127.0.0.1:8787', liveTrading: false, confirm: '' }));
+  assert.throws(() => createExecutionAdapter({ mode: 'live', baseUrl: remote, privateKey: KEY, liveTrading: false }), /disabled/);
+  // The factory checks too, so importing clobLive.js directly doesn't skip the opt-in.
+  assert.throws(() => createLiveClobAdapter({ baseUrl: remote, privateKey: KEY, liveTrading: false }), /disabled/);
+  assert.throws(() => createLiveClobAdapter({ baseUrl: remote, privateKey: KEY, liveTrading: true, confirm: 'yes' }), /not confirmed/);
+  assert.throws(() => createExecutionAdapter({ mode: 'margin' }), /Unknown execution mode/);
+});
+
+test('only real loopback addresses skip the live trading opt-in', () => {
+  for (const url of ['http://localhost:8787', 'http://127.0.0.1:8787', 'http://127.8.9.10/', 'http://127.1/', 'http://[::1]:8787']) {
+    assert.equal(isLoopbackUrl(url), true, url);
+  }
+  for (const url of ['http://127.evil.example', 'http://127.0.0.1.nip.io:8787', 'https://clob.polymarket.com', 'http://128.0.0.1', 'http://[::2]', 'not a url']) {
+    assert.equal(isLoopbackUrl(url), false, url);
+  }
+  assert.throws(() => assertLiveTradingAllowed({ baseUrl: 'http://127.0.0.1.nip.io', liveTrading: false, confirm: '' }), /disabled/);
+});
+
+test('live adapter creates credentials, signs, places, queries and cancels orders on the mock CLOB', async () => {
+  const mock = await startMockClob();
+  try {
+    mock.setBook(TOKEN, { bids: [{ price: '0.45', size: '100' }], asks: [{ price: '0.48', size: '100' }] });
+    const clob = createExecutionAdapter({ mode: 'live', baseUrl: mock.url, privateKey: KEY });
+    const creds = await clob.ensureCredentials();
+    assert.ok(creds.apiKey && creds.secret && creds.passphrase);
+
+    // A second client for the same wallet can't create the key again and falls back to deriving it.
+    const again = createLiveClobAdapter({ baseUrl: mock.url, privateKey: KEY });
+    assert.deepEqual(await again.ensureCredentials(), creds);
+
+    const signed = await clob.signOrder({ tokenId: TOKEN, side: 'BUY', price: 0.46, size: 10.129 });
+    assert.deepEqual(orderPriceSize(signed), { side: 'BUY', price: 0.46, size: 10.12 });
+    assert.equal(signed.makerAmount, '4655200');
+
+    const resting = await clob.placeOrder({ tokenId: TOKEN, side: 'BUY', price: 0.46, size: 10 });
+    assert.equal(resting.status, 'live');
+    const crossing = await clob.placeOrder({ tokenId: TOKEN, side: 'BUY', price: 0.48, size: 5, orderType: 'FOK' });
+    assert.equal(crossing.status, 'matched');
+    assert.equal(crossing.sizeMatched, 5);
+    const killed = await clob.placeOrder({ tokenId: TOKEN, side: 'SELL', price: 0.5, size: 5, orderType: 'FOK' });
+    assert.equal(killed.status, 'rejected');
+
+    assert.deepEqual((await clob.getOpenOrders({ tokenId: TOKEN })).map((o) => o.orderId), [resting.orderId]);
+    const fetched = await clob.getOrder(resting.orderId);
+    assert.equal(fetched.price, 0.46);
+    assert.equal(fetched.size, 10);
+
+    assert.deepEqual(await clob.cancelOrder(resting.orderId), { canceled: [resting.orderId], notCanceled: {} });
+    assert.equal((await clob.getOrder(resting.orderId)).status, 'canceled');
+    assert.deepEqual((await clob.cancelOrder(crossing.orderId)).canceled, []);
+    assert.deepEqual(await clob.getOpenOrders(), []);
+
+    // Orders signed by another wallet under our API key are refused.
+    const other = createLiveClobAdapter({ baseUrl: mock.url, privateKey: ethers.Wallet.createRandom().privateKey, creds });
+    await assert.rejects(other.placeOrder({ tokenId: TOKEN, side: 'BUY', price: 0.4, size: 1 }), /401|invalid signature/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('paper adapter fills the marketable part against the book and rests the rest', async () => {
+  let book = { bids: [{ price: '0.45', size: '100' }], asks: [{ price: '0.48', size: '4' }, { price: '0.5', size: '100' }] };
+  const paper = createExecutionAdapter({ mode: 'paper', getBook: () => book });
+
+  const partial = await paper.placeOrder({ tokenId: TOKEN, side: 'BUY', price: 0.48, size: 10 });
+  assert.equal(partial.status, 'live');
+  assert.equal(partial.sizeMatched, 4);
+  assert.equal((await paper.placeOrder({ tokenId: TOKEN, side: 'BUY', price: 0.48, size: 10, orderType: 'FOK' })).status, 'rejected');
+  const taker = await paper.placeOrder({ tokenId: TOKEN, side: 'BUY', price: 0.5, size: 10 });
+  assert.equal(taker.status, 'matched');
+  assert.equal(taker.sizeMatched, 10);
+
+  // The ask comes down to the resting bid.
+  book = { bids: [{ price: '0.45', size: '100' }], asks: [{ price: '0.47', size: '100' }] };
+  assert.equal((await paper.getOrder(partial.orderId)).status, 'matched');
+
+  // Market orders take what the book has, or nothing when that is under minAmount.
+  const killed = await paper.marketOrder({ tokenId: TOKEN, side: 'BUY', amount: 100, minAmount: 60 });
+  assert.deepEqual([killed.status, killed.fill.status, killed.fill.reason, killed.fill.fillableAmount], ['canceled', 'REJECTED', 'min_fill', 47]);
+  const sold = await paper.marketOrder({ tokenId: TOKEN, side: 'SELL', amount: 5 });
+  assert.deepEqual([sold.status, sold.fill.fillModel, sold.fill.filledShares, sold.fill.avgFillPrice], ['matched', 'book', 5, 0.45]);
+
+  const sell = await paper.placeOrder({ tokenId: TOKEN, side: 'SELL', price: 0.6, size: 5 });
+  assert.deepEqual((await paper.getOpenOrders()).map((o) => o.orderId), [sell.orderId]);
+  assert.deepEqual(await paper.cancelAll(), { canceled: [sell.orderId], notCanceled: {} });
+});
+
+test('the Trader enters and exits through its execution adapter, and live mode needs the opt-in', async () => {
+  assert.throws(() => new Trader({ executionMode: 'live' }), /disabled/);
+
+  const mock = await startMockClob();
+  const ledger = createLedger({ filePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-')), 'trades.json') });
+  await ledger.initialize();
+  try {
+    mock.setBook(TOKEN, { bids: [{ price: '0.45', size: '100' }], asks: [{ price: '0.48', size: '100' }] });
+    const paperTrading = { ...CONFIG.paperTrading, sizingMode: 'flat', stakePct: 0, contractSize: 10, minTradeUsd: 0, maxTradeUsd: 1000, maxPolyPrice: 0.5, minFillRatio: 0.5 };
+    const t = new Trader({
+      ledger,
+      paperTrading,
+      riskManager: new RiskManager({ stateFile: null, paperTrading }),
+      execution: createExecutionAdapter({ mode: 'live', baseUrl: mock.url, privateKey: KEY })
+    });
+    await t.initialize();
+
+    const signals = {
+      market: { slug: 'm1' },
+      polyMarketSnapshot: { tokens: { upTokenId: TOKEN, downTokenId: '1' }, orderbook: { up: { bestBid: 0.45, bestAsk: 0.48 } } },
+      polyPrices: { UP: 0.48, DOWN: 0.52 },
+      modelUp: 0.7,
+      modelDown: 0.3
+    };
+    t.setMarket(signals);
+    const entryContext = { signals, side: 'UP', phase: 'EARLY', edge: 0.1, sideInferred: false, entryQuote: { bid: 0.45, ask: 0.48 }, modelProb: 0.7 };
+    const trade = await t.enterAtMarket({ entryContext, quotePrice: 0.48, marketSlug: 'm1' });
+
+    // The mock matches at the order's own price: MAX_POLY_PRICE for the market buy, the lowest tick for the sell.
+    assert.equal(trade.tokenId, TOKEN);
+    assert.equal(trade.fillModel, 'live');
+    assert.equal(trade.entryPrice, 0.5);
+    assert.equal(trade.shares, 20);
+    assert.equal(await t.exitTrade(trade, { reason: 'Test exit' }), true);
+    assert.equal(trade.status, 'CLOSED');
+    assert.equal(trade.exitFillModel, 'live');
+    assert.equal(trade.exitPrice, 0.001);
+    assert.equal(ledger.get().orders.at(-1).event, 'filled');
+  } finally {
+    await ledger.close();
+    await mock.close();
+  }
+});
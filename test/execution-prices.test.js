@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { computeAnalytics, midPricePnl } from '../src/analytics/tradeAnalytics.js';
+
+test('paper trades buy the best ask, sell the best bid and report PnL at mid', async () => {
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-')));
+  fs.mkdirSync('paper_trading', { recursive: true });
+
+  const { initializeLedger, getLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { CONFIG } = await import('../src/config.js');
+  await initializeLedger();
+
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    recGating: 'loose',
+    minCandlesForEntry: 1,
+    minPolyPrice: 0.01,
+    maxPolyPrice: 0.99,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0,
+    contractSize: 100,
+    stakePct: 0,
+    minTradeUsd: 0
+  });
+
+  const t = new Trader();
+  await t.initialize();
+
+  const signals = (timeLeftMin, up) => ({
+    rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+    timeLeftMin,
+    market: { slug: 'm1', liquidityNum: 100000 },
+    polyMarketSnapshot: { orderbook: { up, down: { bestBid: 0.5, bestAsk: 0.52, spread: 0.02 } } },
+    // The snapshot price is the CLOB buy quote; execution must not use it when the book is known.
+    polyPrices: { UP: up.bestAsk, DOWN: 0.52 },
+    modelUp: 0.7,
+    modelDown: 0.3,
+    indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+  });
+
+  await t.processSignals(signals(10, { bestBid: 0.25, bestAsk: 0.5, spread: 0.25 }), [{ close: 100 }]);
+  assert.equal(t.openTrade.entryPrice, 0.5);
+  assert.deepEqual(t.openTrade.entryQuote, { bid: 0.25, ask: 0.5, mid: 0.375, spread: 0.25 });
+
+  await t.processSignals(signals(0.2, { bestBid: 0.625, bestAsk: 0.75, spread: 0.125 }), [{ close: 100 }]);
+  const [closed] = getLedger().trades;
+  assert.equal(closed.status, 'CLOSED');
+  assert.equal(closed.exitPrice, 0.625);
+  assert.equal(closed.exitQuote.mid, 0.6875);
+  assert.equal(closed.pnl, 25); // 200 shares: 0.5 -> 0.625
+
+  assert.equal(midPricePnl(closed), 62.5); // 200 shares: 0.375 -> 0.6875
+  const { midVsExecutable } = computeAnalytics([closed]);
+  assert.equal(midVsExecutable.trades, 1);
+  assert.equal(midVsExecutable.pnlExecutable, 25);
+  assert.equal(midVsExecutable.spreadCost, 37.5);
+});
+
+test('mid-price PnL weights partial exits at their own mids and settles at the payout', () => {
+  const partial = {
+    shares: 100,
+    entryQuote: { mid: 0.4 },
+    exitFills: [{ shares: 40, mid: 0.5 }],
+    exitQuote: { mid: 0.3 },
+    exitFillModel: 'book'
+  };
+  assert.ok(Math.abs(midPricePnl(partial) - (40 * 0.5 + 60 * 0.3 - 40)) < 1e-9);
+
+  assert.ok(Math.abs(midPricePnl({ shares: 10, entryQuote: { mid: 0.25 }, exitPrice: 1, exitFillModel: 'settlement' }) - 7.5) < 1e-9);
+  assert.equal(midPricePnl({ shares: 10, entryPrice: 0.25, exitPrice: 0.3 }), null);
+});
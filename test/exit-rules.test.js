@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluateExitRules, resolveExitRules } from '../src/paper_trading/exitRules.js';
+
+const trade = { side: 'UP', entryPrice: 0.5 };
+const ctx = (over = {}) => ({
+  trade,
+  mark: 0.5,
+  pnlPct: 0,
+  ageSec: 600,
+  timeLeftMin: 8,
+  modelUp: 0.6,
+  modelDown: 0.4,
+  priceToBeat: 100000,
+  distanceToBeat: 50,
+  holdToExpiry: false,
+  ...over
+});
+
+test('rules fire in order and the first hit names the exit reason', () => {
+  const rules = [{ type: 'take_profit', pct: 0.1 }, { type: 'time', minutesLeft: 0.5 }];
+  assert.equal(evaluateExitRules(rules, ctx()), null);
+  assert.deepEqual(evaluateExitRules(rules, ctx({ pnlPct: 0.12, timeLeftMin: 0.2 })), { type: 'take_profit', reason: 'Take Profit' });
+  assert.equal(evaluateExitRules(rules, ctx({ timeLeftMin: 0.2 })).reason, 'End of Candle');
+  assert.equal(evaluateExitRules(rules, ctx({ timeLeftMin: 0.2, holdToExpiry: true })), null);
+  assert.equal(evaluateExitRules([{ type: 'time', maxHoldMinutes: 5 }], ctx()).reason, 'Max Hold');
+  assert.equal(evaluateExitRules([{ type: 'take_profit', pct: 0.1, reason: 'TP1' }], ctx({ pnlPct: 0.2 })).reason, 'TP1');
+});
+
+test('stop loss waits for the model to flip unless requireFlip is off', () => {
+  const losing = ctx({ pnlPct: -0.3 });
+  assert.equal(evaluateExitRules([{ type: 'stop_loss', pct: 0.2 }], losing), null);
+  assert.equal(evaluateExitRules([{ type: 'stop_loss', pct: 0.2, minProb: 0.6, margin: 0.05 }], { ...losing, modelUp: 0.3, modelDown: 0.7 }).reason, 'Stop Loss');
+  assert.equal(evaluateExitRules([{ type: 'stop_loss', pct: 0.2, requireFlip: false }], losing).reason, 'Stop Loss');
+});
+
+test('trailing stop arms above entry and exits on a pullback from the peak mark', () => {
+  const rules = [{ type: 'trailing_stop', activatePct: 0.1, trailPct: 0.2 }];
+  const state = [];
+  for (const mark of [0.52, 0.5, 0.6, 0.7]) assert.equal(evaluateExitRules(rules, ctx({ mark }), state), null);
+  assert.equal(evaluateExitRules(rules, ctx({ mark: 0.57 }), state), null);
+  assert.equal(evaluateExitRules(rules, ctx({ mark: 0.55 }), state).reason, 'Trailing Stop');
+  assert.equal(state[0].peakMark, 0.7);
+});
+
+test('probability flip needs confirmation and keeps its streak inside the hysteresis band', () => {
+  const rules = [{ type: 'prob_flip', minProb: 0.55, margin: 0.1, minHoldSeconds: 0, hysteresis: 0.05, confirmTicks: 3 }];
+  const state = [];
+  const tick = (up) => evaluateExitRules(rules, ctx({ modelUp: up, modelDown: 1 - up }), state);
+  assert.equal(tick(0.4), null); // flipped: 1
+  assert.equal(tick(0.47), null); // in the band (down - up = 0.06): streak kept
+  assert.equal(tick(0.4), null); // 2
+  assert.equal(tick(0.4).reason, 'Probability Flip'); // 3
+
+  state.length = 0;
+  tick(0.4);
+  tick(0.5); // out of the band: reset
+  assert.equal(tick(0.4), null);
+});
+
+test('price-to-beat exit only late and only on the losing side', () => {
+  const rules = [{ type: 'price_to_beat', againstBps: 10, maxMinutesLeft: 5 }];
+  assert.equal(evaluateExitRules(rules, ctx({ distanceToBeat: -150, timeLeftMin: 8 })), null);
+  assert.equal(evaluateExitRules(rules, ctx({ distanceToBeat: -150, timeLeftMin: 4 })).reason, 'Price To Beat');
+  assert.equal(evaluateExitRules(rules, ctx({ distanceToBeat: -50, timeLeftMin: 4 })), null);
+  assert.equal(evaluateExitRules(rules, ctx({ trade: { ...trade, side: 'DOWN' }, distanceToBeat: 150, timeLeftMin: 4 })).reason, 'Price To Beat');
+});
+
+test('profiles resolve by name and typos fail loudly', () => {
+  const profiles = { default: [{ type: 'time' }], fast: [{ type: 'take_profit' }] };
+  assert.deepEqual(resolveExitRules({ profile: 'fast', profiles, rules: null }), [{ type: 'take_profit' }]);
+  assert.deepEqual(resolveExitRules({ profile: 'fast', profiles, rules: [{ type: 'time' }] }), [{ type: 'time' }]);
+  assert.throws(() => resolveExitRules({ profile: 'nope', profiles, rules: null }), /Unknown exit profile "nope"/);
+  assert.throws(() => resolveExitRules({ profile: 'x', profiles, rules: [{ type: 'take_proft' }] }), /Unknown exit rule type "take_proft"/);
+  assert.ok(resolveExitRules().length > 0);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalCdf, realizedVolatility, fairValueProbability, computeFairValue } from '../src/engines/fairValue.js';
+
+test('normalCdf matches known quantiles', () => {
+  assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-7);
+  assert.ok(Math.abs(normalCdf(1.959964) - 0.975) < 1e-6);
+  assert.ok(Math.abs(normalCdf(-1) - 0.158655) < 1e-6);
+});
+
+test('fairValueProbability moves with distance to strike, time left and volatility', () => {
+  const base = { price: 100_000, strike: 100_000, remainingMinutes: 10, sigmaPerMin: 0.0005 };
+  // At the money: just under 0.5 (the -sigma^2/2 lognormal term).
+  const atm = fairValueProbability(base);
+  assert.ok(atm < 0.5 && atm > 0.49);
+
+  const above = fairValueProbability({ ...base, price: 100_100 });
+  assert.ok(above > 0.6);
+  // Same lead is worth more with less time or lower volatility.
+  assert.ok(fairValueProbability({ ...base, price: 100_100, remainingMinutes: 1 }) > above);
+  assert.ok(fairValueProbability({ ...base, price: 100_100, sigmaPerMin: 0.0002 }) > above);
+  // Expired window is decided by the side of the strike.
+  assert.equal(fairValueProbability({ ...base, price: 99_999, remainingMinutes: 0 }), 0);
+  // Positive drift raises P(UP).
+  assert.ok(fairValueProbability({ ...base, driftPerMin: 0.0002 }) > atm);
+});
+
+test('computeFairValue estimates realized 1m volatility from candles', () => {
+  // Alternating +/-0.1% closes: per-minute stdev ~= 0.001.
+  const candles = Array.from({ length: 61 }, (_, i) => ({ close: i % 2 ? 100_100 : 100_000 }));
+  const sigma = realizedVolatility(candles, { lookback: 60 });
+  assert.ok(Math.abs(sigma - 0.001) < 0.00002);
+
+  const fv = computeFairValue({ klines1m: candles, price: 100_000, priceToBeat: 99_900, remainingMinutes: 4 });
+  assert.ok(fv.probUp > 0.5 && fv.probUp < 1);
+  assert.equal(fv.probUp + fv.probDown, 1);
+  assert.equal(computeFairValue({ klines1m: candles, price: 100_000, priceToBeat: null, remainingMinutes: 4 }), null);
+  assert.equal(computeFairValue({ klines1m: candles.slice(0, 5), price: 100_000, priceToBeat: 99_900, remainingMinutes: 4 }), null);
+});
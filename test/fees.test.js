@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { feeRate, feePerShare, computeFee } from '../src/engines/fees.js';
+import { computeEdge, decide } from '../src/engines/edge.js';
+import { simulateBuy } from '../src/paper_trading/fills.js';
+import { recalculateSummary } from '../src/paper_trading/ledger.js';
+
+const fees = {
+  enabled: true,
+  taker: { type: 'curve', rate: 0.25, exponent: 2 },
+  maker: { type: 'flat', rate: 0.001 }
+};
+
+test('fee schedules: price curve for takers, flat makers, disabled and dust fills', () => {
+  assert.equal(feeRate(fees.taker, 0.5), 0.015625);
+  assert.ok(feeRate(fees.taker, 0.9) < feeRate(fees.taker, 0.7));
+  assert.equal(feeRate(fees.taker, 1), 0);
+  assert.equal(feeRate({ type: 'none' }, 0.5), 0);
+
+  assert.equal(computeFee({ shares: 100, price: 0.5, fees }), 0.7813); // 100 * 0.5 * 1.5625%, 4 decimals
+  assert.equal(computeFee({ shares: 100, price: 0.5, liquidity: 'maker', fees }), 0.05);
+  assert.equal(computeFee({ shares: 100, price: 0.5, fees: { ...fees, enabled: false } }), 0);
+  assert.equal(computeFee({ shares: 1, price: 0.001, fees }), 0);
+
+  // A book walk pays each level's own rate.
+  const fill = simulateBuy({ asks: [{ price: '0.5', size: '100' }, { price: '0.9', size: '100' }] }, { notionalUsd: 95 });
+  assert.deepEqual(fill.legs, [{ price: 0.5, shares: 100 }, { price: 0.9, shares: 50 }]);
+  assert.equal(computeFee({ legs: fill.legs, fees }), Number((0.78125 + 50 * 0.9 * 0.25 * (0.09 ** 2)).toFixed(4)));
+});
+
+test('edge is netted for fees and decide() skips edges the fee eats', () => {
+  const edge = computeEdge({ modelUp: 0.555, modelDown: 0.445, marketYes: 0.5, marketNo: 0.5, fees });
+  assert.equal(edge.feeUp, feePerShare(0.5, { fees }));
+  assert.ok(Math.abs(edge.netEdgeUp - (0.055 - 0.0078125)) < 1e-12);
+
+  const gross = decide({ remainingMinutes: 12, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, modelUp: 0.555, modelDown: 0.445 });
+  assert.equal(gross.action, 'ENTER');
+  const net = decide({ remainingMinutes: 12, edgeUp: edge.edgeUp, edgeDown: edge.edgeDown, feeUp: edge.feeUp, feeDown: edge.feeDown, modelUp: 0.555, modelDown: 0.445 });
+  assert.equal(net.action, 'NO_TRADE');
+  assert.equal(net.reason, 'edge_after_fees_below_0.05');
+});
+
+test('ledger summary subtracts per-trade fees from PnL', () => {
+  const summary = recalculateSummary([
+    { status: 'CLOSED', pnl: 10, fees: 1.5 },
+    { status: 'CLOSED', pnl: 0.5, fees: 1 },
+    { status: 'CLOSED', pnl: -3 },
+    { status: 'OPEN', pnl: 0, fees: 0.7 }
+  ]);
+  assert.equal(summary.grossPnL, 7.5);
+  assert.equal(summary.totalFees, 2.5);
+  assert.equal(summary.totalPnL, 5);
+  assert.equal(summary.wins, 1);
+  assert.equal(summary.losses, 2);
+});
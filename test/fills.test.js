@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { simulateBuy, simulateSell } from '../src/paper_trading/fills.js';
+
+// REST ordering: bids ascending, asks descending (best level last).
+const book = {
+  bids: [{ price: '0.40', size: '100' }, { price: '0.45', size: '50' }],
+  asks: [{ price: '0.60', size: '100' }, { price: '0.55', size: '20' }, { price: '0.50', size: '10' }]
+};
+
+test('simulateBuy walks the ask ladder and reports VWAP, slippage and levels consumed', () => {
+  // 10 @ 0.50 ($5) + 20 @ 0.55 ($11) + 10 @ 0.60 ($6) = $22 for 40 shares
+  const fill = simulateBuy(book, { notionalUsd: 22 });
+  assert.equal(fill.status, 'FILLED');
+  assert.equal(fill.levelsConsumed, 3);
+  assert.ok(Math.abs(fill.filledShares - 40) < 1e-9);
+  assert.ok(Math.abs(fill.avgFillPrice - 0.55) < 1e-9);
+  assert.equal(fill.topOfBook, 0.5);
+  assert.ok(Math.abs(fill.slippage - 0.05) < 1e-9);
+});
+
+test('simulateBuy returns PARTIAL when depth runs out and REJECTED on an empty side', () => {
+  const partial = simulateBuy(book, { notionalUsd: 1000 });
+  assert.equal(partial.status, 'PARTIAL');
+  assert.equal(partial.reason, 'insufficient_depth');
+  assert.ok(Math.abs(partial.filledUsd - 76) < 1e-9);
+
+  const capped = simulateBuy(book, { notionalUsd: 1000, limitPrice: 0.55 });
+  assert.equal(capped.status, 'PARTIAL');
+  assert.equal(capped.reason, 'limit_price');
+  assert.equal(capped.levelsConsumed, 2);
+
+  const rejected = simulateBuy({ bids: book.bids, asks: [] }, { notionalUsd: 10 });
+  assert.equal(rejected.status, 'REJECTED');
+  assert.equal(rejected.avgFillPrice, null);
+});
+
+test('simulateSell walks the bid ladder from the best bid down', () => {
+  const fill = simulateSell(book, { shares: 70 });
+  assert.equal(fill.status, 'FILLED');
+  assert.equal(fill.levelsConsumed, 2);
+  // 50 @ 0.45 + 20 @ 0.40
+  assert.ok(Math.abs(fill.filledUsd - 30.5) < 1e-9);
+  assert.ok(Math.abs(fill.slippage - (0.45 - 30.5 / 70)) < 1e-9);
+
+  const partial = simulateSell(book, { shares: 500 });
+  assert.equal(partial.status, 'PARTIAL');
+  assert.equal(partial.filledShares, 150);
+});
+
+test('MIN_FILL_RATIO=0 in the environment stays 0 (take any fill)', () => {
+  const read = (env) => JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e',
+    "import { CONFIG } from './src/config.js'; console.log(JSON.stringify(CONFIG.paperTrading.minFillRatio));"
+  ], { cwd: fileURLToPath(new URL('..', import.meta.url)), env: { ...process.env, ...env }, encoding: 'utf8' }));
+
+  assert.equal(read({ MIN_FILL_RATIO: '0' }), 0);
+  assert.equal(read({ MIN_FILL_RATIO: '0.8' }), 0.8);
+  assert.equal(read({ MIN_FILL_RATIO: '' }), 0.5);
+});
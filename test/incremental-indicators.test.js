@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VwapIndicator, RsiIndicator, MacdIndicator, HeikenAshiIndicator } from '../src/indicators/incremental.js';
+import { computeVwapSeries } from '../src/indicators/vwap.js';
+import { computeRsi } from '../src/indicators/rsi.js';
+import { computeMacd } from '../src/indicators/macd.js';
+import { computeHeikenAshi, countConsecutive } from '../src/indicators/heikenAshi.js';
+import { computeIndicators, createIndicatorEngine } from '../src/engines/pipeline.js';
+
+// Deterministic pseudo-random walk so failures reproduce.
+function makeCandles(n, { seed = 7, withVolume = true } = {}) {
+  let x = seed;
+  const rand = () => ((x = (x * 1103515245 + 12345) % 2147483648) / 2147483648);
+  const candles = [];
+  let price = 100000;
+  for (let i = 0; i < n; i += 1) {
+    const open = price;
+    const close = open + (rand() - 0.5) * 80;
+    const high = Math.max(open, close) + rand() * 20;
+    const low = Math.min(open, close) - rand() * 20;
+    candles.push({ openTime: i * 60_000, open, high, low, close, volume: withVolume ? rand() * 3 : 0, closeTime: (i + 1) * 60_000 });
+    price = close;
+  }
+  return candles;
+}
+
+test('incremental indicators match the batch functions value for value', () => {
+  const candles = makeCandles(120);
+  const closes = candles.map((c) => c.close);
+  const vwap = new VwapIndicator();
+  const rsi = new RsiIndicator(14);
+  const macd = new MacdIndicator(12, 26, 9);
+  const ha = new HeikenAshiIndicator();
+
+  for (let i = 0; i < candles.length; i += 1) {
+    // Push a provisional version of the forming candle first, then replace it with the final one.
+    for (const ind of [vwap, rsi, macd, ha]) ind.push({ ...candles[i], close: candles[i].open, volume: 0 });
+    for (const ind of [vwap, rsi, macd, ha]) { ind.pop(); ind.push(candles[i]); }
+
+    const prefix = candles.slice(0, i + 1);
+    assert.equal(vwap.value, computeVwapSeries(prefix)[i]);
+    assert.equal(rsi.value, computeRsi(closes.slice(0, i + 1), 14));
+    assert.deepEqual(macd.value, computeMacd(closes.slice(0, i + 1), 12, 26, 9));
+    assert.deepEqual(ha.value, countConsecutive(computeHeikenAshi(prefix)));
+  }
+  assert.deepEqual(vwap.values, computeVwapSeries(candles));
+});
+
+// Same keys and strings, numbers within `tol`.
+function assertClose(actual, expected, tol, at = 'value') {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    assert.ok(Math.abs(actual - expected) <= tol, `${at}: ${actual} vs ${expected}`);
+  } else if (expected && typeof expected === 'object') {
+    assert.deepEqual(Object.keys(actual), Object.keys(expected), at);
+    for (const k of Object.keys(expected)) assertClose(actual[k], expected[k], tol, `${at}.${k}`);
+  } else {
+    assert.equal(actual, expected, at);
+  }
+}
+
+test('computeIndicators with an engine equals the batch path across appends, tail edits and buffer trims', () => {
+  const all = makeCandles(300, { seed: 11 });
+  const engine = createIndicatorEngine();
+  const buffer = [];
+
+  // Bit for bit until the buffer is trimmed; after that the MACD EMAs and Heiken Ashi keep the dropped
+  // candles' history instead of reseeding, and VWAP is a difference of running sums.
+  const check = (i) => {
+    const streamed = computeIndicators(buffer, all[i].close, engine);
+    const batch = computeIndicators(buffer, all[i].close);
+    if (i < 240) assert.deepEqual(streamed, batch);
+    else assertClose(streamed, batch, 1e-4);
+  };
+
+  for (let i = 0; i < all.length; i += 1) {
+    buffer.push({ ...all[i], volume: 0 });
+    if (buffer.length > 240) buffer.splice(0, buffer.length - 240);
+    check(i);
+
+    // Late volume on the just-formed candle and a tick on the forming one.
+    buffer[buffer.length - 1].volume = all[i].volume;
+    buffer[buffer.length - 1].close += 1;
+    check(i);
+  }
+
+  // Reseeding replaces the whole buffer.
+  const reseeded = makeCandles(200, { seed: 3, withVolume: false });
+  assert.deepEqual(computeIndicators(reseeded, 100000, engine), computeIndicators(reseeded, 100000));
+});
+
+test('a rolling 240-candle buffer drops the head from the engine instead of rebuilding it', () => {
+  const all = makeCandles(400, { seed: 5 });
+  const engine = createIndicatorEngine();
+  let resets = 0;
+  let pushes = 0;
+  const reset = engine.reset.bind(engine);
+  engine.reset = () => { resets += 1; reset(); };
+  for (const ind of engine.indicators) {
+    const push = ind.push.bind(ind);
+    ind.push = (c) => { pushes += 1; push(c); };
+  }
+
+  const buffer = all.slice(0, 240);
+  engine.sync(buffer);
+  assert.equal(resets, 1);
+  for (let i = 240; i < all.length; i += 1) {
+    buffer.push(all[i]);
+    buffer.shift();
+    const before = pushes;
+    engine.sync(buffer);
+    // One new candle through each of the four indicators, nothing replayed.
+    assert.equal(pushes - before, 4);
+    assert.equal(engine.length, 240);
+    assert.equal(engine.rsi.value, computeRsi(buffer.map((c) => c.close), 14));
+  }
+  assert.equal(resets, 1);
+  assert.ok(Math.abs(engine.vwap.value - computeVwapSeries(buffer).at(-1)) < 1e-6);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createKrakenStreamState, applyKrakenV2Message } from '../src/data/kraken.js';
+import { computeIndicators } from '../src/engines/pipeline.js';
+
+test('applyKrakenV2Message tracks last trade and replaces running 1m OHLC buckets', () => {
+  const state = createKrakenStreamState();
+
+  const trades = applyKrakenV2Message(state, {
+    channel: 'trade',
+    type: 'update',
+    data: [
+      { symbol: 'BTC/USD', side: 'buy', price: 100000.5, qty: 0.2, timestamp: '2026-10-19T14:00:01.000Z' },
+      { symbol: 'ETH/USD', side: 'buy', price: 4000, qty: 1, timestamp: '2026-10-19T14:00:02.000Z' }
+    ]
+  }, { symbol: 'BTC/USD' });
+  assert.equal(trades.trades.length, 1);
+  assert.equal(state.lastPrice, 100000.5);
+  assert.equal(state.lastTs, Date.parse('2026-10-19T14:00:01.000Z'));
+
+  const row = { symbol: 'BTC/USD', open: 100000, high: 100010, low: 99990, close: 100005, volume: 1.5, interval_begin: '2026-10-19T14:00:00.000000000Z', interval: 1 };
+  applyKrakenV2Message(state, { channel: 'ohlc', type: 'snapshot', data: [row] }, { symbol: 'BTC/USD' });
+  applyKrakenV2Message(state, { channel: 'ohlc', type: 'update', data: [{ ...row, close: 100008, volume: 2.25 }] }, { symbol: 'BTC/USD' });
+
+  const openTime = Date.parse('2026-10-19T14:00:00Z');
+  assert.equal(state.candles.size, 1);
+  assert.deepEqual(state.candles.get(openTime), { openTime, open: 100000, high: 100010, low: 99990, close: 100008, volume: 2.25, closeTime: openTime + 60_000 });
+});
+
+test('computeIndicators derives volumeRecent/volumeAvg only when candles carry real volume', () => {
+  const candles = Array.from({ length: 40 }, (_, i) => ({ openTime: i * 60_000, open: 100, high: 101, low: 99, close: 100, volume: i < 20 ? 1 : 3, closeTime: (i + 1) * 60_000 }));
+  const ind = computeIndicators(candles, 100);
+  assert.equal(ind.volumeRecent, 60);
+  assert.equal(ind.volumeAvg, 40); // (20 + 60) / 2 blocks
+
+  const chainlinkOnly = candles.map((c) => ({ ...c, volume: 0 }));
+  const none = computeIndicators(chainlinkOnly, 100);
+  assert.equal(none.volumeRecent, null);
+  assert.equal(none.volumeAvg, null);
+});
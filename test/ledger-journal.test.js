@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import { createLedger } from '../src/paper_trading/ledger.js';
+import { lockPathFor, readJournal } from '../src/paper_trading/ledgerJournal.js';
+
+function mkTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-'));
+}
+
+const openTrade = (id) => ({ id, side: 'UP', entryPrice: 0.4, shares: 10, contractSize: 4, status: 'OPEN' });
+
+test('ledger changes are journaled and replayed on load', async () => {
+  const filePath = path.join(mkTmpDir(), 'trades.json');
+  const ledger = createLedger({ filePath, snapshotEvery: 100 });
+  await ledger.initialize();
+
+  await ledger.addTrade(openTrade('t1'));
+  await ledger.updateTrade('t1', { markoutMid: 0.42, markoutAt: '2026-01-01T00:01:00Z' });
+  await ledger.addOrderEvent({ orderId: 'o1', event: 'filled' });
+  await ledger.updateTrade('t1', { status: 'CLOSED', exitPrice: 0.5, pnl: 1, fees: 0.1 });
+  await ledger.updateTrade('t1', { exitReason: 'Take Profit' });
+
+  const events = readJournal(ledger.journalPath);
+  assert.deepEqual(events.map((e) => e.type), ['trade_opened', 'trade_marked', 'order_event', 'trade_closed', 'trade_amended']);
+  assert.deepEqual(events.map((e) => e.seq), [1, 2, 3, 4, 5]);
+
+  // The snapshot on disk is still the empty one from initialize(); the journal carries the rest.
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).trades.length, 0);
+  const loaded = createLedger({ filePath }).load();
+  assert.equal(loaded.journalSeq, 5);
+  assert.equal(loaded.trades[0].status, 'CLOSED');
+  assert.equal(loaded.trades[0].markoutMid, 0.42);
+  assert.equal(loaded.trades[0].exitReason, 'Take Profit');
+  assert.equal(loaded.orders.length, 1);
+  assert.equal(loaded.summary.wins, 1);
+  await ledger.close();
+});
+
+test('snapshots compact the journal atomically and a torn journal line is dropped', async () => {
+  const dir = mkTmpDir();
+  const filePath = path.join(dir, 'trades.json');
+  const ledger = createLedger({ filePath, snapshotEvery: 2 });
+  await ledger.initialize();
+  await ledger.addTrade(openTrade('a'));
+  await ledger.addTrade(openTrade('b'));
+
+  const snap = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(snap.journalSeq, 2);
+  assert.deepEqual(snap.trades.map((t) => t.id), ['a', 'b']);
+  assert.equal(fs.readFileSync(ledger.journalPath, 'utf8'), '');
+  assert.deepEqual(fs.readdirSync(dir).filter((f) => f.includes('.tmp-')), []);
+
+  // A crash between the snapshot rename and the journal truncation leaves already-applied events behind,
+  // and a crash mid-append leaves half a line.
+  await ledger.addTrade(openTrade('c'));
+  fs.appendFileSync(ledger.journalPath, `${JSON.stringify({ seq: 1, type: 'trade_opened', trade: openTrade('a') })}\n{"seq":4,"type":"trade_op`);
+  const loaded = createLedger({ filePath }).load();
+  assert.deepEqual(loaded.trades.map((t) => t.id), ['a', 'b', 'c']);
+  assert.equal(loaded.journalSeq, 3);
+  await ledger.close();
+});
+
+test('a lock held by another live process blocks writers; a stale one is taken over', async () => {
+  const filePath = path.join(mkTmpDir(), 'trades.json');
+  const lockPath = lockPathFor(filePath);
+
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+  await assert.rejects(() => createLedger({ filePath }).initialize(), /is locked by pid/);
+
+  // A pid that has already exited.
+  const gone = spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']).stdout.toString();
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: Number(gone), host: os.hostname() }));
+  const ledger = createLedger({ filePath });
+  await ledger.initialize();
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+  await ledger.close();
+  assert.ok(!fs.existsSync(lockPath));
+});
+
+test('a corrupt snapshot is moved aside with its journal instead of being overwritten', async () => {
+  const dir = mkTmpDir();
+  const filePath = path.join(dir, 'trades.json');
+  fs.writeFileSync(filePath, '{"schemaVersion": 2, "trades": [{"id": "lost"');
+  fs.writeFileSync(path.join(dir, 'trades.journal.jsonl'), `${JSON.stringify({ seq: 1, type: 'trade_opened', trade: openTrade('x') })}\n`);
+
+  const ledger = createLedger({ filePath });
+  const data = await ledger.initialize();
+  assert.deepEqual(data.trades, []);
+
+  const corrupt = fs.readdirSync(dir).filter((f) => f.includes('.corrupt-')).sort();
+  assert.equal(corrupt.length, 2);
+  assert.match(corrupt[0], /^trades\.corrupt-.+\.json$/);
+  assert.match(corrupt[1], /^trades\.journal\.corrupt-.+\.jsonl$/);
+  assert.equal(fs.readFileSync(path.join(dir, corrupt[0]), 'utf8'), '{"schemaVersion": 2, "trades": [{"id": "lost"');
+  assert.equal(readJournal(path.join(dir, corrupt[1]))[0].trade.id, 'x');
+  // The fresh snapshot is valid and the old journal is not replayed into it.
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).trades, []);
+  await ledger.close();
+});
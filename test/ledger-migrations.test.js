@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { CURRENT_SCHEMA_VERSION, detectSchemaVersion, migrateLedger, mergeLedgers } from '../src/paper_trading/ledgerMigrations.js';
+import { createLedger } from '../src/paper_trading/ledger.js';
+
+// Shapes taken from paper_trading/trades.legacy-backup-*.json
+const legacy = () => ({
+  trades: [
+    { id: 'spot', side: 'DOWN', entryPrice: 78360.6, contractSize: 100, status: 'CLOSED', exitPrice: 78649.7, pnl: -0.37, entryPhase: 'MID', exitReason: 'End of Candle' },
+    { id: 'mixed', side: 'UP', entryPrice: 78942.1, contractSize: 100, status: 'CLOSED', exitPrice: 0.0058, pnl: -100, entryPhase: 'EARLY' },
+    { id: 'poly', side: 'UP', entryPrice: 0.004, contractSize: 100, status: 'CLOSED', exitPrice: 0.005, pnl: 25 },
+    { id: 'open', side: 'UP', entryPrice: 0.0045, shares: 22222.2, contractSize: 100, status: 'OPEN', pnl: 0, entryPhase: 'EARLY' }
+  ],
+  summary: { totalTrades: 4 }
+});
+
+test('legacy ledgers migrate step by step without touching recorded prices or pnl', () => {
+  const input = legacy();
+  assert.equal(detectSchemaVersion(input), 1);
+  const { ledger, from, to, steps } = migrateLedger(input);
+
+  assert.equal(from, 1);
+  assert.equal(to, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(steps.map((s) => [s.from, s.to]), [[1, 2], [2, 3]]);
+  assert.equal(ledger.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(ledger.orders, []);
+
+  const byId = Object.fromEntries(ledger.trades.map((t) => [t.id, t]));
+  assert.equal(byId.spot.instrument, 'BTC_SPOT');
+  assert.equal(byId.spot.shares, null);
+  assert.equal(byId.spot.pnl, -0.37);
+  assert.equal(byId.poly.instrument, 'POLY');
+  assert.equal(byId.poly.shares, 25000);
+  assert.equal(byId.poly.fees, 0);
+  assert.equal(byId.poly.entryPhase, null);
+  assert.equal(byId.poly.modelProbAtEntry, null);
+  assert.equal(byId.open.shares, 22222.2);
+  assert.equal(byId.open.exitFee, null);
+  assert.deepEqual(byId.mixed.dataIssues, ['spot entry price with a contract exit price']);
+  assert.deepEqual(steps[0].issues, [{ id: 'mixed', issue: 'spot entry price with a contract exit price' }]);
+  assert.equal(steps[0].changes['instrument=POLY'], 2);
+
+  // Dry run: the input is untouched, and a migrated ledger has nothing left to do.
+  assert.equal(input.trades[2].instrument, undefined);
+  assert.equal(migrateLedger(ledger).steps.length, 0);
+  assert.throws(() => migrateLedger({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, trades: [] }), /newer/);
+});
+
+test('mergeLedgers adds closed trades once and leaves open ones out', () => {
+  const source = migrateLedger(legacy()).ledger;
+  const target = { schemaVersion: CURRENT_SCHEMA_VERSION, trades: [{ id: 'poly', status: 'CLOSED', pnl: 1 }], orders: [] };
+  const { ledger, report } = mergeLedgers(target, source, { importedFrom: 'backup.json' });
+
+  assert.equal(report.added, 2);
+  assert.deepEqual(report.duplicates, ['poly']);
+  assert.deepEqual(report.skippedOpen, ['open']);
+  assert.deepEqual(ledger.trades.map((t) => t.id).sort(), ['mixed', 'poly', 'spot']);
+  assert.equal(ledger.trades.find((t) => t.id === 'poly').pnl, 1);
+  assert.equal(ledger.trades.find((t) => t.id === 'spot').importedFrom, 'backup.json');
+  assert.equal(target.trades.length, 1);
+});
+
+test('mergeLedgers keeps distinct id-less trades and skips repeats of the same entry', () => {
+  const trade = (entryTime, side, pnl) => ({ entryTime, marketSlug: 'btc-15m-1', side, entryPrice: 0.5, contractSize: 10, status: 'CLOSED', pnl });
+  const target = { schemaVersion: CURRENT_SCHEMA_VERSION, trades: [trade('2024-01-01T00:00:00.000Z', 'UP', 1)], orders: [] };
+  const source = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    trades: [
+      trade('2024-01-01T00:00:00.000Z', 'UP', 1),
+      trade('2024-01-01T00:00:00.000Z', 'DOWN', -1),
+      trade('2024-01-01T00:05:00.000Z', 'UP', 2),
+      trade('2024-01-01T00:05:00.000Z', 'UP', 2)
+    ],
+    orders: []
+  };
+  const { ledger, report } = mergeLedgers(target, source);
+
+  assert.equal(report.added, 2);
+  assert.deepEqual(report.duplicates, [null, null]);
+  assert.deepEqual(ledger.trades.map((t) => [t.entryTime.slice(11, 16), t.side]), [['00:00', 'UP'], ['00:00', 'DOWN'], ['00:05', 'UP']]);
+});
+
+test('the ledger upgrades an old file on startup', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-')), 'trades.json');
+  fs.writeFileSync(filePath, JSON.stringify({ trades: [{ id: 'a', instrument: 'POLY', entryPrice: 0.5, contractSize: 10, status: 'CLOSED', pnl: 2 }], summary: {} }));
+
+  const ledger = createLedger({ filePath });
+  await ledger.initialize();
+  await ledger.close();
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(saved.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(saved.trades[0].shares, 20);
+  assert.equal(saved.summary.wins, 1);
+});
+
+test('ledger import writes to the analysis ledger and leaves the live trades.json alone', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-'));
+  fs.mkdirSync(path.join(cwd, 'paper_trading'));
+  const live = JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, trades: [], orders: [], journalSeq: 0, summary: {} });
+  fs.writeFileSync(path.join(cwd, 'paper_trading', 'trades.json'), live);
+  fs.writeFileSync(path.join(cwd, 'backup.json'), JSON.stringify(legacy()));
+
+  const cli = fileURLToPath(new URL('../src/paper_trading/ledgerCli.js', import.meta.url));
+  execFileSync(process.execPath, [cli, 'import', 'backup.json'], { cwd, stdio: 'pipe' });
+
+  assert.equal(fs.readFileSync(path.join(cwd, 'paper_trading', 'trades.json'), 'utf8'), live);
+  const imported = JSON.parse(fs.readFileSync(path.join(cwd, 'paper_trading', 'imported.json'), 'utf8'));
+  assert.deepEqual(imported.trades.map((t) => t.id).sort(), ['mixed', 'poly', 'spot']);
+  assert.ok(imported.trades.every((t) => t.importedFrom === 'backup.json'));
+});
@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { passiveLimitPrice, checkLimitFill, limitOrderExpiry } from '../src/paper_trading/limitOrders.js';
+import { computeAnalytics } from '../src/analytics/tradeAnalytics.js';
+
+test('passive bids rest inside the spread on the tick grid and never cross', () => {
+  const opts = { offset: 0.01, tick: 0.01 };
+  assert.equal(passiveLimitPrice({ bid: 0.4, ask: 0.44 }, opts), 0.41);
+  assert.equal(passiveLimitPrice({ bid: 0.4, ask: 0.44 }, { ...opts, offset: 0.05 }), 0.43);
+  // One-tick spread: join the bid.
+  assert.equal(passiveLimitPrice({ bid: 0.4, ask: 0.41 }, opts), 0.4);
+  assert.equal(passiveLimitPrice({ bid: 0.4, ask: null }, opts), null);
+});
+
+test('limit orders fill when the ask or a later print moves through the price, and expire', () => {
+  const order = { price: 0.41, placedAtMs: 1_000, checkedAtMs: 5_000 };
+  assert.equal(checkLimitFill(order, { quote: { ask: 0.43 } }), null);
+  assert.deepEqual(checkLimitFill(order, { quote: { ask: 0.41 } }), { via: 'book', at: 0.41 });
+
+  const trades = [{ price: 0.39, timeMs: 4_000 }, { price: 0.41, timeMs: 6_000 }];
+  assert.equal(checkLimitFill(order, { quote: { ask: 0.43 }, book: { trades } }), null);
+  trades.push({ price: 0.4, timeMs: 7_000 });
+  assert.deepEqual(checkLimitFill(order, { quote: { ask: 0.43 }, book: { trades } }), { via: 'print', at: 0.4 });
+  // A resting ask fills from the other side.
+  assert.deepEqual(checkLimitFill({ ...order, side: 'SELL', price: 0.45 }, { quote: { bid: 0.45, ask: 0.47 } }), { via: 'book', at: 0.45 });
+  assert.deepEqual(checkLimitFill({ ...order, side: 'SELL', price: 0.39 }, { quote: { bid: 0.3 }, book: { trades } }), { via: 'print', at: 0.41 });
+
+  const limits = { ttlSeconds: 30, cancelMinutesLeft: 1 };
+  assert.equal(limitOrderExpiry(order, { nowMs: 20_000, timeLeftMin: 5 }, limits), null);
+  assert.equal(limitOrderExpiry(order, { nowMs: 31_000, timeLeftMin: 5 }, limits), 'TTL 30s');
+  assert.equal(limitOrderExpiry(order, { nowMs: 20_000, timeLeftMin: 0.5 }, limits), '<1m left');
+});
+
+test('Trader rests, replaces, fills and expires passive entries and logs them in the ledger', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-'));
+  const { configureLedger, initializeLedger, getLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { RiskManager } = await import('../src/paper_trading/riskManager.js');
+  const { CONFIG } = await import('../src/config.js');
+  configureLedger({ filePath: path.join(tmp, 'trades.json') });
+  await initializeLedger();
+
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    recGating: 'loose',
+    minCandlesForEntry: 1,
+    minPolyPrice: 0.01,
+    maxPolyPrice: 0.99,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0,
+    contractSize: 100,
+    stakePct: 0,
+    minTradeUsd: 0,
+    weekdaysOnly: false,
+    entryOrderType: 'limit',
+    limitOffset: 0.01,
+    limitTick: 0.01,
+    limitTtlSeconds: 30,
+    limitCancelMinutesLeft: 1,
+    markoutSeconds: 60
+  });
+
+  const clock = { ms: Date.parse('2026-10-19T18:00:00Z') };
+  const now = () => clock.ms;
+  const t = new Trader({ now, riskManager: new RiskManager({ now, stateFile: null }) });
+  await t.initialize();
+
+  const signals = (up, modelUp = 0.7) => ({
+    rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+    timeLeftMin: 10,
+    market: { slug: 'm1', liquidityNum: 100000 },
+    polyMarketSnapshot: { orderbook: { up, down: { bestBid: 0.3, bestAsk: 0.34, spread: 0.04 } } },
+    polyPrices: { UP: up.bestAsk, DOWN: 0.34 },
+    modelUp,
+    modelDown: 1 - modelUp,
+    indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+  });
+  const tick = async (s, seconds = 5) => { clock.ms += seconds * 1000; await t.processSignals(s, [{ close: 100 }]); };
+
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }));
+  assert.ok(!t.openTrade);
+  assert.equal(t.pendingOrder.price, 0.51);
+
+  // Same book: keep resting. Bid moves up: replace.
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }));
+  const first = t.pendingOrder.id;
+  await tick(signals({ bestBid: 0.52, bestAsk: 0.56, spread: 0.04 }));
+  assert.equal(t.pendingOrder.price, 0.53);
+  assert.notEqual(t.pendingOrder.id, first);
+
+  // The ask comes down through our bid: filled at our price, maker fee (none by default).
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.52, spread: 0.02 }));
+  assert.ok(t.openTrade);
+  assert.equal(t.pendingOrder, null);
+  assert.equal(t.openTrade.entryPrice, 0.53);
+  assert.equal(t.openTrade.entryOrderType, 'limit');
+  assert.equal(t.openTrade.fillVia, 'book');
+  assert.equal(t.openTrade.entryFee, 0);
+
+  // Markout a minute later: the mid went from 0.51 at the fill to 0.49.
+  await tick(signals({ bestBid: 0.48, bestAsk: 0.5, spread: 0.02 }), 60);
+  assert.equal(t.openTrade.markoutMid, 0.49);
+
+  const events = getLedger().orders.map((e) => e.event);
+  assert.deepEqual(events, ['placed', 'replaced', 'placed', 'filled']);
+
+  const { entryOrders } = computeAnalytics(getLedger().trades, { orders: getLedger().orders });
+  assert.equal(entryOrders.passive.fillRate, 1);
+  assert.equal(entryOrders.passive.replaced, 1);
+  assert.ok(Math.abs(entryOrders.passive.adverseSelection - 0.02) < 1e-9);
+  assert.ok(Math.abs(entryOrders.passive.avgMarkout + 0.04) < 1e-9);
+  assert.equal(entryOrders.aggressive.trades, 0);
+
+  // With no trade open, an untouched order expires after its TTL and is re-posted while the signal holds.
+  t.openTrade = null;
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }));
+  const resting = t.pendingOrder.id;
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }), 31);
+  assert.deepEqual(getLedger().orders.slice(-2).map((e) => [e.orderId === resting, e.event]), [[true, 'expired'], [false, 'placed']]);
+
+  // The model flips: cancel/replace on the other side. Then the signal fades: the order is pulled.
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }, 0.3));
+  assert.equal(t.pendingOrder.side, 'DOWN');
+  assert.equal(t.pendingOrder.price, 0.31);
+  assert.equal(getLedger().orders.at(-2).event, 'replaced');
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }, 0.52));
+  assert.equal(t.pendingOrder, null);
+  assert.equal(getLedger().orders.at(-1).event, 'cancelled');
+
+  // An entry blocker pulls the resting bid before the book is checked: the ask crossing it doesn't fill.
+  await tick(signals({ bestBid: 0.5, bestAsk: 0.56, spread: 0.06 }));
+  assert.equal(t.pendingOrder.price, 0.51);
+  CONFIG.paperTrading.blockOnPriceDivergence = true;
+  await tick({ ...signals({ bestBid: 0.48, bestAsk: 0.5, spread: 0.02 }), priceConsensus: { divergent: true, divergentSources: ['kraken'], divergenceBps: 25 } });
+  assert.equal(t.openTrade, null);
+  assert.equal(t.pendingOrder, null);
+  assert.deepEqual(getLedger().orders.slice(-1).map((e) => [e.event, e.reason]), [['cancelled', 'Entry blocked']]);
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { CONFIG } from '../src/config.js';
+import { resolveAccountSpecs, initializeAccounts, getAccount, DEFAULT_ACCOUNT } from '../src/paper_trading/accounts.js';
+import { getTraderInstance } from '../src/paper_trading/trader.js';
+import { computeLeaderboard } from '../src/analytics/tradeAnalytics.js';
+
+test('resolveAccountSpecs puts default first and gives the others their own files', () => {
+  const specs = resolveAccountSpecs([{ name: 'tight', paperTrading: { minProbEarly: 0.7 } }], { dir: 'acc' });
+  assert.deepEqual(specs.map((s) => s.name), [DEFAULT_ACCOUNT, 'tight']);
+  assert.equal(specs[0].ledgerFile, null);
+  assert.equal(specs[1].ledgerFile, path.join('acc', 'tight', 'trades.json'));
+  assert.equal(specs[1].riskStateFile, path.join('acc', 'tight', 'risk_state.json'));
+  assert.equal(specs[1].equityFile, path.join('acc', 'tight', 'equity.jsonl'));
+  assert.deepEqual(specs[1].paperTrading, { minProbEarly: 0.7 });
+
+  assert.throws(() => resolveAccountSpecs([{ name: '../x' }]), /Invalid paper account name/);
+  assert.throws(() => resolveAccountSpecs([{ name: 'a' }, { name: 'a' }]), /Duplicate/);
+  assert.throws(() => resolveAccountSpecs([{ name: 'default' }]), /Duplicate/);
+});
+
+test('accounts trade the same signals under their own overrides and ledgers', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-'));
+  process.chdir(tmp);
+
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    recGating: 'loose',
+    noEntryFinalMinutes: 2,
+    minCandlesForEntry: 1,
+    minPolyPrice: 0.002,
+    maxPolyPrice: 0.98,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0
+  });
+
+  const specs = resolveAccountSpecs([{ name: 'strict', paperTrading: { minProbEarly: 0.8 } }], { dir: path.join(tmp, 'accounts') });
+  const accounts = await initializeAccounts({ specs });
+  assert.equal(getTraderInstance(), getAccount(DEFAULT_ACCOUNT).trader);
+
+  const signals = {
+    rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+    timeLeftMin: 10,
+    market: { slug: 'acct-1', liquidityNum: 100000 },
+    polyMarketSnapshot: { orderbook: { up: { spread: 0.01 }, down: { spread: 0.01 } } },
+    polyPrices: { UP: 0.01, DOWN: 0.02 },
+    modelUp: 0.7,
+    modelDown: 0.3,
+    indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+  };
+  for (const account of accounts) {
+    await account.run(async (trader) => {
+      await trader.processSignals(signals, [{ close: 100 }]);
+      // Mid-tick (the live loop awaits a resolution fetch here) nothing global carries this account's settings.
+      assert.equal(CONFIG.paperTrading.minProbEarly, 0.5);
+      assert.equal(getAccount(DEFAULT_ACCOUNT).config().minProbEarly, 0.5);
+    });
+  }
+
+  const main = getAccount(DEFAULT_ACCOUNT);
+  const strict = getAccount('strict');
+  assert.equal(main.trader.openTrade?.side, 'UP');
+  assert.ok(!strict.trader.openTrade);
+  assert.equal(main.ledger.get().trades.length, 1);
+  assert.equal(strict.ledger.get().trades.length, 0);
+  assert.ok(fs.existsSync(path.join(tmp, 'accounts', 'strict', 'trades.json')));
+
+  // Overrides live on the account's own settings object, which its trader reads.
+  assert.equal(CONFIG.paperTrading.minProbEarly, 0.5);
+  assert.equal(strict.config().minProbEarly, 0.8);
+  assert.equal(strict.trader.config, strict.config());
+  assert.equal(main.trader.config, CONFIG.paperTrading);
+  assert.equal(getAccount('nope'), null);
+});
+
+test('computeLeaderboard ranks accounts by net PnL and tracks drawdown', () => {
+  const closed = (pnl, exitTime, fees = 0) => ({ status: 'CLOSED', pnl, fees, exitTime });
+  const rows = computeLeaderboard([
+    { name: 'a', startingBalance: 100, trades: [closed(10, '2026-01-01T00:01:00Z'), closed(-20, '2026-01-01T00:02:00Z'), closed(5, '2026-01-01T00:03:00Z')] },
+    { name: 'b', startingBalance: 100, trades: [closed(4, '2026-01-01T00:01:00Z', 1), { status: 'OPEN', pnl: 0 }] }
+  ]);
+
+  assert.deepEqual(rows.map((r) => [r.rank, r.name]), [[1, 'b'], [2, 'a']]);
+  const [b, a] = rows;
+  assert.equal(b.netPnL, 3);
+  assert.equal(b.openTrades, 1);
+  assert.equal(b.returnPct, 0.03);
+  assert.equal(a.netPnL, -5);
+  assert.equal(a.wins, 2);
+  assert.equal(a.maxDrawdown, 20);
+  assert.ok(Math.abs(a.maxDrawdownPct - 20 / 110) < 1e-12);
+  assert.equal(a.profitFactor, 15 / 20);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyClobMarketMessage, toRestBook } from '../src/data/polymarketClobWs.js';
+import { summarizeOrderBook } from '../src/data/polymarket.js';
+
+test('CLOB book snapshot + deltas keep the same summary shape as REST /book', () => {
+  const books = new Map();
+
+  // Deltas before a snapshot are ignored.
+  assert.deepEqual(applyClobMarketMessage(books, {
+    event_type: 'price_change',
+    price_changes: [{ asset_id: 'up', price: '0.50', size: '10', side: 'BUY' }]
+  }), []);
+
+  applyClobMarketMessage(books, {
+    event_type: 'book',
+    asset_id: 'up',
+    bids: [{ price: '0.48', size: '100' }, { price: '0.49', size: '50' }],
+    asks: [{ price: '0.52', size: '80' }, { price: '0.51', size: '40' }],
+    timestamp: '1700000000000'
+  });
+
+  // Current format: new best bid, remove the 0.51 ask.
+  const touched = applyClobMarketMessage(books, {
+    event_type: 'price_change',
+    timestamp: '1700000001000',
+    price_changes: [
+      { asset_id: 'up', price: '0.50', size: '25', side: 'BUY' },
+      { asset_id: 'up', price: '0.51', size: '0', side: 'SELL' }
+    ]
+  });
+  assert.deepEqual(touched, ['up']);
+
+  // Legacy format.
+  applyClobMarketMessage(books, {
+    event_type: 'price_change',
+    asset_id: 'up',
+    changes: [{ price: '0.53', size: '5', side: 'SELL' }]
+  });
+
+  const rest = toRestBook(books.get('up'), 'up');
+  assert.deepEqual(rest.bids.map((l) => l.price), ['0.48', '0.49', '0.5']);
+  assert.deepEqual(rest.asks.map((l) => l.price), ['0.53', '0.52']);
+
+  const summary = summarizeOrderBook(rest);
+  assert.equal(summary.bestBid, 0.5);
+  assert.equal(summary.bestAsk, 0.52);
+  assert.ok(Math.abs(summary.spread - 0.02) < 1e-12);
+  assert.equal(summary.bidLiquidity, 175);
+  assert.equal(summary.askLiquidity, 85);
+});
+
+test('snapshot and delta prices spelled differently address the same level', () => {
+  const books = new Map();
+  applyClobMarketMessage(books, {
+    event_type: 'book',
+    asset_id: 'up',
+    bids: [{ price: '0.5', size: '100' }, { price: '0.49', size: '50' }],
+    asks: [{ price: '0.52', size: '80' }]
+  });
+
+  applyClobMarketMessage(books, {
+    event_type: 'price_change',
+    price_changes: [
+      { asset_id: 'up', price: '0.50', size: '0', side: 'BUY' },
+      { asset_id: 'up', price: '.520', size: '30', side: 'SELL' }
+    ]
+  });
+
+  const rest = toRestBook(books.get('up'), 'up');
+  assert.deepEqual(rest.bids, [{ price: '0.49', size: '50' }]);
+  assert.deepEqual(rest.asks, [{ price: '0.52', size: '30' }]);
+  assert.equal(summarizeOrderBook(rest).bestBid, 0.49);
+});
+
+test('last_trade_price prints are kept per asset and exposed on the REST-shaped book', () => {
+  const books = new Map();
+  applyClobMarketMessage(books, { event_type: 'book', asset_id: 'up', bids: [{ price: '0.48', size: '10' }], asks: [{ price: '0.52', size: '10' }] });
+  assert.deepEqual(applyClobMarketMessage(books, { event_type: 'last_trade_price', asset_id: 'up', price: '0.47', size: '12', side: 'SELL', timestamp: '1700000002000' }), ['up']);
+  assert.deepEqual(toRestBook(books.get('up'), 'up').trades, [{ price: 0.47, size: 12, side: 'SELL', timeMs: 1700000002000 }]);
+});
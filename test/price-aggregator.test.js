@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { consensusPrice, createPriceAggregator } from '../src/data/priceAggregator.js';
+
+test('consensusPrice supports median and trimmed mean', () => {
+  assert.equal(consensusPrice([100, 101, 130]), 101);
+  assert.equal(consensusPrice([100, 102]), 101);
+  // Trimmed mean drops the extremes: mean(101, 102, 103)
+  assert.equal(consensusPrice([90, 101, 102, 103, 150], { method: 'trimmed_mean', trimPct: 0.2 }), 102);
+  assert.equal(consensusPrice([]), null);
+});
+
+test('aggregator flags stale and divergent feeds against the consensus', () => {
+  let t = 1_000_000;
+  const agg = createPriceAggregator({
+    sources: ['chainlink_ws', 'polymarket_ws', 'kraken_ws', 'kraken_rest'],
+    method: 'median',
+    staleMs: 30_000,
+    divergenceBps: 20,
+    minSources: 1,
+    now: () => t
+  });
+
+  agg.update('kraken_rest', { price: 90_000, ts: t - 120_000 }); // old tick -> stale, ignored
+  agg.update('chainlink_ws', { price: 100_000, ts: t - 1_000 });
+  agg.update('polymarket_ws', { price: 100_010, ts: t - 500 });
+  agg.update('kraken_ws', { price: 100_500, ts: t });
+  agg.update('unknown_feed', { price: 1 });
+
+  const snap = agg.snapshot();
+  assert.equal(snap.freshSources, 3);
+  assert.equal(snap.price, 100_010);
+  assert.equal(snap.divergent, true);
+  assert.deepEqual(snap.divergentSources, ['kraken_ws']);
+
+  const byName = Object.fromEntries(snap.sources.map((s) => [s.source, s]));
+  assert.equal(byName.kraken_rest.stale, true);
+  assert.equal(byName.kraken_rest.divergent, false);
+  assert.equal(byName.chainlink_ws.divergent, false);
+  assert.ok(Math.abs(byName.kraken_ws.deviationBps - (490 / 100_010) * 10_000) < 1e-9);
+
+  t += 60_000; // everything ages out
+  const later = agg.snapshot();
+  assert.equal(later.price, null);
+  assert.equal(later.divergent, false);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createPriceToBeatTracker, windowStartMsForMarket } from '../src/data/priceToBeat.js';
+
+const START = Date.parse('2026-10-19T14:00:00Z');
+
+function tmpFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-ptb-')), 'price_to_beat.json');
+}
+
+test('windowStartMsForMarket prefers eventStartTime and falls back to endDate - window', () => {
+  assert.equal(windowStartMsForMarket({ eventStartTime: '2026-10-19T14:00:00Z', endDate: '2026-10-19T14:15:00Z' }), START);
+  assert.equal(windowStartMsForMarket({ endDate: '2026-10-19T14:15:00Z' }, 15), START);
+  assert.equal(windowStartMsForMarket({}), null);
+});
+
+test('live capture records the round that straddles the window start and persists it', () => {
+  const filePath = tmpFile();
+  let t = START - 30_000;
+  const tracker = createPriceToBeatTracker({ filePath, now: () => t, fetchRoundAt: async () => assert.fail('no history needed') });
+
+  tracker.observe({ price: 100_000, updatedAt: START - 20_000, roundId: '1' });
+  assert.equal(tracker.update({ slug: 'w1', startMs: START }), null); // window not open yet
+
+  t = START + 5_000;
+  const provisional = tracker.update({ slug: 'w1', startMs: START });
+  assert.equal(provisional.price, 100_000);
+  assert.equal(provisional.final, false);
+
+  tracker.observe({ price: 100_050, updatedAt: START + 10_000, roundId: '2' });
+  const final = tracker.get('w1');
+  assert.equal(final.price, 100_000);
+  assert.equal(final.roundId, '1');
+  assert.equal(final.final, true);
+  assert.equal(final.nextUpdatedAt, START + 10_000);
+
+  const reloaded = createPriceToBeatTracker({ filePath, now: () => t });
+  assert.equal(reloaded.get('w1').price, 100_000);
+});
+
+test('late start recovers the opening round from getRoundData history', async () => {
+  const t = START + 7 * 60_000;
+  const calls = [];
+  const tracker = createPriceToBeatTracker({
+    filePath: tmpFile(),
+    now: () => t,
+    fetchRoundAt: async (targetMs) => {
+      calls.push(targetMs);
+      return { price: 99_990, roundId: '42', updatedAt: START - 3_000, next: { price: 100_020, roundId: '43', updatedAt: START + 40_000 } };
+    }
+  });
+
+  tracker.observe({ price: 100_100, updatedAt: START + 6 * 60_000, roundId: '50' });
+  assert.equal(tracker.update({ slug: 'w2', startMs: START }), null);
+  await tracker.whenIdle();
+
+  assert.deepEqual(calls, [START]);
+  const entry = tracker.update({ slug: 'w2', startMs: START });
+  assert.equal(entry.price, 99_990);
+  assert.equal(entry.source, 'chainlink_history');
+  assert.equal(entry.final, true);
+});
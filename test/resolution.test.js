@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { parseResolvedOutcome, createResolutionTracker } from '../src/paper_trading/resolution.js';
+import { computeAnalytics, holdToExpiryPnl } from '../src/analytics/tradeAnalytics.js';
+
+test('parseResolvedOutcome only reports a winner once prices settle to 1/0 on a closed market', () => {
+  const live = { outcomes: '["Up","Down"]', outcomePrices: '["0.62","0.38"]', closed: false };
+  assert.equal(parseResolvedOutcome(live).resolved, false);
+
+  const settledButOpen = { outcomes: '["Up","Down"]', outcomePrices: '["1","0"]', closed: false };
+  assert.equal(parseResolvedOutcome(settledButOpen).resolved, false);
+
+  const resolved = { outcomes: ['Up', 'Down'], outcomePrices: ['0', '1'], closed: true, umaResolutionStatus: 'resolved' };
+  assert.deepEqual(parseResolvedOutcome(resolved), { resolved: true, winner: 'DOWN', umaResolutionStatus: 'resolved', closed: true });
+});
+
+test('hold-to-expiry trades go PENDING_RESOLUTION on rollover and settle at $1/$0', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-'));
+  process.chdir(tmp);
+  fs.mkdirSync('paper_trading', { recursive: true });
+
+  const { initializeLedger, getLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { CONFIG } = await import('../src/config.js');
+  await initializeLedger();
+
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    exitMode: 'hold',
+    recGating: 'loose',
+    weekdaysOnly: false,
+    minCandlesForEntry: 1,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0
+  });
+
+  let polls = 0;
+  const resolutionTracker = createResolutionTracker({
+    pollMs: 0,
+    fetchMarket: async () => {
+      polls += 1;
+      return { outcomes: '["Up","Down"]', outcomePrices: '["1","0"]', closed: true, umaResolutionStatus: 'resolved' };
+    }
+  });
+
+  const t = new Trader({ resolutionTracker });
+  await t.initialize();
+
+  const signals = {
+    rec: { action: 'ENTER', side: 'UP', phase: 'EARLY', edge: 0.2 },
+    timeLeftMin: 10,
+    market: { slug: 'm1' },
+    polyMarketSnapshot: { orderbook: { up: { spread: 0.01 }, down: { spread: 0.01 } } },
+    polyPrices: { UP: 0.5, DOWN: 0.5 },
+    modelUp: 0.7,
+    modelDown: 0.3,
+    indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1 }, heikenColor: 'green', heikenCount: 3 }
+  };
+  const klines1m = [{ close: 100 }];
+
+  await t.processSignals(signals, klines1m);
+  assert.ok(t.openTrade);
+
+  // Final seconds: no "End of Candle" exit when holding.
+  await t.processSignals({ ...signals, timeLeftMin: 0.2 }, klines1m);
+  assert.equal(t.openTrade?.status, 'OPEN');
+
+  // Next market: the old position waits for settlement.
+  await t.processSignals({ ...signals, rec: { action: 'NO_TRADE' }, market: { slug: 'm2' } }, klines1m);
+  assert.equal(t.openTrade, null);
+  assert.equal(getLedger().trades[0].status, 'PENDING_RESOLUTION');
+
+  await t.checkResolutions();
+  const settled = getLedger().trades[0];
+  assert.equal(polls, 1);
+  assert.equal(settled.status, 'CLOSED');
+  assert.equal(settled.exitReason, 'Resolution');
+  assert.equal(settled.exitPrice, 1);
+  assert.equal(settled.resolvedOutcome, 'UP');
+  assert.equal(settled.pnl, 100);
+  assert.equal(settled.holdToExpiryPnl, 100);
+});
+
+test('hold-to-expiry PnL counts shares sold on partial exits as held', () => {
+  // 40 shares at 25c: 20 sold at 60c, the other 20 at 70c, then the market resolved UP.
+  const partial = {
+    status: 'CLOSED', side: 'UP', entryPrice: 0.25, contractSize: 10, shares: 40, sharesOpen: 0, pnl: 16, fees: 0,
+    exitFills: [{ shares: 20, avgFillPrice: 0.6, proceeds: 12 }], exitPrice: 0.7, exitTime: '2024-01-01T00:00:00.000Z',
+    resolvedOutcome: 'UP', holdToExpiryPnl: 10
+  };
+  const lost = { status: 'CLOSED', side: 'DOWN', entryPrice: 0.5, contractSize: 10, shares: 20, pnl: -2, fees: 0, exitTime: '2024-01-01T00:05:00.000Z', resolvedOutcome: 'UP' };
+  const unresolved = { status: 'CLOSED', side: 'UP', entryPrice: 0.5, contractSize: 10, shares: 20, pnl: 1, fees: 0, exitTime: '2024-01-01T00:10:00.000Z' };
+
+  assert.equal(holdToExpiryPnl(partial), 30);
+  assert.equal(holdToExpiryPnl(lost), -10);
+  assert.equal(holdToExpiryPnl(unresolved), null);
+  assert.deepEqual(computeAnalytics([partial, lost, unresolved]).holdVsExit, { trades: 2, realizedPnL: 14, holdToExpiryPnL: 20, difference: 6 });
+});
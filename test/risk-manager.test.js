@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { RiskManager } from '../src/paper_trading/riskManager.js';
+import { CONFIG } from '../src/config.js';
+
+const limits = { maxDailyLossUsd: 50, maxConsecutiveLosses: 3, lossCooldownMinutes: 30, maxDrawdownPct: 0.1, maxTradesPerHour: 3 };
+const NOW = Date.parse('2026-10-19T18:00:00Z'); // 11:00 in Los Angeles
+
+function closed(minutesAgo, pnl, fees = 0) {
+  const exit = NOW - minutesAgo * 60_000;
+  return { status: 'CLOSED', entryTime: new Date(exit - 5 * 60_000).toISOString(), exitTime: new Date(exit).toISOString(), pnl, fees };
+}
+
+const names = (r) => r.blockers.map((b) => b.name);
+
+test('daily loss counts only today in the trading time zone, net of fees', () => {
+  CONFIG.paperTrading.timeZone = 'America/Los_Angeles';
+  const risk = new RiskManager({ limits: { ...limits, maxConsecutiveLosses: 0, maxDrawdownPct: 0, maxTradesPerHour: 0 }, stateFile: null, now: () => NOW });
+  // 12h ago is 23:00 yesterday in LA.
+  assert.deepEqual(names(risk.check([closed(12 * 60, -200), closed(120, -45)])), []);
+  const r = risk.check([closed(12 * 60, -200), closed(120, -45, 5)]);
+  assert.deepEqual(names(r), ['daily_loss']);
+  assert.match(r.blockers[0].message, /^Daily loss limit: \$50\.00/);
+});
+
+test('losing streak pauses entries for the cool-down after the last loss', () => {
+  const at = { now: NOW };
+  const risk = new RiskManager({ limits: { ...limits, maxDailyLossUsd: 0, maxDrawdownPct: 0, maxTradesPerHour: 0 }, stateFile: null, now: () => at.now });
+  const trades = [closed(300, 5), closed(200, -1), closed(150, -1), closed(10, -1)];
+  const r = risk.check(trades);
+  assert.deepEqual(names(r), ['losing_streak']);
+  assert.equal(r.stats.losingStreak, 3);
+  at.now = NOW + 21 * 60_000;
+  assert.deepEqual(names(risk.check(trades)), []);
+  assert.deepEqual(names(risk.check([...trades, closed(-20, 2)])), []);
+});
+
+test('drawdown halt persists until a manual reset, which restarts the peak', () => {
+  const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-')), 'risk_state.json');
+  CONFIG.paperTrading.startingBalance = 1000;
+  const opts = { limits: { ...limits, maxDailyLossUsd: 0, maxConsecutiveLosses: 0, maxTradesPerHour: 0 }, stateFile, now: () => NOW };
+  const trades = [closed(600, 200), closed(500, -130)]; // peak 1200 -> 1070 (10.8%)
+  const risk = new RiskManager(opts);
+  assert.deepEqual(names(risk.check(trades)), ['drawdown_halt']);
+
+  // A winner doesn't lift the halt, and neither does a restart.
+  const reloaded = new RiskManager(opts);
+  assert.deepEqual(names(reloaded.check([...trades, closed(400, 100)])), ['drawdown_halt']);
+
+  reloaded.reset();
+  const after = reloaded.check(trades);
+  assert.deepEqual(names(after), []);
+  assert.equal(after.stats.peakEquity, 1070);
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).halted, false);
+});
+
+test('trade rate counts entries in the trailing hour', () => {
+  const risk = new RiskManager({ limits: { ...limits, maxDailyLossUsd: 0, maxConsecutiveLosses: 0, maxDrawdownPct: 0 }, stateFile: null, now: () => NOW });
+  const open = { status: 'OPEN', entryTime: new Date(NOW - 60_000).toISOString() };
+  assert.deepEqual(names(risk.check([closed(90, 1), closed(40, 1), open])), []);
+  assert.deepEqual(names(risk.check([closed(50, 1), closed(40, 1), open])), ['trade_rate']);
+});
+
+test('risk limits set to 0 in the environment stay 0 (off)', () => {
+  const read = (env) => JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e',
+    "import { CONFIG } from './src/config.js'; console.log(JSON.stringify(CONFIG.risk));"
+  ], { cwd: fileURLToPath(new URL('..', import.meta.url)), env: { ...process.env, ...env }, encoding: 'utf8' }));
+
+  const off = read({ RISK_MAX_DAILY_LOSS_USD: '0', RISK_MAX_CONSECUTIVE_LOSSES: '0', RISK_MAX_DRAWDOWN_PCT: '0', RISK_MAX_TRADES_PER_HOUR: '0' });
+  assert.deepEqual([off.maxDailyLossUsd, off.maxConsecutiveLosses, off.maxDrawdownPct, off.maxTradesPerHour], [0, 0, 0, 0]);
+  const defaults = read({ RISK_MAX_DAILY_LOSS_USD: '', RISK_MAX_TRADES_PER_HOUR: 'abc' });
+  assert.equal(defaults.maxDailyLossUsd, 150);
+  assert.equal(defaults.maxTradesPerHour, 6);
+
+  const risk = new RiskManager({ limits: { ...off, lossCooldownMinutes: 60 }, stateFile: null, now: () => NOW });
+  assert.deepEqual(names(risk.check([closed(10, -500), closed(5, -500)])), []);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+import { createSessionRecorder, listSessionFiles, readSessionEvents } from '../src/data/sessionJournal.js';
+
+async function collect(iter) {
+  const out = [];
+  for await (const x of iter) out.push(x);
+  return out;
+}
+
+test('recorder rotates gzip parts and the reader replays events in order', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-sessions-'));
+  const rec = createSessionRecorder({ enabled: true, dir, maxFileBytes: 200, rotateMinutes: 60 });
+
+  for (let i = 0; i < 10; i += 1) rec.record(i % 2 ? 'chainlink_ws' : 'clob_ws', { i, price: 100_000 + i });
+  await rec.close();
+
+  const files = listSessionFiles(dir);
+  assert.ok(files.length > 1, 'expected size-based rotation');
+
+  const events = await collect(readSessionEvents(dir));
+  assert.deepEqual(events.map((e) => e.seq), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(events.map((e) => e.data.i), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  for (let i = 1; i < events.length; i += 1) assert.ok(events[i].mono >= events[i - 1].mono);
+
+  const chainlink = await collect(readSessionEvents({ dir, sessionId: rec.sessionId }, { sources: ['chainlink_ws'] }));
+  assert.equal(chainlink.length, 5);
+});
+
+test('reader tolerates a truncated tail from a crash mid-write', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-sessions-'));
+  const lines = [1, 2, 3].map((seq) => JSON.stringify({ seq, mono: seq, ts: seq, source: 'x', data: null })).join('\n') + '\n';
+  const gz = zlib.gzipSync(lines);
+  const file = path.join(dir, 'session-crash-0001.jsonl.gz');
+  fs.writeFileSync(file, gz.subarray(0, gz.length - 12));
+
+  const events = await collect(readSessionEvents(file));
+  assert.ok(events.length >= 1 && events.length <= 3);
+  assert.deepEqual(events.map((e) => e.seq), [1, 2, 3].slice(0, events.length));
+});
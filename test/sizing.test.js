@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { kellyFraction } from '../src/paper_trading/sizing.js';
+import { computeAnalytics } from '../src/analytics/tradeAnalytics.js';
+
+test('Kelly fraction for a binary contract', () => {
+  assert.equal(kellyFraction({ prob: 0.6, price: 0.5 }), 0.19999999999999996);
+  assert.equal(kellyFraction({ prob: 0.5, price: 0.5 }), 0);
+  assert.ok(kellyFraction({ prob: 0.4, price: 0.5 }) < 0);
+  assert.equal(kellyFraction({ prob: 0.6, price: 1 }), null);
+  assert.equal(kellyFraction({ prob: null, price: 0.5 }), null);
+});
+
+test('kelly sizing mode scales with edge, applies multiplier and cap, and skips negative edges', async () => {
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'polybot-test-')));
+  fs.mkdirSync('paper_trading', { recursive: true });
+  const { initializeLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { CONFIG } = await import('../src/config.js');
+  await initializeLedger();
+
+  Object.assign(CONFIG.paperTrading, { sizingMode: 'kelly', kellyMultiplier: 0.5, kellyMaxFraction: 0.1, startingBalance: 1000, minTradeUsd: 0, maxTradeUsd: 10000 });
+  CONFIG.fees.enabled = false;
+  const t = new Trader();
+
+  const small = t.computeSizing({ modelProb: 0.55, price: 0.5 });
+  assert.equal(small.mode, 'kelly');
+  assert.ok(Math.abs(small.kellyFull - 0.1) < 1e-12);
+  assert.ok(Math.abs(small.kellyFraction - 0.05) < 1e-12);
+  assert.equal(small.sizeUsd, 50);
+
+  const capped = t.computeSizing({ modelProb: 0.9, price: 0.5 });
+  assert.equal(capped.kellyFraction, 0.1);
+  assert.equal(capped.sizeUsd, 100);
+
+  const none = t.computeSizing({ modelProb: 0.45, price: 0.5 });
+  assert.equal(none.sizeUsd, 0);
+  assert.ok(none.kellyFull < 0);
+
+  // Fees raise the effective price and shrink the fraction.
+  CONFIG.fees.enabled = true;
+  assert.ok(t.computeSizing({ modelProb: 0.55, price: 0.5 }).kellyFull < small.kellyFull);
+
+  CONFIG.paperTrading.sizingMode = 'flat';
+  CONFIG.paperTrading.stakePct = 0.1;
+  assert.deepEqual(t.computeSizing({ modelProb: 0.55, price: 0.5 }), { sizeUsd: 100, mode: 'flat', kellyFull: null, kellyFraction: null, stakeFraction: 0.1 });
+});
+
+test('analytics replays realized trades against flat sizing', () => {
+  const trades = [
+    { status: 'CLOSED', exitTime: '2026-01-01T00:02:00Z', pnl: -20, fees: 0, contractSize: 40 },
+    { status: 'CLOSED', exitTime: '2026-01-01T00:01:00Z', pnl: 50, fees: 0, contractSize: 50 }
+  ];
+  const { sizing } = computeAnalytics(trades, { startingBalance: 1000, flatStakePct: 0.1 });
+  assert.equal(sizing.trades, 2);
+  assert.equal(sizing.realizedFinal, 1030);
+  // +100% on 10% of 1000, then -50% on 10% of 1100.
+  assert.ok(Math.abs(sizing.flatFinal - 1045) < 1e-9);
+  assert.ok(Math.abs(sizing.flatGrowth - 0.045) < 1e-9);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getStrategy, listStrategies, registerStrategy } from '../src/strategies/index.js';
+import { evaluateSignals } from '../src/engines/pipeline.js';
+import { scoreDirection, applyTimeAwareness } from '../src/engines/probability.js';
+
+function candles(n) {
+  return Array.from({ length: n }, (_, i) => {
+    const close = 100000 + i * 5;
+    return { openTime: i * 60_000, open: close - 5, high: close + 3, low: close - 8, close, volume: 0, closeTime: (i + 1) * 60_000 };
+  });
+}
+
+const polySnapshot = { ok: true, market: { slug: 'm' }, prices: { up: 0.55, down: 0.45 } };
+
+test('indicator-vote is the default strategy and reproduces scoreDirection + time decay', () => {
+  assert.ok(listStrategies().includes('indicator-vote'));
+  assert.ok(listStrategies().includes('fair-value'));
+  assert.throws(() => getStrategy('nope'), /Unknown strategy "nope"/);
+
+  const out = evaluateSignals({ klines1m: candles(60), currentPrice: 100300, timeLeftMin: 9, polySnapshot });
+  const expected = applyTimeAwareness(scoreDirection(out.engineInputs).rawUp, 9, 15);
+  assert.equal(out.modelUp, expected.adjustedUp);
+  assert.equal(out.modelDown, expected.adjustedDown);
+  assert.deepEqual(out.signalsForTrader.strategy, { name: 'indicator-vote', version: '1.0.0' });
+});
+
+test('a registered strategy drives modelUp/modelDown/rec and is stamped on the signals', () => {
+  const seen = [];
+  registerStrategy({
+    name: 'always-up-test',
+    version: '0.1.0',
+    evaluate(ctx) {
+      seen.push(ctx);
+      return { modelUp: 0.9, modelDown: 0.1, rec: { action: 'ENTER', side: 'UP', phase: 'MID', strength: 'STRONG', edge: 0.35 } };
+    }
+  });
+
+  const out = evaluateSignals({ klines1m: candles(60), currentPrice: 100300, timeLeftMin: 9, polySnapshot, strategy: getStrategy('always-up-test') });
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].timeLeftMin, 9);
+  assert.equal(seen[0].marketUp, 0.55);
+  assert.equal(out.signalsForTrader.modelUp, 0.9);
+  assert.equal(out.rec.side, 'UP');
+  // No edge returned -> the pipeline derives it from the market quotes.
+  assert.ok(Math.abs(out.edge.edgeUp - 0.35) < 1e-12);
+  assert.deepEqual(out.signalsForTrader.strategy, { name: 'always-up-test', version: '0.1.0' });
+});
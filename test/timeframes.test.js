@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { aggregateCandles, computeHigherTimeframes } from '../src/indicators/timeframes.js';
+import { detectRegime } from '../src/engines/regime.js';
+import { scoreDirection } from '../src/engines/probability.js';
+
+const T0 = Date.parse('2026-10-19T14:00:00Z');
+
+function minutes(n, { start = T0, step = 1 } = {}) {
+  return Array.from({ length: n }, (_, i) => {
+    const close = 100000 + i * step;
+    return { openTime: start + i * 60_000, open: close - step, high: close + 2, low: close - step - 2, close, volume: 1, closeTime: start + (i + 1) * 60_000 };
+  });
+}
+
+test('aggregateCandles builds UTC-aligned OHLCV buckets and flags the forming one', () => {
+  // Start mid-bucket (14:03) so the first 5m candle is short.
+  const m = minutes(9, { start: T0 + 3 * 60_000 });
+  const five = aggregateCandles(m, 5);
+  assert.deepEqual(five.map((c) => new Date(c.openTime).toISOString()), ['2026-10-19T14:00:00.000Z', '2026-10-19T14:05:00.000Z', '2026-10-19T14:10:00.000Z']);
+  assert.deepEqual(five.map((c) => c.partial), [true, false, true]);
+  const mid = five[1];
+  assert.equal(mid.open, m[2].open);
+  assert.equal(mid.close, m[6].close);
+  assert.equal(mid.high, Math.max(...m.slice(2, 7).map((c) => c.high)));
+  assert.equal(mid.low, Math.min(...m.slice(2, 7).map((c) => c.low)));
+  assert.equal(mid.volume, 5);
+  assert.equal(mid.closeTime, T0 + 10 * 60_000);
+});
+
+test('higher-timeframe trend feeds regime and scoring when enabled', () => {
+  const htf = computeHigherTimeframes(minutes(240), { timeframes: [5, 15, 60] });
+  assert.deepEqual(Object.keys(htf), ['5m', '15m', '1h']);
+  assert.equal(htf['1h'].candles, 4);
+  assert.equal(htf['1h'].trend, 'UP');
+  assert.equal(htf['5m'].candles, 48);
+  assert.ok(htf['5m'].rsi !== null);
+
+  const base = { price: 101, vwap: 100, vwapSlope: 0.5, vwapCrossCount: 0, volumeRecent: null, volumeAvg: null };
+  assert.equal(detectRegime(base).regime, 'TREND_UP');
+  assert.deepEqual(detectRegime({ ...base, htfTrend: 'DOWN' }), { regime: 'RANGE', reason: 'trend_up_against_htf' });
+
+  const inputs = { price: null, vwap: null, vwapSlope: null, rsi: null, rsiSlope: null, macd: null, heikenColor: null, heikenCount: 0, failedVwapReclaim: false, htfTrend: 'UP' };
+  assert.equal(scoreDirection(inputs).rawUp, 0.5); // weight 0 = ignored
+  assert.equal(scoreDirection({ ...inputs, htfWeight: 2 }).upScore, 3);
+});
@@ -68,3 +68,220 @@ test('Trader can enter in loose rec gating by inferring side when rec.side is mi
   assert.equal(ledger.trades.length, 1);
   assert.equal(ledger.trades[0].status, 'OPEN');
 });
+
+test('Trader does not enter while the BTC reference feeds diverge', async () => {
+  const tmp = mkTmpDir();
+  const { configureLedger, initializeLedger, getLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { CONFIG } = await import('../src/config.js');
+  configureLedger({ filePath: path.join(tmp, 'trades.json') });
+  await initializeLedger();
+  CONFIG.paperTrading.blockOnPriceDivergence = true;
+
+  const t = new Trader();
+  await t.initialize();
+  await t.processSignals({
+    rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+    timeLeftMin: 10,
+    market: { slug: 'm2', liquidityNum: 100000 },
+    polyMarketSnapshot: { orderbook: { up: { spread: 0.01 }, down: { spread: 0.01 } } },
+    polyPrices: { UP: 0.01, DOWN: 0.02 },
+    modelUp: 0.7,
+    modelDown: 0.3,
+    priceConsensus: { divergent: true, divergentSources: ['kraken_ws'], divergenceBps: 25 },
+    indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+  }, [{ close: 100 }]);
+
+  assert.ok(!t.openTrade);
+  assert.equal(getLedger().trades.length, 0);
+  assert.ok(t.lastEntryStatus.blockers.some((b) => b.startsWith('Price feeds diverge')));
+});
+
+test('Trader does not enter against the higher-timeframe trend when agreement is required', async () => {
+  const tmp = mkTmpDir();
+  const { configureLedger, initializeLedger, getLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { CONFIG } = await import('../src/config.js');
+  configureLedger({ filePath: path.join(tmp, 'trades.json') });
+  await initializeLedger();
+  CONFIG.paperTrading.requireHtfAgreement = true;
+
+  const t = new Trader();
+  await t.initialize();
+  await t.processSignals({
+    rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+    timeLeftMin: 10,
+    market: { slug: 'm3', liquidityNum: 100000 },
+    polyMarketSnapshot: { orderbook: { up: { spread: 0.01 }, down: { spread: 0.01 } } },
+    polyPrices: { UP: 0.01, DOWN: 0.02 },
+    modelUp: 0.7,
+    modelDown: 0.3,
+    htfTrend: 'DOWN',
+    indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+  }, [{ close: 100 }]);
+  CONFIG.paperTrading.requireHtfAgreement = false;
+
+  assert.ok(!t.openTrade);
+  assert.equal(getLedger().trades.length, 0);
+  assert.ok(t.lastEntryStatus.blockers.some((b) => b.startsWith('HTF trend DOWN vs UP')));
+});
+
+test('a flip re-entry goes through the risk limits like any other entry', async () => {
+  const { createLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { RiskManager } = await import('../src/paper_trading/riskManager.js');
+  const { CONFIG } = await import('../src/config.js');
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    recGating: 'loose',
+    minCandlesForEntry: 1,
+    minPolyPrice: 0.01,
+    maxPolyPrice: 0.99,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0,
+    contractSize: 100,
+    stakePct: 0,
+    minTradeUsd: 0,
+    sizingMode: 'flat',
+    requireHtfAgreement: false,
+    flipOnProbabilityFlip: true,
+    flipCooldownSeconds: 0
+  });
+
+  const run = async (limits) => {
+    const ledger = createLedger({ filePath: path.join(mkTmpDir(), 'trades.json') });
+    await ledger.initialize();
+    let nowMs = Date.parse('2026-10-19T12:00:00Z');
+    const t = new Trader({
+      now: () => nowMs,
+      ledger,
+      exitRules: [{ type: 'prob_flip', minHoldSeconds: 0, confirmTicks: 1 }],
+      riskManager: new RiskManager({ limits, stateFile: null, now: () => nowMs })
+    });
+    await t.initialize();
+    const tick = async (sec, modelUp) => {
+      nowMs = Date.parse('2026-10-19T12:00:00Z') + sec * 1000;
+      await t.processSignals({
+        rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+        timeLeftMin: 10,
+        market: { slug: 'm4', liquidityNum: 100000 },
+        polyMarketSnapshot: { orderbook: { up: { bestBid: 0.48, bestAsk: 0.5, spread: 0.02 }, down: { bestBid: 0.48, bestAsk: 0.5, spread: 0.02 } } },
+        polyPrices: { UP: 0.5, DOWN: 0.5 },
+        modelUp,
+        modelDown: 1 - modelUp,
+        indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+      }, [{ close: 100 }]);
+    };
+    await tick(0, 0.7); // UP entry
+    await tick(30, 0.3); // the model flips: close UP, re-enter DOWN unless blocked
+    const trades = ledger.get().trades;
+    await ledger.close();
+    return { t, trades };
+  };
+
+  const open = { maxDailyLossUsd: 0, maxConsecutiveLosses: 0, lossCooldownMinutes: 0, maxDrawdownPct: 0, maxTradesPerHour: 0 };
+  const flipped = await run(open);
+  assert.deepEqual(flipped.trades.map((x) => [x.side, x.status]), [['UP', 'CLOSED'], ['DOWN', 'OPEN']]);
+  assert.equal(flipped.trades[1].entryReason, 'Flip');
+  assert.equal(flipped.trades[1].entryOrderType, 'market');
+  assert.equal(flipped.trades[1].sizingMode, 'flat');
+  assert.equal(flipped.trades[1].requestedSizeUsd, 100);
+
+  const blocked = await run({ ...open, maxTradesPerHour: 1 });
+  CONFIG.paperTrading.flipOnProbabilityFlip = false;
+  assert.deepEqual(blocked.trades.map((x) => [x.side, x.status]), [['UP', 'CLOSED']]);
+  assert.equal(blocked.t.openTrade, null);
+  assert.ok(blocked.t.lastEntryStatus.blockers.some((b) => b.startsWith('Flip: Trade rate')));
+});
+
+test('a trade the ledger could not record is neither opened nor closed in memory', async () => {
+  const { createLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const { RiskManager } = await import('../src/paper_trading/riskManager.js');
+  const { CONFIG } = await import('../src/config.js');
+  Object.assign(CONFIG.paperTrading, {
+    enabled: true,
+    recGating: 'loose',
+    minCandlesForEntry: 1,
+    minPolyPrice: 0.01,
+    maxPolyPrice: 0.99,
+    minLiquidity: 0,
+    maxSpread: 999,
+    minProbEarly: 0.5,
+    edgeEarly: 0,
+    contractSize: 100,
+    stakePct: 0,
+    minTradeUsd: 0,
+    sizingMode: 'flat',
+    requireHtfAgreement: false,
+    flipOnProbabilityFlip: false
+  });
+
+  const ledger = createLedger({ filePath: path.join(mkTmpDir(), 'trades.json') });
+  await ledger.initialize();
+  let nowMs = Date.parse('2026-10-19T12:00:00Z');
+  const t = new Trader({
+    now: () => nowMs,
+    ledger,
+    exitRules: [{ type: 'prob_flip', minHoldSeconds: 0, confirmTicks: 1 }],
+    riskManager: new RiskManager({ stateFile: null, now: () => nowMs })
+  });
+  await t.initialize();
+  const tick = async (sec, modelUp) => {
+    nowMs = Date.parse('2026-10-19T12:00:00Z') + sec * 1000;
+    await t.processSignals({
+      rec: { action: 'NO_TRADE', phase: 'EARLY', edge: 0.2 },
+      timeLeftMin: 10,
+      market: { slug: 'm5', liquidityNum: 100000 },
+      polyMarketSnapshot: { orderbook: { up: { bestBid: 0.48, bestAsk: 0.5, spread: 0.02 }, down: { bestBid: 0.48, bestAsk: 0.5, spread: 0.02 } } },
+      polyPrices: { UP: 0.5, DOWN: 0.5 },
+      modelUp,
+      modelDown: 1 - modelUp,
+      indicators: { rsiNow: 50, vwapNow: 100, vwapSlope: 0.1, macd: { hist: 1, histDelta: 0.1 }, heikenColor: 'green', heikenCount: 3 }
+    }, [{ close: 100 }]);
+  };
+  // A directory where the journal should be: every append throws.
+  const breakJournal = () => { fs.rmSync(ledger.journalPath, { force: true }); fs.mkdirSync(ledger.journalPath); };
+  const fixJournal = () => fs.rmSync(ledger.journalPath, { recursive: true });
+
+  breakJournal();
+  await tick(0, 0.7);
+  assert.ok(!t.openTrade);
+  assert.equal(ledger.get().trades.length, 0);
+
+  fixJournal();
+  await tick(10, 0.7);
+  assert.equal(t.openTrade?.status, 'OPEN');
+  const opened = { ...t.openTrade };
+
+  // The close can't be written: the position stays open as the ledger has it, and closes once it can.
+  breakJournal();
+  await tick(20, 0.3);
+  assert.deepEqual(t.openTrade, opened);
+  assert.equal(ledger.get().trades[0].status, 'OPEN');
+
+  fixJournal();
+  await tick(30, 0.3);
+  assert.equal(t.openTrade, null);
+  assert.equal(ledger.get().trades[0].status, 'CLOSED');
+  await ledger.close();
+});
+
+test('Trader.initialize reads the open trade from the loaded store without loading it again', async () => {
+  const { createLedger } = await import('../src/paper_trading/ledger.js');
+  const { Trader } = await import('../src/paper_trading/trader.js');
+  const ledger = createLedger({ filePath: path.join(mkTmpDir(), 'trades.json') });
+  let loads = 0;
+  const load = ledger.load;
+  ledger.load = () => { loads += 1; return load(); };
+  await ledger.initialize();
+  await ledger.addTrade({ id: 'o1', side: 'UP', entryPrice: 0.4, shares: 10, contractSize: 4, status: 'OPEN' });
+
+  const t = new Trader({ ledger });
+  await t.initialize();
+  assert.equal(t.openTrade.id, 'o1');
+  assert.equal(loads, 1);
+  await ledger.close();
+});